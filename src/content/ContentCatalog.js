@@ -0,0 +1,241 @@
+/**
+ * ContentCatalog
+ * Manifest-driven list of placeable content (models, scale, textures,
+ * footprint, allowed plane orientations and semantic labels)
+ */
+
+export const DEFAULT_CATALOG_URL = 'assets/catalog.json'
+
+// Surface orientations an entry can allow (see classifySurfaceNormal)
+export const SURFACE_ORIENTATIONS = ['horizontal', 'vertical', 'tilted']
+
+// Label reported for planes the runtime didn't classify (see PlaneDetection.analyzePlane)
+export const UNKNOWN_SEMANTIC_LABEL = 'unknown'
+
+// Used when the manifest cannot be fetched so placement still works
+const BUILT_IN_MANIFEST = {
+  version: 1,
+  defaultEntry: 'cube',
+  entries: [
+    {
+      id: 'cube',
+      name: 'Cube',
+      footprint: { width: 0.2, depth: 0.2 },
+      allowedOrientations: ['horizontal', 'vertical', 'tilted'],
+      fallback: { type: 'box', size: 0.2, color: '#00ff00' }
+    }
+  ]
+}
+
+const DEFAULT_ENTRY = {
+  model: null,
+  scale: 1,
+  meshes: [],
+  footprint: { width: 0.2, depth: 0.2 },
+  allowedOrientations: ['horizontal'],
+  allowedLabels: [], // Empty = any semantic label
+  fallback: { type: 'box', size: 0.2, color: '#00ff00' }
+}
+
+export class ContentCatalog {
+  constructor(manifestUrl = DEFAULT_CATALOG_URL) {
+    console.log('📚 [DEBUG] ContentCatalog constructor')
+
+    this.manifestUrl = manifestUrl
+    this.entries = new Map() // id -> normalized entry
+    this.activeEntryId = null
+    this.isLoaded = false
+  }
+
+  /**
+   * Fetch and validate the catalog manifest
+   * @returns {Promise<ContentCatalog>}
+   */
+  async load() {
+    if (this.isLoaded) return this
+
+    let manifest = BUILT_IN_MANIFEST
+    try {
+      console.log(`📥 [DEBUG] Loading content catalog: ${this.manifestUrl}`)
+      const response = await fetch(this.manifestUrl)
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+      manifest = await response.json()
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Could not load content catalog, using built-in entries:', error)
+    }
+
+    this.applyManifest(manifest)
+    this.isLoaded = true
+    return this
+  }
+
+  /**
+   * Replace catalog entries with the given manifest
+   * @param {Object} manifest Catalog manifest { defaultEntry, entries: [...] }
+   */
+  applyManifest(manifest) {
+    this.entries.clear()
+
+    for (const rawEntry of manifest?.entries || []) {
+      const entry = this.normalizeEntry(rawEntry)
+      if (entry) {
+        this.entries.set(entry.id, entry)
+      }
+    }
+
+    if (this.entries.size === 0 && manifest !== BUILT_IN_MANIFEST) {
+      console.warn('⚠️ [DEBUG] Content catalog has no valid entries, using built-in entries')
+      this.applyManifest(BUILT_IN_MANIFEST)
+      return
+    }
+
+    const defaultId = this.entries.has(manifest.defaultEntry)
+      ? manifest.defaultEntry
+      : this.entries.keys().next().value
+    this.activeEntryId = defaultId
+
+    console.log('✅ [DEBUG] Content catalog ready:', {
+      entries: Array.from(this.entries.keys()),
+      active: this.activeEntryId
+    })
+  }
+
+  /**
+   * Validate a manifest entry and fill in defaults
+   * @param {Object} rawEntry Entry from the manifest
+   * @returns {Object|null} Normalized entry, or null if invalid
+   */
+  normalizeEntry(rawEntry) {
+    if (!rawEntry || typeof rawEntry.id !== 'string' || rawEntry.id.length === 0) {
+      console.warn('⚠️ [DEBUG] Skipping catalog entry without id:', rawEntry)
+      return null
+    }
+
+    const footprint = { ...DEFAULT_ENTRY.footprint, ...rawEntry.footprint }
+    if (!(footprint.width > 0) || !(footprint.depth > 0)) {
+      console.warn(`⚠️ [DEBUG] Invalid footprint for "${rawEntry.id}", using default`)
+      Object.assign(footprint, DEFAULT_ENTRY.footprint)
+    }
+
+    const requestedOrientations = Array.isArray(rawEntry.allowedOrientations)
+      ? rawEntry.allowedOrientations.filter(orientation => SURFACE_ORIENTATIONS.includes(orientation))
+      : []
+    const allowedOrientations = requestedOrientations.length > 0
+      ? requestedOrientations
+      : DEFAULT_ENTRY.allowedOrientations
+
+    // Semantic labels are an open registry (table, floor, wall, couch, ...) - keep any string
+    const allowedLabels = Array.isArray(rawEntry.allowedLabels)
+      ? rawEntry.allowedLabels
+        .filter(label => typeof label === 'string' && label.length > 0)
+        .map(label => label.toLowerCase())
+      : DEFAULT_ENTRY.allowedLabels
+
+    return {
+      ...DEFAULT_ENTRY,
+      ...rawEntry,
+      name: rawEntry.name || rawEntry.id,
+      scale: rawEntry.scale > 0 ? rawEntry.scale : DEFAULT_ENTRY.scale,
+      meshes: Array.isArray(rawEntry.meshes) ? rawEntry.meshes : [],
+      footprint,
+      allowedOrientations,
+      allowedLabels,
+      fallback: { ...DEFAULT_ENTRY.fallback, ...rawEntry.fallback }
+    }
+  }
+
+  /**
+   * Get all catalog entries
+   * @returns {Array<Object>}
+   */
+  getEntries() {
+    return Array.from(this.entries.values())
+  }
+
+  /**
+   * Get an entry by id
+   * @param {string} id Entry id
+   * @returns {Object|null}
+   */
+  getEntry(id) {
+    return this.entries.get(id) || null
+  }
+
+  /**
+   * Get the entry new placements will use
+   * @returns {Object|null}
+   */
+  getActiveEntry() {
+    return this.getEntry(this.activeEntryId)
+  }
+
+  /**
+   * Choose which entry new placements use
+   * @param {string} id Entry id
+   * @returns {Object|null} The active entry, or null if the id is unknown
+   */
+  setActiveEntry(id) {
+    const entry = this.getEntry(id)
+    if (!entry) {
+      console.warn(`⚠️ [DEBUG] Unknown catalog entry "${id}"`)
+      return null
+    }
+    this.activeEntryId = id
+    console.log(`📚 [DEBUG] Active catalog entry: ${entry.name}`)
+    return entry
+  }
+
+  /**
+   * Check whether an entry may be placed on a plane orientation
+   * @param {Object} entry Catalog entry
+   * @param {string} orientation Surface orientation ('horizontal' | 'vertical' | 'tilted')
+   * @returns {boolean}
+   */
+  isOrientationAllowed(entry, orientation) {
+    return !!entry && entry.allowedOrientations.includes(orientation)
+  }
+
+  /**
+   * Check whether an entry may be placed on a plane's semantic label.
+   * Unlabelled planes are always allowed so runtimes without semantic
+   * labels fall back to the orientation rule alone.
+   * @param {Object} entry Catalog entry
+   * @param {string} semanticLabel Plane semantic label (table, floor, wall, ...)
+   * @returns {boolean}
+   */
+  isLabelAllowed(entry, semanticLabel) {
+    if (!entry) return false
+    if (entry.allowedLabels.length === 0) return true
+    if (!semanticLabel || semanticLabel === UNKNOWN_SEMANTIC_LABEL) return true
+    return entry.allowedLabels.includes(semanticLabel.toLowerCase())
+  }
+
+  /**
+   * Check both placement rules for a surface
+   * @param {Object} entry Catalog entry
+   * @param {string} orientation Surface orientation
+   * @param {string} semanticLabel Plane semantic label, if the surface is a known plane
+   * @returns {boolean}
+   */
+  isSurfaceAllowed(entry, orientation, semanticLabel = UNKNOWN_SEMANTIC_LABEL) {
+    return this.isOrientationAllowed(entry, orientation) && this.isLabelAllowed(entry, semanticLabel)
+  }
+
+  /**
+   * Describe the surfaces an entry may be placed on, for status text
+   * @param {Object} entry Catalog entry
+   * @returns {string} e.g. "table or floor" or "horizontal surface"
+   */
+  describeAllowedSurfaces(entry) {
+    if (!entry) return 'flat surface'
+    if (entry.allowedLabels.length > 0) {
+      const labels = entry.allowedLabels
+      return labels.length === 1
+        ? labels[0]
+        : `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`
+    }
+    return `${entry.allowedOrientations.join(' or ')} surface`
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * ContentPreview
+ * Inline (non-immersive) Three.js view of catalog content with orbit
+ * controls, shown on devices that can't start an immersive session
+ */
+import * as THREE from 'three'
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
+
+export class ContentPreview {
+  /**
+   * @param {HTMLElement} container Element the preview canvas is added to
+   */
+  constructor(container) {
+    console.log('🖥️ [DEBUG] ContentPreview constructor')
+
+    this.container = container
+    this.renderer = null
+    this.scene = null
+    this.camera = null
+    this.controls = null
+    this.floor = null
+    this.content = null // Clone of the template being shown (shares its geometry and materials)
+    this.isDisposed = false
+
+    // Preview configuration
+    this.FLOOR_SIZE = 4            // meters
+    this.FRAMING_MARGIN = 1.4      // camera distance relative to what just fits the content
+    this.VIEW_DIRECTION = new THREE.Vector3(0.6, 0.45, 0.9).normalize() // Initial camera angle
+
+    this.handleResize = () => this.updateSize()
+  }
+
+  /**
+   * Create the renderer, scene and controls and start rendering
+   */
+  initialize() {
+    this.renderer = new THREE.WebGLRenderer({ antialias: true })
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+    this.renderer.outputColorSpace = THREE.SRGBColorSpace
+    this.container.appendChild(this.renderer.domElement)
+
+    this.scene = new THREE.Scene()
+    this.scene.background = new THREE.Color(0x1a1a2e)
+    this.scene.add(new THREE.HemisphereLight(0xffffff, 0x444466, 1.2))
+    const sun = new THREE.DirectionalLight(0xffffff, 1.5)
+    sun.position.set(2, 4, 3)
+    this.scene.add(sun)
+
+    this.floor = new THREE.GridHelper(this.FLOOR_SIZE, this.FLOOR_SIZE * 4, 0x00ff88, 0x335577)
+    this.scene.add(this.floor)
+
+    this.camera = new THREE.PerspectiveCamera(50, 1, 0.01, 100)
+    this.camera.position.copy(this.VIEW_DIRECTION)
+
+    this.controls = new OrbitControls(this.camera, this.renderer.domElement)
+    this.controls.enableDamping = true
+    this.controls.maxPolarAngle = Math.PI / 2 - 0.05 // Stay above the floor
+
+    window.addEventListener('resize', this.handleResize)
+    this.updateSize()
+    this.renderer.setAnimationLoop(() => this.render())
+
+    console.log('✅ [DEBUG] ContentPreview initialized')
+  }
+
+  /**
+   * Show a content template, resting on the floor and framed by the camera
+   * @param {THREE.Object3D} template Content template (a clone is shown)
+   */
+  setContent(template) {
+    if (this.isDisposed) return
+
+    if (this.content) {
+      this.scene.remove(this.content)
+    }
+
+    this.content = template.clone()
+    this.content.visible = true // Templates are hidden until placed
+    this.content.position.set(0, 0, 0)
+
+    const box = new THREE.Box3().setFromObject(this.content)
+    this.content.position.y -= box.min.y
+    const size = box.getSize(new THREE.Vector3())
+    const radius = Math.max(size.length() / 2, 0.05)
+
+    // Distance at which the bounding sphere fits the vertical field of view
+    const fitDistance = radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov) / 2)
+    const distance = fitDistance * this.FRAMING_MARGIN
+
+    this.controls.target.set(0, size.y / 2, 0)
+    this.camera.position.copy(this.controls.target).addScaledVector(this.VIEW_DIRECTION, distance)
+    this.controls.minDistance = radius
+    this.controls.maxDistance = distance * 4
+    this.controls.update()
+
+    this.scene.add(this.content)
+    console.log(`🖥️ [DEBUG] Previewing "${template.userData.contentId || template.name}" (${radius.toFixed(2)}m radius)`)
+  }
+
+  /**
+   * Match the canvas to the container
+   */
+  updateSize() {
+    const width = this.container.clientWidth || window.innerWidth
+    const height = this.container.clientHeight || window.innerHeight
+
+    this.camera.aspect = width / height
+    this.camera.updateProjectionMatrix()
+    this.renderer.setSize(width, height)
+  }
+
+  /**
+   * Draw one frame (runs from the renderer's animation loop)
+   */
+  render() {
+    this.controls.update() // Applies damping
+    this.renderer.render(this.scene, this.camera)
+  }
+
+  /**
+   * Stop rendering and release the preview's own resources
+   * The shown content shares the template's geometry and materials, so they stay.
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] ContentPreview already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing ContentPreview...')
+    window.removeEventListener('resize', this.handleResize)
+    this.renderer?.setAnimationLoop(null)
+    this.controls?.dispose()
+
+    if (this.floor) {
+      this.floor.geometry.dispose()
+      this.floor.material.dispose()
+    }
+    this.scene?.clear()
+
+    if (this.renderer) {
+      this.renderer.dispose()
+      this.renderer.domElement.remove()
+    }
+
+    this.renderer = null
+    this.scene = null
+    this.camera = null
+    this.controls = null
+    this.floor = null
+    this.content = null
+    this.isDisposed = true
+    console.log('✅ [DEBUG] ContentPreview disposed')
+  }
+
+  /**
+   * Get debug information about the preview
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      contentId: this.content?.userData.contentId || null,
+      cameraDistance: this.camera && this.controls ? this.camera.position.distanceTo(this.controls.target) : null,
+      isDisposed: this.isDisposed
+    }
+  }
+}
@@ -14,10 +14,13 @@ export class CursorManager {
     this.isDisposed = false
     
     // Cursor configuration
-    this.CURSOR_SIZE = 0.2 // Match cube size
+    this.CURSOR_WIDTH = 0.2 // Match active content footprint (see setFootprint)
+    this.CURSOR_DEPTH = 0.2
     this.CURSOR_HEIGHT = 0.02 // Thin footprint indicator
     this.CURSOR_COLOR = 0x00ffff // Cyan color for visibility
+    this.INVALID_COLOR = 0xff3333 // Red when the footprint does not fit
     this.CURSOR_OPACITY = 0.6
+    this.SURFACE_OFFSET = 0.001 // 1mm along the surface normal to prevent z-fighting
     this.ANIMATION_SPEED = 2.0 // Pulsing animation speed
     
     // ✅ FIXED: Integrate with established scene groups structure
@@ -94,9 +97,9 @@ export class CursorManager {
     
     // Create cube footprint outline
     const footprintGeometry = new THREE.BoxGeometry(
-      this.CURSOR_SIZE, 
+      this.CURSOR_WIDTH, 
       this.CURSOR_HEIGHT, 
-      this.CURSOR_SIZE
+      this.CURSOR_DEPTH
     )
     
     // Create wireframe material for footprint outline
@@ -166,12 +169,9 @@ export class CursorManager {
     const position = pose.transform.position
     const orientation = pose.transform.orientation
     
-    // ✅ FIXED: Add small offset to prevent z-fighting with surfaces
-    const SURFACE_OFFSET = 0.001 // 1mm above surface
-    
-    // Position cursor slightly above hit-test location to prevent z-fighting
-    cursor.position.set(position.x, position.y + SURFACE_OFFSET, position.z)
+    // Position cursor slightly off the surface (hit pose +Y is the normal) to prevent z-fighting
     cursor.quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w)
+    this.placeOnSurface(cursor, position)
     
     // ✅ FIXED: Convert XR time (milliseconds) to seconds for proper animation
     const timeInSeconds = time * 0.001
@@ -189,6 +189,61 @@ export class CursorManager {
     }
   }
 
+  /**
+   * Resize cursors to match the footprint of the content being placed
+   * @param {number} width Footprint width in meters
+   * @param {number} depth Footprint depth in meters
+   */
+  setFootprint(width, depth) {
+    if (this.isDisposed) return
+    if (width === this.CURSOR_WIDTH && depth === this.CURSOR_DEPTH) return
+    
+    this.CURSOR_WIDTH = width
+    this.CURSOR_DEPTH = depth
+    
+    // Existing cursors are rebuilt at the new size on the next update
+    for (const inputSource of Array.from(this.cursors.keys())) {
+      this.removeCursor(inputSource)
+    }
+    console.log(`📐 [DEBUG] Cursor footprint set to ${width}m x ${depth}m`)
+  }
+
+  /**
+   * Move a cursor to a surface point, offset along its normal (cursor +Y)
+   * so it doesn't z-fight with walls or plane highlights
+   * @param {THREE.Group} cursor Cursor already oriented to the surface
+   * @param {{x: number, y: number, z: number}} position Surface point
+   */
+  placeOnSurface(cursor, position) {
+    const normal = new THREE.Vector3(0, 1, 0).applyQuaternion(cursor.quaternion)
+    cursor.position.set(position.x, position.y, position.z).addScaledVector(normal, this.SURFACE_OFFSET)
+  }
+
+  /**
+   * Show where content would actually land and whether it fits
+   * Called after updateCursors; overrides the raw hit pose with the
+   * (possibly nudged) placement pose.
+   * @param {XRInputSource} inputSource Input source whose cursor to update
+   * @param {Object} preview Placement preview { valid, position?, quaternion? }
+   */
+  setPlacementPreview(inputSource, preview) {
+    const cursor = this.cursors.get(inputSource)
+    if (this.isDisposed || !cursor || !preview) return
+    
+    if (preview.quaternion) {
+      cursor.quaternion.copy(preview.quaternion)
+    }
+    if (preview.position) {
+      this.placeOnSurface(cursor, preview.position)
+    }
+    
+    const color = preview.valid ? this.CURSOR_COLOR : this.INVALID_COLOR
+    const { wireframe, fill, centerDot } = cursor.userData
+    for (const part of [wireframe, fill, centerDot]) {
+      part?.material?.color.setHex(color)
+    }
+  }
+
   /**
    * Remove cursor for specific input source
    * @param {XRInputSource} inputSource Input source to remove cursor for
@@ -1,18 +1,28 @@
 /**
  * HitTestManager
  * Handles WebXR hit-testing for precise surface targeting
+ * Without a hit-test feature, input rays can be cast onto synthetic planes instead.
  */
+import { getSessionCapabilities } from '../webxr/capabilities.js'
+import { intersectRayWithPlane, locatePointOnPlane } from '../utils/math.js'
 
 export class HitTestManager {
-  constructor(session, referenceSpace) {
+  /**
+   * @param {XRSession} session Active XR session
+   * @param {XRReferenceSpace} referenceSpace Reference space
+   * @param {Object} capabilities SessionCapabilities granted to the session
+   */
+  constructor(session, referenceSpace, capabilities = getSessionCapabilities(session)) {
     console.log('🎯 [DEBUG] HitTestManager constructor')
     
     this.session = session
     this.referenceSpace = referenceSpace
     this.hitTestSources = new Map() // inputSource -> hitTestSource
     this.hitTestResults = new Map() // inputSource -> latest hit result
-    this.isSupported = session.enabledFeatures?.includes('hit-test') || false
+    this.isSupported = capabilities.hitTest
+    this.syntheticPlanes = [] // ✅ NEW: Planes rays are cast onto when the runtime can't hit-test
     this.isDisposed = false // ✅ NEW: Track disposal state
+    this.isPaused = false   // ✅ NEW: Results are dropped while the session isn't visible
     
     console.log(`🎯 [DEBUG] Hit-test support: ${this.isSupported}`)
   }
@@ -22,7 +32,31 @@ export class HitTestManager {
    * @returns {boolean}
    */
   isHitTestSupported() {
-    return this.isSupported && !this.isDisposed
+    return (this.isSupported || this.syntheticPlanes.length > 0) && !this.isDisposed
+  }
+
+  /**
+   * ✅ NEW: Target synthetic planes when the session has no hit-test feature
+   * @param {Array<Object>} planes XRPlane stand-ins (see createSyntheticFloorPlane)
+   */
+  setSyntheticPlanes(planes) {
+    this.syntheticPlanes = planes
+    console.log(`🎯 [DEBUG] ${planes.length} synthetic plane(s) set${this.isSupported ? ' - unused while runtime hit-testing is available' : ''}`)
+  }
+
+  /**
+   * Stop producing results (sources are kept for resume)
+   */
+  pause() {
+    this.isPaused = true
+    this.hitTestResults.clear()
+  }
+
+  /**
+   * Produce results again from the next frame
+   */
+  resume() {
+    this.isPaused = false
   }
 
   /**
@@ -31,11 +65,20 @@ export class HitTestManager {
    * @returns {Promise<void>}
    */
   async setupHitTestSources(inputSources) {
-    if (!this.isSupported || this.isDisposed) {
+    if (!this.isHitTestSupported()) {
       console.log('ℹ️ [DEBUG] Hit-testing not supported or disposed, skipping setup')
       return
     }
 
+    // ✅ NEW: No runtime sources to create - rays are cast onto synthetic planes each frame
+    if (!this.isSupported) {
+      for (const inputSource of inputSources) {
+        this.hitTestSources.set(inputSource, null)
+      }
+      console.log(`✅ [DEBUG] Ray-casting ${this.hitTestSources.size} input sources onto synthetic planes`)
+      return
+    }
+
     console.log('🔧 [DEBUG] Setting up hit-test sources...')
 
     for (const inputSource of inputSources) {
@@ -72,7 +115,7 @@ export class HitTestManager {
    * @param {XRFrame} frame Current XR frame
    */
   updateHitTests(frame) {
-    if (!this.isSupported || this.isDisposed) return
+    if (!this.isHitTestSupported() || this.isPaused) return
 
     if (!frame.session || frame.session.ended) {
       console.warn('⚠️ [DEBUG] Attempting to use ended session for hit-testing')
@@ -83,6 +126,11 @@ export class HitTestManager {
 
     for (const [inputSource, hitTestSource] of this.hitTestSources) {
       try {
+        if (!hitTestSource) {
+          this.updateSyntheticHit(inputSource, frame)
+          continue
+        }
+        
         const hitTestResults = frame.getHitTestResults(hitTestSource)
         
         if (hitTestResults.length > 0) {
@@ -107,6 +155,41 @@ export class HitTestManager {
     }
   }
 
+  /**
+   * ✅ NEW: Cast an input's target ray onto the synthetic planes and keep the nearest hit
+   * The result pose matches a runtime hit: at the hit point, +Y along the plane normal.
+   * @param {XRInputSource} inputSource Input source that is pointing
+   * @param {XRFrame} frame Current XR frame
+   */
+  updateSyntheticHit(inputSource, frame) {
+    const inputPose = frame.getPose(inputSource.targetRaySpace, this.referenceSpace)
+    if (!inputPose) return
+
+    const m = inputPose.transform.matrix
+    const origin = inputPose.transform.position
+    const direction = { x: -m[8], y: -m[9], z: -m[10] } // Target rays point down -Z
+
+    let nearest = null
+    for (const plane of this.syntheticPlanes) {
+      const planePose = frame.getPose(plane.planeSpace, this.referenceSpace)
+      if (!planePose) continue
+
+      const hit = intersectRayWithPlane(origin, direction, planePose.transform.matrix)
+      if (!hit || (nearest && hit.distance >= nearest.distance)) continue
+      if (!locatePointOnPlane(hit.point, planePose.transform.matrix, plane.polygon)) continue
+
+      nearest = { ...hit, orientation: planePose.transform.orientation }
+    }
+
+    if (nearest) {
+      this.hitTestResults.set(inputSource, {
+        pose: { transform: new XRRigidTransform(nearest.point, nearest.orientation) },
+        inputSource: inputSource,
+        timestamp: frame.predictedDisplayTime
+      })
+    }
+  }
+
   /**
    * Get hit-test result for specific input source
    * @param {XRInputSource} inputSource Input source to get result for
@@ -136,7 +219,7 @@ export class HitTestManager {
         console.log(`🧹 [DEBUG] Cleaning up hit-test source for removed ${inputSource.handedness}`)
         
         try {
-          hitTestSource.cancel()
+          hitTestSource?.cancel()
         } catch (error) {
           console.warn('⚠️ [DEBUG] Error canceling hit-test source:', error)
         }
@@ -160,7 +243,7 @@ export class HitTestManager {
     
     for (const [inputSource, hitTestSource] of this.hitTestSources) {
       try {
-        hitTestSource.cancel()
+        hitTestSource?.cancel()
       } catch (error) {
         console.warn('⚠️ [DEBUG] Error canceling hit-test source during disposal:', error)
       }
@@ -180,6 +263,8 @@ export class HitTestManager {
   getDebugInfo() {
     return {
       isSupported: this.isSupported,
+      syntheticPlanes: this.syntheticPlanes.length,
+      isPaused: this.isPaused,
       activeHitTestSources: this.hitTestSources.size,
       currentHitResults: this.hitTestResults.size,
       inputSources: Array.from(this.hitTestSources.keys()).map(source => ({
@@ -0,0 +1,417 @@
+/**
+ * HudManager
+ * Keeps status messages visible inside the headset: a DOM overlay when the
+ * session grants dom-overlay, otherwise a world-space MSDF text panel that
+ * follows the user's gaze
+ */
+import * as THREE from 'three'
+
+export const HUD_FONT_URL = 'assets/fonts/Roboto-msdf.json'
+export const HUD_FONT_TEXTURE_URL = 'assets/fonts/Roboto-msdf.png' // The JSON still names the generator's output file
+
+export class HudManager {
+  /**
+   * @param {THREE.Scene} scene Scene for the world-space panel
+   * @param {XRSession} session Active XR session
+   * @param {HTMLElement|null} overlayRoot Element passed as the dom-overlay root
+   */
+  constructor(scene, session, overlayRoot = null) {
+    console.log('🪧 [DEBUG] HudManager constructor')
+
+    this.scene = scene
+    this.session = session
+    this.overlayRoot = overlayRoot
+    this.mode = session?.domOverlayState && overlayRoot ? 'dom-overlay' : 'world'
+    this.status = ''
+    this.font = null
+    this.isDisposed = false
+
+    // HUD configuration
+    this.PANEL_DISTANCE = 1.2       // meters in front of the viewer
+    this.PANEL_DROP = 0.25          // meters below eye level, out of the way of content
+    this.LINE_HEIGHT = 0.035        // meters per text line
+    this.MAX_LINE_WIDTH = 0.6       // meters before text wraps
+    this.PADDING = 0.02             // meters around the text
+    this.FOLLOW_ANGLE = Math.cos(THREE.MathUtils.degToRad(25)) // Re-center once the gaze drifts this far
+    this.FOLLOW_SPEED = 4           // Higher = snappier follow
+    this.TEXT_COLOR = 0xffffff
+    this.PANEL_COLOR = 0x000000
+    this.PANEL_OPACITY = 0.55
+
+    this.panel = null
+    this.isFollowing = false
+    this.hasPlacedPanel = false
+
+    // Reused while following the gaze
+    this.headPosition = new THREE.Vector3()
+    this.headQuaternion = new THREE.Quaternion()
+    this.forward = new THREE.Vector3()
+    this.toPanel = new THREE.Vector3()
+    this.targetPosition = new THREE.Vector3()
+
+    if (this.mode === 'dom-overlay') {
+      this.statusElement = overlayRoot.querySelector('.xr-hud-status') || overlayRoot
+      overlayRoot.classList.add('active')
+    }
+
+    console.log(`✅ [DEBUG] HudManager initialized (${this.mode})`)
+  }
+
+  /**
+   * Load the MSDF font for the world-space panel (no-op with a DOM overlay)
+   * @returns {Promise<boolean>} True if the HUD can show text
+   */
+  async initialize() {
+    if (this.mode === 'dom-overlay') return true
+
+    try {
+      const [response, texture] = await Promise.all([
+        fetch(HUD_FONT_URL),
+        new THREE.TextureLoader().loadAsync(HUD_FONT_TEXTURE_URL)
+      ])
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+      const data = await response.json()
+      if (this.isDisposed) {
+        texture.dispose()
+        return false
+      }
+
+      this.font = createMsdfFont(data, texture)
+      this.createPanel()
+      this.setStatus(this.status)
+      return true
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] HUD font failed to load - status stays on the page only:', error)
+      return false
+    }
+  }
+
+  /**
+   * Show a status message
+   * @param {string} text Message text
+   */
+  setStatus(text) {
+    if (this.isDisposed) return
+    this.status = text || ''
+
+    if (this.mode === 'dom-overlay') {
+      this.statusElement.textContent = this.status
+      return
+    }
+    if (!this.panel) return
+
+    const { text: textMesh, background } = this.panel
+    const layout = layoutText(this.font, this.status, this.MAX_LINE_WIDTH / this.getFontScale())
+    textMesh.geometry.dispose()
+    textMesh.geometry = layout.geometry
+
+    // Center the text block on the panel
+    const scale = this.getFontScale()
+    textMesh.scale.setScalar(scale)
+    textMesh.position.set(-layout.width * scale / 2, layout.height * scale / 2, 0.001)
+
+    background.scale.set(layout.width * scale + this.PADDING * 2, layout.height * scale + this.PADDING * 2, 1)
+    this.panel.group.visible = this.status.length > 0
+  }
+
+  /**
+   * Build the panel: a translucent backing plane and the text mesh
+   */
+  createPanel() {
+    const group = new THREE.Group()
+    group.name = 'HudPanel'
+    group.visible = false
+
+    // Always on top of content and occluders; transparent objects keep insertion order
+    const background = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({
+        color: this.PANEL_COLOR,
+        transparent: true,
+        opacity: this.PANEL_OPACITY,
+        depthTest: false,
+        depthWrite: false
+      })
+    )
+    group.add(background)
+
+    const text = new THREE.Mesh(new THREE.BufferGeometry(), createMsdfMaterial(this.font, this.TEXT_COLOR))
+    text.frustumCulled = false // Bounds change with every message
+    group.add(text)
+
+    this.scene.add(group)
+    this.panel = { group, background, text }
+  }
+
+  /**
+   * World units per font pixel
+   * @returns {number}
+   */
+  getFontScale() {
+    return this.LINE_HEIGHT / this.font.lineHeight
+  }
+
+  /**
+   * Keep the world-space panel in front of the user (call once per frame)
+   * The panel stays put until the gaze drifts away, then eases back into view.
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   * @param {number} deltaTime Seconds since the last frame
+   */
+  update(frame, refSpace, deltaTime) {
+    if (this.isDisposed || !this.panel || !this.panel.group.visible) return
+
+    const pose = frame.getViewerPose(refSpace)
+    if (!pose) return
+
+    const { position, orientation } = pose.transform
+    this.headPosition.set(position.x, position.y, position.z)
+    this.headQuaternion.set(orientation.x, orientation.y, orientation.z, orientation.w)
+
+    // Level gaze direction so looking down at a table doesn't drag the panel into it
+    this.forward.set(0, 0, -1).applyQuaternion(this.headQuaternion)
+    this.forward.y = 0
+    if (this.forward.lengthSq() < 1e-6) return
+    this.forward.normalize()
+
+    this.targetPosition.copy(this.headPosition)
+      .addScaledVector(this.forward, this.PANEL_DISTANCE)
+    this.targetPosition.y -= this.PANEL_DROP
+
+    const { group } = this.panel
+    if (!this.hasPlacedPanel) {
+      group.position.copy(this.targetPosition)
+      this.hasPlacedPanel = true
+    } else {
+      this.toPanel.subVectors(group.position, this.headPosition).setY(0).normalize()
+      if (this.toPanel.dot(this.forward) < this.FOLLOW_ANGLE) {
+        this.isFollowing = true
+      }
+      if (this.isFollowing) {
+        group.position.lerp(this.targetPosition, 1 - Math.exp(-this.FOLLOW_SPEED * deltaTime))
+        if (group.position.distanceTo(this.targetPosition) < 0.01) {
+          this.isFollowing = false
+        }
+      }
+    }
+
+    group.lookAt(this.headPosition)
+  }
+
+  /**
+   * Dispose of the panel and hide the DOM overlay
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] HudManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing HudManager...')
+    if (this.panel) {
+      this.scene.remove(this.panel.group)
+      this.panel.background.geometry.dispose()
+      this.panel.background.material.dispose()
+      this.panel.text.geometry.dispose()
+      this.panel.text.material.dispose()
+      this.panel = null
+    }
+    this.font?.texture.dispose()
+    this.font = null
+
+    if (this.mode === 'dom-overlay') {
+      this.statusElement.textContent = ''
+      this.overlayRoot.classList.remove('active')
+    }
+
+    this.isDisposed = true
+    console.log('✅ [DEBUG] HudManager disposed')
+  }
+
+  /**
+   * Get debug information about the HUD
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      isDisposed: this.isDisposed,
+      mode: this.mode,
+      fontLoaded: !!this.font,
+      status: this.status,
+      isFollowing: this.isFollowing
+    }
+  }
+}
+
+/**
+ * Index an MSDF font description (BMFont JSON) for layout
+ * @param {Object} data Font JSON
+ * @param {THREE.Texture} texture Glyph atlas
+ * @returns {Object} Font
+ */
+function createMsdfFont(data, texture) {
+  // Distances interpolate linearly; mipmaps would blur them together
+  texture.generateMipmaps = false
+  texture.minFilter = THREE.LinearFilter
+
+  const glyphs = new Map(data.chars.map(glyph => [glyph.id, glyph]))
+  const kernings = new Map((data.kernings || []).map(({ first, second, amount }) => [`${first},${second}`, amount]))
+
+  return {
+    glyphs,
+    kernings,
+    texture,
+    lineHeight: data.common.lineHeight,
+    base: data.common.base,
+    atlasWidth: data.common.scaleW,
+    atlasHeight: data.common.scaleH,
+    distanceRange: data.distanceField.distanceRange,
+    spaceAdvance: glyphs.get(32)?.xadvance ?? data.info.size / 4
+  }
+}
+
+/**
+ * Lay text out into glyph quads (font pixels, top-left origin, +y up)
+ * Characters the font lacks (e.g. emoji) are skipped.
+ * @param {Object} font MSDF font
+ * @param {string} text Text to lay out
+ * @param {number} maxWidth Wrap width in font pixels
+ * @returns {Object} { geometry, width, height }
+ */
+function layoutText(font, text, maxWidth) {
+  // Measure and wrap word by word
+  const advanceOf = (previous, code) => {
+    const glyph = font.glyphs.get(code)
+    if (!glyph) return 0
+    return glyph.xadvance + (previous !== null ? font.kernings.get(`${previous},${code}`) || 0 : 0)
+  }
+  const measure = (word) => {
+    let width = 0
+    let previous = null
+    for (const char of word) {
+      const code = char.codePointAt(0)
+      width += advanceOf(previous, code)
+      if (font.glyphs.has(code)) previous = code
+    }
+    return width
+  }
+
+  const lines = []
+  for (const paragraph of text.split('\n')) {
+    let line = ''
+    let lineWidth = 0
+    for (const word of paragraph.split(/\s+/)) {
+      const wordWidth = measure(word)
+      if (wordWidth === 0) continue
+
+      const withSpace = line ? lineWidth + font.spaceAdvance + wordWidth : wordWidth
+      if (line && withSpace > maxWidth) {
+        lines.push(line)
+        line = word
+        lineWidth = wordWidth
+      } else {
+        line = line ? `${line} ${word}` : word
+        lineWidth = withSpace
+      }
+    }
+    if (line) lines.push(line)
+  }
+
+  const positions = []
+  const uvs = []
+  const indices = []
+  let width = 0
+
+  lines.forEach((line, lineIndex) => {
+    let penX = 0
+    let previous = null
+    const top = -lineIndex * font.lineHeight
+
+    for (const char of line) {
+      const code = char.codePointAt(0)
+      const glyph = font.glyphs.get(code)
+      if (!glyph) continue
+
+      penX += previous !== null ? font.kernings.get(`${previous},${code}`) || 0 : 0
+      if (glyph.width > 0 && glyph.height > 0) {
+        const x0 = penX + glyph.xoffset
+        const x1 = x0 + glyph.width
+        const y0 = top - glyph.yoffset
+        const y1 = y0 - glyph.height
+        const u0 = glyph.x / font.atlasWidth
+        const u1 = (glyph.x + glyph.width) / font.atlasWidth
+        const v0 = 1 - glyph.y / font.atlasHeight
+        const v1 = 1 - (glyph.y + glyph.height) / font.atlasHeight
+
+        const base = positions.length / 3
+        positions.push(x0, y0, 0, x1, y0, 0, x1, y1, 0, x0, y1, 0)
+        uvs.push(u0, v0, u1, v0, u1, v1, u0, v1)
+        indices.push(base, base + 2, base + 1, base, base + 3, base + 2)
+      }
+
+      penX += glyph.xadvance
+      previous = code
+    }
+    width = Math.max(width, penX)
+  })
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2))
+  geometry.setIndex(indices)
+
+  return { geometry, width, height: lines.length * font.lineHeight }
+}
+
+/**
+ * Multi-channel signed distance field text material
+ * @param {Object} font MSDF font
+ * @param {number} color Text color (hex)
+ * @returns {THREE.ShaderMaterial}
+ */
+function createMsdfMaterial(font, color) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      uMap: { value: font.texture },
+      uColor: { value: new THREE.Color(color) },
+      uAtlasSize: { value: new THREE.Vector2(font.atlasWidth, font.atlasHeight) },
+      uDistanceRange: { value: font.distanceRange }
+    },
+    vertexShader: /* glsl */`
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: /* glsl */`
+      uniform sampler2D uMap;
+      uniform vec3 uColor;
+      uniform vec2 uAtlasSize;
+      uniform float uDistanceRange;
+      varying vec2 vUv;
+
+      float median(float r, float g, float b) {
+        return max(min(r, g), min(max(r, g), b));
+      }
+
+      void main() {
+        vec3 msdf = texture2D(uMap, vUv).rgb;
+        float signedDistance = median(msdf.r, msdf.g, msdf.b) - 0.5;
+
+        // Distance range in screen pixels keeps edges crisp at any size
+        vec2 screenTexSize = vec2(1.0) / fwidth(vUv);
+        float screenPxRange = max(0.5 * dot(vec2(uDistanceRange) / uAtlasSize, screenTexSize), 1.0);
+        float alpha = clamp(signedDistance * screenPxRange + 0.5, 0.0, 1.0);
+        if (alpha < 0.01) discard;
+
+        gl_FragColor = vec4(uColor, alpha);
+      }
+    `,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false
+  })
+}
@@ -0,0 +1,268 @@
+/**
+ * InputModelManager
+ * Draws the user's controllers and hands: controller models resolved from
+ * inputSource.profiles (WebXR input profiles served from this app) and
+ * articulated hands driven by inputSource.hand joint poses
+ */
+import * as THREE from 'three'
+import { XRControllerModelFactory } from 'three/examples/jsm/webxr/XRControllerModelFactory.js'
+import { XRHandModelFactory } from 'three/examples/jsm/webxr/XRHandModelFactory.js'
+
+// Shipped subset of @webxr-input-profiles/assets dist/profiles: oculus-touch-v3, generic-trigger
+// (the default for unlisted controllers) and the generic-hand meshes. profilesList.json only
+// lists shipped profiles so other controllers fall back to generic-trigger.
+export const INPUT_PROFILES_PATH = 'assets/input-profiles' // No trailing slash - the profile loader adds one
+export const HAND_PROFILE_PATH = `${INPUT_PROFILES_PATH}/generic-hand/`
+
+export class InputModelManager {
+  constructor(scene) {
+    console.log('🖐️ [DEBUG] InputModelManager constructor')
+
+    this.scene = scene
+    this.models = new Map() // inputSource -> { group, model, isHand, joints }
+    this.isDisposed = false
+
+    // Local assets are checked once before any model is built; primitives are the
+    // last resort for when they're missing
+    this.assets = { controllers: false, hands: false }
+    this.assetsChecked = false
+
+    // Input model configuration
+    this.DEFAULT_JOINT_RADIUS = 0.008 // meters, when the runtime reports none
+    this.CONTROLLER_COLOR = 0x333333
+
+    this.modelGroup = new THREE.Group()
+    this.modelGroup.name = 'InputModelsGroup'
+    this.scene.add(this.modelGroup)
+
+    this.controllerFactory = new XRControllerModelFactory()
+    this.controllerFactory.path = INPUT_PROFILES_PATH
+    this.handFactory = new XRHandModelFactory().setPath(HAND_PROFILE_PATH)
+
+    console.log('✅ [DEBUG] InputModelManager initialized')
+  }
+
+  /**
+   * Check which locally shipped profile assets are present
+   * @returns {Promise<Object>} { controllers, hands } availability
+   */
+  async initialize() {
+    const [controllers, hands] = await Promise.all([
+      isAssetAvailable(`${INPUT_PROFILES_PATH}/profilesList.json`),
+      isAssetAvailable(`${HAND_PROFILE_PATH}left.glb`)
+    ])
+    if (!this.isDisposed) {
+      this.assets = { controllers, hands }
+      this.assetsChecked = true
+    }
+
+    console.log(`📦 [DEBUG] Input profile assets - controllers: ${controllers}, hands: ${hands}`)
+    return { ...this.assets }
+  }
+
+  /**
+   * Create, pose and remove models to match the session's input sources
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   */
+  update(frame, refSpace) {
+    // Models wait for the asset check so they don't start out as primitives
+    if (this.isDisposed || !this.assetsChecked) return
+
+    const inputSources = frame.session.inputSources || []
+    const current = new Set()
+
+    for (const inputSource of inputSources) {
+      // Gaze and screen inputs have nothing to draw
+      if (inputSource.targetRayMode !== 'tracked-pointer') continue
+      current.add(inputSource)
+
+      let record = this.models.get(inputSource)
+      if (!record) {
+        record = this.createModel(inputSource)
+        this.models.set(inputSource, record)
+        console.log(`🖐️ [DEBUG] Created ${record.isHand ? 'hand' : 'controller'} model for ${inputSource.handedness} input`)
+      }
+
+      if (record.isHand) {
+        this.updateHandJoints(record, inputSource.hand, frame, refSpace)
+      } else {
+        this.updateControllerPose(record, inputSource, frame, refSpace)
+      }
+    }
+
+    // Input sources change when switching between hands and controllers
+    for (const inputSource of Array.from(this.models.keys())) {
+      if (!current.has(inputSource)) {
+        this.removeModel(inputSource)
+      }
+    }
+  }
+
+  /**
+   * Build the model for a new input source
+   * @param {XRInputSource} inputSource Input source
+   * @returns {Object} Model record
+   */
+  createModel(inputSource) {
+    const group = new THREE.Group()
+    group.name = `InputModel_${inputSource.handedness}`
+    const isHand = !!inputSource.hand
+
+    let model
+    if (isHand) {
+      // Hand models read joint poses from `group.joints`, as on a Three.js XR hand
+      group.joints = {}
+      for (const jointName of inputSource.hand.keys()) {
+        const joint = new THREE.Group()
+        joint.visible = false
+        group.joints[jointName] = joint
+      }
+      model = this.handFactory.createHandModel(group, this.assets.hands ? 'mesh' : 'spheres')
+    } else if (this.assets.controllers && inputSource.gamepad) {
+      model = this.controllerFactory.createControllerModel(group)
+    } else {
+      model = this.createPrimitiveController()
+    }
+
+    group.add(model)
+    group.matrixAutoUpdate = false
+    group.visible = false
+    this.modelGroup.add(group)
+
+    // The factories load their assets when the source "connects"
+    group.dispatchEvent({ type: 'connected', data: inputSource })
+
+    return { group, model, isHand, joints: group.joints || null }
+  }
+
+  /**
+   * Stand-in controller for when the input profile assets aren't served
+   * @returns {THREE.Mesh}
+   */
+  createPrimitiveController() {
+    // Handle along the grip's -Z (pointing) axis
+    const geometry = new THREE.CylinderGeometry(0.015, 0.02, 0.12, 12).rotateX(Math.PI / 2)
+    const material = new THREE.MeshStandardMaterial({ color: this.CONTROLLER_COLOR, roughness: 0.6 })
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.name = 'PrimitiveController'
+    return mesh
+  }
+
+  /**
+   * Follow the controller's grip pose
+   * @param {Object} record Model record
+   * @param {XRInputSource} inputSource Input source
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   */
+  updateControllerPose(record, inputSource, frame, refSpace) {
+    const space = inputSource.gripSpace || inputSource.targetRaySpace
+    const pose = space ? frame.getPose(space, refSpace) : null
+
+    record.group.visible = !!pose
+    if (pose) {
+      record.group.matrix.fromArray(pose.transform.matrix)
+      record.group.matrixWorldNeedsUpdate = true
+    }
+  }
+
+  /**
+   * Copy joint poses into the hand's joint objects
+   * Joints are expressed in the reference space, so the hand group stays at the origin.
+   * @param {Object} record Model record
+   * @param {XRHand} hand Hand joint spaces
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   */
+  updateHandJoints(record, hand, frame, refSpace) {
+    let tracked = false
+
+    for (const [jointName, jointSpace] of hand.entries()) {
+      const joint = record.joints[jointName]
+      if (!joint) continue
+
+      const pose = frame.getJointPose?.(jointSpace, refSpace)
+      joint.visible = !!pose
+      if (pose) {
+        joint.matrix.fromArray(pose.transform.matrix)
+        joint.matrix.decompose(joint.position, joint.quaternion, joint.scale)
+        joint.jointRadius = pose.radius || this.DEFAULT_JOINT_RADIUS
+        tracked = true
+      }
+    }
+
+    record.group.visible = tracked
+  }
+
+  /**
+   * Remove and dispose an input source's model
+   * @param {XRInputSource} inputSource Input source
+   */
+  removeModel(inputSource) {
+    const record = this.models.get(inputSource)
+    if (!record) return
+
+    record.group.dispatchEvent({ type: 'disconnected', data: inputSource })
+    this.modelGroup.remove(record.group)
+
+    // Cached profile assets are cloned per model; disposing only frees GPU copies
+    record.group.traverse((child) => {
+      child.geometry?.dispose()
+      if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material]
+        materials.forEach(material => material.dispose())
+      }
+    })
+
+    this.models.delete(inputSource)
+    console.log(`🗑️ [DEBUG] Removed ${record.isHand ? 'hand' : 'controller'} model for ${inputSource.handedness} input`)
+  }
+
+  /**
+   * Dispose of every input model
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] InputModelManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing InputModelManager...')
+    for (const inputSource of Array.from(this.models.keys())) {
+      this.removeModel(inputSource)
+    }
+    this.scene.remove(this.modelGroup)
+    this.isDisposed = true
+    console.log('✅ [DEBUG] InputModelManager disposed')
+  }
+
+  /**
+   * Get debug information about input models
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    const records = Array.from(this.models.entries())
+    return {
+      isDisposed: this.isDisposed,
+      assets: { ...this.assets },
+      assetsChecked: this.assetsChecked,
+      controllers: records.filter(([, record]) => !record.isHand).map(([source]) => source.handedness),
+      hands: records.filter(([, record]) => record.isHand).map(([source]) => source.handedness)
+    }
+  }
+}
+
+/**
+ * Check that a local asset exists (dev servers may answer missing files with index.html)
+ * @param {string} url Asset URL
+ * @returns {Promise<boolean>}
+ */
+async function isAssetAvailable(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD' })
+    return response.ok && !(response.headers.get('content-type') || '').includes('text/html')
+  } catch (error) {
+    return false
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * ManipulationManager
+ * Rotates and scales placed objects: two-handed squeeze gestures and
+ * controller thumbstick rotation around the surface normal, with optional
+ * snapping increments
+ */
+import * as THREE from 'three'
+
+export class ManipulationManager {
+  constructor(placedObjects, referenceSpace) {
+    console.log('🤲 [DEBUG] ManipulationManager constructor')
+
+    this.placedObjects = placedObjects
+    this.referenceSpace = referenceSpace
+    this.isDisposed = false
+
+    // Manipulation configuration
+    this.ROTATION_SNAP = THREE.MathUtils.degToRad(15) // Snap yaw to 15° steps
+    this.SCALE_SNAP = 0.1 // Snap scale to 10% steps
+    this.MIN_SCALE = 0.25
+    this.MAX_SCALE = 4.0
+    this.THUMBSTICK_DEADZONE = 0.2
+    this.THUMBSTICK_FLICK_THRESHOLD = 0.7 // Snap turn fires once per flick
+    this.THUMBSTICK_ROTATION_SPEED = Math.PI / 2 // rad/s when snapping is off
+    this.snappingEnabled = true
+
+    // Active gesture
+    this.mode = null // null | 'two-handed' | 'thumbstick'
+    this.record = null
+    this.sources = [] // Two squeezing input sources
+    this.startDistance = 0
+    this.startAngle = 0
+    this.startYaw = 0
+    this.startScale = 1
+    this.thumbstickArmed = true
+
+    console.log('✅ [DEBUG] ManipulationManager initialized')
+  }
+
+  /**
+   * Whether a gesture is in progress
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.mode !== null
+  }
+
+  /**
+   * Start a two-handed scale/rotate gesture
+   * @param {Object} record Placed object record to manipulate
+   * @param {Array<XRInputSource>} sources The two squeezing input sources
+   * @param {XRFrame} frame Current XR frame
+   * @returns {boolean} True if the gesture started
+   */
+  beginTwoHanded(record, sources, frame) {
+    if (this.isDisposed || !record || sources.length < 2) return false
+
+    const measurement = this.measureHands(record, sources, frame)
+    if (!measurement) {
+      console.warn('⚠️ [DEBUG] Could not locate both hands for manipulation')
+      return false
+    }
+
+    this.mode = 'two-handed'
+    this.record = record
+    this.sources = sources.slice(0, 2)
+    this.startDistance = Math.max(measurement.distance, 0.01)
+    this.startAngle = measurement.angle
+    this.startYaw = record.yaw
+    this.startScale = record.scale
+
+    console.log(`🤲 [DEBUG] Two-handed manipulation started for object ${record.id}`)
+    return true
+  }
+
+  /**
+   * Update the two-handed gesture from the current hand positions
+   * @param {XRFrame} frame Current XR frame
+   */
+  updateTwoHanded(frame) {
+    if (this.mode !== 'two-handed' || !this.record) return
+
+    const measurement = this.measureHands(this.record, this.sources, frame)
+    if (!measurement) return // Hand briefly lost - keep the last transform
+
+    const scale = this.startScale * (measurement.distance / this.startDistance)
+    const yaw = this.startYaw + (measurement.angle - this.startAngle)
+
+    this.placedObjects.setScale(this.record, this.snapScale(scale))
+    this.placedObjects.setYaw(this.record, this.snapYaw(yaw))
+  }
+
+  /**
+   * Rotate an object with controller thumbsticks
+   * @param {Object} record Placed object record to rotate
+   * @param {Iterable<XRInputSource>} inputSources Active input sources
+   * @param {number} deltaTime Seconds since the last frame
+   * @returns {boolean} True while a thumbstick is deflected
+   */
+  updateThumbstick(record, inputSources, deltaTime) {
+    if (this.isDisposed || !record || this.mode === 'two-handed') return false
+
+    const x = this.readThumbstickX(inputSources)
+    const deflected = Math.abs(x) > this.THUMBSTICK_DEADZONE
+
+    if (!deflected) {
+      this.thumbstickArmed = true
+      return false
+    }
+
+    if (this.mode !== 'thumbstick') {
+      this.mode = 'thumbstick'
+      this.record = record
+      console.log(`🕹️ [DEBUG] Thumbstick rotation started for object ${record.id}`)
+    }
+
+    // Push right to turn clockwise when seen from above the surface
+    if (this.snappingEnabled) {
+      if (this.thumbstickArmed && Math.abs(x) > this.THUMBSTICK_FLICK_THRESHOLD) {
+        this.thumbstickArmed = false
+        this.placedObjects.setYaw(record, this.snapYaw(record.yaw - Math.sign(x) * this.ROTATION_SNAP))
+      }
+    } else {
+      this.placedObjects.setYaw(record, record.yaw - x * this.THUMBSTICK_ROTATION_SPEED * deltaTime)
+    }
+    return true
+  }
+
+  /**
+   * Finish the current gesture
+   * @returns {Object|null} The record that was manipulated
+   */
+  end() {
+    const record = this.record
+    if (this.mode) {
+      console.log(`✅ [DEBUG] ${this.mode} manipulation finished for object ${record?.id}`)
+    }
+    this.mode = null
+    this.record = null
+    this.sources = []
+    return record
+  }
+
+  /**
+   * Check whether an input source takes part in the two-handed gesture
+   * @param {XRInputSource} inputSource Input source
+   * @returns {boolean}
+   */
+  usesSource(inputSource) {
+    return this.sources.includes(inputSource)
+  }
+
+  /**
+   * Measure hand separation and the angle of the hand-to-hand vector around
+   * the object's surface normal
+   * @param {Object} record Placed object record
+   * @param {Array<XRInputSource>} sources Two input sources
+   * @param {XRFrame} frame Current XR frame
+   * @returns {{distance: number, angle: number}|null}
+   */
+  measureHands(record, sources, frame) {
+    const positions = sources.map(source => this.getSourcePosition(source, frame))
+    if (positions.some(position => !position)) return null
+
+    const between = positions[1].sub(positions[0])
+    const distance = between.length()
+
+    // Project onto the surface plane, expressed in the surface's own frame
+    const inverseSurface = record.surfaceQuaternion.clone().invert()
+    between.applyQuaternion(inverseSurface)
+    const angle = Math.atan2(-between.z, between.x)
+
+    return { distance, angle }
+  }
+
+  /**
+   * Get an input source's position (grip if available, else target ray)
+   * @param {XRInputSource} source Input source
+   * @param {XRFrame} frame Current XR frame
+   * @returns {THREE.Vector3|null}
+   */
+  getSourcePosition(source, frame) {
+    const space = source.gripSpace || source.targetRaySpace
+    const pose = space ? frame.getPose(space, this.referenceSpace) : null
+    if (!pose) return null
+
+    const { x, y, z } = pose.transform.position
+    return new THREE.Vector3(x, y, z)
+  }
+
+  /**
+   * Read the strongest horizontal thumbstick deflection (xr-standard axes[2])
+   * @param {Iterable<XRInputSource>} inputSources Active input sources
+   * @returns {number} Deflection -1..1
+   */
+  readThumbstickX(inputSources) {
+    let strongest = 0
+    for (const source of inputSources) {
+      const axes = source.gamepad?.axes
+      if (!axes || axes.length < 4) continue
+      if (Math.abs(axes[2]) > Math.abs(strongest)) {
+        strongest = axes[2]
+      }
+    }
+    return strongest
+  }
+
+  /**
+   * Apply rotation snapping
+   * @param {number} yaw Yaw in radians
+   * @returns {number}
+   */
+  snapYaw(yaw) {
+    if (!this.snappingEnabled) return yaw
+    return Math.round(yaw / this.ROTATION_SNAP) * this.ROTATION_SNAP
+  }
+
+  /**
+   * Apply scale limits and snapping
+   * @param {number} scale Scale relative to the catalog scale
+   * @returns {number}
+   */
+  snapScale(scale) {
+    const snapped = this.snappingEnabled
+      ? Math.round(scale / this.SCALE_SNAP) * this.SCALE_SNAP
+      : scale
+    return THREE.MathUtils.clamp(snapped, this.MIN_SCALE, this.MAX_SCALE)
+  }
+
+  /**
+   * Stop any gesture and release references
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] ManipulationManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing ManipulationManager...')
+    this.end()
+    this.placedObjects = null
+    this.isDisposed = true
+    console.log('✅ [DEBUG] ManipulationManager disposed')
+  }
+
+  /**
+   * Get debug information about manipulation
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      isDisposed: this.isDisposed,
+      mode: this.mode,
+      objectId: this.record?.id ?? null,
+      snappingEnabled: this.snappingEnabled,
+      yawDegrees: this.record ? THREE.MathUtils.radToDeg(this.record.yaw).toFixed(1) : null,
+      scale: this.record?.scale ?? null
+    }
+  }
+}
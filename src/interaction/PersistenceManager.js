@@ -0,0 +1,501 @@
+/**
+ * PersistenceManager
+ * Saves placed objects so they survive reloads: persistent anchor handles
+ * where the runtime supports them, plus poses stored relative to the
+ * floor plane as a fallback
+ */
+import * as THREE from 'three'
+import { calculatePolygonArea } from '../utils/math.js'
+import { getSessionCapabilities } from '../webxr/capabilities.js'
+
+const STORAGE_KEY = 'webxr-placed-objects'
+const STORAGE_VERSION = 1
+const ORPHANED_HANDLES_KEY = 'webxr-orphaned-anchors' // Handles cleared without a session, deleted by the next one
+
+/**
+ * Read the persistent anchor handles waiting to be deleted
+ * @param {Storage} storage Storage holding the handles
+ * @returns {Array<string>}
+ */
+function loadOrphanedHandles(storage) {
+  try {
+    const handles = JSON.parse(storage?.getItem(ORPHANED_HANDLES_KEY) || '[]')
+    return Array.isArray(handles) ? handles : []
+  } catch (error) {
+    console.warn('⚠️ [DEBUG] Could not read orphaned anchor handles:', error)
+    return []
+  }
+}
+
+export class PersistenceManager {
+  constructor(session, referenceSpace, storage = window.localStorage, capabilities = getSessionCapabilities(session)) {
+    console.log('💾 [DEBUG] PersistenceManager constructor')
+
+    this.session = session
+    this.referenceSpace = referenceSpace
+    this.storage = storage
+    this.isDisposed = false
+
+    // Restore bookkeeping
+    this.isRestoring = false
+    this.pendingFloorRestores = [] // Stored entries waiting for a floor plane
+
+    // Save bookkeeping
+    this.isDirty = false
+    this.missingFloorPoses = false // Last save had objects without a floor-relative pose
+    this.lastUpdateTime = -Infinity // performance.now() of the last save check
+
+    // Persistence configuration
+    this.FLOOR_HEIGHT_TOLERANCE = 0.05 // meters - planes this close to the lowest count as level with it
+    this.MATCH_HEIGHT_TOLERANCE = 0.1  // meters - a restore plane must be this close to the saved height
+    this.MATCH_AREA_TOLERANCE = 0.5    // a restore plane's area may differ this much (fraction of the saved area)
+    this.SAVE_INTERVAL_MS = 1000       // At most one storage write (and floor check) per interval
+
+    this.supportsPersistentAnchors = capabilities.anchors &&
+      typeof session.restorePersistentAnchor === 'function'
+
+    console.log(`💾 [DEBUG] Persistent anchor support: ${this.supportsPersistentAnchors}`)
+  }
+
+  /**
+   * Delete saved placements from storage, with or without a session
+   * Their anchor handles are kept in a list for the next session to delete
+   * (see deleteOrphanedHandles), since only a session can delete anchors.
+   * @param {Storage} storage Storage holding the placements
+   */
+  static clearStorage(storage = window.localStorage) {
+    try {
+      const raw = storage?.getItem(STORAGE_KEY)
+      const objects = raw ? JSON.parse(raw)?.objects : null
+      const handles = Array.isArray(objects) ? objects.map(entry => entry?.anchorHandle).filter(Boolean) : []
+      if (handles.length > 0) {
+        const orphaned = new Set([...loadOrphanedHandles(storage), ...handles])
+        storage.setItem(ORPHANED_HANDLES_KEY, JSON.stringify([...orphaned]))
+      }
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Could not read anchor handles of saved placements:', error)
+    }
+
+    try {
+      storage?.removeItem(STORAGE_KEY)
+      console.log('🧹 [DEBUG] Saved placements cleared')
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Could not clear saved placements:', error)
+    }
+  }
+
+  /**
+   * Read saved placements from storage
+   * @returns {Array<Object>} Stored entries { contentId, anchorHandle, floorPose, yaw, scale }
+   */
+  load() {
+    try {
+      const raw = this.storage?.getItem(STORAGE_KEY)
+      if (!raw) return []
+
+      const data = JSON.parse(raw)
+      if (data?.version !== STORAGE_VERSION || !Array.isArray(data.objects)) {
+        console.warn('⚠️ [DEBUG] Ignoring saved placements with unknown format')
+        return []
+      }
+
+      console.log(`💾 [DEBUG] Loaded ${data.objects.length} saved placements`)
+      return data.objects
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Could not read saved placements:', error)
+      return []
+    }
+  }
+
+  /**
+   * Restore a persistent anchor from a saved handle
+   * @param {string} handle Persistent anchor handle
+   * @returns {Promise<XRAnchor|null>} Restored anchor, or null if unavailable
+   */
+  async restoreAnchor(handle) {
+    if (!this.supportsPersistentAnchors || !handle || this.isDisposed) return null
+
+    try {
+      const anchor = await this.session.restorePersistentAnchor(handle)
+      console.log(`⚓ [DEBUG] Restored persistent anchor ${handle}`)
+      return anchor
+    } catch (error) {
+      console.warn(`⚠️ [DEBUG] Could not restore persistent anchor ${handle}:`, error)
+      return null
+    }
+  }
+
+  /**
+   * Queue a stored entry to be placed once a floor plane is detected
+   * @param {Object} stored Stored entry with a floorPose
+   */
+  queueFloorRestore(stored) {
+    this.pendingFloorRestores.push(stored)
+  }
+
+  /**
+   * Request a persistent handle for a placed object's anchor
+   * @param {Object} record Placed object record with an anchor
+   */
+  async persistAnchor(record) {
+    const anchor = record?.anchor
+    if (this.isDisposed || typeof anchor?.requestPersistentHandle !== 'function') return
+
+    try {
+      const handle = await anchor.requestPersistentHandle()
+      if (record.anchor !== anchor) {
+        // Anchor was replaced or cleared while the handle was requested
+        this.deleteHandle(handle)
+        return
+      }
+
+      if (record.persistentHandle && record.persistentHandle !== handle) {
+        this.deleteHandle(record.persistentHandle)
+      }
+      record.persistentHandle = handle
+      this.markDirty()
+      console.log(`💾 [DEBUG] Object ${record.id} anchor persisted as ${handle}`)
+    } catch (error) {
+      console.warn(`⚠️ [DEBUG] Could not persist anchor for object ${record.id}:`, error)
+    }
+  }
+
+  /**
+   * Forget a placed object's persistent anchor (object moved or removed)
+   * @param {Object} record Placed object record
+   */
+  releaseHandle(record) {
+    if (!record?.persistentHandle) return
+    this.deleteHandle(record.persistentHandle)
+    record.persistentHandle = null
+    this.markDirty()
+  }
+
+  /**
+   * Delete a persistent anchor from the runtime
+   * @param {string} handle Persistent anchor handle
+   * @returns {Promise<void>} Settles once the runtime has deleted it (never rejects)
+   */
+  async deleteHandle(handle) {
+    if (!this.canDeleteHandles()) return
+
+    try {
+      await this.session.deletePersistentAnchor(handle)
+    } catch (error) {
+      console.warn(`⚠️ [DEBUG] Could not delete persistent anchor ${handle}:`, error)
+    }
+  }
+
+  /**
+   * Check whether the runtime can delete persistent anchors
+   * @returns {boolean}
+   */
+  canDeleteHandles() {
+    return typeof this.session.deletePersistentAnchor === 'function'
+  }
+
+  /**
+   * Delete the anchors of placements cleared while no session was running
+   */
+  async deleteOrphanedHandles() {
+    const handles = loadOrphanedHandles(this.storage)
+    if (handles.length === 0 || !this.canDeleteHandles()) return
+
+    console.log(`🧹 [DEBUG] Deleting ${handles.length} orphaned persistent anchors`)
+    await this.deleteHandles(handles)
+  }
+
+  /**
+   * Delete persistent anchors and forget the orphaned handle list
+   * @param {Iterable<string>} handles Persistent anchor handles
+   */
+  async deleteHandles(handles) {
+    await Promise.all([...handles].map(handle => this.deleteHandle(handle)))
+
+    try {
+      this.storage?.removeItem(ORPHANED_HANDLES_KEY)
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Could not clear orphaned anchor handles:', error)
+    }
+  }
+
+  /**
+   * Flag saved placements as out of date
+   */
+  markDirty() {
+    this.isDirty = true
+  }
+
+  /**
+   * Find the floor plane used as the fallback origin
+   * Prefers planes labelled 'floor', then the lowest horizontal plane; planes
+   * level with the lowest are told apart by area. Saves and restores both use this.
+   * @param {Array<XRPlane>} planes Detected planes
+   * @param {XRFrame} frame Current XR frame (plane heights)
+   * @returns {XRPlane|null}
+   */
+  findFloorPlane(planes, frame) {
+    const horizontal = planes.filter(plane => plane.orientation === 'horizontal')
+    const labelled = horizontal.filter(plane => plane.semanticLabel === 'floor')
+    const candidates = labelled.length > 0 ? labelled : horizontal
+
+    let floorPlane = null
+    let floorHeight = Infinity
+    let floorArea = 0
+    for (const plane of candidates) {
+      const height = this.getPlaneHeight(plane, frame)
+      if (height === null) continue
+
+      const area = calculatePolygonArea(plane.polygon)
+      const isLower = height < floorHeight - this.FLOOR_HEIGHT_TOLERANCE
+      const isLevel = Math.abs(height - floorHeight) <= this.FLOOR_HEIGHT_TOLERANCE
+      if (isLower || (isLevel && area > floorArea)) {
+        floorPlane = plane
+        floorHeight = height
+        floorArea = area
+      }
+    }
+    return floorPlane
+  }
+
+  /**
+   * Find the plane a saved floor pose can be restored against
+   * Waits for a floor-labelled plane, or one of matching height and size, so
+   * a table seen first isn't mistaken for the floor.
+   * @param {Object|null} reference Saved plane description { label, height, area } (null for older saves)
+   * @param {Array<XRPlane>} planes Detected planes
+   * @param {XRFrame} frame Current XR frame
+   * @returns {XRPlane|null}
+   */
+  findReferencePlane(reference, planes, frame) {
+    if (!reference) return this.findFloorPlane(planes, frame)
+    return this.findFloorPlane(planes.filter(plane => this.matchesReferencePlane(plane, reference, frame)), frame)
+  }
+
+  /**
+   * Check whether a plane could be the one a floor pose was saved against
+   * @param {XRPlane} plane Detected plane
+   * @param {Object} reference Saved plane description { label, height, area }
+   * @param {XRFrame} frame Current XR frame
+   * @returns {boolean}
+   */
+  matchesReferencePlane(plane, reference, frame) {
+    if (plane.orientation !== 'horizontal') return false
+    if (reference.label === 'floor' && plane.semanticLabel === 'floor') return true
+
+    const height = this.getPlaneHeight(plane, frame)
+    if (height === null || Math.abs(height - reference.height) > this.MATCH_HEIGHT_TOLERANCE) return false
+
+    const area = calculatePolygonArea(plane.polygon)
+    return Math.abs(area - reference.area) <= reference.area * this.MATCH_AREA_TOLERANCE
+  }
+
+  /**
+   * Describe a floor plane so a later session can find it again
+   * @param {XRPlane} floorPlane Floor plane
+   * @param {THREE.Matrix4} floorMatrix Current floor plane matrix
+   * @returns {Object} { label, height, area }
+   */
+  describeFloorPlane(floorPlane, floorMatrix) {
+    return {
+      label: floorPlane.semanticLabel || null,
+      height: floorMatrix.elements[13],
+      area: calculatePolygonArea(floorPlane.polygon)
+    }
+  }
+
+  /**
+   * Get a plane's height in the reference space
+   * @param {XRPlane} plane Detected plane
+   * @param {XRFrame} frame Current XR frame
+   * @returns {number|null} Height, or null if the plane has no pose
+   */
+  getPlaneHeight(plane, frame) {
+    const matrix = this.getFloorMatrix(plane, frame)
+    return matrix ? matrix.elements[13] : null
+  }
+
+  /**
+   * Get a floor plane's pose as a matrix in the reference space
+   * @param {XRPlane} floorPlane Floor plane
+   * @param {XRFrame} frame Current XR frame
+   * @returns {THREE.Matrix4|null}
+   */
+  getFloorMatrix(floorPlane, frame) {
+    if (!floorPlane || !frame) return null
+    const pose = frame.getPose(floorPlane.planeSpace, this.referenceSpace)
+    return pose ? new THREE.Matrix4().fromArray(pose.transform.matrix) : null
+  }
+
+  /**
+   * Convert a floor-relative pose back to the reference space
+   * @param {Object} floorPose Stored pose { position: [x,y,z], orientation: [x,y,z,w] }
+   * @param {THREE.Matrix4} floorMatrix Current floor plane matrix
+   * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion}}
+   */
+  resolveFloorPose(floorPose, floorMatrix) {
+    const relative = new THREE.Matrix4().compose(
+      new THREE.Vector3().fromArray(floorPose.position),
+      new THREE.Quaternion().fromArray(floorPose.orientation),
+      new THREE.Vector3(1, 1, 1)
+    )
+    const world = floorMatrix.clone().multiply(relative)
+
+    const position = new THREE.Vector3()
+    const quaternion = new THREE.Quaternion()
+    world.decompose(position, quaternion, new THREE.Vector3())
+    return { position, quaternion }
+  }
+
+  /**
+   * Express a placed object's pose relative to the floor plane
+   * The orientation is the surface orientation; yaw is saved separately.
+   * @param {Object} record Placed object record
+   * @param {THREE.Matrix4} floorMatrix Current floor plane matrix
+   * @param {Object} reference Floor plane description (see describeFloorPlane)
+   * @returns {Object} Pose { position: [x,y,z], orientation: [x,y,z,w], plane: { label, height, area } }
+   */
+  computeFloorPose(record, floorMatrix, reference) {
+    const world = new THREE.Matrix4().compose(record.object.position, record.surfaceQuaternion, new THREE.Vector3(1, 1, 1))
+    const relative = floorMatrix.clone().invert().multiply(world)
+
+    const position = new THREE.Vector3()
+    const quaternion = new THREE.Quaternion()
+    relative.decompose(position, quaternion, new THREE.Vector3())
+    return { position: position.toArray(), orientation: quaternion.toArray(), plane: reference }
+  }
+
+  /**
+   * Save placements when they changed, or when a floor plane gives objects
+   * that were saved without a floor-relative pose one (throttled)
+   * @param {XRFrame} frame Current XR frame
+   * @param {Array<Object>} records Placed object records
+   * @param {Array<XRPlane>} planes Detected planes
+   */
+  update(frame, records, planes) {
+    if (this.isDisposed || this.isRestoring) return
+    if (!this.isDirty && !this.missingFloorPoses) return
+
+    const now = performance.now()
+    if (now - this.lastUpdateTime < this.SAVE_INTERVAL_MS) return
+    this.lastUpdateTime = now
+
+    const floorPlane = this.findFloorPlane(planes, frame)
+    const floorMatrix = this.getFloorMatrix(floorPlane, frame)
+    const addedFloorPoses = floorMatrix ? this.updateFloorPoses(records, floorPlane, floorMatrix) : 0
+
+    // Without changes, only a newly computed floor pose is worth a write
+    if (this.isDirty || addedFloorPoses > 0) {
+      this.save(records)
+    }
+  }
+
+  /**
+   * Recompute floor-relative poses of placed objects
+   * Objects still being repositioned keep their last floor pose.
+   * @param {Array<Object>} records Placed object records
+   * @param {XRPlane} floorPlane Current floor plane
+   * @param {THREE.Matrix4} floorMatrix Current floor plane matrix
+   * @returns {number} Number of objects that had no floor pose before
+   */
+  updateFloorPoses(records, floorPlane, floorMatrix) {
+    const reference = this.describeFloorPlane(floorPlane, floorMatrix)
+    let added = 0
+    for (const record of records) {
+      if (record.state !== 'placed' || !record.object.visible) continue
+      if (!record.floorPose) added++
+      record.floorPose = this.computeFloorPose(record, floorMatrix, reference)
+    }
+    return added
+  }
+
+  /**
+   * Write placements to storage with their last computed floor poses
+   * @param {Array<Object>} records Placed object records
+   */
+  save(records) {
+    this.missingFloorPoses = false
+
+    // Unconfirmed auto-placement suggestions are not saved
+    const objects = records.filter(record => record.state !== 'preview').map(record => {
+      if (!record.floorPose) {
+        this.missingFloorPoses = true
+      }
+      return {
+        contentId: record.contentId,
+        anchorHandle: record.persistentHandle || null,
+        floorPose: record.floorPose || null,
+        yaw: record.yaw,
+        scale: record.scale,
+        savedAt: Date.now()
+      }
+    })
+
+    // Entries that have not been restored yet are kept for the next session
+    objects.push(...this.pendingFloorRestores)
+
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, objects }))
+      this.isDirty = false
+      console.log(`💾 [DEBUG] Saved ${objects.length} placements`)
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Could not save placements:', error)
+    }
+  }
+
+  /**
+   * Delete every saved placement and persistent anchor
+   */
+  async clear() {
+    this.pendingFloorRestores = []
+    this.isDirty = false
+    this.missingFloorPoses = false
+
+    PersistenceManager.clearStorage(this.storage)
+    if (!this.canDeleteHandles()) return
+
+    // Saved handles plus any the runtime still holds from earlier sessions
+    const handles = new Set([...loadOrphanedHandles(this.storage), ...(this.session.persistentAnchors || [])])
+    await this.deleteHandles(handles)
+    console.log(`🧹 [DEBUG] Deleted ${handles.size} persistent anchors`)
+  }
+
+  /**
+   * Flush unsaved changes and stop persisting
+   * @param {Array<Object>} records Placed object records (before they are disposed)
+   */
+  dispose(records = []) {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] PersistenceManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing PersistenceManager...')
+
+    // No frame is available at session end - save with cached floor poses
+    if (this.isDirty && !this.isRestoring) {
+      this.save(records)
+    }
+
+    this.pendingFloorRestores = []
+    this.isDisposed = true
+
+    console.log('✅ [DEBUG] PersistenceManager disposed')
+  }
+
+  /**
+   * Get debug information about persistence
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      isDisposed: this.isDisposed,
+      supportsPersistentAnchors: this.supportsPersistentAnchors,
+      isRestoring: this.isRestoring,
+      pendingFloorRestores: this.pendingFloorRestores.length,
+      isDirty: this.isDirty,
+      missingFloorPoses: this.missingFloorPoses,
+      lastUpdateTime: this.lastUpdateTime
+    }
+  }
+}
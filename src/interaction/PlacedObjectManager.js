@@ -0,0 +1,449 @@
+/**
+ * PlacedObjectManager
+ * Tracks independently placed content instances, each with its own anchor,
+ * selection state and repositioning state
+ */
+import * as THREE from 'three'
+
+export class PlacedObjectManager {
+  constructor(scene, sceneGroups = null) {
+    console.log('🌲 [DEBUG] PlacedObjectManager constructor')
+
+    this.scene = scene
+    this.objects = new Map() // id -> placed object record
+    this.selectedId = null
+    this.nextId = 1
+    this.onObjectAdded = null // Called with each new record once its materials are cloned
+    this.isDisposed = false
+
+    // Placement configuration
+    this.MAX_OBJECTS = 12 // Keep Quest 3 draw calls bounded
+    this.REPOSITIONING_OPACITY = 0.7
+    this.normal = new THREE.Vector3() // Reused by updateAnchors
+
+    // ✅ Integrate with established scene groups structure
+    if (sceneGroups && sceneGroups.content) {
+      this.contentGroup = sceneGroups.content
+      console.log('🔧 [DEBUG] Using existing scene groups content structure')
+    } else {
+      this.contentGroup = new THREE.Group()
+      this.contentGroup.name = 'PlacedObjectsGroup'
+      this.scene.add(this.contentGroup)
+      console.log('🔧 [DEBUG] Created standalone placed objects group')
+    }
+
+    console.log('✅ [DEBUG] PlacedObjectManager initialized')
+  }
+
+  /**
+   * Check whether another object can be placed
+   * @returns {boolean}
+   */
+  canAddObject() {
+    return !this.isDisposed && this.objects.size < this.MAX_OBJECTS
+  }
+
+  /**
+   * Create a new placed instance from a content template
+   * Geometry and textures are shared with the template; materials are cloned
+   * so each instance can change opacity independently.
+   * @param {THREE.Object3D} template Loaded content template
+   * @param {Object} metadata Extra data stored on the record
+   * @returns {Object|null} Placed object record
+   */
+  add(template, metadata = {}) {
+    if (!template || !this.canAddObject()) {
+      console.warn(`⚠️ [DEBUG] Cannot add placed object (${this.objects.size}/${this.MAX_OBJECTS})`)
+      return null
+    }
+
+    const id = this.nextId++
+    const object = template.clone(true)
+    object.name = `${template.name || 'PlacedObject'}_${id}`
+    object.visible = false
+    object.traverse((child) => {
+      if (child.material) {
+        child.material = Array.isArray(child.material)
+          ? child.material.map(material => material.clone())
+          : child.material.clone()
+      }
+    })
+    object.userData.placedObjectId = id
+
+    const record = {
+      id,
+      object,
+      anchor: null,
+      trackAnchor: false,
+      state: 'placed', // 'placed' | 'repositioning' | 'preview'
+      selected: false,
+      // Orientation = surface orientation, then yaw around the surface normal
+      surfaceQuaternion: new THREE.Quaternion(),
+      yaw: 0,
+      baseScale: template.scale.clone(), // Catalog scale
+      scale: 1, // User scale relative to baseScale
+      createdAt: performance.now(),
+      ...metadata
+    }
+
+    this.objects.set(id, record)
+    this.contentGroup.add(object)
+    this.onObjectAdded?.(record)
+
+    console.log(`➕ [DEBUG] Placed object ${id} added (${this.objects.size} total)`)
+    return record
+  }
+
+  /**
+   * Remove a placed object and release its per-instance resources
+   * @param {number} id Placed object id
+   * @returns {boolean} True if an object was removed
+   */
+  remove(id) {
+    const record = this.objects.get(id)
+    if (!record) return false
+
+    this.clearAnchor(record)
+    this.contentGroup.remove(record.object)
+    this.disposeInstanceResources(record.object)
+    this.objects.delete(id)
+
+    if (this.selectedId === id) {
+      this.selectedId = null
+    }
+
+    console.log(`➖ [DEBUG] Placed object ${id} removed (${this.objects.size} remaining)`)
+    return true
+  }
+
+  /**
+   * Get a placed object record
+   * @param {number} id Placed object id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.objects.get(id) || null
+  }
+
+  /**
+   * Get all placed object records in placement order
+   * @returns {Array<Object>}
+   */
+  getAll() {
+    return Array.from(this.objects.values())
+  }
+
+  /**
+   * Number of placed objects
+   * @returns {number}
+   */
+  get count() {
+    return this.objects.size
+  }
+
+  /**
+   * Select a placed object (deselects the previous one)
+   * @param {number|null} id Placed object id, or null to clear selection
+   * @returns {Object|null} Selected record
+   */
+  select(id) {
+    const previous = this.getSelected()
+    if (previous) previous.selected = false
+
+    const record = id !== null ? this.objects.get(id) : null
+    this.selectedId = record ? id : null
+    if (record) {
+      record.selected = true
+      console.log(`👆 [DEBUG] Placed object ${id} selected`)
+    }
+    return record || null
+  }
+
+  /**
+   * Get the currently selected record
+   * @returns {Object|null}
+   */
+  getSelected() {
+    return this.selectedId !== null ? this.objects.get(this.selectedId) || null : null
+  }
+
+  /**
+   * Find the nearest placed object hit by a ray
+   * @param {THREE.Raycaster} raycaster Raycaster built from an input pose
+   * @returns {{record: Object, intersection: Object}|null}
+   */
+  findIntersected(raycaster) {
+    const visibleObjects = this.getAll()
+      .filter(record => record.object.visible)
+      .map(record => record.object)
+    if (visibleObjects.length === 0) return null
+
+    const intersections = raycaster.intersectObjects(visibleObjects, true)
+    for (const intersection of intersections) {
+      const id = this.findOwningId(intersection.object)
+      if (id !== null) {
+        return { record: this.objects.get(id), intersection }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Walk up from an intersected mesh to the placed object root
+   * @param {THREE.Object3D} object Intersected object
+   * @returns {number|null} Placed object id
+   */
+  findOwningId(object) {
+    let current = object
+    while (current) {
+      if (current.userData?.placedObjectId !== undefined) {
+        return current.userData.placedObjectId
+      }
+      current = current.parent
+    }
+    return null
+  }
+
+  /**
+   * Attach a WebXR anchor to a placed object
+   * @param {Object} record Placed object record
+   * @param {XRAnchor} anchor Anchor to track
+   */
+  setAnchor(record, anchor) {
+    if (!record || !this.objects.has(record.id)) {
+      // Object was removed while the anchor was being created
+      anchor?.delete?.()
+      return
+    }
+    this.clearAnchor(record)
+    record.anchor = anchor
+    record.trackAnchor = true
+  }
+
+  /**
+   * Drop a placed object's anchor
+   * @param {Object} record Placed object record
+   */
+  clearAnchor(record) {
+    if (record.anchor) {
+      try {
+        record.anchor.delete?.()
+      } catch (error) {
+        console.warn('⚠️ [DEBUG] Error deleting anchor:', error)
+      }
+    }
+    record.anchor = null
+    record.trackAnchor = false
+  }
+
+  /**
+   * Put a placed object into repositioning mode
+   * @param {Object} record Placed object record
+   */
+  startRepositioning(record) {
+    record.state = 'repositioning'
+    this.clearAnchor(record)
+    this.setOpacity(record, this.REPOSITIONING_OPACITY)
+  }
+
+  /**
+   * Return a placed object to the placed state
+   * @param {Object} record Placed object record
+   */
+  finishRepositioning(record) {
+    record.state = 'placed'
+    this.setOpacity(record, 1.0)
+  }
+
+  /**
+   * Show an object as a suggestion that has not been confirmed yet
+   * @param {Object} record Placed object record
+   */
+  startPreview(record) {
+    record.state = 'preview'
+    this.clearAnchor(record)
+    this.setOpacity(record, this.REPOSITIONING_OPACITY)
+  }
+
+  /**
+   * Set the orientation of the surface an object rests on
+   * @param {Object} record Placed object record
+   * @param {Object} orientation Quaternion-like {x, y, z, w}; local +Y is the surface normal
+   */
+  setSurfaceOrientation(record, orientation) {
+    record.surfaceQuaternion.set(orientation.x, orientation.y, orientation.z, orientation.w)
+    this.applyTransform(record)
+  }
+
+  /**
+   * Set rotation around the surface normal
+   * @param {Object} record Placed object record
+   * @param {number} yaw Radians
+   */
+  setYaw(record, yaw) {
+    record.yaw = yaw
+    this.applyTransform(record)
+  }
+
+  /**
+   * Set scale relative to the catalog scale
+   * @param {Object} record Placed object record
+   * @param {number} scale Scale multiplier
+   */
+  setScale(record, scale) {
+    record.scale = scale
+    this.applyTransform(record)
+  }
+
+  /**
+   * Compose an object's orientation and scale from its record
+   * @param {Object} record Placed object record
+   */
+  applyTransform(record) {
+    const { object } = record
+    object.quaternion.copy(record.surfaceQuaternion)
+    object.rotateY(record.yaw)
+    object.scale.copy(record.baseScale).multiplyScalar(record.scale)
+  }
+
+  /**
+   * Set opacity on every material of a placed object
+   * @param {Object} record Placed object record
+   * @param {number} opacity Opacity 0-1
+   */
+  setOpacity(record, opacity) {
+    record.object.traverse((child) => {
+      if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material]
+        materials.forEach(material => {
+          material.transparent = opacity < 1.0
+          material.opacity = opacity
+        })
+      }
+    })
+  }
+
+  /**
+   * Update anchored objects from their anchor poses
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   * @param {number} heightOffset Offset applied above the anchor along its surface normal
+   */
+  updateAnchors(frame, refSpace, heightOffset = 0) {
+    if (this.isDisposed) return
+
+    for (const record of this.objects.values()) {
+      if (!record.trackAnchor || !record.anchor) continue
+
+      try {
+        if (frame.trackedAnchors && !frame.trackedAnchors.has(record.anchor)) {
+          continue // Anchor temporarily not tracked
+        }
+
+        const anchorPose = frame.getPose(record.anchor.anchorSpace, refSpace)
+        if (!anchorPose) continue
+
+        const pos = anchorPose.transform.position
+        const rot = anchorPose.transform.orientation
+        // Anchors are created at the surface point with +Y along the surface normal
+        this.setSurfaceOrientation(record, rot)
+        this.normal.set(0, 1, 0).applyQuaternion(record.surfaceQuaternion)
+        record.object.position.set(pos.x, pos.y, pos.z).addScaledVector(this.normal, heightOffset)
+        record.object.visible = true // Restored objects stay hidden until their anchor is located
+      } catch (error) {
+        console.warn(`⚠️ [DEBUG] Error updating anchor for object ${record.id}, disabling tracking:`, error)
+        record.trackAnchor = false
+      }
+    }
+  }
+
+  /**
+   * Keep unanchored objects in place after a reference space reset
+   * Anchored objects follow their anchors on the next frame.
+   * @param {THREE.Matrix4} originChange Maps pre-reset coordinates to post-reset ones
+   * @returns {number} Number of objects moved
+   */
+  applyOriginChange(originChange) {
+    if (this.isDisposed) return 0
+
+    const rotation = new THREE.Quaternion().setFromRotationMatrix(originChange)
+    let moved = 0
+    for (const record of this.objects.values()) {
+      if (record.trackAnchor && record.anchor) continue
+
+      record.object.position.applyMatrix4(originChange)
+      record.surfaceQuaternion.premultiply(rotation)
+      this.applyTransform(record)
+      moved++
+    }
+    return moved
+  }
+
+  /**
+   * Dispose per-instance materials (geometry and textures belong to the template)
+   * @param {THREE.Object3D} object Placed object root
+   */
+  disposeInstanceResources(object) {
+    object.traverse((child) => {
+      if (child.material) {
+        if (Array.isArray(child.material)) {
+          child.material.forEach(material => material.dispose())
+        } else {
+          child.material.dispose()
+        }
+      }
+    })
+  }
+
+  /**
+   * Remove every placed object
+   */
+  clear() {
+    for (const id of Array.from(this.objects.keys())) {
+      this.remove(id)
+    }
+    this.selectedId = null
+  }
+
+  /**
+   * Dispose of all placed objects and cleanup resources
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] PlacedObjectManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing PlacedObjectManager...')
+
+    this.clear()
+
+    if (this.contentGroup.parent && this.contentGroup.name === 'PlacedObjectsGroup') {
+      this.contentGroup.parent.remove(this.contentGroup)
+    }
+
+    this.isDisposed = true
+
+    console.log('✅ [DEBUG] PlacedObjectManager disposed')
+  }
+
+  /**
+   * Get debug information about placed objects
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      isDisposed: this.isDisposed,
+      placedObjects: this.objects.size,
+      maxObjects: this.MAX_OBJECTS,
+      selectedId: this.selectedId,
+      objects: this.getAll().map(record => ({
+        id: record.id,
+        state: record.state,
+        anchored: record.trackAnchor,
+        yawDegrees: THREE.MathUtils.radToDeg(record.yaw).toFixed(1),
+        scale: record.scale
+      }))
+    }
+  }
+}
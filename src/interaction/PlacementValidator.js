@@ -0,0 +1,219 @@
+/**
+ * PlacementValidator
+ * Checks that content's footprint fits inside the plane polygon it rests on,
+ * and nudges it inward when it hangs slightly off an edge
+ */
+import * as THREE from 'three'
+import { pointInPolygon2D, locatePointOnPlane, segmentsCross2D, calculatePolygonCentroid } from '../utils/math.js'
+
+export class PlacementValidator {
+  constructor(referenceSpace) {
+    console.log('📏 [DEBUG] PlacementValidator constructor')
+
+    this.referenceSpace = referenceSpace
+    this.isDisposed = false
+
+    // Validation configuration
+    this.PLANE_DISTANCE_TOLERANCE = 0.05 // Max distance from a plane to count as resting on it
+    this.NORMAL_TOLERANCE = Math.cos(THREE.MathUtils.degToRad(20)) // Max normal mismatch
+    this.AUTO_NUDGE = true
+    this.MAX_NUDGE_DISTANCE = 0.2 // meters
+    this.NUDGE_STEP = 0.02 // meters
+    this.NUDGE_DIRECTIONS = 8 // Fallback directions when the centroid direction doesn't work
+
+    console.log('✅ [DEBUG] PlacementValidator initialized')
+  }
+
+  /**
+   * Find the detected plane a surface point rests on
+   * @param {THREE.Vector3} point Surface point in the reference space
+   * @param {THREE.Vector3} normal Surface normal at the point
+   * @param {Array<XRPlane>} planes Detected planes
+   * @param {XRFrame} frame Current XR frame
+   * @returns {Object|null} Support { plane, matrix, inverse } or null if none matches
+   */
+  findSupportingPlane(point, normal, planes, frame) {
+    if (this.isDisposed || !planes || planes.length === 0) return null
+
+    let best = null
+    let bestDistance = Infinity
+
+    for (const plane of planes) {
+      const planePose = frame.getPose(plane.planeSpace, this.referenceSpace)
+      if (!planePose) continue
+
+      // ✅ CHANGED: Shared point-on-plane test (also used for targeting)
+      const located = locatePointOnPlane(point, planePose.transform.matrix, plane.polygon, {
+        maxDistance: this.PLANE_DISTANCE_TOLERANCE,
+        normal,
+        minNormalDot: this.NORMAL_TOLERANCE
+      })
+      if (located && located.distance < bestDistance) {
+        bestDistance = located.distance
+        best = plane
+      }
+    }
+
+    return best ? this.createSupport(best, frame) : null
+  }
+
+  /**
+   * Build support data for a known plane
+   * @param {XRPlane} plane Plane the content rests on
+   * @param {XRFrame} frame Current XR frame
+   * @returns {Object|null} Support { plane, matrix, inverse }
+   */
+  createSupport(plane, frame) {
+    const planePose = frame.getPose(plane.planeSpace, this.referenceSpace)
+    if (!planePose) return null
+
+    const matrix = new THREE.Matrix4().fromArray(planePose.transform.matrix)
+    return { plane, matrix, inverse: matrix.clone().invert() }
+  }
+
+  /**
+   * Check a footprint rectangle against the support plane polygon
+   * @param {THREE.Vector3} position Footprint center on the surface
+   * @param {THREE.Quaternion} quaternion Content orientation (+Y = normal)
+   * @param {{width: number, depth: number}} footprint Footprint size in meters
+   * @param {Object|null} support Result of findSupportingPlane / createSupport
+   * @returns {{fits: boolean, nudged: boolean, position: THREE.Vector3}}
+   */
+  checkFootprint(position, quaternion, footprint, support) {
+    // Without a known plane there is nothing to check against
+    if (this.isDisposed || !support) {
+      return { fits: true, nudged: false, position: position.clone() }
+    }
+
+    const polygon = support.plane.polygon
+    const center = position.clone().applyMatrix4(support.inverse)
+
+    // Footprint axes expressed in plane space
+    const planeRotation = new THREE.Quaternion().setFromRotationMatrix(support.inverse)
+    const localQuaternion = planeRotation.multiply(quaternion)
+    const halfX = new THREE.Vector3(footprint.width / 2, 0, 0).applyQuaternion(localQuaternion)
+    const halfZ = new THREE.Vector3(0, 0, footprint.depth / 2).applyQuaternion(localQuaternion)
+
+    if (this.rectangleFitsPolygon(center, halfX, halfZ, polygon, footprint)) {
+      return { fits: true, nudged: false, position: position.clone() }
+    }
+
+    if (this.AUTO_NUDGE) {
+      const nudged = this.findNudge(center, halfX, halfZ, polygon, footprint)
+      if (nudged) {
+        return { fits: true, nudged: true, position: nudged.applyMatrix4(support.matrix) }
+      }
+    }
+
+    return { fits: false, nudged: false, position: position.clone() }
+  }
+
+  /**
+   * Test whether a rectangle lies inside a polygon: every corner inside the
+   * polygon, no polygon vertex poking into the rectangle (concave notches)
+   * and no polygon edge cutting across it (a gap between two arms)
+   * @param {THREE.Vector3} center Rectangle center in plane space
+   * @param {THREE.Vector3} halfX Half-width axis in plane space
+   * @param {THREE.Vector3} halfZ Half-depth axis in plane space
+   * @param {Array<DOMPointReadOnly>} polygon Plane polygon (plane space, y = 0)
+   * @param {{width: number, depth: number}} footprint Footprint size
+   * @returns {boolean}
+   */
+  rectangleFitsPolygon(center, halfX, halfZ, polygon, footprint) {
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => ({
+      x: center.x + halfX.x * sx + halfZ.x * sz,
+      z: center.z + halfX.z * sx + halfZ.z * sz
+    }))
+    if (!corners.every(corner => pointInPolygon2D(corner, polygon))) return false
+
+    // Rectangle axes in the plane's XZ
+    const axisX = new THREE.Vector2(halfX.x, halfX.z).normalize()
+    const axisZ = new THREE.Vector2(halfZ.x, halfZ.z).normalize()
+    const EDGE_EPSILON = 0.001
+
+    for (const vertex of polygon) {
+      const dx = vertex.x - center.x
+      const dz = vertex.z - center.z
+      const u = Math.abs(dx * axisX.x + dz * axisX.y)
+      const v = Math.abs(dx * axisZ.x + dz * axisZ.y)
+      if (u < footprint.width / 2 - EDGE_EPSILON && v < footprint.depth / 2 - EDGE_EPSILON) {
+        return false
+      }
+    }
+
+    for (let i = 0; i < corners.length; i++) {
+      const a = corners[i]
+      const b = corners[(i + 1) % corners.length]
+      for (let j = 0; j < polygon.length; j++) {
+        if (segmentsCross2D(a, b, polygon[j], polygon[(j + 1) % polygon.length])) return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Search for the smallest move that makes the footprint fit
+   * Tries the direction toward the polygon's area centroid first, then evenly
+   * spaced directions - the centroid of an L or U shape can lie outside it.
+   * @param {THREE.Vector3} center Rectangle center in plane space
+   * @param {THREE.Vector3} halfX Half-width axis in plane space
+   * @param {THREE.Vector3} halfZ Half-depth axis in plane space
+   * @param {Array<DOMPointReadOnly>} polygon Plane polygon
+   * @param {{width: number, depth: number}} footprint Footprint size
+   * @returns {THREE.Vector3|null} Nudged center in plane space
+   */
+  findNudge(center, halfX, halfZ, polygon, footprint) {
+    const directions = []
+    const centroid = calculatePolygonCentroid(polygon)
+    if (centroid) {
+      const toCentroid = new THREE.Vector3(centroid.x - center.x, 0, centroid.z - center.z)
+      if (toCentroid.lengthSq() > 1e-8) {
+        directions.push(toCentroid.normalize())
+      }
+    }
+    for (let i = 0; i < this.NUDGE_DIRECTIONS; i++) {
+      const angle = (i / this.NUDGE_DIRECTIONS) * Math.PI * 2
+      directions.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)))
+    }
+
+    const candidate = new THREE.Vector3()
+    for (let step = 1; step * this.NUDGE_STEP <= this.MAX_NUDGE_DISTANCE + 1e-6; step++) {
+      for (const direction of directions) {
+        candidate.copy(center).addScaledVector(direction, step * this.NUDGE_STEP)
+        if (this.rectangleFitsPolygon(candidate, halfX, halfZ, polygon, footprint)) {
+          return candidate.clone()
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Release references
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] PlacementValidator already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing PlacementValidator...')
+    this.referenceSpace = null
+    this.isDisposed = true
+    console.log('✅ [DEBUG] PlacementValidator disposed')
+  }
+
+  /**
+   * Get debug information about validation settings
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      isDisposed: this.isDisposed,
+      autoNudge: this.AUTO_NUDGE,
+      maxNudgeDistance: this.MAX_NUDGE_DISTANCE,
+      nudgeDirections: this.NUDGE_DIRECTIONS,
+      planeDistanceTolerance: this.PLANE_DISTANCE_TOLERANCE
+    }
+  }
+}
@@ -3,6 +3,8 @@
  * Handles visual highlighting of detected planes for WebXR placement targeting
  */
 import * as THREE from 'three'
+import { triangulatePolygon2D, locatePointOnPlane } from '../utils/math.js'
+import { getSemanticLabelColor } from '../utils/helpers.js'
 
 export class PlaneVisualizer {
   constructor(scene, sceneGroups = null) {
@@ -20,6 +22,12 @@ export class PlaneVisualizer {
     this.WIREFRAME_OPACITY = 0.6
     this.ANIMATION_SPEED = 1.5 // Glow animation speed
     
+    // ✅ NEW: Targeting tolerances - the hit must lie on the polygon, near the surface
+    this.TARGET_DISTANCE_TOLERANCE = 0.05 // meters from the plane
+    this.TARGET_NORMAL_TOLERANCE = Math.cos(THREE.MathUtils.degToRad(20)) // Max normal mismatch
+    this.hitNormal = new THREE.Vector3()
+    this.hitQuaternion = new THREE.Quaternion()
+    
     // ✅ Integrate with established scene groups structure
     if (sceneGroups && sceneGroups.planeVisuals) {
       this.planeGroup = sceneGroups.planeVisuals
@@ -79,18 +87,20 @@ export class PlaneVisualizer {
   }
 
   /**
-   * Find the plane closest to a hit-test result
+   * Find the plane a hit-test result lies on
    * @param {Object} hitResult Hit-test result with pose
    * @param {Array<XRPlane>} availablePlanes Array of detected planes
    * @param {XRFrame} frame Current XR frame
    * @param {XRReferenceSpace} refSpace Reference space for transformations
-   * @returns {XRPlane|null} Closest plane or null
+   * @returns {XRPlane|null} Closest plane containing the hit or null
    */
   findPlaneNearHitTest(hitResult, availablePlanes, frame, refSpace) {
     if (!hitResult?.pose?.transform?.position) return null
 
     const hitPosition = hitResult.pose.transform.position
-    const PROXIMITY_THRESHOLD = 0.1 // 10cm proximity threshold
+    const rot = hitResult.pose.transform.orientation
+    this.hitQuaternion.set(rot.x, rot.y, rot.z, rot.w)
+    this.hitNormal.set(0, 1, 0).applyQuaternion(this.hitQuaternion)
 
     let closestPlane = null
     let closestDistance = Infinity
@@ -100,15 +110,16 @@ export class PlaneVisualizer {
         const planePose = frame.getPose(plane.planeSpace, refSpace)
         if (!planePose) continue
 
-        // Calculate distance from hit-test to plane center
-        const distance = Math.sqrt(
-          Math.pow(hitPosition.x - planePose.transform.position.x, 2) +
-          Math.pow(hitPosition.y - planePose.transform.position.y, 2) +
-          Math.pow(hitPosition.z - planePose.transform.position.z, 2)
-        )
+        // ✅ CHANGED: Project the hit into plane space and test it against the
+        // polygon, instead of comparing with the plane origin
+        const located = locatePointOnPlane(hitPosition, planePose.transform.matrix, plane.polygon, {
+          maxDistance: this.TARGET_DISTANCE_TOLERANCE,
+          normal: this.hitNormal,
+          minNormalDot: this.TARGET_NORMAL_TOLERANCE
+        })
 
-        if (distance < closestDistance && distance < PROXIMITY_THRESHOLD) {
-          closestDistance = distance
+        if (located && located.distance < closestDistance) {
+          closestDistance = located.distance
           closestPlane = plane
         }
       } catch (error) {
@@ -138,6 +149,9 @@ export class PlaneVisualizer {
           this.planeGroup.add(highlight)
           console.log(`🎨 [DEBUG] Created highlight for ${plane.orientation} plane`)
         }
+      } else {
+        // ✅ NEW: Keep an existing highlight in sync with the tracked plane
+        this.updateHighlight(highlight, plane, frame, refSpace)
       }
 
       if (highlight) {
@@ -166,52 +180,48 @@ export class PlaneVisualizer {
       const highlightGroup = new THREE.Group()
       highlightGroup.name = `PlaneHighlight_${plane.orientation}_${performance.now()}`
 
-      // Create plane mesh from polygon
-      const planeMesh = this.createPlaneMeshFromPolygon(plane.polygon)
-      if (!planeMesh) return null
-
-      // ✅ FIXED: Store base geometry reference for proper cleanup
-      const baseGeometry = planeMesh.geometry
-
       // Semi-transparent fill material
       const fillMaterial = new THREE.MeshBasicMaterial({
-        color: this.HIGHLIGHT_COLOR,
+        color: this.getHighlightColor(plane),
         transparent: true,
         opacity: this.HIGHLIGHT_OPACITY,
         side: THREE.DoubleSide,
         depthWrite: false // Prevent depth conflicts
       })
-      const fill = new THREE.Mesh(baseGeometry, fillMaterial)
+      const fill = new THREE.Mesh(new THREE.BufferGeometry(), fillMaterial)
 
-      // ✅ FIXED: Create separate wireframe geometry and store reference
-      const wireframeGeometry = new THREE.EdgesGeometry(baseGeometry)
+      // ✅ CHANGED: Outline shares the fill's vertex buffer instead of an EdgesGeometry copy
       const wireframeMaterial = new THREE.LineBasicMaterial({
         color: this.WIREFRAME_COLOR,
         transparent: true,
         opacity: this.WIREFRAME_OPACITY
       })
-      const wireframe = new THREE.LineSegments(wireframeGeometry, wireframeMaterial)
+      const wireframe = new THREE.LineLoop(new THREE.BufferGeometry(), wireframeMaterial)
 
       // Add components to highlight group
       highlightGroup.add(fill)
       highlightGroup.add(wireframe)
 
-      // Position highlight at plane pose
-      const pos = planePose.transform.position
-      const rot = planePose.transform.orientation
-      highlightGroup.position.set(pos.x, pos.y, pos.z)
-      highlightGroup.quaternion.set(rot.x, rot.y, rot.z, rot.w)
-
       // ✅ FIXED: Store all geometry references for proper cleanup
       highlightGroup.userData = {
         plane,
         fill,
         wireframe,
-        baseGeometry,        // Store base geometry for disposal
-        wireframeGeometry,   // Store wireframe geometry for disposal
+        baseGeometry: fill.geometry,      // Store base geometry for disposal
+        wireframeGeometry: wireframe.geometry, // Store wireframe geometry for disposal
+        vertexCapacity: 0,                // Vertices the current buffers can hold
+        lastChangedTime: plane.lastChangedTime,
         createdAt: performance.now()
       }
 
+      if (!this.writeHighlightGeometry(highlightGroup, plane.polygon)) {
+        this.disposeHighlightResources(highlightGroup)
+        return null
+      }
+
+      // Position highlight at plane pose
+      this.setHighlightPose(highlightGroup, planePose)
+
       return highlightGroup
 
     } catch (error) {
@@ -221,70 +231,121 @@ export class PlaneVisualizer {
   }
 
   /**
-   * Create a Three.js mesh from plane polygon
-   * @param {Array<DOMPointReadOnly>} polygon Plane polygon vertices
-   * @returns {THREE.Mesh|null} Plane mesh or null
+   * ✅ NEW: Follow the plane's pose and, when the runtime reports a new
+   * polygon (lastChangedTime), rewrite the highlight geometry in place
+   * @param {THREE.Group} highlight Highlight to update
+   * @param {XRPlane} plane Highlighted plane
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space for transformations
    */
-  createPlaneMeshFromPolygon(polygon) {
-    try {
-      if (!polygon || polygon.length < 3) return null
+  updateHighlight(highlight, plane, frame, refSpace) {
+    const planePose = frame.getPose(plane.planeSpace, refSpace)
+    if (planePose) {
+      this.setHighlightPose(highlight, planePose)
+    }
 
-      // Convert polygon to Three.js vertices
-      const vertices = []
-      const indices = []
+    if (highlight.userData.lastChangedTime === plane.lastChangedTime) return
 
-      // Add vertices
-      for (const point of polygon) {
-        vertices.push(point.x, point.y, point.z)
-      }
+    if (this.writeHighlightGeometry(highlight, plane.polygon)) {
+      highlight.userData.lastChangedTime = plane.lastChangedTime
+    }
+    // The runtime may also have (re)classified the plane
+    highlight.userData.fill.material.color.setHex(this.getHighlightColor(plane))
+  }
 
-      // ✅ FIXED: Improved triangulation for potentially non-convex polygons
-      if (polygon.length === 3) {
-        // Triangle - direct indices
-        indices.push(0, 1, 2)
-      } else if (polygon.length === 4) {
-        // Quad - two triangles
-        indices.push(0, 1, 2)
-        indices.push(0, 2, 3)
-      } else {
-        // For complex polygons, use fan triangulation from first vertex
-        // This works for most convex polygons and some simple non-convex ones
-        for (let i = 1; i < polygon.length - 1; i++) {
-          indices.push(0, i, i + 1)
-        }
-        
-        // ✅ TODO: For robust non-convex polygon support, consider using
-        // a proper triangulation library like earcut.js in future versions
-        console.log(`🔺 [DEBUG] Using fan triangulation for ${polygon.length}-vertex polygon`)
-      }
+  /**
+   * ✅ NEW: Fill color for a plane - its semantic label color when known
+   * @param {XRPlane} plane Highlighted plane
+   * @returns {number} Color hex value
+   */
+  getHighlightColor(plane) {
+    return getSemanticLabelColor(plane.semanticLabel) ?? this.HIGHLIGHT_COLOR
+  }
 
-      // Create geometry with error handling
-      const geometry = new THREE.BufferGeometry()
-      
-      try {
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3))
-        geometry.setIndex(indices)
-        geometry.computeVertexNormals()
-        
-        // Validate the geometry was created successfully
-        if (geometry.attributes.position.count === 0) {
-          console.warn('⚠️ [DEBUG] Created empty geometry from polygon')
-          geometry.dispose()
-          return null
-        }
-        
-      } catch (geometryError) {
-        console.error('❌ [DEBUG] Error setting up BufferGeometry:', geometryError)
-        geometry.dispose()
-        return null
-      }
+  /**
+   * ✅ NEW: Place a highlight at the plane pose
+   * @param {THREE.Group} highlight Highlight to position
+   * @param {XRPose} planePose Plane pose in the reference space
+   */
+  setHighlightPose(highlight, planePose) {
+    const pos = planePose.transform.position
+    const rot = planePose.transform.orientation
+    highlight.position.set(pos.x, pos.y, pos.z)
+    highlight.quaternion.set(rot.x, rot.y, rot.z, rot.w)
+  }
+
+  /**
+   * ✅ NEW: Write a plane polygon into the highlight's fill and outline.
+   * Buffers are reused while the polygon fits and only reallocated (with
+   * headroom) when the plane grows past their capacity
+   * @param {THREE.Group} highlight Highlight to update
+   * @param {Array<DOMPointReadOnly>} polygon Plane polygon vertices
+   * @returns {boolean} True if the polygon could be triangulated
+   */
+  writeHighlightGeometry(highlight, polygon) {
+    if (!polygon || polygon.length < 3) return false
+
+    // ✅ CHANGED: Ear-clipping triangulation handles concave outlines and collinear points
+    const indices = triangulatePolygon2D(polygon)
+    if (indices.length === 0) {
+      console.warn('⚠️ [DEBUG] Plane polygon is degenerate, nothing to triangulate')
+      return false
+    }
+
+    const data = highlight.userData
+    if (polygon.length > data.vertexCapacity) {
+      this.allocateHighlightBuffers(highlight, Math.max(polygon.length * 2, 16))
+    }
 
-      return { geometry }
+    const positions = data.baseGeometry.attributes.position
+    const index = data.baseGeometry.index
 
-    } catch (error) {
-      console.error('❌ [DEBUG] Error creating plane mesh from polygon:', error)
-      return null
+    // Unused slots repeat the first vertex so bounds stay tight
+    for (let i = 0; i < data.vertexCapacity; i++) {
+      const point = polygon[i < polygon.length ? i : 0]
+      positions.setXYZ(i, point.x, point.y, point.z)
     }
+    index.array.set(indices)
+
+    positions.needsUpdate = true
+    index.needsUpdate = true
+    data.baseGeometry.setDrawRange(0, indices.length)
+    data.wireframeGeometry.setDrawRange(0, polygon.length)
+    data.baseGeometry.computeBoundingSphere()
+    data.wireframeGeometry.boundingSphere = data.baseGeometry.boundingSphere
+
+    return true
+  }
+
+  /**
+   * ✅ NEW: Replace a highlight's geometries with larger dynamic buffers
+   * @param {THREE.Group} highlight Highlight to resize
+   * @param {number} capacity Number of polygon vertices to hold
+   */
+  allocateHighlightBuffers(highlight, capacity) {
+    const data = highlight.userData
+
+    const positions = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3)
+    positions.setUsage(THREE.DynamicDrawUsage)
+    const index = new THREE.BufferAttribute(new Uint16Array((capacity - 2) * 3), 1)
+    index.setUsage(THREE.DynamicDrawUsage)
+
+    const baseGeometry = new THREE.BufferGeometry()
+    baseGeometry.setAttribute('position', positions)
+    baseGeometry.setIndex(index)
+
+    // The outline walks the same vertices, so it shares the position buffer
+    const wireframeGeometry = new THREE.BufferGeometry()
+    wireframeGeometry.setAttribute('position', positions)
+
+    data.baseGeometry?.dispose()
+    data.wireframeGeometry?.dispose()
+
+    data.fill.geometry = baseGeometry
+    data.wireframe.geometry = wireframeGeometry
+    data.baseGeometry = baseGeometry
+    data.wireframeGeometry = wireframeGeometry
+    data.vertexCapacity = capacity
   }
 
   /**
@@ -0,0 +1,155 @@
+/**
+ * RoomPlaneVisualizer
+ * Optional "show all planes" mode: renders every plane tracked by
+ * PlaneDetection with orientation colors, driven by its plane events
+ */
+import * as THREE from 'three'
+
+export class RoomPlaneVisualizer {
+  constructor(scene, webxrRenderer) {
+    console.log('🏠 [DEBUG] RoomPlaneVisualizer constructor')
+
+    this.scene = scene
+    this.webxrRenderer = webxrRenderer
+    this.planeVisuals = new Map() // plane -> { group, lastChangedTime }
+    this.enabled = false
+    this.isDisposed = false
+
+    this.roomGroup = new THREE.Group()
+    this.roomGroup.name = 'RoomPlanesGroup'
+    this.roomGroup.visible = false
+    this.scene.add(this.roomGroup)
+
+    console.log('✅ [DEBUG] RoomPlaneVisualizer initialized')
+  }
+
+  /**
+   * Turn the full room view on or off
+   * @param {boolean} enabled Show every detected plane
+   * @param {Array<Object>} trackedPlanes Plane data already tracked by PlaneDetection
+   */
+  setEnabled(enabled, trackedPlanes = []) {
+    if (this.isDisposed) return
+
+    this.enabled = enabled
+    this.roomGroup.visible = enabled
+
+    // Nothing is kept while hidden - visuals are rebuilt from the tracked planes
+    this.clearAll()
+    if (enabled) {
+      trackedPlanes.forEach(planeData => this.addPlane(planeData))
+    }
+    console.log(`🏠 [DEBUG] Show all planes: ${enabled}`)
+  }
+
+  /**
+   * Add a visual for a newly detected plane (PlaneDetection onPlaneDetected)
+   * @param {Object} planeData Analyzed plane data
+   */
+  addPlane(planeData) {
+    if (this.isDisposed || !this.enabled || this.planeVisuals.has(planeData.plane)) return
+    this.createPlaneVisual(planeData)
+  }
+
+  /**
+   * Sync a plane's visual after it changed (PlaneDetection onPlaneUpdated)
+   * @param {Object} planeData Analyzed plane data
+   */
+  updatePlane(planeData) {
+    if (this.isDisposed || !this.enabled) return
+
+    const visual = this.planeVisuals.get(planeData.plane)
+
+    // Rebuild when the runtime reports a new polygon
+    if (!visual || visual.lastChangedTime !== planeData.lastChangedTime) {
+      this.removePlane(planeData.plane)
+      this.createPlaneVisual(planeData)
+      return
+    }
+
+    // Otherwise the plane only moved as tracking refined - follow its pose
+    const { group } = visual
+    group.matrix.fromArray(planeData.pose.transform.matrix)
+    group.matrix.decompose(group.position, group.quaternion, group.scale)
+  }
+
+  /**
+   * Build the visual for one plane through the renderer
+   * @param {Object} planeData Analyzed plane data (polygon, orientation, center, pose)
+   * @returns {Object|null} Visual record { group, lastChangedTime }
+   */
+  createPlaneVisual(planeData) {
+    if (!planeData.polygon || planeData.polygon.length < 3) return null
+
+    try {
+      const group = this.webxrRenderer.createPlaneVisualization(planeData)
+      group.name = `RoomPlane_${planeData.orientation}`
+      this.roomGroup.add(group)
+
+      const visual = { group, lastChangedTime: planeData.lastChangedTime }
+      this.planeVisuals.set(planeData.plane, visual)
+      return visual
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Could not visualize plane:', error)
+      return null
+    }
+  }
+
+  /**
+   * Remove and dispose the visual for a plane (PlaneDetection onPlaneRemoved)
+   * @param {XRPlane} plane Detected plane
+   */
+  removePlane(plane) {
+    const visual = this.planeVisuals.get(plane)
+    if (!visual) return
+
+    this.roomGroup.remove(visual.group)
+    visual.group.traverse((child) => {
+      if (child.geometry) {
+        child.geometry.dispose()
+      }
+      if (child.material) {
+        child.material.dispose()
+      }
+    })
+    this.planeVisuals.delete(plane)
+  }
+
+  /**
+   * Remove every plane visual
+   */
+  clearAll() {
+    for (const plane of Array.from(this.planeVisuals.keys())) {
+      this.removePlane(plane)
+    }
+  }
+
+  /**
+   * Dispose of all plane visuals
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] RoomPlaneVisualizer already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing RoomPlaneVisualizer...')
+    this.clearAll()
+    this.scene.remove(this.roomGroup)
+    this.webxrRenderer = null
+    this.isDisposed = true
+    console.log('✅ [DEBUG] RoomPlaneVisualizer disposed')
+  }
+
+  /**
+   * Get debug information about the room view
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      isDisposed: this.isDisposed,
+      enabled: this.enabled,
+      visiblePlanes: this.planeVisuals.size
+    }
+  }
+}
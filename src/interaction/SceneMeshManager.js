@@ -0,0 +1,226 @@
+/**
+ * SceneMeshManager
+ * Turns detected scene meshes into Three.js geometry so placement can
+ * raycast against non-planar furniture, and shows them in the room view
+ */
+import * as THREE from 'three'
+import { getPlaneColor } from '../utils/helpers.js'
+
+export class SceneMeshManager {
+  constructor(scene) {
+    console.log('🕸️ [DEBUG] SceneMeshManager constructor')
+
+    this.scene = scene
+    this.meshObjects = new Map() // XRMesh -> { object, lastChangedTime, semanticLabel }
+    this.visible = false
+    this.isDisposed = false
+
+    // Scene mesh configuration
+    this.MAX_RAYCAST_DISTANCE = 5 // meters
+    this.MESH_OPACITY = 0.35
+
+    // Meshes always take part in raycasts; the group is only shown in the room view
+    this.meshGroup = new THREE.Group()
+    this.meshGroup.name = 'SceneMeshesGroup'
+    this.meshGroup.visible = false
+    this.scene.add(this.meshGroup)
+
+    this.raycaster = new THREE.Raycaster()
+
+    console.log('✅ [DEBUG] SceneMeshManager initialized')
+  }
+
+  /**
+   * Build geometry for a newly detected mesh (MeshDetection onMeshDetected)
+   * @param {Object} meshData Mesh data from MeshDetection
+   */
+  addMesh(meshData) {
+    if (this.isDisposed || this.meshObjects.has(meshData.mesh)) return
+
+    const geometry = this.createGeometry(meshData)
+    if (!geometry) return
+
+    const material = new THREE.MeshBasicMaterial({
+      color: getPlaneColor('other', meshData.semanticLabel),
+      wireframe: true,
+      transparent: true,
+      opacity: this.MESH_OPACITY,
+      side: THREE.DoubleSide, // Rays may hit the inside of open furniture meshes
+      depthWrite: false
+    })
+    const object = new THREE.Mesh(geometry, material)
+    object.name = `SceneMesh_${meshData.semanticLabel}`
+    object.matrixAutoUpdate = false
+    this.setPose(object, meshData.pose)
+    this.meshGroup.add(object)
+
+    this.meshObjects.set(meshData.mesh, {
+      object,
+      lastChangedTime: meshData.lastChangedTime,
+      semanticLabel: meshData.semanticLabel
+    })
+  }
+
+  /**
+   * Sync a mesh after it changed (MeshDetection onMeshUpdated)
+   * @param {Object} meshData Mesh data from MeshDetection
+   */
+  updateMesh(meshData) {
+    if (this.isDisposed) return
+
+    const record = this.meshObjects.get(meshData.mesh)
+    if (!record) {
+      this.addMesh(meshData)
+      return
+    }
+
+    // New vertex data - swap in a fresh geometry (meshes change rarely)
+    if (record.lastChangedTime !== meshData.lastChangedTime) {
+      const geometry = this.createGeometry(meshData)
+      if (geometry) {
+        record.object.geometry.dispose()
+        record.object.geometry = geometry
+      }
+      record.lastChangedTime = meshData.lastChangedTime
+      record.semanticLabel = meshData.semanticLabel
+      record.object.material.color.setHex(getPlaneColor('other', meshData.semanticLabel))
+    }
+
+    this.setPose(record.object, meshData.pose)
+  }
+
+  /**
+   * Remove and dispose a mesh (MeshDetection onMeshRemoved)
+   * @param {XRMesh} mesh Detected mesh
+   */
+  removeMesh(mesh) {
+    const record = this.meshObjects.get(mesh)
+    if (!record) return
+
+    this.meshGroup.remove(record.object)
+    record.object.geometry.dispose()
+    record.object.material.dispose()
+    this.meshObjects.delete(mesh)
+  }
+
+  /**
+   * Remove every scene mesh
+   */
+  clearAll() {
+    for (const mesh of Array.from(this.meshObjects.keys())) {
+      this.removeMesh(mesh)
+    }
+  }
+
+  /**
+   * Convert XRMesh vertex/index arrays to a BufferGeometry
+   * @param {Object} meshData Mesh data from MeshDetection
+   * @returns {THREE.BufferGeometry|null}
+   */
+  createGeometry(meshData) {
+    if (!meshData.vertices || meshData.vertexCount < 3 || meshData.triangleCount === 0) return null
+
+    try {
+      // Copy - the runtime may reuse its arrays between frames
+      const geometry = new THREE.BufferGeometry()
+      geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(meshData.vertices), 3))
+      geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(meshData.indices), 1))
+      geometry.computeVertexNormals()
+      geometry.computeBoundingSphere()
+      geometry.computeBoundingBox()
+      return geometry
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Could not build scene mesh geometry:', error)
+      return null
+    }
+  }
+
+  /**
+   * Place a mesh object at its XR pose
+   * @param {THREE.Mesh} object Scene mesh object
+   * @param {XRPose} pose Mesh pose in the reference space
+   */
+  setPose(object, pose) {
+    object.matrix.fromArray(pose.transform.matrix)
+    object.matrix.decompose(object.position, object.quaternion, object.scale)
+    object.updateMatrixWorld(true)
+  }
+
+  /**
+   * Show or hide the meshes (room view)
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.visible = visible
+    this.meshGroup.visible = visible
+  }
+
+  /**
+   * Cast a ray against every scene mesh
+   * @param {THREE.Vector3} origin Ray origin in the reference space
+   * @param {THREE.Vector3} direction Normalized ray direction
+   * @param {number} maxDistance Max hit distance in meters
+   * @returns {Object|null} Nearest hit { point, normal, distance, mesh, semanticLabel } or null
+   */
+  raycast(origin, direction, maxDistance = this.MAX_RAYCAST_DISTANCE) {
+    if (this.isDisposed || this.meshObjects.size === 0) return null
+
+    this.raycaster.set(origin, direction)
+    this.raycaster.far = maxDistance
+
+    const hit = this.raycaster.intersectObjects(this.meshGroup.children, false).find(result => result.face)
+    if (!hit) return null
+
+    // Face normals are in mesh space; flip toward the viewer for back faces
+    const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+    if (normal.dot(direction) > 0) {
+      normal.negate()
+    }
+
+    const entry = Array.from(this.meshObjects.entries()).find(([, record]) => record.object === hit.object)
+    return {
+      point: hit.point,
+      normal,
+      distance: hit.distance,
+      mesh: entry?.[0] || null,
+      semanticLabel: entry?.[1].semanticLabel || 'unknown'
+    }
+  }
+
+  /**
+   * Get the Three.js objects for every scene mesh
+   * @returns {Array<THREE.Mesh>}
+   */
+  getMeshObjects() {
+    return Array.from(this.meshObjects.values(), record => record.object)
+  }
+
+  /**
+   * Dispose of all scene meshes
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] SceneMeshManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing SceneMeshManager...')
+    this.clearAll()
+    this.scene.remove(this.meshGroup)
+    this.isDisposed = true
+    console.log('✅ [DEBUG] SceneMeshManager disposed')
+  }
+
+  /**
+   * Get debug information about scene meshes
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      isDisposed: this.isDisposed,
+      visible: this.visible,
+      meshes: this.meshObjects.size,
+      labels: Array.from(this.meshObjects.values(), record => record.semanticLabel)
+    }
+  }
+}
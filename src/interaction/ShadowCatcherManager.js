@@ -0,0 +1,378 @@
+/**
+ * ShadowCatcherManager
+ * Grounds placed content with soft shadows drawn onto transparent catchers:
+ * the polygon of the plane an object rests on, or a contact disc when the
+ * object sits on a scene mesh. Quality presets keep the cost inside the
+ * Quest frame budget.
+ */
+import * as THREE from 'three'
+import { locatePointOnPlane } from '../utils/math.js'
+
+export const SHADOW_QUALITY_PRESETS = {
+  off: null,
+  // Quest budget: small PCF map, only re-rendered when content or planes change
+  low: { mapSize: 512, type: THREE.PCFShadowMap, radius: 3, autoUpdate: false, maxCatchers: 2 },
+  high: { mapSize: 1024, type: THREE.PCFSoftShadowMap, radius: 1, autoUpdate: true, maxCatchers: 6 }
+}
+
+export class ShadowCatcherManager {
+  constructor(scene, webxrRenderer) {
+    console.log('🌑 [DEBUG] ShadowCatcherManager constructor')
+
+    this.scene = scene
+    this.webxrRenderer = webxrRenderer
+    this.renderer = webxrRenderer.renderer
+    this.light = webxrRenderer.directionalLight
+    this.quality = 'off'
+    this.catchers = new Map() // XRPlane or `contact:<id>` -> { mesh, plane, lastChangedTime }
+    this.lastSignature = null
+    this.isDisposed = false
+
+    // Shadow catcher configuration
+    this.SHADOW_OPACITY = 0.35
+    this.CATCHER_LIFT = 0.002        // meters above the surface, clear of plane visuals
+    this.SUPPORT_DISTANCE = 0.12     // max distance from an object's origin to its supporting plane
+    this.SUPPORT_NORMAL_DOT = Math.cos(THREE.MathUtils.degToRad(20))
+    this.CONTACT_RADIUS_SCALE = 0.9  // contact disc radius relative to the object's bounding sphere
+    this.LIGHT_DISTANCE = 2          // meters between the light and the content it shades
+
+    // Sun direction; the light itself is moved to keep the content inside its shadow camera
+    this.lightDirection = this.light
+      ? this.light.position.clone().normalize()
+      : new THREE.Vector3(1, 1, 1).normalize()
+
+    this.catcherMaterial = new THREE.ShadowMaterial({
+      opacity: this.SHADOW_OPACITY,
+      depthWrite: false
+    })
+    this.contactGeometry = new THREE.CircleGeometry(1, 32).rotateX(-Math.PI / 2)
+
+    this.catcherGroup = new THREE.Group()
+    this.catcherGroup.name = 'ShadowCatchersGroup'
+    this.catcherGroup.visible = false
+    this.scene.add(this.catcherGroup)
+
+    // Reused while fitting the shadow camera
+    this.bounds = new THREE.Box3()
+    this.objectBounds = new THREE.Box3()
+    this.sphere = new THREE.Sphere()
+    this.up = new THREE.Vector3()
+
+    console.log('✅ [DEBUG] ShadowCatcherManager initialized')
+  }
+
+  /**
+   * Switch shadow quality (performance budget)
+   * @param {string} quality 'off' | 'low' | 'high'
+   */
+  setQuality(quality) {
+    if (!(quality in SHADOW_QUALITY_PRESETS)) {
+      console.warn(`⚠️ [DEBUG] Unknown shadow quality "${quality}"`)
+      return
+    }
+    if (this.isDisposed || !this.renderer || !this.light) {
+      this.quality = quality
+      return
+    }
+
+    console.log(`🌑 [DEBUG] Shadow quality: ${quality}`)
+    this.quality = quality
+    const preset = SHADOW_QUALITY_PRESETS[quality]
+
+    this.renderer.shadowMap.enabled = !!preset
+    this.light.castShadow = !!preset
+    if (preset) {
+      this.renderer.shadowMap.type = preset.type
+      this.renderer.shadowMap.autoUpdate = preset.autoUpdate
+      this.light.shadow.mapSize.set(preset.mapSize, preset.mapSize)
+      this.light.shadow.radius = preset.radius
+      this.light.shadow.bias = -0.0005
+      this.light.shadow.normalBias = 0.01
+
+      // The map is reallocated at the new size on the next shadow pass
+      this.light.shadow.map?.dispose()
+      this.light.shadow.map = null
+    }
+
+    // Shadow map type is baked into lit programs
+    this.scene.traverse((child) => {
+      if (!child.material) return
+      const materials = Array.isArray(child.material) ? child.material : [child.material]
+      materials.forEach(material => { material.needsUpdate = true })
+    })
+
+    this.catcherGroup.visible = !!preset
+    this.lastSignature = null
+  }
+
+  /**
+   * Keep catchers, casters and the shadow camera in step with placed content
+   * Cheap when nothing moved; call once per frame.
+   * @param {Array<Object>} records Placed object records
+   * @param {Array<Object>} planes Tracked plane data from PlaneDetection
+   * @param {number} heightOffset Distance content is lifted along its surface normal
+   */
+  update(records, planes, heightOffset = 0) {
+    const preset = SHADOW_QUALITY_PRESETS[this.quality]
+    if (this.isDisposed || !preset) return
+
+    const casters = records.filter(record => record.object.visible)
+    const signature = this.getSignature(casters, planes)
+    if (signature === this.lastSignature) return
+    this.lastSignature = signature
+
+    casters.forEach(record => this.setCastShadow(record.object, true))
+    this.syncCatchers(casters, planes, heightOffset, preset.maxCatchers)
+    this.fitShadowCamera(casters)
+
+    if (this.renderer) {
+      this.renderer.shadowMap.needsUpdate = true
+    }
+  }
+
+  /**
+   * Summarize everything that affects the shadows
+   * @param {Array<Object>} casters Visible placed object records
+   * @param {Array<Object>} planes Tracked plane data
+   * @returns {string} Signature, changes whenever shadows need re-rendering
+   */
+  getSignature(casters, planes) {
+    const parts = casters.map(({ id, object }) => {
+      const { position: p, quaternion: q, scale: s } = object
+      return `${id}:${p.x.toFixed(3)},${p.y.toFixed(3)},${p.z.toFixed(3)},${q.x.toFixed(3)},${q.y.toFixed(3)},${q.z.toFixed(3)},${q.w.toFixed(3)},${s.x.toFixed(3)}`
+    })
+    planes.forEach(({ lastChangedTime, pose }) => {
+      const p = pose.transform.position
+      parts.push(`p${lastChangedTime}:${p.x.toFixed(2)},${p.y.toFixed(2)},${p.z.toFixed(2)}`)
+    })
+    return parts.join('|')
+  }
+
+  /**
+   * Find the tracked plane an object rests on
+   * @param {Object} record Placed object record
+   * @param {Array<Object>} planes Tracked plane data
+   * @returns {Object|null} Plane data
+   */
+  findSupportingPlane(record, planes) {
+    const up = this.up.set(0, 1, 0).applyQuaternion(record.surfaceQuaternion)
+    let best = null
+    let bestDistance = Infinity
+
+    for (const planeData of planes) {
+      const hit = locatePointOnPlane(record.object.position, planeData.pose.transform.matrix, planeData.polygon, {
+        maxDistance: this.SUPPORT_DISTANCE,
+        normal: up,
+        minNormalDot: this.SUPPORT_NORMAL_DOT
+      })
+      if (hit && hit.distance < bestDistance) {
+        best = planeData
+        bestDistance = hit.distance
+      }
+    }
+    return best
+  }
+
+  /**
+   * Create, update or remove catchers so each caster has one underneath
+   * @param {Array<Object>} casters Visible placed object records
+   * @param {Array<Object>} planes Tracked plane data
+   * @param {number} heightOffset Distance content is lifted along its surface normal
+   * @param {number} maxCatchers Catcher budget for the current quality
+   */
+  syncCatchers(casters, planes, heightOffset, maxCatchers) {
+    const wanted = new Map()
+
+    for (const record of casters) {
+      if (wanted.size >= maxCatchers) break
+
+      const planeData = this.findSupportingPlane(record, planes)
+      if (planeData) {
+        if (!wanted.has(planeData.plane)) wanted.set(planeData.plane, { planeData })
+      } else {
+        wanted.set(`contact:${record.id}`, { record })
+      }
+    }
+
+    for (const key of Array.from(this.catchers.keys())) {
+      if (!wanted.has(key)) this.removeCatcher(key)
+    }
+
+    for (const [key, target] of wanted) {
+      if (target.planeData) {
+        this.updatePlaneCatcher(key, target.planeData)
+      } else {
+        this.updateContactCatcher(key, target.record, heightOffset)
+      }
+    }
+  }
+
+  /**
+   * Catcher matching a plane polygon
+   * @param {XRPlane} key Plane the catcher belongs to
+   * @param {Object} planeData Tracked plane data
+   */
+  updatePlaneCatcher(key, planeData) {
+    let catcher = this.catchers.get(key)
+
+    if (!catcher || catcher.lastChangedTime !== planeData.lastChangedTime) {
+      const mesh = this.webxrRenderer.createPlaneMesh(planeData.polygon)
+      if (!mesh) return
+
+      if (catcher) {
+        catcher.mesh.geometry.dispose()
+        catcher.mesh.geometry = mesh.geometry
+        catcher.lastChangedTime = planeData.lastChangedTime
+      } else {
+        mesh.material = this.catcherMaterial
+        mesh.name = `ShadowCatcher_${planeData.semanticLabel}`
+        mesh.receiveShadow = true
+        mesh.matrixAutoUpdate = false
+        this.catcherGroup.add(mesh)
+        catcher = { mesh, plane: planeData.plane, lastChangedTime: planeData.lastChangedTime }
+        this.catchers.set(key, catcher)
+      }
+    }
+
+    // Plane pose, lifted slightly along the plane normal
+    catcher.mesh.matrix.fromArray(planeData.pose.transform.matrix)
+      .multiply(new THREE.Matrix4().makeTranslation(0, this.CATCHER_LIFT, 0))
+    catcher.mesh.updateMatrixWorld(true)
+  }
+
+  /**
+   * Contact disc under an object that has no supporting plane (e.g. on a scene mesh)
+   * @param {string} key Catcher key
+   * @param {Object} record Placed object record
+   * @param {number} heightOffset Distance content is lifted along its surface normal
+   */
+  updateContactCatcher(key, record, heightOffset) {
+    let catcher = this.catchers.get(key)
+    if (!catcher) {
+      const mesh = new THREE.Mesh(this.contactGeometry, this.catcherMaterial)
+      mesh.name = `ShadowCatcher_contact_${record.id}`
+      mesh.receiveShadow = true
+      this.catcherGroup.add(mesh)
+      catcher = { mesh, plane: null, lastChangedTime: null }
+      this.catchers.set(key, catcher)
+    }
+
+    const up = this.up.set(0, 1, 0).applyQuaternion(record.surfaceQuaternion)
+    this.objectBounds.setFromObject(record.object).getBoundingSphere(this.sphere)
+
+    const { mesh } = catcher
+    mesh.position.copy(record.object.position).addScaledVector(up, this.CATCHER_LIFT - heightOffset)
+    mesh.quaternion.copy(record.surfaceQuaternion)
+    mesh.scale.setScalar(Math.max(this.sphere.radius * this.CONTACT_RADIUS_SCALE, 0.05))
+    mesh.updateMatrixWorld(true)
+  }
+
+  /**
+   * Remove a catcher (shared geometry and material are kept)
+   * @param {XRPlane|string} key Catcher key
+   */
+  removeCatcher(key) {
+    const catcher = this.catchers.get(key)
+    if (!catcher) return
+
+    this.catcherGroup.remove(catcher.mesh)
+    if (catcher.plane) {
+      catcher.mesh.geometry.dispose()
+    }
+    this.catchers.delete(key)
+  }
+
+  /**
+   * Aim the light at the content and shrink its shadow camera around it
+   * A tight frustum keeps a small shadow map sharp.
+   * @param {Array<Object>} casters Visible placed object records
+   */
+  fitShadowCamera(casters) {
+    if (!this.light || casters.length === 0) return
+
+    this.bounds.makeEmpty()
+    casters.forEach(record => this.bounds.union(this.objectBounds.setFromObject(record.object)))
+    this.bounds.getBoundingSphere(this.sphere)
+
+    const radius = Math.max(this.sphere.radius, 0.1)
+    this.light.target.position.copy(this.sphere.center)
+    this.light.position.copy(this.sphere.center).addScaledVector(this.lightDirection, radius + this.LIGHT_DISTANCE)
+    this.light.target.updateMatrixWorld()
+    this.light.updateMatrixWorld()
+
+    const camera = this.light.shadow.camera
+    camera.left = -radius
+    camera.right = radius
+    camera.top = radius
+    camera.bottom = -radius
+    camera.near = 0.01
+    camera.far = 2 * radius + this.LIGHT_DISTANCE
+    camera.updateProjectionMatrix()
+  }
+
+  /**
+   * Turn shadow casting on or off for an object tree
+   * @param {THREE.Object3D} object Placed object
+   * @param {boolean} enabled
+   */
+  setCastShadow(object, enabled) {
+    object.traverse((child) => {
+      if (child.isMesh) child.castShadow = enabled
+    })
+  }
+
+  /**
+   * Point the key light another way (e.g. from light estimation)
+   * @param {THREE.Vector3} direction Direction toward the light
+   */
+  setLightDirection(direction) {
+    this.lightDirection.copy(direction).normalize()
+    this.lastSignature = null
+  }
+
+  /**
+   * Dispose of catchers and turn shadows off
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] ShadowCatcherManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing ShadowCatcherManager...')
+    for (const key of Array.from(this.catchers.keys())) {
+      this.removeCatcher(key)
+    }
+    this.scene.remove(this.catcherGroup)
+    this.catcherMaterial.dispose()
+    this.contactGeometry.dispose()
+
+    if (this.light) {
+      this.light.castShadow = false
+      this.light.shadow.map?.dispose()
+      this.light.shadow.map = null
+    }
+    if (this.renderer) {
+      this.renderer.shadowMap.enabled = false
+    }
+
+    this.isDisposed = true
+    console.log('✅ [DEBUG] ShadowCatcherManager disposed')
+  }
+
+  /**
+   * Get debug information about shadows
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    const catchers = Array.from(this.catchers.values())
+    return {
+      isDisposed: this.isDisposed,
+      quality: this.quality,
+      shadowMapEnabled: !!this.renderer?.shadowMap.enabled,
+      mapSize: this.light?.shadow.mapSize.x || 0,
+      planeCatchers: catchers.filter(catcher => catcher.plane).length,
+      contactCatchers: catchers.filter(catcher => !catcher.plane).length
+    }
+  }
+}
@@ -6,13 +6,30 @@ import { WebXRRenderer } from './webxr/renderer.js'
 import { HitTestManager } from './interaction/HitTestManager.js'
 import { CursorManager } from './interaction/CursorManager.js'
 import { PlaneVisualizer } from './interaction/PlaneVisualizer.js'
-import { multiplyMatrixAndPoint, getPlaneCenter } from './utils/math.js'
-
-class WebXRPlaneDetectionApp {
+import { PlaneDetection, createSyntheticFloorPlane } from './webxr/planes.js'
+import { MeshDetection } from './webxr/meshes.js'
+import { LightEstimation } from './webxr/lighting.js'
+import { ReferenceSpaceManager, REFERENCE_SPACE_FALLBACKS } from './webxr/spaces.js'
+import { SessionLifecycleManager } from './webxr/lifecycle.js'
+import { PlacedObjectManager } from './interaction/PlacedObjectManager.js'
+import { PersistenceManager } from './interaction/PersistenceManager.js'
+import { ManipulationManager } from './interaction/ManipulationManager.js'
+import { PlacementValidator } from './interaction/PlacementValidator.js'
+import { RoomPlaneVisualizer } from './interaction/RoomPlaneVisualizer.js'
+import { SceneMeshManager } from './interaction/SceneMeshManager.js'
+import { ShadowCatcherManager } from './interaction/ShadowCatcherManager.js'
+import { HudManager } from './interaction/HudManager.js'
+import { InputModelManager } from './interaction/InputModelManager.js'
+import { ContentCatalog } from './content/ContentCatalog.js'
+import { ContentPreview } from './content/ContentPreview.js'
+import { multiplyMatrixAndPoint, getPlaneCenter, classifySurfaceNormal, locatePointOnPlane, intersectRayWithPlane } from './utils/math.js'
+
+export class WebXRPlaneDetectionApp {
   constructor() {
     // Configuration constants
     this.OBJECT_HEIGHT_OFFSET = 0.05  // Reduced offset since ground sits on surface
     this.MAX_PLACEMENT_DISTANCE = 2.0  // Maximum distance for plane selection
+    this.MESH_HIT_MARGIN = 0.05  // A scene mesh must be this much nearer than the hit-test result to win
     this.LOG_FREQUENCY_FRAMES = 120  // Log every 2 seconds at 60fps
     
     this.session = null
@@ -20,33 +37,80 @@ class WebXRPlaneDetectionApp {
     this.renderer = null
     this.scene = null
     this.camera = null
-    this.treeScene = null // ✅ CHANGED: Replace cube with treeScene
-    this.groundMesh = null // ✅ NEW: Reference to ground mesh for interaction
-    this.treeMesh = null   // ✅ NEW: Reference to tree mesh for interaction
     
-    // ✅ NEW: Loading state management
-    this.treeSceneLoading = false
-    this.treeSceneLoaded = false
+    // ✅ NEW: Manifest-driven content (templates are cloned for every placed instance)
+    this.contentCatalog = new ContentCatalog()
+    this.contentTemplates = new Map()     // catalog entry id -> loaded template
+    this.contentTemplateLoads = new Map() // catalog entry id -> in-flight load promise
     
     // ✅ ENHANCED: Multi-state placement system with repositioning
-    this.placementState = 'scanning' // 'scanning' | 'targeting' | 'preview' | 'placed' | 'repositioning'
+    this.placementState = 'scanning' // 'scanning' | 'targeting' | 'preview' | 'placed' | 'repositioning' | 'manipulating'
     this.isPlaced = false
     
     // UI references
     this.ui = {
       startButton: null,
       statusDiv: null,
+      contentSelect: null,
       overlay: null
     }
     
     // Plane detection data
-    this.availablePlanes = []
+    this.planeDetection = null // PlaneDetection, the single tracked plane model (created when session starts)
+    this.availablePlanes = []  // XRPlanes currently tracked by planeDetection
     this.totalPlanesDetected = 0
     this.lastPlaneCount = 0
     
-    // ✅ NEW: Anchor support for placed objects (future WebXR feature)
-    this.objectAnchor = null
-    this.trackAnchoredObject = false
+    // ✅ NEW: Placed instances (each with its own anchor and selection state)
+    this.placedObjects = null        // PlacedObjectManager, created when session starts
+    this.repositioningObject = null  // Placed object record currently being moved
+    this.persistence = null          // PersistenceManager, created when session starts
+    this.manipulation = null         // ManipulationManager, created when session starts
+    this.placementValidator = null   // PlacementValidator, created when session starts
+    this.placementRejection = null   // Why the last placement attempt was refused
+    this.surfaceHint = null          // Last "Place on <label>" status shown while pointing
+    this.roomPlaneVisualizer = null  // RoomPlaneVisualizer, created when session starts
+    this.showAllPlanes = false       // Render every detected plane ("show all planes" mode)
+    this.meshDetection = null        // MeshDetection, created when the session grants mesh-detection
+    this.sceneMeshes = null          // SceneMeshManager, geometry for detected scene meshes
+    this.occlusionMode = 'auto'      // 'auto' | 'depth' | 'planes' | 'off' (see WebXRRenderer.setOcclusionMode)
+    this.shadowCatchers = null       // ShadowCatcherManager, created when session starts
+    this.shadowQuality = 'low'       // 'off' | 'low' (Quest budget) | 'high'
+    this.lightEstimation = null      // LightEstimation, created when the session grants light-estimation
+    this.hud = null                  // HudManager, shows status inside the headset (created when session starts)
+    this.inputModels = null          // InputModelManager, controller and hand models (created when session starts)
+    this.capabilities = null         // SessionCapabilities the session granted (see webxr/capabilities.js)
+    this.referenceSpaces = null      // ReferenceSpaceManager, owns this.refSpace (created when session starts)
+    this.referenceSpacePreference = 'local-floor' // Tried first, see REFERENCE_SPACE_FALLBACKS
+    this.sessionLifecycle = null     // SessionLifecycleManager, pause/resume events (created when session starts)
+    this.pausedStatus = null         // Status text to bring back when the session is visible again
+    this.sessionMode = null          // 'immersive-ar' | 'immersive-vr', picked by checkWebXRSupport
+    this.preview = null              // ContentPreview, inline view when no immersive mode is supported
+    
+    // ✅ NEW: Immersive modes in order of preference - VR places content on a synthetic floor
+    this.SESSION_MODES = ['immersive-ar', 'immersive-vr']
+    
+    // ✅ NEW: Capabilities asked of every session - each subsystem degrades when one is refused
+    this.CAPABILITY_REQUEST = {
+      required: [],
+      optional: ['planes', 'mesh', 'hitTest', 'anchors', 'depth', 'lightEstimation', 'domOverlay']
+    }
+    
+    // ✅ NEW: Content shading once light estimation is granted (see createContentMaterial)
+    this.CONTENT_ROUGHNESS = 0.8 // Mostly matte - the reflection map tints content without mirroring the room
+    
+    // ✅ NEW: Auto-placement - preview content on the best-scored plane once planes settle
+    this.AUTO_PLACE_STABLE_MS = 1500     // Planes must be unchanged this long before suggesting
+    this.AUTO_PLACE_TABLE_HEIGHT = 0.7   // Preferred surface height above the floor (meters)
+    this.AUTO_PLACE_AREA_WEIGHT = 30     // Area score per m² - saturates at 1 m² so a large floor doesn't outscore a table
+    this.autoPlaceEnabled = false
+    this.autoPlacement = null            // { record, candidates, index } while previewing
+    this.autoPlacementAction = null      // Queued 'confirm' | 'next', handled on the next frame
+    this.planesChangedAt = 0             // performance.now() of the last plane event
+    this.autoPlaceCheckedAt = -1         // planesChangedAt value the last suggestion attempt used
+    this.squeezingSources = new Set() // Input sources currently squeezing (grip / grab)
+    this.snappingEnabled = true      // Snap rotation/scale gestures to increments
+    this.lastFrameTime = 0
     
     // ✅ ENHANCED: Better input source tracking
     this.activeInputSources = new Map() // inputSource -> metadata
@@ -85,6 +149,8 @@ class WebXRPlaneDetectionApp {
   async init() {
     console.log('🔧 [DEBUG] Starting app initialization...')
     this.setupUI()
+    await this.contentCatalog.load()
+    this.populateContentSelect()
     await this.checkWebXRSupport()
     console.log('✅ [DEBUG] App initialization complete')
   }
@@ -93,20 +159,84 @@ class WebXRPlaneDetectionApp {
     console.log('🎨 [DEBUG] Setting up UI...')
     const startButton = document.getElementById('start-ar')
     const statusDiv = document.getElementById('status')
+    const contentSelect = document.getElementById('content-select')
+    const showPlanesToggle = document.getElementById('show-planes')
+    const autoPlaceToggle = document.getElementById('auto-place')
+    const shadowQualitySelect = document.getElementById('shadow-quality')
+    const clearSavedButton = document.getElementById('clear-saved')
+    const hudRoot = document.getElementById('xr-hud')
+    const overlay = document.getElementById('ui-overlay')
+    const previewRoot = document.getElementById('inline-preview')
     
     startButton.addEventListener('click', () => {
       console.log('🎮 [DEBUG] Start AR button clicked!')
       this.startAR()
     })
     
+    // ✅ NEW: Choose which catalog entry gets placed
+    contentSelect?.addEventListener('change', () => {
+      this.selectContent(contentSelect.value)
+    })
+    
+    // ✅ NEW: Toggle rendering of every detected plane
+    showPlanesToggle?.addEventListener('change', () => {
+      this.setShowAllPlanes(showPlanesToggle.checked)
+    })
+    
+    // ✅ NEW: Opt in to automatic placement suggestions
+    autoPlaceToggle?.addEventListener('change', () => {
+      this.setAutoPlace(autoPlaceToggle.checked)
+    })
+    
+    // ✅ NEW: Shadow quality / performance budget
+    if (shadowQualitySelect) {
+      shadowQualitySelect.value = this.shadowQuality
+      shadowQualitySelect.addEventListener('change', () => {
+        this.setShadowQuality(shadowQualitySelect.value)
+      })
+    }
+    
+    // ✅ NEW: Forget placements saved in earlier sessions
+    clearSavedButton?.addEventListener('click', async () => {
+      await this.clearSavedPlacements()
+      this.setStatus('🧹 Saved placements cleared')
+    })
+    
     // Store references for later use
-    this.ui = { startButton, statusDiv }
+    this.ui = { startButton, statusDiv, contentSelect, showPlanesToggle, autoPlaceToggle, shadowQualitySelect, clearSavedButton, hudRoot, overlay, previewRoot }
     console.log('✅ [DEBUG] UI setup complete')
   }
 
+  /**
+   * ✅ NEW: Fill the content picker from the loaded catalog
+   */
+  populateContentSelect() {
+    const { contentSelect } = this.ui
+    if (!contentSelect) return
+    
+    contentSelect.innerHTML = ''
+    this.contentCatalog.getEntries().forEach(entry => {
+      const option = document.createElement('option')
+      option.value = entry.id
+      option.textContent = entry.name
+      contentSelect.appendChild(option)
+    })
+    contentSelect.value = this.contentCatalog.activeEntryId
+    contentSelect.disabled = this.contentCatalog.getEntries().length < 2
+  }
+
+  /**
+   * ✅ NEW: Show a status message on the page and in the headset HUD
+   * @param {string} text Status text
+   */
+  setStatus(text) {
+    this.ui.statusDiv.textContent = text
+    this.hud?.setStatus(text)
+  }
+
   async checkWebXRSupport() {
     console.log('🔍 [DEBUG] Checking WebXR support...')
-    const { startButton, statusDiv } = this.ui
+    const { startButton } = this.ui
     
     try {
       if (!navigator.xr) {
@@ -114,10 +244,11 @@ class WebXRPlaneDetectionApp {
       }
       console.log('✅ [DEBUG] navigator.xr is available')
 
-      const isARSupported = await navigator.xr.isSessionSupported('immersive-ar')
-      console.log(`🔍 [DEBUG] Immersive AR supported: ${isARSupported}`)
-      if (!isARSupported) {
-        throw new Error('Immersive AR not supported on this device')
+      // ✅ CHANGED: VR-only headsets get immersive-vr instead of a dead end
+      this.sessionMode = await this.webxrSession.getSupportedMode(this.SESSION_MODES)
+      console.log(`🔍 [DEBUG] Session mode: ${this.sessionMode}`)
+      if (!this.sessionMode) {
+        throw new Error('Immersive AR/VR not supported on this device')
       }
 
       // Check if this is Quest 3 for specific guidance
@@ -128,20 +259,23 @@ class WebXRPlaneDetectionApp {
       // Creating sessions requires user activation (button click)
       console.log('✅ [DEBUG] Basic WebXR support confirmed')
       
-      if (isQuest3) {
-        statusDiv.textContent = 'Quest 3 ready! Click to start AR with room capture 🏠'
+      if (this.sessionMode === 'immersive-vr') {
+        this.setStatus('VR ready! Content is placed on a virtual floor 🥽')
+        console.log('🥽 [DEBUG] AR not supported - using immersive-vr with a synthetic floor')
+      } else if (isQuest3) {
+        this.setStatus('Quest 3 ready! Click to start AR with room capture 🏠')
         console.log('🏠 [DEBUG] Quest 3: Will use room capture when session starts')
       } else {
-        statusDiv.textContent = 'WebXR ready! Click to start AR experience 🎯'
+        this.setStatus('WebXR ready! Click to start AR experience 🎯')
         console.log('🎉 [DEBUG] WebXR is supported on this device!')
       }
       
-      startButton.textContent = 'Start AR Experience'
+      startButton.textContent = `Start ${this.getSessionLabel()} Experience`
       startButton.disabled = false
       
     } catch (error) {
       console.error('❌ [DEBUG] WebXR Support Check Failed:', error)
-      statusDiv.textContent = `❌ ${error.message}`
+      this.setStatus(`❌ ${error.message}`)
       startButton.textContent = 'WebXR Not Available'
       
       // Provide helpful guidance for Quest 3 users
@@ -153,31 +287,91 @@ class WebXRPlaneDetectionApp {
         console.log('   3. Make sure you\'re using HTTPS')
         console.log('   4. Restart the browser and try again')
       }
+      
+      // ✅ NEW: Not a dead end - show the content in an inline 3D preview instead
+      await this.startInlinePreview(error.message)
+    }
+  }
+
+  /**
+   * ✅ NEW: Short name of the session mode for buttons and status text
+   * @returns {string} 'VR' or 'AR'
+   */
+  getSessionLabel() {
+    return this.sessionMode === 'immersive-vr' ? 'VR' : 'AR'
+  }
+
+  /**
+   * ✅ NEW: Show the active content in an inline Three.js view with orbit controls
+   * Used when the device can't start any immersive session.
+   * @param {string} reason Why immersive sessions are unavailable
+   */
+  async startInlinePreview(reason) {
+    if (this.preview || !this.ui.previewRoot) return
+    
+    console.log('🖥️ [DEBUG] Starting inline preview...')
+    try {
+      this.preview = new ContentPreview(this.ui.previewRoot)
+      this.preview.initialize()
+      this.ui.overlay?.classList.add('previewing')
+      this.setStatus(`👀 ${reason} - showing a 3D preview (drag to orbit, scroll to zoom)`)
+      
+      await this.updateInlinePreview()
+      console.log('✅ [DEBUG] Inline preview ready')
+    } catch (error) {
+      console.error('❌ [DEBUG] Inline preview failed:', error)
+      this.preview?.dispose()
+      this.preview = null
+      this.ui.overlay?.classList.remove('previewing')
+      this.setStatus(`❌ ${reason}`)
+    }
+  }
+
+  /**
+   * ✅ NEW: Load a catalog entry and show it in the inline preview
+   * @param {Object} entry Catalog entry (default: the active one)
+   */
+  async updateInlinePreview(entry = this.contentCatalog.getActiveEntry()) {
+    const template = await this.createContentTemplate(entry)
+    // Another entry may have been picked while this one loaded
+    if (template && this.preview && this.contentCatalog.getActiveEntry() === entry) {
+      this.preview.setContent(template)
     }
   }
 
   async startAR() {
     console.log('🥽 [DEBUG] Starting AR session...')
-    const { startButton, statusDiv } = this.ui
+    const { startButton } = this.ui
+    
+    if (this.session) {
+      console.warn('⚠️ [DEBUG] AR session already running')
+      return
+    }
     
     try {
       startButton.disabled = true
-      statusDiv.textContent = 'Initializing AR session...'
+      this.setStatus(`Initializing ${this.getSessionLabel()} session...`)
       
       // ✅ NOW we can create sessions - user clicked button (user activation)
       console.log('🔧 [DEBUG] Creating WebXR session with user activation...')
-      this.session = await this.webxrSession.createSession({
-        requiredFeatures: ['local'],
-        optionalFeatures: ['plane-detection', 'hit-test', 'anchors']
+      // ✅ CHANGED: Negotiate capabilities instead of sniffing enabledFeatures afterwards
+      this.capabilities = await this.webxrSession.negotiate({
+        ...this.CAPABILITY_REQUEST,
+        mode: this.sessionMode || 'immersive-ar',
+        // Floor-based spaces must be requested; the chain ends at the always-granted 'local'
+        optional: [...this.CAPABILITY_REQUEST.optional, ...ReferenceSpaceManager.getFallbackChain(this.referenceSpacePreference)],
+        domOverlayRoot: this.ui.hudRoot
       })
+      this.session = this.webxrSession.getCurrentSession()
       console.log('✅ [DEBUG] WebXR session created successfully')
+      
+      // ✅ CHANGED: Handle session end before anything else is set up, so a failed start is torn down too
+      this.session.addEventListener('end', () => this.teardownSession())
       console.log('📊 [DEBUG] Session object:', this.session)
       
       // Now we can check what features were actually enabled
-      console.log('🔍 [DEBUG] Checking actual session capabilities...')
-      const hasPlaneDetection = this.session.enabledFeatures?.includes('plane-detection')
-      const hasHitTest = this.session.enabledFeatures?.includes('hit-test')
-      const hasAnchors = this.session.enabledFeatures?.includes('anchors')
+      console.log('🔍 [DEBUG] Checking actual session capabilities...', this.capabilities)
+      const { planes: hasPlaneDetection, hitTest: hasHitTest, anchors: hasAnchors } = this.capabilities
       
       console.log(`🎯 [DEBUG] Plane detection enabled: ${hasPlaneDetection}`)
       console.log(`🎯 [DEBUG] Hit test enabled: ${hasHitTest}`)
@@ -189,31 +383,36 @@ class WebXRPlaneDetectionApp {
         
         if (isQuest3) {
           console.log('🏠 [DEBUG] Quest 3 detected - initiating room capture...')
-          statusDiv.textContent = '🏠 Setting up room mapping...'
+          this.setStatus('🏠 Setting up room mapping...')
           
           // Try to initiate room capture
           const roomCaptureSuccess = await this.webxrSession.initiateRoomCapture(this.session)
           
           if (roomCaptureSuccess) {
             console.log('✅ [DEBUG] Room capture initiated successfully')
-            statusDiv.textContent = '👀 Scan your room - point at floors, tables, walls'
+            this.setStatus('👀 Scan your room - point at floors, tables, walls')
           } else {
             console.warn('⚠️ [DEBUG] Room capture failed or not available')
-            statusDiv.textContent = '⚠️ Room setup required - check device settings'
+            this.setStatus('⚠️ Room setup required - check device settings')
           }
         } else {
           console.log('ℹ️ [DEBUG] Non-Quest 3 device - proceeding with standard plane detection')
-          statusDiv.textContent = 'AR Active - Plane detection enabled'
+          this.setStatus('AR Active - Plane detection enabled')
         }
+      } else if (this.sessionMode === 'immersive-vr') {
+        console.log('🥽 [DEBUG] VR session without plane detection - placing on a synthetic floor')
+        this.setStatus('🥽 VR Active - setting up the virtual floor...')
       } else {
         console.warn('⚠️ [DEBUG] Plane detection not available in this session')
-        statusDiv.textContent = '⚠️ Plane detection not supported - basic AR only'
+        this.setStatus(hasHitTest
+          ? '⚠️ Plane detection not supported - placing with hit-testing only'
+          : '⚠️ Plane detection not supported - basic AR only')
         
         // Provide guidance for Quest 3 users
         const isQuest3 = this.webxrSession.detectsQuest3Device()
         if (isQuest3) {
           console.log('💡 [DEBUG] Quest 3: May need browser/OS update for plane detection')
-          statusDiv.textContent = '⚠️ Quest 3: Update browser for plane detection'
+          this.setStatus('⚠️ Quest 3: Update browser for plane detection')
         }
       }
       
@@ -227,41 +426,155 @@ class WebXRPlaneDetectionApp {
         enabledFeatures: this.session.enabledFeatures
       })
       
+      // ✅ CHANGED: Pick the reference space first - the renderer draws from the same one
+      console.log('🌐 [DEBUG] Requesting reference space...')
+      this.referenceSpaces = new ReferenceSpaceManager(this.session, this.capabilities)
+      this.referenceSpaces.onReset = (transform) => this.handleReferenceSpaceReset(transform)
+      this.refSpace = await this.referenceSpaces.initialize(this.referenceSpacePreference)
+      console.log(`✅ [DEBUG] Reference space obtained: ${this.referenceSpaces.type}`)
+      
       // Setup Three.js renderer
       console.log('🎨 [DEBUG] Initializing Three.js renderer...')
-      await this.webxrRenderer.initialize(this.session)
+      await this.webxrRenderer.initialize(this.session, this.capabilities, this.referenceSpaces)
       this.renderer = this.webxrRenderer.renderer
       this.scene = this.webxrRenderer.scene
       this.camera = this.webxrRenderer.camera
       console.log('✅ [DEBUG] Three.js renderer initialized')
+      this.webxrRenderer.setOcclusionMode(this.occlusionMode)
       
       // ✅ NEW: Setup scene organization groups
       this.setupSceneGroups()
       
-      // Create the tree scene to place on detected planes
-      console.log('🌲 [DEBUG] Creating tree scene...')
-      await this.createTreeScene()
+      // ✅ NEW: Optional light estimation - the static rig stays until estimates arrive.
+      // Set up before content loads so templates get lit materials (see createContentMaterial)
+      if (this.capabilities.lightEstimation) {
+        console.log('💡 [DEBUG] Initializing light estimation...')
+        this.lightEstimation = new LightEstimation(this.webxrRenderer)
+        this.lightEstimation.onPrimaryLightChanged = (direction) => this.shadowCatchers?.setLightDirection(direction)
+        if (await this.lightEstimation.initialize()) {
+          console.log('✅ [DEBUG] Light estimation initialized')
+        } else {
+          this.lightEstimation.dispose()
+          this.lightEstimation = null
+        }
+      }
       
-      // Get reference space
-      console.log('🌐 [DEBUG] Requesting reference space...')
-      this.refSpace = await this.session.requestReferenceSpace('local')
-      console.log('✅ [DEBUG] Reference space obtained:', this.refSpace)
+      // Load the active catalog entry to place on detected planes
+      console.log('🌲 [DEBUG] Loading active content...')
+      await this.contentCatalog.load()
+      await this.createContentTemplate()
       
       // ✅ NEW: Initialize hit-testing for precise cursor positioning
       console.log('🎯 [DEBUG] Initializing hit-test manager...')
-      this.hitTestManager = new HitTestManager(this.session, this.refSpace)
+      this.hitTestManager = new HitTestManager(this.session, this.refSpace, this.capabilities)
       console.log('✅ [DEBUG] Hit-test manager initialized')
       
       // ✅ NEW: Initialize cursor manager for visual feedback
       console.log('🎨 [DEBUG] Initializing cursor manager...')
       this.cursorManager = new CursorManager(this.scene, this.camera, this.sceneGroups)
+      const activeEntry = this.contentCatalog.getActiveEntry()
+      if (activeEntry) {
+        const footprint = this.getContentFootprint(activeEntry)
+        this.cursorManager.setFootprint(footprint.width, footprint.depth)
+      }
       console.log('✅ [DEBUG] Cursor manager initialized')
       
+      // ✅ NEW: Initialize controller and hand models
+      console.log('🖐️ [DEBUG] Initializing input models...')
+      this.inputModels = new InputModelManager(this.scene)
+      this.inputModels.initialize().catch(error => {
+        console.warn('⚠️ [DEBUG] Input profile asset check failed:', error)
+      })
+      console.log('✅ [DEBUG] Input models initialized')
+      
+      // ✅ NEW: Track planes in one place - every subsystem reads this model
+      console.log('🛩️ [DEBUG] Initializing plane detection...')
+      this.planeDetection = new PlaneDetection()
+      this.planeDetection.setEventCallbacks({
+        onPlaneDetected: (planeData) => this.handlePlaneDetected(planeData),
+        onPlaneUpdated: (planeData) => this.handlePlaneUpdated(planeData),
+        onPlaneRemoved: (planeData) => this.handlePlaneRemoved(planeData)
+      })
+      console.log('✅ [DEBUG] Plane detection initialized')
+      
+      // ✅ NEW: VR-only headsets report no planes - target a synthetic floor instead
+      if (this.sessionMode === 'immersive-vr' && !hasPlaneDetection) {
+        const floor = createSyntheticFloorPlane(this.refSpace, this.referenceSpaces.getFloorHeight())
+        this.planeDetection.addSyntheticPlane(floor)
+        this.hitTestManager.setSyntheticPlanes([floor])
+        console.log('✅ [DEBUG] Synthetic floor plane added')
+      }
+      
+      // ✅ NEW: Optional scene meshes for placement on non-planar furniture
+      if (this.capabilities.mesh) {
+        console.log('🕸️ [DEBUG] Initializing mesh detection...')
+        this.meshDetection = new MeshDetection()
+        this.sceneMeshes = new SceneMeshManager(this.scene)
+        this.sceneMeshes.setVisible(this.showAllPlanes)
+        this.meshDetection.setEventCallbacks({
+          onMeshDetected: (meshData) => this.sceneMeshes?.addMesh(meshData),
+          onMeshUpdated: (meshData) => this.sceneMeshes?.updateMesh(meshData),
+          onMeshRemoved: (meshData) => this.sceneMeshes?.removeMesh(meshData.mesh)
+        })
+        console.log('✅ [DEBUG] Mesh detection initialized')
+      }
+      
       // ✅ NEW: Initialize plane visualizer for surface highlighting
       console.log('🎭 [DEBUG] Initializing plane visualizer...')
       this.planeVisualizer = new PlaneVisualizer(this.scene, this.sceneGroups)
       console.log('✅ [DEBUG] Plane visualizer initialized')
       
+      // ✅ NEW: Initialize full room plane view (hidden unless "show all planes" is on)
+      console.log('🏠 [DEBUG] Initializing room plane visualizer...')
+      this.roomPlaneVisualizer = new RoomPlaneVisualizer(this.scene, this.webxrRenderer)
+      this.roomPlaneVisualizer.setEnabled(this.showAllPlanes, this.planeDetection.getTrackedPlanes())
+      console.log('✅ [DEBUG] Room plane visualizer initialized')
+      
+      // ✅ NEW: Initialize shadow catchers to ground placed content
+      console.log('🌑 [DEBUG] Initializing shadow catchers...')
+      this.shadowCatchers = new ShadowCatcherManager(this.scene, this.webxrRenderer)
+      this.shadowCatchers.setQuality(this.shadowQuality)
+      console.log('✅ [DEBUG] Shadow catchers initialized')
+      
+      // ✅ NEW: Initialize footprint checks so content can't hang off plane edges
+      console.log('📏 [DEBUG] Initializing placement validator...')
+      this.placementValidator = new PlacementValidator(this.refSpace)
+      console.log('✅ [DEBUG] Placement validator initialized')
+      
+      // ✅ NEW: Initialize placed object collection
+      console.log('🌲 [DEBUG] Initializing placed object manager...')
+      this.placedObjects = new PlacedObjectManager(this.scene, this.sceneGroups)
+      this.placedObjects.onObjectAdded = (record) => this.webxrRenderer.applyOcclusion(record.object)
+      console.log('✅ [DEBUG] Placed object manager initialized')
+      
+      // ✅ NEW: Initialize persistence so placed objects survive reloads
+      console.log('💾 [DEBUG] Initializing persistence manager...')
+      this.persistence = new PersistenceManager(this.session, this.refSpace, window.localStorage, this.capabilities)
+      console.log('✅ [DEBUG] Persistence manager initialized')
+      
+      // ✅ NEW: Initialize rotate/scale manipulation of placed objects
+      console.log('🤲 [DEBUG] Initializing manipulation manager...')
+      this.manipulation = new ManipulationManager(this.placedObjects, this.refSpace)
+      this.manipulation.snappingEnabled = this.snappingEnabled
+      console.log('✅ [DEBUG] Manipulation manager initialized')
+      
+      // ✅ NEW: In-headset status - DOM overlay if granted, otherwise a world-space panel
+      console.log('🪧 [DEBUG] Initializing HUD...')
+      this.hud = new HudManager(this.scene, this.session, this.ui.hudRoot)
+      this.hud.setStatus(this.ui.statusDiv.textContent)
+      this.hud.initialize().then(ready => {
+        if (ready) console.log('✅ [DEBUG] HUD ready')
+      })
+      
+      // ✅ NEW: Pause input and hit-testing while the session is blurred or hidden
+      console.log('⏯️ [DEBUG] Initializing session lifecycle...')
+      this.sessionLifecycle = new SessionLifecycleManager(this.session)
+      this.sessionLifecycle.addEventListener('pause', (event) => this.handleSessionPause(event.state))
+      this.sessionLifecycle.addEventListener('resume', (event) => this.handleSessionResume(event.pausedFor))
+      if (this.sessionLifecycle.isPaused()) {
+        this.handleSessionPause(this.sessionLifecycle.state)
+      }
+      
       // ✅ NEW: Setup input event listeners for enhanced interaction
       console.log('🎮 [DEBUG] Setting up input event listeners...')
       this.setupInputEventListeners()
@@ -275,14 +588,24 @@ class WebXRPlaneDetectionApp {
       console.log('🔄 [DEBUG] Starting XR render loop...')
       this.session.requestAnimationFrame(this.onXRFrame.bind(this))
       
+      // ✅ NEW: Bring back objects placed in earlier sessions (anchor restores need running frames)
+      this.restorePlacedObjects().catch(error => {
+        console.warn('⚠️ [DEBUG] Failed to restore saved placements:', error)
+      })
+      
+      // ✅ NEW: Delete anchors of placements cleared while no session was running
+      this.persistence.deleteOrphanedHandles()
+      
       // Hide UI overlay
       document.getElementById('ui-overlay').style.display = 'none'
       
       // Set final status based on plane detection availability
       if (hasPlaneDetection) {
-        statusDiv.textContent = 'AR Active - Looking for surfaces...'
+        this.setStatus(`${this.getSessionLabel()} Active - Looking for surfaces...`)
+      } else if (this.sessionMode === 'immersive-vr') {
+        this.setStatus('🥽 VR Active - point at the floor and select to place')
       } else {
-        statusDiv.textContent = 'AR Active - Basic mode (no plane detection)'
+        this.setStatus('AR Active - Basic mode (no plane detection)')
       }
       
       console.log('🎉 [DEBUG] AR session started successfully!')
@@ -296,71 +619,6 @@ class WebXRPlaneDetectionApp {
         console.log('⚠️ [DEBUG] Plane detection not available - basic AR mode only')
       }
       
-      // Handle session end
-      this.session.addEventListener('end', () => {
-        console.log('🛑 [DEBUG] AR session ended')
-        
-        // Clean up event listeners
-        this.cleanupEventListeners()
-        
-        // ✅ FIXED: Clean up hit-test manager to prevent memory leaks
-        if (this.hitTestManager) {
-          console.log('🧹 [DEBUG] Disposing hit-test manager...')
-          this.hitTestManager.dispose()
-          this.hitTestManager = null
-        }
-        
-        // ✅ NEW: Clean up cursor manager to prevent memory leaks
-        if (this.cursorManager) {
-          console.log('🧹 [DEBUG] Disposing cursor manager...')
-          this.cursorManager.dispose()
-          this.cursorManager = null
-        }
-        
-        // ✅ NEW: Clean up plane visualizer to prevent memory leaks
-        if (this.planeVisualizer) {
-          console.log('🧹 [DEBUG] Disposing plane visualizer...')
-          this.planeVisualizer.dispose()
-          this.planeVisualizer = null
-        }
-        
-        // ✅ NEW: Clean up tree scene to prevent memory leaks
-        this.disposeTreeScene()
-        
-        // Clean up anchor if exists
-        if (this.objectAnchor) {
-          console.log('🧹 [DEBUG] Cleaning up object anchor...')
-          this.objectAnchor = null
-          this.trackAnchoredObject = false
-        }
-        
-        // Reset UI
-        document.getElementById('ui-overlay').style.display = 'flex'
-        startButton.disabled = false
-        startButton.textContent = 'Start AR Experience'
-        statusDiv.textContent = 'AR session ended'
-        
-        // Reset state
-        this.placementState = 'scanning'
-        this.isPlaced = false
-        this.availablePlanes = []
-        this.activeInputSources.clear()
-        this.pendingPlacements.clear()
-        
-        // ✅ FIXED: Reset hit-test tracking state to prevent pollution
-        this.hitTestSetupInProgress = false
-        this.pendingHitTestSources.clear()
-        
-        if (this.treeScene) {
-          this.treeScene.visible = false
-          // ✅ NEW: Reset tree material state
-          if (this.treeScene.material) {
-            this.treeScene.material.transparent = false
-            this.treeScene.material.opacity = 1.0
-          }
-        }
-      })
-      
     } catch (error) {
       console.error('❌ [DEBUG] Failed to start AR:', error)
       console.error('❌ [DEBUG] Error details:', {
@@ -376,7 +634,7 @@ class WebXRPlaneDetectionApp {
         if (this.webxrSession.detectsQuest3Device()) {
           errorMessage = 'Quest 3 needs browser update (Horizon OS ≥ v64, Browser ≥ 34.5)'
         } else {
-          errorMessage = 'AR not supported on this device'
+          errorMessage = `${this.getSessionLabel()} not supported on this device`
         }
       } else if (error.name === 'NotAllowedError') {
         errorMessage = 'Please allow spatial/camera permissions for AR'
@@ -384,115 +642,326 @@ class WebXRPlaneDetectionApp {
         errorMessage = 'AR requires HTTPS - try https:// URL'
       }
       
-      statusDiv.textContent = `❌ ${errorMessage}`
+      // ✅ NEW: End a half-started session - its end handler releases whatever was created
+      if (this.session) {
+        await this.session.end().catch(endError => {
+          console.warn('⚠️ [DEBUG] Could not end failed session:', endError)
+        })
+      }
+      
+      this.setStatus(`❌ ${errorMessage}`)
       startButton.disabled = false
     }
   }
 
-  async createTreeScene() {
-    // ✅ PREVENT: Race conditions during loading
-    if (this.treeSceneLoading) {
-      console.log('⏳ [DEBUG] Tree scene loading already in progress...')
-      return
+  /**
+   * ✅ NEW: Release everything a session created so startAR can run again
+   * Runs on the session's end event, including sessions ended because startAR failed.
+   */
+  teardownSession() {
+    console.log('🛑 [DEBUG] AR session ended')
+    
+    // Clean up event listeners
+    this.cleanupEventListeners()
+    
+    // ✅ FIXED: Clean up hit-test manager to prevent memory leaks
+    if (this.hitTestManager) {
+      console.log('🧹 [DEBUG] Disposing hit-test manager...')
+      this.hitTestManager.dispose()
+      this.hitTestManager = null
     }
     
-    if (this.treeSceneLoaded) {
-      console.log('✅ [DEBUG] Tree scene already loaded')
-      return
+    // ✅ NEW: Clean up cursor manager to prevent memory leaks
+    if (this.cursorManager) {
+      console.log('🧹 [DEBUG] Disposing cursor manager...')
+      this.cursorManager.dispose()
+      this.cursorManager = null
     }
     
-    this.treeSceneLoading = true
-    console.log('🌲 [DEBUG] Loading tree scene GLB...')
+    // ✅ NEW: Stop following session visibility
+    if (this.sessionLifecycle) {
+      console.log('🧹 [DEBUG] Disposing session lifecycle...')
+      this.sessionLifecycle.dispose()
+      this.sessionLifecycle = null
+    }
+    this.pausedStatus = null
     
-    try {
-      // Load the GLB file
-      const gltfLoader = new GLTFLoader()
-      const gltf = await gltfLoader.loadAsync('assets/tree-scene/treeScene.glb')
-      
-      console.log('📁 [DEBUG] GLB loaded, extracting meshes...')
-      console.log('📋 [DEBUG] GLB structure:', {
-        scenes: gltf.scenes?.length || 0,
-        scene: gltf.scene ? 'exists' : 'missing',
-        sceneChildren: gltf.scene?.children?.length || 0
-      })
-      
-      // ✅ IMPROVED: Debug scene hierarchy before extraction
-      if (gltf.scene && gltf.scene.children) {
-        console.log('📋 [DEBUG] Scene children:')
-        this.debugSceneHierarchy(gltf.scene, 0)
-      }
-      
-      // ✅ IMPROVED: Try multiple extraction methods
-      this.groundMesh = this.extractMesh(gltf.scene, 'ground_high')
-      this.treeMesh = this.extractMesh(gltf.scene, 'tree_low')
+    // ✅ NEW: Stop listening for reference space resets
+    if (this.referenceSpaces) {
+      console.log('🧹 [DEBUG] Disposing reference spaces...')
+      this.referenceSpaces.dispose()
+      this.referenceSpaces = null
+    }
+    
+    // ✅ NEW: Clean up controller and hand models
+    if (this.inputModels) {
+      console.log('🧹 [DEBUG] Disposing input models...')
+      this.inputModels.dispose()
+      this.inputModels = null
+    }
+    
+    // ✅ NEW: Clean up plane visualizer to prevent memory leaks
+    if (this.planeVisualizer) {
+      console.log('🧹 [DEBUG] Disposing plane visualizer...')
+      this.planeVisualizer.dispose()
+      this.planeVisualizer = null
+    }
+    
+    // ✅ NEW: Clean up room plane visuals
+    if (this.roomPlaneVisualizer) {
+      console.log('🧹 [DEBUG] Disposing room plane visualizer...')
+      this.roomPlaneVisualizer.dispose()
+      this.roomPlaneVisualizer = null
+    }
+    
+    // ✅ NEW: Clean up scene meshes
+    if (this.sceneMeshes) {
+      console.log('🧹 [DEBUG] Disposing scene meshes...')
+      this.sceneMeshes.dispose()
+      this.sceneMeshes = null
+    }
+    if (this.meshDetection) {
+      this.meshDetection.clearMeshes()
+      this.meshDetection = null
+    }
+    
+    // ✅ NEW: Clean up the in-headset HUD
+    if (this.hud) {
+      console.log('🧹 [DEBUG] Disposing HUD...')
+      this.hud.dispose()
+      this.hud = null
+    }
+    
+    // ✅ NEW: Release the light probe before the lights it drives
+    if (this.lightEstimation) {
+      console.log('🧹 [DEBUG] Disposing light estimation...')
+      this.lightEstimation.dispose()
+      this.lightEstimation = null
+    }
+    
+    // ✅ NEW: Clean up shadow catchers
+    if (this.shadowCatchers) {
+      console.log('🧹 [DEBUG] Disposing shadow catchers...')
+      this.shadowCatchers.dispose()
+      this.shadowCatchers = null
+    }
+    
+    // ✅ NEW: Clean up placement validator
+    if (this.placementValidator) {
+      console.log('🧹 [DEBUG] Disposing placement validator...')
+      this.placementValidator.dispose()
+      this.placementValidator = null
+    }
+    
+    // ✅ NEW: Stop any rotate/scale gesture before its object goes away
+    if (this.manipulation) {
+      console.log('🧹 [DEBUG] Disposing manipulation manager...')
+      this.manipulation.dispose()
+      this.manipulation = null
+    }
+    this.squeezingSources.clear()
+    this.lastFrameTime = 0
+    
+    // ✅ NEW: Save unsaved placements while the placed objects still exist
+    if (this.persistence) {
+      console.log('🧹 [DEBUG] Disposing persistence manager...')
+      this.persistence.dispose(this.placedObjects?.getAll())
+      this.persistence = null
+    }
+    
+    // ✅ NEW: Clean up placed instances (and their anchors) before the template
+    if (this.placedObjects) {
+      console.log('🧹 [DEBUG] Disposing placed objects...')
+      this.placedObjects.dispose()
+      this.placedObjects = null
+    }
+    this.repositioningObject = null
+    
+    // ✅ NEW: Clean up content templates to prevent memory leaks
+    this.disposeContentTemplates()
+    
+    // ✅ NEW: Drop the session's scene (occluders, lights, groups); the canvas,
+    // WebGL context and renderer are kept for the next startAR
+    console.log('🧹 [DEBUG] Releasing renderer session state...')
+    this.webxrRenderer.endSession()
+    this.renderer = null
+    this.scene = null
+    this.camera = null
+    this.sceneGroups = { cursors: null, planeVisuals: null, content: null }
+    
+    // Reset UI
+    document.getElementById('ui-overlay').style.display = 'flex'
+    this.ui.startButton.disabled = false
+    this.ui.startButton.textContent = `Start ${this.getSessionLabel()} Experience`
+    this.setStatus(`${this.getSessionLabel()} session ended`)
+    
+    // Reset state
+    this.placementState = 'scanning'
+    this.isPlaced = false
+    this.autoPlacement = null
+    this.autoPlacementAction = null
+    this.autoPlaceCheckedAt = -1
+    this.availablePlanes = []
+    if (this.planeDetection) {
+      this.planeDetection.dispose()
+      this.planeDetection = null
+    }
+    this.activeInputSources.clear()
+    this.pendingPlacements.clear()
+    
+    // ✅ FIXED: Reset hit-test tracking state to prevent pollution
+    this.hitTestSetupInProgress = false
+    this.pendingHitTestSources.clear()
+    
+    // ✅ NEW: Forget the session so startAR can run again
+    this.session = null
+    this.refSpace = null
+    this.capabilities = null
+  }
+
+  /**
+   * ✅ NEW: Load (or reuse) the content template for a catalog entry
+   * Concurrent requests for the same entry share one in-flight load.
+   * @param {Object} entry Catalog entry (defaults to the active entry)
+   * @returns {Promise<THREE.Object3D|null>} Content template
+   */
+  async createContentTemplate(entry = this.contentCatalog.getActiveEntry()) {
+    if (!entry) {
+      console.warn('⚠️ [DEBUG] No catalog entry to load')
+      return null
+    }
+    
+    if (this.contentTemplates.has(entry.id)) {
+      console.log(`✅ [DEBUG] Content "${entry.id}" already loaded`)
+      return this.contentTemplates.get(entry.id)
+    }
+    
+    // ✅ PREVENT: Race conditions during loading
+    if (this.contentTemplateLoads.has(entry.id)) {
+      console.log(`⏳ [DEBUG] Content "${entry.id}" loading already in progress...`)
+      return this.contentTemplateLoads.get(entry.id)
+    }
+    
+    const load = this.loadContentTemplate(entry)
+      .finally(() => this.contentTemplateLoads.delete(entry.id))
+    this.contentTemplateLoads.set(entry.id, load)
+    return load
+  }
+
+  /**
+   * Build a content template from a catalog entry's model, meshes and textures
+   * @param {Object} entry Catalog entry
+   * @returns {Promise<THREE.Object3D>} Content template (fallback shape if loading fails)
+   */
+  async loadContentTemplate(entry) {
+    let template = null
+    
+    if (!entry.model) {
+      console.log(`📦 [DEBUG] Content "${entry.id}" has no model, using fallback shape`)
+      template = this.createFallbackCube(entry)
+    } else {
+      console.log(`🌲 [DEBUG] Loading content "${entry.id}" from ${entry.model}...`)
       
-      if (!this.groundMesh || !this.treeMesh) {
-        console.error('❌ [DEBUG] Could not find required meshes in GLB')
-        console.log('📋 [DEBUG] Attempting fallback extraction...')
+      try {
+        // Load the GLB file
+        const gltfLoader = new GLTFLoader()
+        const gltf = await gltfLoader.loadAsync(entry.model)
         
-        // ✅ FALLBACK: Try extracting by type and index
-        const allMeshes = []
-        gltf.scene.traverse((child) => {
-          if (child.isMesh) {
-            allMeshes.push(child)
-            console.log(`🔍 [DEBUG] Found mesh: "${child.name}" (geometry: ${child.geometry.type}, vertices: ${child.geometry.attributes?.position?.count || 'unknown'})`)
-          }
+        console.log('📁 [DEBUG] GLB loaded, extracting meshes...')
+        console.log('📋 [DEBUG] GLB structure:', {
+          scenes: gltf.scenes?.length || 0,
+          scene: gltf.scene ? 'exists' : 'missing',
+          sceneChildren: gltf.scene?.children?.length || 0
         })
         
-        if (allMeshes.length >= 2) {
-          // Assume first mesh is ground, second is tree based on Babylon.js order
-          this.groundMesh = allMeshes[0]
-          this.treeMesh = allMeshes[1]
-          console.log('🔄 [DEBUG] Using fallback mesh assignment by index')
+        // ✅ IMPROVED: Debug scene hierarchy before extraction
+        if (gltf.scene && gltf.scene.children) {
+          console.log('📋 [DEBUG] Scene children:')
+          this.debugSceneHierarchy(gltf.scene, 0)
+        }
+        
+        if (entry.meshes.length === 0) {
+          // No mesh list - use the whole scene with its own materials
+          template = gltf.scene
         } else {
-          console.error('❌ [DEBUG] Insufficient meshes found for fallback')
-          this.treeSceneLoading = false
-          return
+          const meshes = this.extractEntryMeshes(gltf.scene, entry)
+          if (!meshes) {
+            throw new Error(`Insufficient meshes found for "${entry.id}"`)
+          }
+          
+          // Create a group to hold the listed meshes
+          template = new THREE.Group()
+          meshes.forEach(({ mesh }) => template.add(mesh))
+          
+          // Apply basic materials
+          await this.setupBasicMaterials(entry, meshes)
         }
+        
+        template.name = entry.id
+        
+        // ✅ PERFORMANCE: Optimize geometry for WebXR
+        this.optimizeGeometry(template)
+        
+        // Scale for AR use (source models are often authored large)
+        template.scale.setScalar(entry.scale)
+        
+        // Initially hidden until placed
+        template.visible = false
+        // ✅ PERFORMANCE: Disable shadows entirely for WebXR performance
+        template.castShadow = false
+        template.receiveShadow = false
+        
+      } catch (error) {
+        console.error(`❌ [DEBUG] Error loading content "${entry.id}":`, error)
+        
+        // Fallback: create a simple shape if loading fails
+        console.log('🔄 [DEBUG] Falling back to simple cube...')
+        template = this.createFallbackCube(entry)
       }
-      
+    }
+    
+    // ✅ CHANGED: Templates stay out of the scene; placed instances are clones
+    template.userData.contentId = entry.id
+    template.userData.footprint = this.measureFootprint(template, entry)
+    this.contentTemplates.set(entry.id, template)
+    console.log(`✅ [DEBUG] Content template "${entry.id}" created`)
+    return template
+  }
+
+  /**
+   * Find the meshes a catalog entry lists, falling back to traversal order
+   * @param {THREE.Object3D} scene Loaded GLB scene
+   * @param {Object} entry Catalog entry
+   * @returns {Array<{spec: Object, mesh: THREE.Mesh}>|null} Mesh specs paired with meshes
+   */
+  extractEntryMeshes(scene, entry) {
+    // ✅ IMPROVED: Try multiple extraction methods
+    const byName = entry.meshes.map(spec => ({ spec, mesh: this.extractMesh(scene, spec.name) }))
+    if (byName.every(({ mesh }) => mesh)) {
       console.log('✅ [DEBUG] Meshes extracted successfully')
-      console.log('🏔️ [DEBUG] Ground mesh:', this.groundMesh?.name || 'unnamed')
-      console.log('🌲 [DEBUG] Tree mesh:', this.treeMesh?.name || 'unnamed')
-      
-      // Create a group to hold both meshes
-      this.treeScene = new THREE.Group()
-      this.treeScene.name = 'TreeScene'
-      this.treeScene.add(this.groundMesh)
-      this.treeScene.add(this.treeMesh)
-      
-      // Apply basic materials
-      await this.setupBasicMaterials()
-      
-      // ✅ PERFORMANCE: Optimize geometry for WebXR
-      this.optimizeGeometry()
-      
-      // Scale down for AR use (original is quite large)
-      this.treeScene.scale.setScalar(0.05)
-      
-      // Initially hidden until placed
-      this.treeScene.visible = false
-      // ✅ PERFORMANCE: Disable shadows entirely for WebXR performance
-      this.treeScene.castShadow = false
-      this.treeScene.receiveShadow = false
-      
-      // Add to content group for organization
-      this.sceneGroups.content.add(this.treeScene)
-      
-      this.treeSceneLoaded = true
-      console.log('✅ [DEBUG] Tree scene created and added to content group')
-      
-    } catch (error) {
-      console.error('❌ [DEBUG] Error loading tree scene:', error)
-      
-      // Fallback: create a simple cube if loading fails
-      console.log('🔄 [DEBUG] Falling back to simple cube...')
-      this.createFallbackCube()
-      this.treeSceneLoaded = true // Mark as loaded even with fallback
-      
-    } finally {
-      this.treeSceneLoading = false
+      return byName
+    }
+    
+    console.error('❌ [DEBUG] Could not find required meshes in GLB')
+    console.log('📋 [DEBUG] Attempting fallback extraction...')
+    
+    // ✅ FALLBACK: Try extracting by type and index
+    const allMeshes = []
+    scene.traverse((child) => {
+      if (child.isMesh) {
+        allMeshes.push(child)
+        console.log(`🔍 [DEBUG] Found mesh: "${child.name}" (geometry: ${child.geometry.type}, vertices: ${child.geometry.attributes?.position?.count || 'unknown'})`)
+      }
+    })
+    
+    if (allMeshes.length < entry.meshes.length) {
+      console.error('❌ [DEBUG] Insufficient meshes found for fallback')
+      return null
     }
+    
+    // Assume meshes appear in the same order the catalog lists them
+    console.log('🔄 [DEBUG] Using fallback mesh assignment by index')
+    return entry.meshes.map((spec, index) => ({ spec, mesh: allMeshes[index] }))
   }
 
   /**
@@ -553,8 +1022,13 @@ class WebXRPlaneDetectionApp {
     }
   }
 
-  async setupBasicMaterials() {
-    console.log('�� [DEBUG] Setting up optimized materials for WebXR performance...')
+  /**
+   * Apply textured (or flat fallback) materials to a catalog entry's meshes
+   * @param {Object} entry Catalog entry
+   * @param {Array<{spec: Object, mesh: THREE.Mesh}>} meshes Mesh specs paired with meshes
+   */
+  async setupBasicMaterials(entry, meshes) {
+    console.log(`🎨 [DEBUG] Setting up optimized materials for "${entry.id}"...`)
     
     try {
       const textureLoader = new THREE.TextureLoader()
@@ -562,51 +1036,34 @@ class WebXRPlaneDetectionApp {
       // Load textures with proper validation
       console.log('📥 [DEBUG] Loading and optimizing textures...')
       
-      const texturePromises = [
-        this.loadTextureWithValidation(textureLoader, 'assets/tree-scene/optimized/groundMat_diffuse.png', 'ground'),
-        this.loadTextureWithValidation(textureLoader, 'assets/tree-scene/optimized/treeMat_diffuse.png', 'tree')
-      ]
-      
-      const [groundTexture, treeTexture] = await Promise.all(texturePromises)
-      
-      // ✅ PERFORMANCE: Optimize textures for WebXR
-      this.optimizeTexture(groundTexture, 'ground')
-      this.optimizeTexture(treeTexture, 'tree')
+      const textures = await Promise.all(meshes.map(({ spec }) => (
+        spec.texture
+          ? this.loadTextureWithValidation(textureLoader, spec.texture, spec.name)
+          : null
+      )))
       
-      console.log('✅ [DEBUG] Textures loaded and optimized for performance')
-      
-      // ✅ PERFORMANCE: Use MeshBasicMaterial for better performance in AR
-      // AR environments have their own lighting, so we don't need complex lighting
-      const groundMaterial = new THREE.MeshBasicMaterial({ 
-        map: groundTexture,
-        side: THREE.DoubleSide,
-        // ✅ PERFORMANCE: Disable unnecessary features
-        fog: false,
-        transparent: false
-      })
-      
-      const treeMaterial = new THREE.MeshBasicMaterial({ 
-        map: treeTexture,
-        side: THREE.DoubleSide,
-        fog: false,
-        transparent: false
-      })
-      
-      // Apply materials with validation
-      if (this.groundMesh) {
-        this.groundMesh.material = groundMaterial
+      meshes.forEach(({ spec, mesh }, index) => {
+        const texture = textures[index]
+        
+        // ✅ PERFORMANCE: Optimize textures for WebXR
+        if (texture) {
+          this.optimizeTexture(texture, spec.name)
+        }
+        
+        // ✅ CHANGED: Unlit MeshBasicMaterial unless light estimation can light the content
+        mesh.material = this.createContentMaterial({
+          map: texture,
+          color: texture ? 0xffffff : (spec.fallbackColor || 0xcccccc),
+          side: THREE.DoubleSide,
+          // ✅ PERFORMANCE: Disable unnecessary features
+          fog: false,
+          transparent: false
+        })
         // ✅ PERFORMANCE: Disable shadows for better performance
-        this.groundMesh.castShadow = false
-        this.groundMesh.receiveShadow = false
-        console.log('🏔️ [DEBUG] Ground material applied with performance optimizations')
-      }
-      
-      if (this.treeMesh) {
-        this.treeMesh.material = treeMaterial
-        this.treeMesh.castShadow = false
-        this.treeMesh.receiveShadow = false
-        console.log('🌲 [DEBUG] Tree material applied with performance optimizations')
-      }
+        mesh.castShadow = false
+        mesh.receiveShadow = false
+        console.log(`🖌️ [DEBUG] ${spec.name} material applied with performance optimizations`)
+      })
       
       console.log('✅ [DEBUG] Materials setup complete with WebXR performance optimizations')
       
@@ -614,21 +1071,36 @@ class WebXRPlaneDetectionApp {
       console.error('❌ [DEBUG] Error setting up materials:', error)
       
       // ✅ PERFORMANCE: Lightweight fallback materials
-      if (this.groundMesh) {
-        this.groundMesh.material = new THREE.MeshBasicMaterial({ color: 0x8B4513 }) // Brown
-        this.groundMesh.castShadow = false
-        this.groundMesh.receiveShadow = false
-      }
-      if (this.treeMesh) {
-        this.treeMesh.material = new THREE.MeshBasicMaterial({ color: 0x228B22 }) // Forest green
-        this.treeMesh.castShadow = false
-        this.treeMesh.receiveShadow = false
-      }
+      meshes.forEach(({ spec, mesh }) => {
+        mesh.material = this.createContentMaterial({ color: spec.fallbackColor || 0xcccccc })
+        mesh.castShadow = false
+        mesh.receiveShadow = false
+      })
       
       console.log('🔄 [DEBUG] Applied lightweight fallback materials')
     }
   }
 
+  /**
+   * ✅ NEW: Create a content material that responds to estimated light
+   * With light estimation the probe, key light and reflection map (scene.environment)
+   * describe the real room, so content is shaded physically to match it. Without it
+   * the cheaper unlit/Lambert material is kept.
+   * @param {Object} parameters Material parameters (map, color, side, ...)
+   * @param {Function} UnlitMaterial Material class to use without light estimation
+   * @returns {THREE.Material}
+   */
+  createContentMaterial(parameters, UnlitMaterial = THREE.MeshBasicMaterial) {
+    if (!this.lightEstimation) {
+      return new UnlitMaterial(parameters)
+    }
+    return new THREE.MeshStandardMaterial({
+      roughness: this.CONTENT_ROUGHNESS,
+      metalness: 0,
+      ...parameters
+    })
+  }
+
   /**
    * ✅ NEW: Optimize texture for WebXR performance
    */
@@ -695,61 +1167,119 @@ class WebXRPlaneDetectionApp {
   }
 
   /**
-   * ✅ NEW: Proper disposal of tree scene resources
+   * ✅ NEW: Proper disposal of content template resources
    */
-  disposeTreeScene() {
-    if (!this.treeScene) return
+  disposeContentTemplates() {
+    if (this.contentTemplates.size === 0) return
     
-    console.log('🗑️ [DEBUG] Disposing tree scene resources...')
+    console.log('🗑️ [DEBUG] Disposing content template resources...')
     
-    // Dispose materials and textures
-    this.treeScene.traverse((child) => {
-      if (child.material) {
-        if (child.material.map) {
-          child.material.map.dispose()
+    this.contentTemplates.forEach((template) => {
+      // Dispose materials and textures
+      template.traverse((child) => {
+        if (child.material) {
+          const materials = Array.isArray(child.material) ? child.material : [child.material]
+          materials.forEach(material => {
+            if (material.map) {
+              material.map.dispose()
+            }
+            material.dispose()
+          })
         }
-        child.material.dispose()
-      }
+        
+        if (child.geometry) {
+          child.geometry.dispose()
+        }
+      })
       
-      if (child.geometry) {
-        child.geometry.dispose()
+      // Remove from scene
+      if (template.parent) {
+        template.parent.remove(template)
       }
     })
     
-    // Remove from scene
-    if (this.treeScene.parent) {
-      this.treeScene.parent.remove(this.treeScene)
-    }
-    
     // Clear references
-    this.treeScene = null
-    this.groundMesh = null
-    this.treeMesh = null
-    this.treeSceneLoaded = false
+    this.contentTemplates.clear()
     
-    console.log('✅ [DEBUG] Tree scene disposed successfully')
+    console.log('✅ [DEBUG] Content templates disposed successfully')
   }
 
-  createFallbackCube() {
+  /**
+   * Create the fallback shape for a catalog entry
+   * @param {Object} entry Catalog entry
+   * @returns {THREE.Mesh} Fallback template
+   */
+  createFallbackCube(entry) {
     console.log('📦 [DEBUG] Creating fallback cube...')
     
-    const geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2)
-    const material = new THREE.MeshLambertMaterial({ color: 0x00ff00 })
+    const { size, color } = entry.fallback
+    const geometry = new THREE.BoxGeometry(size, size, size)
+    const material = this.createContentMaterial({ color }, THREE.MeshLambertMaterial)
     
-    this.treeScene = new THREE.Mesh(geometry, material)
-    this.treeScene.visible = false
-    this.treeScene.castShadow = true
-    this.treeScene.receiveShadow = true
+    const cube = new THREE.Mesh(geometry, material)
+    cube.name = entry.id
+    cube.visible = false
+    cube.castShadow = true
+    cube.receiveShadow = true
     
-    this.sceneGroups.content.add(this.treeScene)
+    console.log('✅ [DEBUG] Fallback cube template created')
+    return cube
+  }
+
+  /**
+   * Get the loaded template for the active catalog entry
+   * @returns {THREE.Object3D|null}
+   */
+  getActiveTemplate() {
+    const entry = this.contentCatalog.getActiveEntry()
+    return entry ? this.contentTemplates.get(entry.id) || null : null
+  }
+
+  /**
+   * Choose which catalog entry new placements use
+   * Loads the entry's template right away when a session is running.
+   * @param {string} id Catalog entry id
+   * @returns {Promise<boolean>} True if the entry exists
+   */
+  async selectContent(id) {
+    const entry = this.contentCatalog.setActiveEntry(id)
+    if (!entry) return false
     
-    console.log('✅ [DEBUG] Fallback cube created')
+    if (this.ui.contentSelect && this.ui.contentSelect.value !== id) {
+      this.ui.contentSelect.value = id
+    }
+    
+    this.cursorManager?.setFootprint(entry.footprint.width, entry.footprint.depth)
+    
+    // A pending suggestion shows the previous content - suggest again for the new one
+    this.cancelAutoPlacement()
+    this.autoPlaceCheckedAt = -1
+    
+    if (this.session) {
+      this.setStatus(`⏳ Loading ${entry.name}...`)
+      await this.createContentTemplate(entry)
+      // The loaded model's bounds refine the catalog footprint
+      const footprint = this.getContentFootprint(entry)
+      this.cursorManager?.setFootprint(footprint.width, footprint.depth)
+      this.setStatus(`${entry.name} selected - point at a surface to place it`)
+    } else if (this.preview) {
+      await this.updateInlinePreview(entry)
+    }
+    return true
   }
 
-  placeCubeOnPlane(plane, frame) {
+  /**
+   * Place a tree scene instance at the center of a detected plane
+   * @param {XRPlane} plane Target plane
+   * @param {XRFrame} frame Current XR frame
+   * @param {Object} placed Placed object record to position
+   * @param {Object} options { createAnchor } - previews skip the anchor until confirmed
+   * @returns {boolean} True if placement successful
+   */
+  placeCubeOnPlane(plane, frame, placed, { createAnchor = true } = {}) {
     console.log('🎯 [DEBUG] Attempting to place tree scene on plane...')
     
-    if (!plane || !frame || !this.refSpace) {
+    if (!plane || !frame || !this.refSpace || !placed) {
       console.warn('⚠️ [DEBUG] Missing required parameters for tree scene placement')
       return false
     }
@@ -762,7 +1292,12 @@ class WebXRPlaneDetectionApp {
         return false
       }
 
-      // Debug plane information
+      // ✅ NEW: Respect the catalog entry's allowed surface orientations and labels
+      if (!this.isSurfaceAllowedFor(placed, plane.orientation, plane.semanticLabel)) {
+        return false
+      }
+
+      // Debug plane information
       console.log('🛩️ [DEBUG] Plane info:', {
         orientation: plane.orientation,
         polygonVertices: plane.polygon?.length || 0
@@ -771,7 +1306,7 @@ class WebXRPlaneDetectionApp {
 
       // Calculate tree scene position (center of plane, on surface)
       const planeMatrix = planePose.transform.matrix
-      const planeCenter = getPlaneCenter(plane.polygon)
+      const planeCenter = this.planeDetection?.getPlaneData(plane)?.center || getPlaneCenter(plane.polygon)
       
       // ✅ FIXED: Transform plane center to world coordinates first
       const worldPlaneCenter = multiplyMatrixAndPoint(planeMatrix, [
@@ -781,32 +1316,28 @@ class WebXRPlaneDetectionApp {
         1.0
       ])
 
-      // ✅ FIXED: For horizontal planes, add small offset upward in world Y
-      // For vertical planes, we might need a different approach
-      let treePosition
-      
-      if (plane.orientation === 'horizontal') {
-        // For horizontal planes, offset upward in world Y-axis
-        treePosition = [
-          worldPlaneCenter[0],
-          worldPlaneCenter[1] + this.OBJECT_HEIGHT_OFFSET, // Small offset for ground clearance
-          worldPlaneCenter[2]
-        ]
-        console.log('📱 [DEBUG] Horizontal plane - adding Y offset in world coordinates')
-      } else {
-        // For vertical planes, place tree scene slightly in front of the surface
-        treePosition = [
-          worldPlaneCenter[0],
-          worldPlaneCenter[1], // Keep same height for vertical planes
-          worldPlaneCenter[2] + this.OBJECT_HEIGHT_OFFSET // Offset forward from wall
-        ]
-        console.log('🏛️ [DEBUG] Vertical plane - adding Z offset in world coordinates')
+      // ✅ FIXED: The plane's local +Y axis is its normal - offset and orient along it
+      // so walls facing any direction (and tilted planes) get correct placement
+      const planeOrientation = planePose.transform.orientation
+      const normal = new THREE.Vector3(0, 1, 0).applyQuaternion(new THREE.Quaternion(
+        planeOrientation.x, planeOrientation.y, planeOrientation.z, planeOrientation.w
+      ))
+      const planeCenterPoint = new THREE.Vector3(worldPlaneCenter[0], worldPlaneCenter[1], worldPlaneCenter[2])
+      
+      // ✅ NEW: The footprint must fit inside the plane polygon (nudged inward if close)
+      const placement = this.evaluateSurfacePlacement(planeCenterPoint, normal, frame, placed, plane)
+      if (!placement.fits) {
+        this.rejectFootprint(placed)
+        return false
       }
+      const surfacePoint = placement.position
+      const { surfaceQuaternion } = placement
+      const treePosition = surfacePoint.clone().addScaledVector(normal, this.OBJECT_HEIGHT_OFFSET)
 
-      this.treeScene.position.set(treePosition[0], treePosition[1], treePosition[2])
-      this.treeScene.visible = true
-      this.placementState = 'placed'
-      this.isPlaced = true
+      placed.object.position.copy(treePosition)
+      // Content up axis follows the plane normal; the object's own yaw and scale are kept
+      this.placedObjects.setSurfaceOrientation(placed, surfaceQuaternion)
+      placed.object.visible = true
 
       console.log('✅ [DEBUG] Tree scene placed successfully!')
       console.log('📍 [DEBUG] Plane center (world):', {
@@ -815,15 +1346,18 @@ class WebXRPlaneDetectionApp {
         z: worldPlaneCenter[2].toFixed(3)
       })
       console.log('📍 [DEBUG] Tree scene position (world):', {
-        x: treePosition[0].toFixed(3),
-        y: treePosition[1].toFixed(3),
-        z: treePosition[2].toFixed(3),
-        offsetApplied: `+${this.OBJECT_HEIGHT_OFFSET}m in ${plane.orientation === 'horizontal' ? 'Y' : 'Z'}`,
+        x: treePosition.x.toFixed(3),
+        y: treePosition.y.toFixed(3),
+        z: treePosition.z.toFixed(3),
+        normal: normal.toArray().map(value => value.toFixed(2)),
+        offsetApplied: `+${this.OBJECT_HEIGHT_OFFSET}m along plane normal`,
         planeOrientation: plane.orientation
       })
 
-      // Try to create an anchor for better stability (future feature)
-      this.tryCreateAnchor(planePose, frame)
+      // Anchor at the surface point so anchor updates keep the same offset and orientation
+      if (createAnchor) {
+        this.tryCreateAnchor(this.createSurfacePose(surfacePoint, surfaceQuaternion), frame, placed)
+      }
 
       return true
     } catch (error) {
@@ -833,35 +1367,47 @@ class WebXRPlaneDetectionApp {
   }
 
   /**
-   * Attempt to create an anchor for the placed tree scene (future WebXR feature)
+   * Attempt to create an anchor for a placed tree scene (future WebXR feature)
    * @param {XRPose} planePose Position where tree scene was placed
    * @param {XRFrame} frame Current XR frame
+   * @param {Object} placed Placed object record that owns the anchor
    */
-  async tryCreateAnchor(planePose, frame) {
+  async tryCreateAnchor(planePose, frame, placed) {
     console.log('⚓ [DEBUG] Attempting to create anchor for tree scene stability...')
     
     try {
       // Check if anchors are supported
       const session = frame.session
-      const hasAnchors = session.enabledFeatures?.includes('anchors')
+      const hasAnchors = this.capabilities?.anchors
       
       if (!hasAnchors) {
         console.log('ℹ️ [DEBUG] Anchors not available in this session')
         return
       }
 
-      // Check if createAnchor method exists (future API)
-      if (typeof session.createAnchor === 'function') {
+      // ✅ FIXED: Use the standard XRFrame.createAnchor, keeping the early session API as fallback
+      let anchorPromise = null
+      if (typeof frame.createAnchor === 'function') {
+        anchorPromise = frame.createAnchor(planePose.transform, this.refSpace)
+      } else if (typeof session.createAnchor === 'function') {
+        anchorPromise = session.createAnchor(planePose, this.refSpace)
+      }
+      
+      if (anchorPromise) {
         console.log('🔧 [DEBUG] Creating anchor at tree scene position...')
         
-        const anchor = await session.createAnchor(planePose, this.refSpace)
-        this.objectAnchor = anchor
+        const anchor = await anchorPromise
+        
+        // Set up anchor tracking (drops the anchor if the object was removed meanwhile)
+        this.placedObjects?.setAnchor(placed, anchor)
         
         console.log('✅ [DEBUG] Anchor created successfully!')
-        console.log('⚓ [DEBUG] Tree scene is now anchored to the real world')
+        console.log(`⚓ [DEBUG] Tree scene ${placed.id} is now anchored to the real world`)
         
-        // Set up anchor tracking
-        this.trackAnchoredObject = true
+        // ✅ NEW: Keep the anchor across sessions where the runtime allows it
+        if (placed.anchor === anchor) {
+          this.persistence?.persistAnchor(placed)
+        }
         
       } else {
         console.log('ℹ️ [DEBUG] createAnchor method not yet available')
@@ -873,49 +1419,308 @@ class WebXRPlaneDetectionApp {
     }
   }
 
+  /**
+   * ✅ NEW: Orientation for content resting on a surface
+   * Content +Y follows the surface normal. On floors and tables content +Z
+   * faces the viewer; on walls and slopes +Z points down the surface so
+   * content "up" (-Z) points up the wall.
+   * @param {THREE.Vector3} normal Surface normal (unit length)
+   * @param {THREE.Vector3} surfacePoint Point on the surface
+   * @param {XRFrame} frame Current XR frame (for the viewer position)
+   * @returns {THREE.Quaternion}
+   */
+  getSurfaceQuaternion(normal, surfacePoint, frame) {
+    let forward = null
+    
+    if (classifySurfaceNormal(normal) === 'horizontal') {
+      const viewerPose = frame?.getViewerPose?.(this.refSpace)
+      if (viewerPose) {
+        const { x, y, z } = viewerPose.transform.position
+        forward = new THREE.Vector3(x, y, z).sub(surfacePoint)
+      }
+    }
+    forward = forward || new THREE.Vector3(0, -1, 0)
+    
+    // Project onto the surface; fall back to any in-plane axis if degenerate
+    forward.addScaledVector(normal, -forward.dot(normal))
+    if (forward.lengthSq() < 1e-6) {
+      forward.set(0, 0, 1).addScaledVector(normal, -normal.z)
+      if (forward.lengthSq() < 1e-6) forward.set(1, 0, 0)
+    }
+    forward.normalize()
+    
+    const right = new THREE.Vector3().crossVectors(normal, forward).normalize()
+    const basis = new THREE.Matrix4().makeBasis(right, normal, forward)
+    return new THREE.Quaternion().setFromRotationMatrix(basis)
+  }
+
+  /**
+   * ✅ NEW: Build a pose-like object for anchor creation
+   * @param {THREE.Vector3} position Position in the reference space
+   * @param {THREE.Quaternion} quaternion Orientation in the reference space
+   * @returns {{transform: XRRigidTransform}}
+   */
+  createSurfacePose(position, quaternion) {
+    return {
+      transform: new XRRigidTransform(
+        { x: position.x, y: position.y, z: position.z },
+        { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+      )
+    }
+  }
+
+  /**
+   * ✅ NEW: Read the surface point and normal from a hit-test result
+   * @param {Object} hitResult Hit-test result with pose
+   * @returns {{point: THREE.Vector3, normal: THREE.Vector3}} Hit pose +Y is the surface normal
+   */
+  getHitSurface(hitResult) {
+    const { position, orientation } = hitResult.pose.transform
+    return {
+      point: new THREE.Vector3(position.x, position.y, position.z),
+      normal: new THREE.Vector3(0, 1, 0).applyQuaternion(new THREE.Quaternion(
+        orientation.x, orientation.y, orientation.z, orientation.w
+      ))
+    }
+  }
+
+  /**
+   * ✅ NEW: Measure a content template's footprint on its resting surface
+   * Uses the scaled bounding box, mirrored around the origin so yaw and
+   * off-center pivots stay covered. Falls back to the catalog footprint.
+   * @param {THREE.Object3D} template Content template
+   * @param {Object} entry Catalog entry
+   * @returns {{width: number, depth: number}} Footprint in meters
+   */
+  measureFootprint(template, entry) {
+    template.updateMatrixWorld(true)
+    const bounds = new THREE.Box3().setFromObject(template)
+    if (bounds.isEmpty()) {
+      return { ...entry.footprint }
+    }
+    
+    const width = 2 * Math.max(Math.abs(bounds.min.x), Math.abs(bounds.max.x))
+    const depth = 2 * Math.max(Math.abs(bounds.min.z), Math.abs(bounds.max.z))
+    if (!(width > 0) || !(depth > 0)) {
+      return { ...entry.footprint }
+    }
+    
+    console.log(`📐 [DEBUG] Content "${entry.id}" footprint: ${width.toFixed(3)}m x ${depth.toFixed(3)}m`)
+    return { width, depth }
+  }
+
+  /**
+   * ✅ NEW: Footprint of a catalog entry at a given object scale
+   * @param {Object} entry Catalog entry
+   * @param {number} scale Placed object scale (1 = catalog scale)
+   * @returns {{width: number, depth: number}} Footprint in meters
+   */
+  getContentFootprint(entry, scale = 1) {
+    const footprint = this.contentTemplates.get(entry.id)?.userData.footprint || entry.footprint
+    return { width: footprint.width * scale, depth: footprint.depth * scale }
+  }
+
+  /**
+   * ✅ NEW: Work out where content would rest on a surface and whether its
+   * footprint fits inside the supporting plane polygon
+   * @param {THREE.Vector3} surfacePoint Requested point on the surface
+   * @param {THREE.Vector3} normal Surface normal (unit length)
+   * @param {XRFrame} frame Current XR frame
+   * @param {Object} target Placed object record, or { contentId, yaw, scale } for previews
+   * @param {XRPlane} plane Supporting plane if already known
+   * @returns {{fits: boolean, nudged: boolean, position: THREE.Vector3, surfaceQuaternion: THREE.Quaternion, footprintQuaternion: THREE.Quaternion}}
+   */
+  evaluateSurfacePlacement(surfacePoint, normal, frame, target, plane = null) {
+    const surfaceQuaternion = this.getSurfaceQuaternion(normal, surfacePoint, frame)
+    const footprintQuaternion = surfaceQuaternion.clone().multiply(
+      new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), target.yaw || 0)
+    )
+    
+    const entry = this.contentCatalog.getEntry(target.contentId)
+    if (!this.placementValidator || !entry) {
+      return { fits: true, nudged: false, position: surfacePoint.clone(), surfaceQuaternion, footprintQuaternion }
+    }
+    
+    const support = plane
+      ? this.placementValidator.createSupport(plane, frame)
+      : this.placementValidator.findSupportingPlane(surfacePoint, normal, this.availablePlanes, frame)
+    const footprint = this.getContentFootprint(entry, target.scale || 1)
+    const check = this.placementValidator.checkFootprint(surfacePoint, footprintQuaternion, footprint, support)
+    
+    if (check.nudged) {
+      console.log(`↔️ [DEBUG] Nudged placement ${check.position.distanceTo(surfacePoint).toFixed(3)}m inward to fit the plane`)
+    }
+    return { ...check, surfaceQuaternion, footprintQuaternion }
+  }
+
+  /**
+   * ✅ NEW: Record a placement refused because the footprint doesn't fit
+   * @param {Object} placed Placed object record
+   */
+  rejectFootprint(placed) {
+    const name = this.contentCatalog.getEntry(placed.contentId)?.name || 'Object'
+    console.log(`🚫 [DEBUG] ${name} footprint does not fit inside the target plane`)
+    this.placementRejection = `🚫 Not enough room for ${name} here - move away from the edge`
+  }
+
+  /**
+   * ✅ NEW: Color cursors by whether the content would fit where they point
+   * and move them to the (possibly nudged) placement position
+   * @param {Map<XRInputSource, Object>} hitTestResults Map of input sources to hit results
+   * @param {XRFrame} frame Current XR frame
+   */
+  updatePlacementPreviews(hitTestResults, frame) {
+    const target = this.repositioningObject || {
+      contentId: this.contentCatalog.getActiveEntry()?.id,
+      yaw: 0,
+      scale: 1
+    }
+    const entry = this.contentCatalog.getEntry(target.contentId)
+    if (!entry) return
+    
+    let hint = null
+    for (const [inputSource, hitResult] of hitTestResults) {
+      if (!hitResult?.pose) continue
+      
+      const { point, normal } = this.getHitSurface(hitResult)
+      const surfacePlane = this.findSurfacePlane(point, normal, frame)
+      const label = surfacePlane?.semanticLabel
+      const allowed = this.contentCatalog.isSurfaceAllowed(entry, classifySurfaceNormal(normal), label)
+      const placement = this.evaluateSurfacePlacement(point, normal, frame, target, surfacePlane)
+      
+      this.cursorManager.setPlacementPreview(inputSource, {
+        valid: allowed && placement.fits,
+        position: placement.position,
+        quaternion: placement.footprintQuaternion
+      })
+      
+      // ✅ NEW: Name the labelled surface under the first cursor
+      if (!hint && label && label !== 'unknown') {
+        hint = allowed
+          ? `📍 Place ${entry.name} on ${label}`
+          : `🚫 ${entry.name} can't go on the ${label} - try a ${this.contentCatalog.describeAllowedSurfaces(entry)}`
+      }
+    }
+    
+    if (hint !== this.surfaceHint) {
+      this.surfaceHint = hint
+      if (hint && (this.placementState === 'scanning' || this.placementState === 'repositioning')) {
+        this.setStatus(hint)
+      }
+    }
+  }
+
+  /**
+   * ✅ NEW: Find the detected plane under a hit-test surface point
+   * @param {THREE.Vector3} point Surface point
+   * @param {THREE.Vector3} normal Surface normal
+   * @param {XRFrame} frame Current XR frame
+   * @returns {XRPlane|null} Plane the point rests on (for its semantic label)
+   */
+  findSurfacePlane(point, normal, frame) {
+    return this.placementValidator?.findSupportingPlane(point, normal, this.availablePlanes, frame)?.plane || null
+  }
+
+  /**
+   * ✅ CHANGED: Check a placed object's catalog entry allows a surface
+   * (orientation and, when the surface is a labelled plane, its semantic label)
+   * @param {Object} placed Placed object record
+   * @param {string} orientation Surface orientation ('horizontal' | 'vertical' | 'tilted')
+   * @param {string} semanticLabel Semantic label of the plane under the surface
+   * @returns {boolean}
+   */
+  isSurfaceAllowedFor(placed, orientation, semanticLabel = 'unknown') {
+    const entry = this.contentCatalog.getEntry(placed.contentId)
+    if (!entry) return true
+    
+    if (!this.contentCatalog.isOrientationAllowed(entry, orientation)) {
+      console.log(`🚫 [DEBUG] "${entry.id}" cannot be placed on ${orientation} surfaces`)
+      return false
+    }
+    
+    if (!this.contentCatalog.isLabelAllowed(entry, semanticLabel)) {
+      console.log(`🚫 [DEBUG] "${entry.id}" cannot be placed on a ${semanticLabel}`)
+      // Refuse outright - falling back to another plane would surprise the user
+      this.placementRejection = `🚫 ${entry.name} can't go on the ${semanticLabel} - place it on a ${this.contentCatalog.describeAllowedSurfaces(entry)}`
+      return false
+    }
+    return true
+  }
+
   /**
    * ✅ NEW: Place tree scene at hit-test result location
    * @param {Object} hitResult Hit-test result with pose and metadata
    * @param {XRFrame} frame Current XR frame
+   * @param {Object} placed Placed object record to position
+   * @returns {boolean} True if placement successful
+   */
+  placeCubeAtHitTest(hitResult, frame, placed) {
+    console.log('🎯 [DEBUG] Placing tree scene at hit-test location...')
+    
+    // ✅ NEW: Hit pose +Y is the surface normal - classify it for catalog rules
+    const { point, normal } = this.getHitSurface(hitResult)
+    return this.placeCubeAtSurface(point, normal, frame, placed)
+  }
+
+  /**
+   * ✅ NEW: Place tree scene where the pointing ray hits a detected scene mesh
+   * @param {Object} meshHit Result of SceneMeshManager.raycast
+   * @param {XRFrame} frame Current XR frame
+   * @param {Object} placed Placed object record to position
    * @returns {boolean} True if placement successful
    */
-  placeCubeAtHitTest(hitResult, frame) {
+  placeCubeOnSceneMesh(meshHit, frame, placed) {
+    console.log(`🕸️ [DEBUG] Placing tree scene on scene mesh (${meshHit.semanticLabel})...`)
+    return this.placeCubeAtSurface(meshHit.point, meshHit.normal, frame, placed, meshHit.semanticLabel)
+  }
+
+  /**
+   * ✅ CHANGED: Shared by hit-test and scene mesh placement
+   * @param {THREE.Vector3} hitPoint Surface point
+   * @param {THREE.Vector3} normal Surface normal
+   * @param {XRFrame} frame Current XR frame
+   * @param {Object} placed Placed object record to position
+   * @param {string|null} meshLabel Semantic label of the scene mesh that was hit, if any
+   * @returns {boolean} True if placement successful
+   */
+  placeCubeAtSurface(hitPoint, normal, frame, placed, meshLabel = null) {
     try {
-      console.log('🎯 [DEBUG] Placing tree scene at hit-test location...')
+      const surfaceOrientation = classifySurfaceNormal(normal)
+      const surfacePlane = this.findSurfacePlane(hitPoint, normal, frame)
+      const semanticLabel = meshLabel || surfacePlane?.semanticLabel
+      if (!this.isSurfaceAllowedFor(placed, surfaceOrientation, semanticLabel)) {
+        return false
+      }
       
-      const { pose } = hitResult
-      const position = pose.transform.position
-      const orientation = pose.transform.orientation
+      // ✅ NEW: The footprint must fit inside the plane polygon (nudged inward if close)
+      const placement = this.evaluateSurfacePlacement(hitPoint, normal, frame, placed, surfacePlane)
+      if (!placement.fits) {
+        this.rejectFootprint(placed)
+        return false
+      }
       
-      // Apply height offset above the hit surface
-      const treePosition = [
-        position.x,
-        position.y + this.OBJECT_HEIGHT_OFFSET,
-        position.z
-      ]
+      // ✅ FIXED: Offset along the surface normal (not world Y) so walls and slopes work too
+      const surfacePoint = placement.position
+      const { surfaceQuaternion } = placement
+      const treePosition = surfacePoint.clone().addScaledVector(normal, this.OBJECT_HEIGHT_OFFSET)
       
       console.log('📍 [DEBUG] Hit-test placement position:', {
-        original: [position.x, position.y, position.z],
-        withOffset: treePosition,
+        original: hitPoint.toArray(),
+        withOffset: treePosition.toArray(),
+        nudged: placement.nudged,
+        surfaceOrientation,
         heightOffset: this.OBJECT_HEIGHT_OFFSET
       })
       
       // Position the tree scene
-      this.treeScene.position.set(...treePosition)
-      this.treeScene.quaternion.set(
-        orientation.x, 
-        orientation.y, 
-        orientation.z, 
-        orientation.w
-      )
-      this.treeScene.visible = true
-      this.placementState = 'placed'
-      this.isPlaced = true
+      placed.object.position.copy(treePosition)
+      this.placedObjects.setSurfaceOrientation(placed, surfaceQuaternion)
+      placed.object.visible = true
 
       console.log('✅ [DEBUG] Tree scene placed successfully at hit-test location!')
       
       // Try to create anchor for stability
-      this.tryCreateAnchor(pose, frame).catch(error => {
+      this.tryCreateAnchor(this.createSurfacePose(surfacePoint, surfaceQuaternion), frame, placed).catch(error => {
         console.warn('⚠️ [DEBUG] Failed to create anchor for hit-test placement:', error)
       })
       
@@ -928,44 +1733,22 @@ class WebXRPlaneDetectionApp {
   }
 
   /**
-   * Update tree scene position using anchor if available
+   * Update placed tree scene positions using their anchors if available
    * @param {XRFrame} frame Current XR frame
    */
-  updateAnchoredObject(frame) {
-    if (!this.trackAnchoredObject || !this.objectAnchor || !this.treeScene) {
+  updateAnchoredObjects(frame) {
+    if (!this.placedObjects || this.placedObjects.count === 0) {
       return
     }
 
-    try {
-      // Get current anchor pose
-      const anchorPose = frame.getPose(this.objectAnchor.anchorSpace, this.refSpace)
-      
-      if (anchorPose) {
-        const pos = anchorPose.transform.position
-        const rot = anchorPose.transform.orientation
-        
-        // ✅ FIXED: Add offset in world coordinates for anchored tree scene too
-        this.treeScene.position.set(
-          pos.x, 
-          pos.y + this.OBJECT_HEIGHT_OFFSET, // Offset in world Y
-          pos.z
-        )
-        this.treeScene.quaternion.set(rot.x, rot.y, rot.z, rot.w)
-        
-        console.log('⚓ [DEBUG] Tree scene position updated via anchor')
-      } else {
-        console.warn('⚠️ [DEBUG] Could not get anchor pose, disabling tracking')
-        this.trackAnchoredObject = false
-      }
-      
-    } catch (error) {
-      console.error('❌ [DEBUG] Error updating anchored tree scene:', error)
-      this.trackAnchoredObject = false
-    }
+    // ✅ FIXED: Add offset in world coordinates for anchored tree scenes too
+    this.placedObjects.updateAnchors(frame, this.refSpace, this.OBJECT_HEIGHT_OFFSET)
   }
 
   onXRFrame(time, frame) {
     const session = frame.session
+    // ✅ NEW: Ignore callbacks from a session that has already been torn down
+    if (session !== this.session) return
     session.requestAnimationFrame((time, frame) => this.onXRFrame(time, frame))
 
     // Update debug counters
@@ -986,8 +1769,24 @@ class WebXRPlaneDetectionApp {
       this.lastLogTime = time
     }
 
-    // ✅ ENHANCED: Update interaction systems (during scanning and repositioning)
-    if (this.placementState === 'scanning' || this.placementState === 'repositioning') {
+    const deltaTime = this.lastFrameTime ? Math.min((time - this.lastFrameTime) / 1000, 0.1) : 0
+    this.lastFrameTime = time
+
+    // ✅ NEW: Input and hit-testing wait while a system menu covers the session
+    const inputPaused = this.isInputPaused()
+    
+    // ✅ NEW: Rotate/scale gestures take over input while active
+    if (!inputPaused && this.placementState === 'manipulating') {
+      this.updateManipulation(frame, deltaTime)
+    } else if (!inputPaused && this.placementState === 'placed' && this.manipulation) {
+      const selected = this.placedObjects?.getSelected()
+      if (selected && this.manipulation.updateThumbstick(selected, session.inputSources, deltaTime)) {
+        this.enterManipulating(selected, '🕹️ Rotating - release the thumbstick to finish')
+      }
+    }
+
+    // ✅ ENHANCED: Update interaction systems (cursors stay live after placement so more objects can be added)
+    if (!inputPaused && (this.placementState === 'scanning' || this.placementState === 'placed' || this.placementState === 'repositioning')) {
       this.updateInputSources(frame)
       
       // ✅ FIXED: Only update hit-testing if we have active input sources (performance optimization)
@@ -1005,6 +1804,7 @@ class WebXRPlaneDetectionApp {
           const hitTestResults = this.hitTestManager.getAllHitTestResults()
           if (hitTestResults.size > 0) {
             this.cursorManager.updateCursors(hitTestResults, time)
+            this.updatePlacementPreviews(hitTestResults, frame)
           } else {
             this.cursorManager.hideAllCursors()
           }
@@ -1038,12 +1838,41 @@ class WebXRPlaneDetectionApp {
 
     // Check for detected planes (always scan, even after placement)
     this.scanForPlanes(frame)
+    this.meshDetection?.processFrame(frame, this.refSpace)
+    
+    // ✅ NEW: Suggest a spot once planes settle, and handle confirm / next requests
+    this.updateAutoPlacement(frame)
+    
+    // Update placed tree scene positions using anchors if available
+    this.updateAnchoredObjects(frame)
+    
+    // ✅ NEW: Pose controller and hand models
+    this.inputModels?.update(frame, this.refSpace)
+    
+    // ✅ NEW: Keep the status panel in view
+    this.hud?.update(frame, this.refSpace, deltaTime)
+    
+    // ✅ NEW: Follow real-world lighting (every few frames)
+    this.lightEstimation?.update(frame, this.refSpace)
     
-    // Update tree scene position using anchor if available (after placement)
-    if (this.placementState === 'placed') {
-      this.updateAnchoredObject(frame)
+    // ✅ NEW: Re-render shadows only when placed content or planes change
+    if (this.shadowCatchers && this.placedObjects) {
+      this.shadowCatchers.update(
+        this.placedObjects.getAll(),
+        this.planeDetection?.getTrackedPlanes() || [],
+        this.OBJECT_HEIGHT_OFFSET
+      )
+    }
+    
+    // ✅ NEW: Place saved objects once the floor is known, and save changes
+    if (this.persistence && this.placedObjects) {
+      this.restoreFloorRelativeObjects(frame)
+      this.persistence.update(frame, this.placedObjects.getAll(), this.availablePlanes)
     }
 
+    // ✅ NEW: Fetch real-world depth (or fall back to plane occluders) before drawing
+    this.webxrRenderer.updateOcclusion(frame, this.refSpace)
+    
     // Render the scene
     this.renderer.clearDepth()
     this.renderer.render(this.scene, this.camera)
@@ -1051,9 +1880,17 @@ class WebXRPlaneDetectionApp {
 
   /**
    * Scan for planes and store them (separated from placement logic)
+   * ✅ CHANGED: PlaneDetection tracks the planes and raises detected/updated/removed events
    * @param {XRFrame} frame Current XR frame
    */
   scanForPlanes(frame) {
+    if (!this.planeDetection) return
+    
+    // Runs even when the frame has no planes so removals are reported
+    const planes = this.planeDetection.processFrame(frame, this.refSpace)
+    this.availablePlanes = planes.all.map(planeData => planeData.plane)
+    this.totalPlanesDetected = this.planeDetection.stats.totalPlanesDetected
+    
     // Check if frame has detectedPlanes property
     if (!('detectedPlanes' in frame)) {
       // Provide helpful guidance for Quest 3 users
@@ -1069,45 +1906,48 @@ class WebXRPlaneDetectionApp {
       return
     }
     
-    const planes = frame.detectedPlanes
-    if (!planes || planes.size === 0) {
+    if (planes.all.length === 0) {
       // Provide specific guidance when no planes are found
       if (this.frameCount % (this.LOG_FREQUENCY_FRAMES * 2) === 0) { // Log every 4 seconds
         const isQuest3 = this.webxrSession.detectsQuest3Device()
         if (isQuest3) {
           console.log('🔍 [DEBUG] Quest 3: No planes found - room capture may be incomplete')
-          this.ui.statusDiv.textContent = '🏠 Complete room scan by pointing at all surfaces'
+          this.setStatus('🏠 Complete room scan by pointing at all surfaces')
         } else {
           console.log('🔍 [DEBUG] No planes detected - scanning environment...')
-          this.ui.statusDiv.textContent = 'AR Active - Scanning for surfaces...'
+          this.setStatus('AR Active - Scanning for surfaces...')
         }
       }
       return
     }
     
-    // Store detected planes for manual selection
-    const horizontalPlanes = Array.from(planes).filter(plane => plane.orientation === 'horizontal')
-    const verticalPlanes = Array.from(planes).filter(plane => plane.orientation === 'vertical')
-    
-    this.availablePlanes = horizontalPlanes
-    this.totalPlanesDetected = Math.max(this.totalPlanesDetected, planes.size)
-    
     if (this.frameCount % this.LOG_FREQUENCY_FRAMES === 0) { // Log every 2 seconds at 60fps
-      console.log(`🎯 [DEBUG] Found ${horizontalPlanes.length} horizontal surfaces available for placement`)
-      console.log(`📊 [DEBUG] Total planes: ${planes.size} (${horizontalPlanes.length} horizontal, ${verticalPlanes.length} vertical)`)
-      
-      // Update UI based on plane availability
-      if (horizontalPlanes.length > 0) {
-        if (this.placementState === 'scanning') {
-          this.ui.statusDiv.textContent = `✅ Found ${horizontalPlanes.length} surfaces - point and select to place cube`
+      console.log(`🎯 [DEBUG] Found ${planes.horizontal.length} horizontal surfaces available for placement`)
+      console.log(`📊 [DEBUG] Total planes: ${planes.all.length} (${planes.horizontal.length} horizontal, ${planes.vertical.length} vertical)`)
+      
+      // Update UI based on plane availability for the active content
+      const entry = this.contentCatalog.getActiveEntry()
+      const usablePlanes = planes.all.filter(planeData =>
+        this.contentCatalog.isSurfaceAllowed(entry, planeData.orientation, planeData.semanticLabel))
+      if (usablePlanes.length > 0) {
+        if (this.placementState === 'scanning' && !this.surfaceHint) {
+          this.setStatus(`✅ Found ${usablePlanes.length} surfaces - point at a ${this.contentCatalog.describeAllowedSurfaces(entry)} and select to place ${entry.name}`)
         }
-      } else if (verticalPlanes.length > 0) {
-        this.ui.statusDiv.textContent = `📱 Found ${verticalPlanes.length} walls - looking for tables/floors...`
+      } else if (planes.vertical.length > 0) {
+        this.setStatus(`📱 Found ${planes.vertical.length} walls - looking for tables/floors...`)
       }
     }
+  }
+
+  /**
+   * ✅ NEW: PlaneDetection event - a plane appeared
+   * @param {Object} planeData Analyzed plane data
+   */
+  handlePlaneDetected(planeData) {
+    this.planesChangedAt = performance.now()
     
     // First time detecting planes - celebrate!
-    if (this.availablePlanes.length > 0 && this.totalPlanesDetected === planes.size && this.frameCount < this.LOG_FREQUENCY_FRAMES * 2) {
+    if (this.planeDetection.getPlaneCount() === 0 && this.frameCount < this.LOG_FREQUENCY_FRAMES * 2) {
       console.log('🎉 [DEBUG] First planes detected successfully!')
       
       const isQuest3 = this.webxrSession.detectsQuest3Device()
@@ -1115,48 +1955,110 @@ class WebXRPlaneDetectionApp {
         console.log('✅ [DEBUG] Quest 3 room capture working correctly')
       }
     }
+    
+    this.roomPlaneVisualizer?.addPlane(planeData)
+    this.webxrRenderer.occlusion?.addPlane(planeData)
   }
 
   /**
-   * Find the plane closest to the pointing direction
-   * @param {DOMPointReadOnly} pointingPosition Where user is pointing
+   * ✅ NEW: PlaneDetection event - a plane's polygon or pose changed
+   * Targeting highlights follow lastChangedTime themselves while targeted
+   * @param {Object} planeData Analyzed plane data
+   */
+  handlePlaneUpdated(planeData) {
+    this.planesChangedAt = performance.now()
+    this.roomPlaneVisualizer?.updatePlane(planeData)
+    this.webxrRenderer.occlusion?.updatePlane(planeData)
+  }
+
+  /**
+   * ✅ NEW: PlaneDetection event - the runtime dropped a plane
+   * @param {Object} planeData Analyzed plane data
+   */
+  handlePlaneRemoved(planeData) {
+    this.planesChangedAt = performance.now()
+    
+    // The suggested spot vanished - suggest again once planes settle
+    if (this.autoPlacement?.candidates[this.autoPlacement.index]?.plane === planeData.plane) {
+      this.cancelAutoPlacement()
+    }
+    this.roomPlaneVisualizer?.removePlane(planeData.plane)
+    this.planeVisualizer?.removeHighlight(planeData.plane)
+    this.webxrRenderer.occlusion?.removePlane(planeData.plane)
+  }
+
+  /**
+   * ✅ NEW: Check there is something to place content on
+   * @returns {boolean} True if planes or scene meshes are tracked
+   */
+  hasPlacementSurfaces() {
+    return (this.availablePlanes?.length || 0) > 0 || (this.meshDetection?.getMeshCount() || 0) > 0
+  }
+
+  /**
+   * ✅ NEW: Raycast the input's target ray against detected scene meshes
+   * @param {XRInputSource} inputSource Input source that is pointing
    * @param {XRFrame} frame Current XR frame
-   * @returns {XRPlane|null} Closest suitable plane
+   * @param {Object|null} hitResult Hit-test result for the same input, if any
+   * @returns {Object|null} Mesh hit, or null if none is nearer than the hit-test result
+   */
+  findSceneMeshHit(inputSource, frame, hitResult = null) {
+    if (!this.sceneMeshes) return null
+    
+    const inputPose = frame.getPose(inputSource.targetRaySpace, this.refSpace)
+    if (!inputPose) return null
+    
+    const { position, orientation } = inputPose.transform
+    const origin = new THREE.Vector3(position.x, position.y, position.z)
+    const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(
+      new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+    )
+    
+    const meshHit = this.sceneMeshes.raycast(origin, direction)
+    if (!meshHit) return null
+    
+    // The runtime's hit-test already landed on (or in front of) this surface
+    if (hitResult && meshHit.distance >= origin.distanceTo(this.getHitSurface(hitResult).point) - this.MESH_HIT_MARGIN) {
+      return null
+    }
+    return meshHit
+  }
+
+  /**
+   * Find the plane the user is pointing at
+   * ✅ CHANGED: Casts the pointing ray onto each tracked plane and keeps hits
+   * inside the plane polygon (same test as the targeting highlight)
+   * @param {XRRigidTransform} pointingTransform Target ray transform of the input source
+   * @param {Object} entry Catalog entry whose surface rules planes must pass (default: all planes)
+   * @returns {XRPlane|null} Nearest plane hit by the ray
    */
-  findClosestPlane(pointingPosition, frame) {
-    if (!this.availablePlanes || this.availablePlanes.length === 0) return null
+  findClosestPlane(pointingTransform, entry = null) {
+    if (!this.planeDetection || this.planeDetection.getPlaneCount() === 0) return null
+
+    const { position, orientation } = pointingTransform
+    const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(
+      new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+    )
 
     let closestPlane = null
     let closestDistance = Infinity
 
-    for (const plane of this.availablePlanes) {
-      try {
-        // Get plane center in world coordinates
-        const planePose = frame.getPose(plane.planeSpace, this.refSpace)
-        if (!planePose) continue
-
-        const planeCenter = getPlaneCenter(plane.polygon)
-        const worldPlanePos = multiplyMatrixAndPoint(planePose.transform.matrix, [
-          planeCenter.x, planeCenter.y, planeCenter.z, 1.0
-        ])
-
-        // Calculate distance from pointing position to plane center
-        const distance = Math.sqrt(
-          Math.pow(pointingPosition.x - worldPlanePos[0], 2) +
-          Math.pow(pointingPosition.y - worldPlanePos[1], 2) +
-          Math.pow(pointingPosition.z - worldPlanePos[2], 2)
-        )
-
-        if (distance < closestDistance) {
-          closestDistance = distance
-          closestPlane = plane
-        }
-      } catch (error) {
-        console.warn('⚠️ [DEBUG] Error calculating plane distance:', error)
+    for (const planeData of this.planeDetection.getTrackedPlanes()) {
+      if (entry && !this.contentCatalog.isSurfaceAllowed(entry, planeData.orientation, planeData.semanticLabel)) continue
+
+      const matrix = planeData.pose.transform.matrix
+      const hit = intersectRayWithPlane(position, direction, matrix)
+      if (!hit || hit.distance >= closestDistance) continue
+
+      if (locatePointOnPlane(hit.point, matrix, planeData.polygon)) {
+        closestDistance = hit.distance
+        closestPlane = planeData.plane
       }
     }
 
-    console.log(`📏 [DEBUG] Closest plane distance: ${closestDistance.toFixed(2)}m`)
+    if (closestPlane) {
+      console.log(`📏 [DEBUG] Pointing ray hits plane at ${closestDistance.toFixed(2)}m`)
+    }
     return closestDistance < this.MAX_PLACEMENT_DISTANCE ? closestPlane : null // Max 2 meter range
   }
 
@@ -1168,6 +2070,8 @@ class WebXRPlaneDetectionApp {
     
     // Store event handlers for cleanup
     this.selectHandler = (event) => {
+      if (this.isInputPaused()) return
+      
       console.log('👆 [DEBUG] Select event received:', {
         handedness: event.inputSource.handedness,
         targetRayMode: event.inputSource.targetRayMode,
@@ -1179,7 +2083,7 @@ class WebXRPlaneDetectionApp {
         console.log(`✨ [DEBUG] Processing ${inputType} select event for placement`)
         this.attemptPlacement(event.inputSource, event.frame, inputType)
       } else if (this.placementState === 'placed') {
-        // ✅ NEW: Check if user is selecting the placed cube to reposition it
+        // ✅ NEW: Select a placed tree to reposition it, or a surface to add another
         const inputType = event.inputSource.hand ? 'hand' : 'controller'
         console.log(`🔄 [DEBUG] Checking for cube interaction to start repositioning`)
         this.checkCubeInteraction(event.inputSource, event.frame, inputType)
@@ -1188,10 +2092,15 @@ class WebXRPlaneDetectionApp {
         const inputType = event.inputSource.hand ? 'hand' : 'controller'
         console.log(`🎯 [DEBUG] Processing ${inputType} select event for repositioning`)
         this.attemptRepositioning(event.inputSource, event.frame, inputType)
+      } else if (this.placementState === 'preview') {
+        // ✅ NEW: Accept the auto-placement suggestion
+        this.autoPlacementAction = 'confirm'
       }
     }
     
     this.selectStartHandler = (event) => {
+      if (this.isInputPaused()) return
+      
       console.log('👇 [DEBUG] Select start event:', event.inputSource.handedness)
       
       if (this.placementState === 'scanning') {
@@ -1203,7 +2112,7 @@ class WebXRPlaneDetectionApp {
         
         // Update status to show user is interacting
         const inputType = event.inputSource.hand ? 'hand pinch' : 'controller trigger'
-        this.ui.statusDiv.textContent = `🎯 ${inputType} detected - point at a surface`
+        this.setStatus(`🎯 ${inputType} detected - point at a surface`)
       }
     }
     
@@ -1213,9 +2122,36 @@ class WebXRPlaneDetectionApp {
       // Clean up pending placement
       this.pendingPlacements.delete(event.inputSource)
       
-      if (this.placementState === 'scanning') {
+      if (this.placementState === 'scanning' && !this.isInputPaused()) {
         // Reset status if placement didn't succeed
-        this.ui.statusDiv.textContent = 'AR Active - Looking for surfaces...'
+        this.setStatus(`${this.getSessionLabel()} Active - Looking for surfaces...`)
+      }
+    }
+    
+    // ✅ NEW: Squeeze with both hands / controllers to scale and rotate
+    this.squeezeStartHandler = (event) => {
+      if (this.isInputPaused()) return
+      
+      console.log('✊ [DEBUG] Squeeze start event:', event.inputSource.handedness)
+      this.squeezingSources.add(event.inputSource)
+      
+      // ✅ NEW: Squeeze while a suggestion is shown to try the next-best plane
+      if (this.placementState === 'preview') {
+        this.autoPlacementAction = 'next'
+        return
+      }
+      
+      if (this.placementState === 'placed' && this.squeezingSources.size >= 2) {
+        this.startTwoHandedManipulation(Array.from(this.squeezingSources).slice(-2), event.frame)
+      }
+    }
+    
+    this.squeezeEndHandler = (event) => {
+      console.log('🖐️ [DEBUG] Squeeze end event:', event.inputSource.handedness)
+      this.squeezingSources.delete(event.inputSource)
+      
+      if (this.manipulation?.mode === 'two-handed' && this.manipulation.usesSource(event.inputSource)) {
+        this.finishManipulation()
       }
     }
     
@@ -1223,6 +2159,8 @@ class WebXRPlaneDetectionApp {
     this.session.addEventListener('select', this.selectHandler)
     this.session.addEventListener('selectstart', this.selectStartHandler)
     this.session.addEventListener('selectend', this.selectEndHandler)
+    this.session.addEventListener('squeezestart', this.squeezeStartHandler)
+    this.session.addEventListener('squeezeend', this.squeezeEndHandler)
     
     console.log('✅ [DEBUG] Input event listeners set up')
   }
@@ -1237,41 +2175,71 @@ class WebXRPlaneDetectionApp {
       this.session.removeEventListener('select', this.selectHandler)
       this.session.removeEventListener('selectstart', this.selectStartHandler)
       this.session.removeEventListener('selectend', this.selectEndHandler)
+      this.session.removeEventListener('squeezestart', this.squeezeStartHandler)
+      this.session.removeEventListener('squeezeend', this.squeezeEndHandler)
       
       this.selectHandler = null
       this.selectStartHandler = null
       this.selectEndHandler = null
+      this.squeezeStartHandler = null
+      this.squeezeEndHandler = null
       
       console.log('✅ [DEBUG] Event listeners cleaned up')
     }
   }
 
   attemptPlacement(inputSource, frame, inputType) {
-    if (!this.availablePlanes || this.availablePlanes.length === 0) {
+    if (!this.hasPlacementSurfaces()) {
       console.warn('⚠️ [DEBUG] No surfaces available for placement')
       
       // Update status to guide user
-      this.ui.statusDiv.textContent = '🔍 Looking for surfaces... Look around tables, floor, or countertops'
+      this.setStatus('🔍 Looking for surfaces... Look around tables, floor, or countertops')
+      return
+    }
+
+    const entry = this.contentCatalog.getActiveEntry()
+    const template = this.getActiveTemplate()
+    if (!entry || !template || !this.placedObjects) {
+      console.warn('⚠️ [DEBUG] Content template not ready for placement')
+      return
+    }
+
+    if (!this.placedObjects.canAddObject()) {
+      console.warn('⚠️ [DEBUG] Placed object limit reached')
+      this.setStatus(`🌲 Maximum of ${this.placedObjects.MAX_OBJECTS} objects placed - move or remove one`)
       return
     }
 
     console.log(`🎯 [DEBUG] Attempting placement with ${inputType}...`)
+    this.placementRejection = null
+    this.surfaceHint = null
+
+    // ✅ NEW: Every placement creates an independent instance from the template
+    const placed = this.placedObjects.add(template, { contentId: entry.id })
+    if (!placed) return
 
     try {
       // ✅ ENHANCED: Try hit-testing first for precise placement
       let placementSuccessful = false
       
-      if (this.hitTestManager && this.hitTestManager.isHitTestSupported()) {
-        const hitResult = this.hitTestManager.getHitTestResult(inputSource)
-        
-        if (hitResult) {
-          console.log(`🎯 [DEBUG] Using hit-test result for ${inputType} placement`)
-          placementSuccessful = this.placeCubeAtHitTest(hitResult, frame)
-        }
+      const hitResult = this.hitTestManager?.isHitTestSupported()
+        ? this.hitTestManager.getHitTestResult(inputSource)
+        : null
+      
+      // ✅ NEW: Furniture meshes in front of the hit-test result take priority
+      const meshHit = this.findSceneMeshHit(inputSource, frame, hitResult)
+      
+      if (meshHit) {
+        console.log(`🕸️ [DEBUG] Using scene mesh hit for ${inputType} placement`)
+        placementSuccessful = this.placeCubeOnSceneMesh(meshHit, frame, placed)
+      } else if (hitResult) {
+        console.log(`🎯 [DEBUG] Using hit-test result for ${inputType} placement`)
+        placementSuccessful = this.placeCubeAtHitTest(hitResult, frame, placed)
       }
       
       // ✅ FALLBACK: Use existing plane detection if hit-testing failed or unavailable
-      if (!placementSuccessful) {
+      // (but not when the hit point was refused - the plane center is somewhere else)
+      if (!placementSuccessful && !this.placementRejection) {
         console.log(`🔄 [DEBUG] Falling back to plane detection for ${inputType} placement`)
         
         // Get the pose of the input source (where user is pointing)
@@ -1279,15 +2247,16 @@ class WebXRPlaneDetectionApp {
         
         if (!inputPose) {
           console.warn('⚠️ [DEBUG] Could not get input pose')
+          this.placedObjects.remove(placed.id)
           return
         }
 
-        // Find the closest plane to where user is pointing
-        const targetPlane = this.findClosestPlane(inputPose.transform.position, frame)
+        // Find the closest plane this content may rest on to where user is pointing
+        const targetPlane = this.findClosestPlane(inputPose.transform, entry)
         
         if (targetPlane) {
           console.log(`🎉 [DEBUG] Found target plane for ${inputType} placement!`)
-          placementSuccessful = this.placeCubeOnPlane(targetPlane, frame)
+          placementSuccessful = this.placeCubeOnPlane(targetPlane, frame, placed)
         } else {
           console.log('ℹ️ [DEBUG] No suitable plane found near pointing direction')
         }
@@ -1295,6 +2264,9 @@ class WebXRPlaneDetectionApp {
       
       if (placementSuccessful) {
         this.placementState = 'placed'
+        this.isPlaced = true
+        this.placedObjects.select(placed.id)
+        this.persistence?.markDirty()
         
         // ✅ NEW: Hide cursors when placement is successful
         if (this.cursorManager) {
@@ -1308,16 +2280,22 @@ class WebXRPlaneDetectionApp {
         
         // Update status with success
         const method = this.hitTestManager?.isHitTestSupported() ? 'hit-testing' : 'plane detection'
-        this.ui.statusDiv.textContent = `✅ Tree scene placed using ${inputType} (${method})! Point at tree to move it`
+        const count = this.placedObjects.count
+        this.setStatus(`✅ ${entry.name} placed (${count} total) using ${inputType} (${method})! Point at an object to move it or a surface to add more`)
         
-        console.log(`🎊 [DEBUG] Tree scene placed successfully using ${inputType} with ${method}!`)
+        console.log(`🎊 [DEBUG] Tree scene ${placed.id} placed successfully using ${inputType} with ${method}!`)
       } else {
-        // Guide user to point at surfaces
-        this.ui.statusDiv.textContent = `👉 Point at a flat surface and ${inputType === 'hand' ? 'pinch' : 'pull trigger'}`
+        this.placedObjects.remove(placed.id)
+        
+        // Guide user to point at surfaces this content allows
+        const surfaces = this.contentCatalog.describeAllowedSurfaces(entry)
+        this.setStatus(this.placementRejection ||
+          `👉 Point at a ${surfaces} and ${inputType === 'hand' ? 'pinch' : 'pull trigger'}`)
       }
       
     } catch (error) {
       console.error(`❌ [DEBUG] Error with ${inputType} placement:`, error)
+      this.placedObjects?.remove(placed.id)
     }
   }
 
@@ -1415,6 +2393,12 @@ class WebXRPlaneDetectionApp {
         
         // ✅ FIXED: Remove obsolete cursor cleanup (cursor manager handles this now)
         this.pendingPlacements.delete(inputSource)
+        this.squeezingSources.delete(inputSource)
+        
+        // ✅ NEW: A lost hand ends the two-handed gesture
+        if (this.manipulation?.mode === 'two-handed' && this.manipulation.usesSource(inputSource)) {
+          this.finishManipulation()
+        }
         
         // ✅ FIXED: Clear hit-test setup tracking for removed sources
         this.pendingHitTestSources.delete(inputSource)
@@ -1433,65 +2417,49 @@ class WebXRPlaneDetectionApp {
   }
 
   /**
-   * ✅ FIXED: Check if user is pointing AT the placed tree scene to start repositioning
+   * ✅ FIXED: Check if user is pointing AT a placed tree scene to start repositioning
+   * Selecting empty space places another tree instead.
    * @param {XRInputSource} inputSource Input source used for interaction
    * @param {XRFrame} frame Current XR frame
    * @param {string} inputType Type of input (hand/controller)
    */
   checkCubeInteraction(inputSource, frame, inputType) {
-    if (!this.treeScene || !this.treeScene.visible) {
+    if (!this.placedObjects || this.placedObjects.count === 0) {
       console.warn('⚠️ [DEBUG] No tree scene available for interaction')
       return
     }
 
     try {
-      // Get the input source pose (where user is pointing)
-      const inputPose = frame.getPose(inputSource.targetRaySpace, this.refSpace)
-      if (!inputPose) {
+      const raycaster = this.getInputRaycaster(inputSource, frame)
+      if (!raycaster) {
         console.warn('⚠️ [DEBUG] Could not get input pose for tree scene interaction')
         return
       }
-
-      // ✅ FIXED: Create ray from input source for proper intersection test
-      const rayOrigin = new THREE.Vector3(
-        inputPose.transform.position.x,
-        inputPose.transform.position.y,
-        inputPose.transform.position.z
-      )
-      
-      // Extract direction from orientation (forward is negative Z in WebXR)
-      const orientation = inputPose.transform.orientation
-      const forwardDirection = new THREE.Vector3(0, 0, -1)
-      const quaternion = new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
-      forwardDirection.applyQuaternion(quaternion).normalize()
-      
-      // Create Three.js raycaster for accurate intersection
-      const raycaster = new THREE.Raycaster(rayOrigin, forwardDirection)
       
-      // ✅ FIXED: Test ray intersection with tree scene (recursive for child meshes)
-      const intersections = raycaster.intersectObject(this.treeScene, true)
+      // ✅ ENHANCED: Test ray intersection against every placed tree scene
+      const hit = this.placedObjects.findIntersected(raycaster)
       
-      if (intersections.length > 0) {
-        const intersection = intersections[0]
+      if (hit) {
+        const { record, intersection } = hit
         const distance = intersection.distance
         const objectName = intersection.object.name || 'unnamed mesh'
         
-        console.log(`🎯 [DEBUG] Ray intersects tree scene (${objectName}) at ${distance.toFixed(3)}m`)
+        console.log(`🎯 [DEBUG] Ray intersects tree scene ${record.id} (${objectName}) at ${distance.toFixed(3)}m`)
         
         // Check if intersection is within reasonable range
         const MAX_INTERACTION_DISTANCE = 3.0 // 3 meters max range
         
         if (distance <= MAX_INTERACTION_DISTANCE) {
           console.log(`🔄 [DEBUG] Starting tree scene repositioning with ${inputType}`)
-          this.startRepositioning()
+          this.startRepositioning(record)
         } else {
           console.log(`ℹ️ [DEBUG] Tree scene too far to interact (${distance.toFixed(2)}m away)`)
-          this.ui.statusDiv.textContent = `🌲 Tree scene too far to move (${distance.toFixed(1)}m away)`
+          this.setStatus(`📏 ${this.getContentName(record)} too far to move (${distance.toFixed(1)}m away)`)
         }
       } else {
-        // ✅ FIXED: Provide accurate feedback when not pointing at tree scene
-        console.log(`ℹ️ [DEBUG] Not pointing directly at the tree scene`)
-        this.ui.statusDiv.textContent = `🌲 Point directly at the tree to move it`
+        // ✅ NEW: Not pointing at a tree - place another one on the targeted surface
+        console.log(`ℹ️ [DEBUG] Not pointing at a placed tree, attempting additional placement`)
+        this.attemptPlacement(inputSource, frame, inputType)
       }
 
     } catch (error) {
@@ -1500,41 +2468,467 @@ class WebXRPlaneDetectionApp {
   }
 
   /**
-   * ✅ NEW: Start repositioning mode
+   * ✅ NEW: Build a raycaster along an input source's target ray
+   * @param {XRInputSource} inputSource Input source
+   * @param {XRFrame} frame Current XR frame
+   * @returns {THREE.Raycaster|null} Raycaster, or null if the input pose is unavailable
+   */
+  getInputRaycaster(inputSource, frame) {
+    // Get the input source pose (where user is pointing)
+    const inputPose = frame.getPose(inputSource.targetRaySpace, this.refSpace)
+    if (!inputPose) return null
+
+    // ✅ FIXED: Create ray from input source for proper intersection test
+    const rayOrigin = new THREE.Vector3(
+      inputPose.transform.position.x,
+      inputPose.transform.position.y,
+      inputPose.transform.position.z
+    )
+    
+    // Extract direction from orientation (forward is negative Z in WebXR)
+    const orientation = inputPose.transform.orientation
+    const forwardDirection = new THREE.Vector3(0, 0, -1)
+    const quaternion = new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+    forwardDirection.applyQuaternion(quaternion).normalize()
+    
+    // Create Three.js raycaster for accurate intersection
+    return new THREE.Raycaster(rayOrigin, forwardDirection)
+  }
+
+  /**
+   * ✅ NEW: Start a two-handed scale/rotate gesture
+   * Targets the object either hand points at, else the selected object.
+   * @param {Array<XRInputSource>} sources The two squeezing input sources
+   * @param {XRFrame} frame Current XR frame
    */
-  startRepositioning() {
-    console.log('🔄 [DEBUG] Entering repositioning mode...')
+  startTwoHandedManipulation(sources, frame) {
+    if (!this.manipulation || !this.placedObjects || !frame) return
+    
+    let target = null
+    for (const source of sources) {
+      const raycaster = this.getInputRaycaster(source, frame)
+      const hit = raycaster ? this.placedObjects.findIntersected(raycaster) : null
+      if (hit) {
+        target = hit.record
+        break
+      }
+    }
+    target = target || this.placedObjects.getSelected()
     
-    // Change state to repositioning
-    this.placementState = 'repositioning'
-    this.isPlaced = false // Temporarily mark as not placed
+    if (!target) {
+      this.setStatus('👉 Point at an object, then squeeze with both hands to scale or rotate it')
+      return
+    }
     
-    // ✅ NEW: Clear anchor state for repositioning
-    if (this.objectAnchor) {
-      console.log('🔗 [DEBUG] Clearing object anchor for repositioning')
-      this.objectAnchor = null
-      this.trackAnchoredObject = false
+    if (this.manipulation.beginTwoHanded(target, sources, frame)) {
+      this.enterManipulating(target, '🤲 Move hands apart to scale, turn them to rotate - release to finish')
     }
+  }
+
+  /**
+   * ✅ NEW: Switch to the manipulating state
+   * @param {Object} placed Placed object record being manipulated
+   * @param {string} statusText Guidance shown while manipulating
+   */
+  enterManipulating(placed, statusText) {
+    this.placementState = 'manipulating'
+    this.placedObjects.select(placed.id)
     
-    // Make tree scene semi-transparent to indicate it's being moved
-    if (this.treeScene) {
-      this.treeScene.traverse((child) => {
-        if (child.material) {
-          child.material.transparent = true
-          child.material.opacity = 0.7
-        }
-      })
-      console.log('👻 [DEBUG] Made tree scene semi-transparent for repositioning')
+    // Cursors and highlights would only distract while the object is held
+    if (this.cursorManager) {
+      this.cursorManager.hideAllCursors()
+    }
+    if (this.planeVisualizer) {
+      this.planeVisualizer.clearAllHighlights()
+    }
+    
+    this.setStatus(statusText)
+  }
+
+  /**
+   * ✅ NEW: Update the active rotate/scale gesture
+   * @param {XRFrame} frame Current XR frame
+   * @param {number} deltaTime Seconds since the last frame
+   */
+  updateManipulation(frame, deltaTime) {
+    const manipulation = this.manipulation
+    if (!manipulation?.isActive) {
+      this.finishManipulation()
+      return
     }
     
+    if (manipulation.mode === 'two-handed') {
+      manipulation.updateTwoHanded(frame)
+    } else if (!manipulation.updateThumbstick(manipulation.record, frame.session.inputSources, deltaTime)) {
+      // Thumbstick released
+      this.finishManipulation()
+    }
+  }
+
+  /**
+   * ✅ NEW: Leave the manipulating state and save the new transform
+   */
+  finishManipulation() {
+    const placed = this.manipulation?.end()
+    
+    if (this.placementState === 'manipulating') {
+      this.placementState = this.placedObjects?.count > 0 ? 'placed' : 'scanning'
+      this.isPlaced = this.placementState === 'placed'
+    }
+    
+    if (placed && this.placedObjects?.get(placed.id)) {
+      this.persistence?.markDirty()
+      const degrees = Math.round(THREE.MathUtils.radToDeg(placed.yaw))
+      this.setStatus(`✅ Rotated ${degrees}°, scaled ${placed.scale.toFixed(1)}× - squeeze with both hands to adjust again`)
+    }
+  }
+
+  /**
+   * ✅ NEW: Turn rotation/scale snapping on or off
+   * @param {boolean} enabled Snap to rotation and scale increments
+   */
+  setSnapping(enabled) {
+    this.snappingEnabled = enabled
+    if (this.manipulation) {
+      this.manipulation.snappingEnabled = enabled
+    }
+  }
+
+  /**
+   * ✅ NEW: Turn auto-placement on or off
+   * @param {boolean} enabled Preview content on the best-scored plane once planes settle
+   */
+  setAutoPlace(enabled) {
+    this.autoPlaceEnabled = enabled
+    if (this.ui.autoPlaceToggle && this.ui.autoPlaceToggle.checked !== enabled) {
+      this.ui.autoPlaceToggle.checked = enabled
+    }
+    if (!enabled && this.autoPlacement) {
+      this.cancelAutoPlacement()
+    }
+    this.autoPlaceCheckedAt = -1
+    console.log(`✨ [DEBUG] Auto-placement: ${enabled}`)
+  }
+
+  /**
+   * ✅ NEW: Accept the current auto-placement suggestion (console helper)
+   */
+  confirmAutoPlacement() {
+    if (this.autoPlacement) this.autoPlacementAction = 'confirm'
+  }
+
+  /**
+   * ✅ NEW: Move the suggestion to the next-best plane (console helper)
+   */
+  cycleAutoPlacement() {
+    if (this.autoPlacement) this.autoPlacementAction = 'next'
+  }
+
+  /**
+   * ✅ NEW: Per-frame auto-placement - start a suggestion once planes have been
+   * stable for a while, then apply queued confirm / next requests
+   * @param {XRFrame} frame Current XR frame
+   */
+  updateAutoPlacement(frame) {
+    if (this.autoPlacement) {
+      const action = this.autoPlacementAction
+      this.autoPlacementAction = null
+      if (action === 'confirm') {
+        this.finishAutoPlacement(frame)
+      } else if (action === 'next') {
+        this.showAutoPlacementCandidate(frame, this.autoPlacement.index + 1)
+      }
+      return
+    }
+    
+    if (!this.autoPlaceEnabled || this.placementState !== 'scanning' || !this.planeDetection) return
+    if (this.planeDetection.getPlaneCount() === 0) return
+    if (performance.now() - this.planesChangedAt < this.AUTO_PLACE_STABLE_MS) return
+    
+    // Only one attempt per stable plane layout
+    if (this.autoPlaceCheckedAt === this.planesChangedAt) return
+    this.autoPlaceCheckedAt = this.planesChangedAt
+    
+    this.startAutoPlacement(frame)
+  }
+
+  /**
+   * ✅ NEW: Rank tracked planes for the active content
+   * Table height is measured from the floor: y = 0 in floor-based reference
+   * spaces, otherwise the 'floor' plane or the lowest horizontal plane.
+   * @param {Object} entry Catalog entry
+   * @param {XRFrame} frame Current XR frame
+   * @returns {Array<Object>} Plane data with scores, best first
+   */
+  rankAutoPlacementCandidates(entry, frame) {
+    const orientation = ['horizontal', 'vertical'].find(value => entry.allowedOrientations.includes(value))
+    if (!orientation) return []
+    
+    const trackedPlanes = this.planeDetection.getTrackedPlanes()
+    const preferences = {
+      orientation,
+      preferredHeight: this.AUTO_PLACE_TABLE_HEIGHT,
+      areaWeight: this.AUTO_PLACE_AREA_WEIGHT,
+      floorHeight: this.referenceSpaces ? this.referenceSpaces.getFloorHeight(trackedPlanes) : 0
+    }
+    const viewerPose = frame.getViewerPose?.(this.refSpace)
+    if (viewerPose) {
+      preferences.viewerPosition = viewerPose.transform.position
+    }
+    
+    // ✅ NEW: Only suggest planes whose semantic label the content allows
+    const allowedPlanes = trackedPlanes.filter(planeData => this.contentCatalog.isLabelAllowed(entry, planeData.semanticLabel))
+    return this.planeDetection.rankPlacementPlanes(allowedPlanes, preferences)
+  }
+
+  /**
+   * ✅ NEW: Preview the active content on the best-scored plane
+   * @param {XRFrame} frame Current XR frame
+   * @returns {boolean} True if a suggestion is shown
+   */
+  startAutoPlacement(frame) {
+    const entry = this.contentCatalog.getActiveEntry()
+    const template = this.getActiveTemplate()
+    if (!entry || !template || !this.placedObjects?.canAddObject()) return false
+    
+    const candidates = this.rankAutoPlacementCandidates(entry, frame)
+    if (candidates.length === 0) {
+      console.log(`ℹ️ [DEBUG] No plane suits auto-placement of ${entry.name} yet`)
+      return false
+    }
+    
+    const placed = this.placedObjects.add(template, { contentId: entry.id })
+    if (!placed) return false
+    this.placedObjects.startPreview(placed)
+    
+    this.autoPlacement = { record: placed, candidates, index: -1 }
+    this.placementState = 'preview'
+    this.cursorManager?.hideAllCursors()
+    this.planeVisualizer?.clearAllHighlights()
+    
+    if (!this.showAutoPlacementCandidate(frame, 0)) {
+      this.cancelAutoPlacement()
+      return false
+    }
+    console.log(`✨ [DEBUG] Auto-placement suggesting ${entry.name} on ${candidates.length} candidate planes`)
+    return true
+  }
+
+  /**
+   * ✅ NEW: Move the suggestion to a candidate plane, skipping ones the content doesn't fit
+   * @param {XRFrame} frame Current XR frame
+   * @param {number} startIndex Candidate to try first (wraps around)
+   * @returns {boolean} True if some candidate accepted the content
+   */
+  showAutoPlacementCandidate(frame, startIndex) {
+    const { record, candidates } = this.autoPlacement
+    
+    for (let attempt = 0; attempt < candidates.length; attempt++) {
+      const index = (startIndex + attempt) % candidates.length
+      const candidate = candidates[index]
+      
+      if (this.placeCubeOnPlane(candidate.plane, frame, record, { createAnchor: false })) {
+        this.autoPlacement.index = index
+        this.placementRejection = null
+        
+        const entry = this.contentCatalog.getEntry(record.contentId)
+        const surface = candidate.semanticLabel !== 'unknown' ? candidate.semanticLabel : `${candidate.orientation} surface`
+        this.setStatus(`✨ Suggested spot ${index + 1}/${candidates.length} for ${entry.name} (${surface}) - select to confirm, squeeze for the next spot`)
+        console.log(`✨ [DEBUG] Auto-placement candidate ${index + 1}: ${surface}, score ${candidate.score.toFixed(1)}`)
+        return true
+      }
+    }
+    
+    console.log('⚠️ [DEBUG] No auto-placement candidate fits the content')
+    return false
+  }
+
+  /**
+   * ✅ NEW: Turn the suggestion into a regular anchored placement
+   * @param {XRFrame} frame Current XR frame
+   */
+  finishAutoPlacement(frame) {
+    const { record } = this.autoPlacement
+    this.autoPlacement = null
+    
+    this.placedObjects.finishRepositioning(record)
+    this.placementState = 'placed'
+    this.isPlaced = true
+    this.placedObjects.select(record.id)
+    this.persistence?.markDirty()
+    
+    // Anchor at the surface point below the object, like manual placement
+    const normal = new THREE.Vector3(0, 1, 0).applyQuaternion(record.surfaceQuaternion)
+    const surfacePoint = record.object.position.clone().addScaledVector(normal, -this.OBJECT_HEIGHT_OFFSET)
+    this.tryCreateAnchor(this.createSurfacePose(surfacePoint, record.surfaceQuaternion), frame, record)
+    
+    this.setStatus(`✅ ${this.getContentName(record)} placed! Point at an object to move it or a surface to add more`)
+    console.log(`🎊 [DEBUG] Auto-placement confirmed for object ${record.id}`)
+  }
+
+  /**
+   * ✅ NEW: Drop the current suggestion and go back to scanning
+   */
+  cancelAutoPlacement() {
+    if (!this.autoPlacement) return
+    
+    const { record } = this.autoPlacement
+    this.autoPlacement = null
+    this.autoPlacementAction = null
+    this.placedObjects?.remove(record.id)
+    
+    if (this.placementState === 'preview') {
+      this.placementState = 'scanning'
+      this.setStatus(`${this.getSessionLabel()} Active - Looking for surfaces...`)
+    }
+    console.log('🚫 [DEBUG] Auto-placement suggestion cancelled')
+  }
+
+  /**
+   * ✅ NEW: Turn the "show all planes" view on or off
+   * @param {boolean} enabled Render every detected plane with orientation colors
+   */
+  setShowAllPlanes(enabled) {
+    this.showAllPlanes = enabled
+    if (this.ui.showPlanesToggle && this.ui.showPlanesToggle.checked !== enabled) {
+      this.ui.showPlanesToggle.checked = enabled
+    }
+    this.roomPlaneVisualizer?.setEnabled(enabled, this.planeDetection?.getTrackedPlanes())
+    this.sceneMeshes?.setVisible(enabled)
+  }
+
+  /**
+   * ✅ NEW: Choose the reference space tried first when the next session starts
+   * @param {string} type 'local-floor' | 'bounded-floor' | 'unbounded' | 'local'
+   */
+  setReferenceSpacePreference(type) {
+    if (!REFERENCE_SPACE_FALLBACKS[type]) {
+      console.warn(`⚠️ [DEBUG] Unknown reference space type: ${type}`)
+      return
+    }
+    this.referenceSpacePreference = type
+    if (this.session) {
+      console.log('ℹ️ [DEBUG] Reference space preference applies to the next session')
+    }
+  }
+
+  /**
+   * ✅ NEW: Whether input should be ignored (session blurred by a system menu, or hidden)
+   * @returns {boolean}
+   */
+  isInputPaused() {
+    return !!this.sessionLifecycle?.isPaused()
+  }
+
+  /**
+   * ✅ NEW: Drop in-flight interaction when the session stops being visible
+   * Select/squeeze end events may never arrive, so gestures are settled now.
+   * @param {string} state 'visible-blurred' | 'hidden'
+   */
+  handleSessionPause(state) {
+    console.log(`⏸️ [DEBUG] Session ${state} - pausing input and hit-testing`)
+    
+    this.hitTestManager?.pause()
+    this.pendingPlacements.clear()
+    this.squeezingSources.clear()
+    this.autoPlacementAction = null
+    if (this.placementState === 'manipulating') {
+      this.finishManipulation()
+    }
+    
+    this.cursorManager?.hideAllCursors()
+    this.planeVisualizer?.clearAllHighlights()
+    
+    if (this.pausedStatus === null) {
+      this.pausedStatus = this.ui.statusDiv.textContent
+    }
+    this.setStatus('⏸️ Paused - AR resumes when you return')
+  }
+
+  /**
+   * ✅ NEW: Pick up where the user left off once the session is visible again
+   * @param {number} pausedFor Milliseconds spent paused
+   */
+  handleSessionResume(pausedFor) {
+    console.log(`▶️ [DEBUG] Session visible again after ${(pausedFor / 1000).toFixed(1)}s - resuming`)
+    
+    this.hitTestManager?.resume()
+    this.lastFrameTime = 0 // Don't treat the pause as one long frame
+    
+    if (this.pausedStatus !== null) {
+      this.setStatus(this.pausedStatus)
+      this.pausedStatus = null
+    }
+  }
+
+  /**
+   * ✅ NEW: Keep content where it was in the room after the runtime moves the origin
+   * Planes and anchors are re-read every frame; unanchored objects are moved here.
+   * @param {XRRigidTransform|null} transform New origin in pre-reset coordinates, null if unknown
+   */
+  handleReferenceSpaceReset(transform) {
+    if (!this.placedObjects) return
+    
+    if (!transform) {
+      console.warn('⚠️ [DEBUG] Reference space reset without a transform - unanchored objects may have moved')
+      return
+    }
+    
+    // Old coordinates -> new ones is the inverse of the new origin's pose
+    const originChange = new THREE.Matrix4().fromArray(transform.matrix).invert()
+    const moved = this.placedObjects.applyOriginChange(originChange)
+    console.log(`🔄 [DEBUG] Re-posed ${moved} unanchored object(s) after reference space reset`)
+    if (moved > 0) {
+      this.persistence?.markDirty()
+    }
+  }
+
+  /**
+   * ✅ NEW: Choose how real-world surfaces hide placed content
+   * @param {string} mode 'auto' (depth, else plane occluders) | 'depth' | 'planes' | 'off'
+   */
+  setOcclusionMode(mode) {
+    this.occlusionMode = mode
+    this.webxrRenderer.setOcclusionMode(mode)
+  }
+
+  /**
+   * ✅ NEW: Choose the shadow performance budget
+   * @param {string} quality 'off' | 'low' (Quest budget) | 'high' (soft, updated every frame)
+   */
+  setShadowQuality(quality) {
+    this.shadowQuality = quality
+    if (this.ui.shadowQualitySelect && this.ui.shadowQualitySelect.value !== quality) {
+      this.ui.shadowQualitySelect.value = quality
+    }
+    this.shadowCatchers?.setQuality(quality)
+  }
+
+  /**
+   * ✅ NEW: Start repositioning mode for a placed tree scene
+   * @param {Object} placed Placed object record to move
+   */
+  startRepositioning(placed) {
+    console.log(`🔄 [DEBUG] Entering repositioning mode for tree scene ${placed.id}...`)
+    
+    // Change state to repositioning
+    this.placementState = 'repositioning'
+    this.repositioningObject = placed
+    this.placedObjects.select(placed.id)
+    
+    // ✅ NEW: Clear anchor and make tree scene semi-transparent to indicate it's being moved
+    this.persistence?.releaseHandle(placed)
+    this.placedObjects.startRepositioning(placed)
+    console.log('👻 [DEBUG] Made tree scene semi-transparent for repositioning')
+    
     // Update UI to guide user
-    this.ui.statusDiv.textContent = '🎯 Point at a new surface and select to place tree'
+    this.setStatus(`🎯 Point at a new surface and select to place ${this.getContentName(placed)}`)
     
     console.log('✅ [DEBUG] Repositioning mode activated - cursors and highlighting will reappear')
   }
 
   /**
-   * ✅ NEW: Attempt to reposition the cube
+   * ✅ NEW: Attempt to reposition the selected tree scene
    * @param {XRInputSource} inputSource Input source for repositioning
    * @param {XRFrame} frame Current XR frame
    * @param {string} inputType Type of input (hand/controller)
@@ -1542,27 +2936,43 @@ class WebXRPlaneDetectionApp {
   attemptRepositioning(inputSource, frame, inputType) {
     console.log(`🎯 [DEBUG] Attempting cube repositioning with ${inputType}...`)
     
-    if (!this.availablePlanes || this.availablePlanes.length === 0) {
+    const placed = this.repositioningObject
+    if (!placed || !this.placedObjects?.get(placed.id)) {
+      console.warn('⚠️ [DEBUG] Repositioning target no longer exists')
+      this.cancelRepositioning()
+      return
+    }
+    
+    if (!this.hasPlacementSurfaces()) {
       console.warn('⚠️ [DEBUG] No surfaces available for repositioning')
-      this.ui.statusDiv.textContent = '🔍 Looking for surfaces... Look around tables, floor, or countertops'
+      this.setStatus('🔍 Looking for surfaces... Look around tables, floor, or countertops')
       return
     }
 
+    this.placementRejection = null
+    this.surfaceHint = null
+    
     try {
       // ✅ REUSE: Use existing placement logic for repositioning
       let repositionSuccessful = false
       
-      if (this.hitTestManager && this.hitTestManager.isHitTestSupported()) {
-        const hitResult = this.hitTestManager.getHitTestResult(inputSource)
-        
-        if (hitResult) {
-          console.log(`🎯 [DEBUG] Using hit-test result for ${inputType} repositioning`)
-          repositionSuccessful = this.placeCubeAtHitTest(hitResult, frame)
-        }
+      const hitResult = this.hitTestManager?.isHitTestSupported()
+        ? this.hitTestManager.getHitTestResult(inputSource)
+        : null
+      
+      // ✅ NEW: Furniture meshes in front of the hit-test result take priority
+      const meshHit = this.findSceneMeshHit(inputSource, frame, hitResult)
+      
+      if (meshHit) {
+        console.log(`🕸️ [DEBUG] Using scene mesh hit for ${inputType} repositioning`)
+        repositionSuccessful = this.placeCubeOnSceneMesh(meshHit, frame, placed)
+      } else if (hitResult) {
+        console.log(`🎯 [DEBUG] Using hit-test result for ${inputType} repositioning`)
+        repositionSuccessful = this.placeCubeAtHitTest(hitResult, frame, placed)
       }
       
-      // ✅ FALLBACK: Use existing plane detection if hit-testing failed
-      if (!repositionSuccessful) {
+      // ✅ FALLBACK: Use existing plane detection if hit-testing failed (and wasn't refused)
+      if (!repositionSuccessful && !this.placementRejection) {
         console.log(`🔄 [DEBUG] Falling back to plane detection for ${inputType} repositioning`)
         
         const inputPose = frame.getPose(inputSource.targetRaySpace, this.refSpace)
@@ -1571,11 +2981,12 @@ class WebXRPlaneDetectionApp {
           return
         }
 
-        const targetPlane = this.findClosestPlane(inputPose.transform.position, frame)
+        const entry = this.contentCatalog.getEntry(placed.contentId)
+        const targetPlane = this.findClosestPlane(inputPose.transform, entry)
         
         if (targetPlane) {
           console.log(`🎉 [DEBUG] Found target plane for ${inputType} repositioning!`)
-          repositionSuccessful = this.placeCubeOnPlane(targetPlane, frame)
+          repositionSuccessful = this.placeCubeOnPlane(targetPlane, frame, placed)
         } else {
           console.log('ℹ️ [DEBUG] No suitable plane found near pointing direction for repositioning')
         }
@@ -1584,8 +2995,10 @@ class WebXRPlaneDetectionApp {
       if (repositionSuccessful) {
         this.finishRepositioning(inputType)
       } else {
-        // Guide user to point at surfaces
-        this.ui.statusDiv.textContent = `👉 Point at a flat surface and ${inputType === 'hand' ? 'pinch' : 'pull trigger'}`
+        // Guide user to point at surfaces this content allows
+        const surfaces = this.contentCatalog.describeAllowedSurfaces(this.contentCatalog.getEntry(placed.contentId))
+        this.setStatus(this.placementRejection ||
+          `👉 Point at a ${surfaces} and ${inputType === 'hand' ? 'pinch' : 'pull trigger'}`)
       }
       
     } catch (error) {
@@ -1598,20 +3011,18 @@ class WebXRPlaneDetectionApp {
    * @param {string} inputType Type of input used for repositioning
    */
   finishRepositioning(inputType) {
-    console.log(`🎊 [DEBUG] Tree scene repositioned successfully using ${inputType}!`)
+    const placed = this.repositioningObject
+    console.log(`🎊 [DEBUG] Tree scene ${placed?.id} repositioned successfully using ${inputType}!`)
     
     // Return to placed state
     this.placementState = 'placed'
     this.isPlaced = true
+    this.repositioningObject = null
     
     // Restore tree scene to full opacity
-    if (this.treeScene) {
-      this.treeScene.traverse((child) => {
-        if (child.material) {
-          child.material.transparent = false
-          child.material.opacity = 1.0
-        }
-      })
+    if (placed) {
+      this.placedObjects.finishRepositioning(placed)
+      this.persistence?.markDirty()
       console.log('✨ [DEBUG] Restored tree scene to full opacity')
     }
     
@@ -1625,21 +3036,226 @@ class WebXRPlaneDetectionApp {
     
     // Update UI with success and repositioning hint
     const method = this.hitTestManager?.isHitTestSupported() ? 'hit-testing' : 'plane detection'
-    this.ui.statusDiv.textContent = `✅ Tree repositioned using ${inputType} (${method})! Point at tree to move again`
+    this.setStatus(`✅ ${this.getContentName(placed)} repositioned using ${inputType} (${method})! Point at an object to move it again`)
     
     console.log(`🎊 [DEBUG] Repositioning complete - tree scene ready for next interaction`)
   }
 
+  /**
+   * ✅ NEW: Leave repositioning mode without moving anything
+   */
+  cancelRepositioning() {
+    if (this.repositioningObject && this.placedObjects?.get(this.repositioningObject.id)) {
+      this.placedObjects.finishRepositioning(this.repositioningObject)
+      this.persistence?.markDirty()
+    }
+    this.repositioningObject = null
+    this.placementState = this.placedObjects?.count > 0 ? 'placed' : 'scanning'
+    this.isPlaced = this.placementState === 'placed'
+  }
+
+  /**
+   * ✅ NEW: Restore objects saved in earlier sessions
+   * Persistent anchors are restored directly; entries without a usable anchor
+   * wait for a floor plane (see restoreFloorRelativeObjects).
+   */
+  async restorePlacedObjects() {
+    const persistence = this.persistence
+    const stored = persistence?.load() || []
+    if (stored.length === 0) return
+    
+    console.log(`💾 [DEBUG] Restoring ${stored.length} saved placements...`)
+    persistence.isRestoring = true
+    let restoredCount = 0
+    
+    try {
+      for (const item of stored) {
+        const entry = this.contentCatalog.getEntry(item.contentId)
+        if (!entry) {
+          console.warn(`⚠️ [DEBUG] Skipping saved placement for unknown content "${item.contentId}"`)
+          continue
+        }
+        
+        const template = await this.createContentTemplate(entry)
+        const anchor = await persistence.restoreAnchor(item.anchorHandle)
+        if (persistence.isDisposed || !this.placedObjects) {
+          anchor?.delete?.()
+          return
+        }
+        
+        if (anchor) {
+          const placed = this.placedObjects.add(template, {
+            contentId: entry.id,
+            persistentHandle: item.anchorHandle,
+            floorPose: item.floorPose
+          })
+          if (!placed) {
+            anchor.delete?.()
+            continue
+          }
+          this.placedObjects.setYaw(placed, item.yaw || 0)
+          this.placedObjects.setScale(placed, item.scale || 1)
+          // Shown by updateAnchors once the anchor has a pose
+          this.placedObjects.setAnchor(placed, anchor)
+          restoredCount++
+        } else if (item.floorPose) {
+          persistence.queueFloorRestore(item)
+        }
+      }
+    } finally {
+      persistence.isRestoring = false
+      persistence.markDirty()
+    }
+    
+    if (restoredCount > 0) {
+      this.placementState = 'placed'
+      this.isPlaced = true
+      this.setStatus(`💾 Restored ${restoredCount} saved object${restoredCount === 1 ? '' : 's'}`)
+    }
+    if (persistence.pendingFloorRestores.length > 0) {
+      console.log(`⏳ [DEBUG] ${persistence.pendingFloorRestores.length} saved placements waiting for a floor plane`)
+    }
+  }
+
+  /**
+   * ✅ NEW: Place saved objects relative to the floor plane once one is detected
+   * Each saved pose records its plane's label, height and area; objects wait until a matching plane is tracked.
+   * @param {XRFrame} frame Current XR frame
+   */
+  restoreFloorRelativeObjects(frame) {
+    const persistence = this.persistence
+    if (persistence.isRestoring || persistence.pendingFloorRestores.length === 0) return
+    
+    // Templates load asynchronously - only restore entries whose template is ready
+    const waiting = []
+    for (const item of persistence.pendingFloorRestores) {
+      // ✅ CHANGED: Wait for the plane the pose was saved against, not the first horizontal plane seen
+      const floorPlane = persistence.findReferencePlane(item.floorPose.plane, this.availablePlanes, frame)
+      const floorMatrix = persistence.getFloorMatrix(floorPlane, frame)
+      if (!floorMatrix) {
+        waiting.push(item)
+        continue
+      }
+      
+      const entry = this.contentCatalog.getEntry(item.contentId)
+      const template = entry ? this.contentTemplates.get(entry.id) : null
+      if (!template) {
+        if (entry) {
+          waiting.push(item)
+          this.createContentTemplate(entry)
+        }
+        continue
+      }
+      
+      const placed = this.placedObjects.add(template, { contentId: entry.id, floorPose: item.floorPose })
+      if (!placed) continue
+      
+      const { position, quaternion } = persistence.resolveFloorPose(item.floorPose, floorMatrix)
+      placed.object.position.copy(position)
+      placed.object.visible = true
+      this.placedObjects.setSurfaceOrientation(placed, quaternion)
+      this.placedObjects.setYaw(placed, item.yaw || 0)
+      this.placedObjects.setScale(placed, item.scale || 1)
+      
+      // Anchor at the surface below the object, matching updateAnchors' normal offset
+      const normal = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion)
+      const surfacePoint = position.clone().addScaledVector(normal, -this.OBJECT_HEIGHT_OFFSET)
+      this.tryCreateAnchor(this.createSurfacePose(surfacePoint, quaternion), frame, placed)
+      
+      console.log(`💾 [DEBUG] Restored object ${placed.id} relative to the floor`)
+    }
+    
+    const restoredCount = persistence.pendingFloorRestores.length - waiting.length
+    persistence.pendingFloorRestores = waiting
+    if (restoredCount > 0) {
+      persistence.markDirty()
+      this.placementState = this.placementState === 'repositioning' ? 'repositioning' : 'placed'
+      this.isPlaced = true
+    }
+  }
+
+  /**
+   * ✅ NEW: Delete every saved placement (objects in the current session stay)
+   * Without a session, persistent anchors are deleted when the next one starts.
+   */
+  async clearSavedPlacements() {
+    if (!this.persistence) {
+      PersistenceManager.clearStorage(window.localStorage)
+      return
+    }
+    
+    for (const record of this.getPlacedObjects()) {
+      record.persistentHandle = null
+      record.floorPose = null
+    }
+    await this.persistence.clear()
+  }
+
+  /**
+   * ✅ NEW: Catalog name of a placed object's content, for status messages
+   * @param {Object|null} record Placed object record
+   * @returns {string}
+   */
+  getContentName(record) {
+    return this.contentCatalog.getEntry(record?.contentId)?.name || 'Object'
+  }
+
+  /**
+   * ✅ NEW: Get all placed tree scenes
+   * @returns {Array<Object>} Placed object records
+   */
+  getPlacedObjects() {
+    return this.placedObjects ? this.placedObjects.getAll() : []
+  }
+
+  /**
+   * ✅ NEW: Select a placed tree scene by id
+   * @param {number|null} id Placed object id, or null to clear the selection
+   * @returns {Object|null} Selected record
+   */
+  selectPlacedObject(id) {
+    return this.placedObjects ? this.placedObjects.select(id) : null
+  }
+
+  /**
+   * ✅ NEW: Remove a placed tree scene by id
+   * @param {number} id Placed object id
+   * @returns {boolean} True if removed
+   */
+  removePlacedObject(id) {
+    if (!this.placedObjects) return false
+
+    const record = this.placedObjects.get(id)
+    if (!record) return false
+
+    // ✅ NEW: Forget the saved placement too
+    this.persistence?.releaseHandle(record)
+    this.placedObjects.remove(id)
+    this.persistence?.markDirty()
+
+    if (this.manipulation?.record?.id === id) {
+      this.manipulation.end()
+    }
+    
+    if (this.repositioningObject?.id === id) {
+      this.cancelRepositioning()
+    } else if (this.placementState !== 'repositioning') {
+      this.placementState = this.placedObjects.count > 0 ? 'placed' : 'scanning'
+      this.isPlaced = this.placementState === 'placed'
+    }
+    return true
+  }
+
   /**
    * ✅ NEW: Optimize geometry for WebXR performance
    */
-  optimizeGeometry() {
+  optimizeGeometry(template) {
     console.log('🔧 [DEBUG] Optimizing geometry for WebXR performance...')
     
     let totalVerticesBefore = 0
     let totalVerticesAfter = 0
     
-    this.treeScene.traverse((child) => {
+    template.traverse((child) => {
       if (child.isMesh && child.geometry) {
         const geom = child.geometry
         
@@ -1680,7 +3296,23 @@ class WebXRPlaneDetectionApp {
 }
 
 // Initialize the app when the page loads
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // ✅ NEW: Dev-only mock XR runtime (?mockxr) for exercising placement without a headset
+  // (?mockxr=vr mocks a VR-only headset, see MOCK_PRESETS)
+  const mockParam = new URLSearchParams(window.location.search).get('mockxr')
+  if (import.meta.env.DEV && mockParam !== null) {
+    const { installMockXR, MOCK_PRESETS } = await import('./webxr/mock.js')
+    const mockXR = installMockXR({ ...MOCK_PRESETS[mockParam], replaceGlobals: true })
+    mockXR.createDefaultRoom()
+    mockXR.addInputSource({ handedness: 'right' })
+    mockXR.startAutoTick()
+    window.mockXR = mockXR
+    console.log('🧪 [DEBUG] Mock XR enabled - drive it from the console via window.mockXR')
+  }
+
   console.log('🌟 [DEBUG] DOM loaded, creating WebXRPlaneDetectionApp...')
-  new WebXRPlaneDetectionApp()
+  const app = new WebXRPlaneDetectionApp()
+  
+  // ✅ CHANGED: Console API - the app methods documented in the README are called through window.app
+  window.app = app
 })
@@ -394,12 +394,41 @@ export function formatPlaneOrientation(orientation) {
   return orientations[orientation] || 'Unknown'
 }
 
+// ✅ NEW: Colors for common WebXR semantic labels
+export const SEMANTIC_LABEL_COLORS = {
+  'floor': 0x00ff00,   // Green
+  'table': 0xffaa00,   // Orange
+  'desk': 0xffaa00,    // Orange (same use as a table)
+  'couch': 0xaa66ff,   // Purple
+  'bed': 0xff66aa,     // Pink
+  'shelf': 0xffff00,   // Yellow
+  'storage': 0xffff00, // Yellow
+  'wall': 0x0000ff,    // Blue
+  'ceiling': 0x00ffff, // Cyan
+  'door': 0x996633,    // Brown
+  'window': 0x66ccff   // Light blue
+}
+
+/**
+ * Get the color for a semantic label
+ * @param {string} semanticLabel Plane semantic label
+ * @returns {number|null} Color hex value, or null for unlabelled/unlisted planes
+ */
+export function getSemanticLabelColor(semanticLabel) {
+  return SEMANTIC_LABEL_COLORS[semanticLabel?.toLowerCase()] ?? null
+}
+
 /**
  * Get a color for plane visualization based on orientation
+ * ✅ CHANGED: A known semantic label takes precedence over the orientation color
  * @param {string} orientation WebXR plane orientation
+ * @param {string} semanticLabel Optional plane semantic label
  * @returns {number} Color hex value
  */
-export function getPlaneColor(orientation) {
+export function getPlaneColor(orientation, semanticLabel = null) {
+  const labelColor = getSemanticLabelColor(semanticLabel)
+  if (labelColor !== null) return labelColor
+
   const colors = {
     'horizontal': 0x00ff00, // Green for horizontal planes
     'vertical': 0x0000ff,   // Blue for vertical planes
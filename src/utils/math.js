@@ -189,6 +189,22 @@ export function dotProduct3D(a, b) {
   return result
 }
 
+/**
+ * Classify a surface by its normal, using the same names as XRPlane.orientation
+ * plus 'tilted' for slopes in between
+ * @param {Object} normal Unit surface normal {x, y, z}
+ * @param {number} toleranceDegrees How far from level/plumb still counts (default: 15)
+ * @returns {string} 'horizontal' | 'vertical' | 'tilted'
+ */
+export function classifySurfaceNormal(normal, toleranceDegrees = 15) {
+  const tolerance = toleranceDegrees * Math.PI / 180
+  const verticalness = Math.abs(normal.y) // 1 = level surface, 0 = wall
+
+  if (verticalness >= Math.cos(tolerance)) return 'horizontal'
+  if (verticalness <= Math.sin(tolerance)) return 'vertical'
+  return 'tilted'
+}
+
 /**
  * Calculate area of a polygon using the shoelace formula
  * Adapted for 3D polygons by projecting to the best-fit plane
@@ -211,6 +227,33 @@ export function calculatePolygonArea(polygon) {
   return Math.abs(area) / 2
 }
 
+/**
+ * Calculate the area centroid of a polygon in the XZ plane
+ * Unlike the vertex average it isn't pulled toward densely sampled edges
+ * @param {Array} polygon Polygon vertices [{x, z}, ...]
+ * @returns {Object|null} Centroid {x, z}, or null for a polygon without area
+ */
+export function calculatePolygonCentroid(polygon) {
+  if (!polygon || polygon.length < 3) return null
+
+  let twiceArea = 0
+  let x = 0
+  let z = 0
+  const n = polygon.length
+
+  for (let i = 0; i < n; i++) {
+    const a = polygon[i]
+    const b = polygon[(i + 1) % n]
+    const cross = a.x * b.z - b.x * a.z
+    twiceArea += cross
+    x += (a.x + b.x) * cross
+    z += (a.z + b.z) * cross
+  }
+
+  if (Math.abs(twiceArea) < 1e-12) return null
+  return { x: x / (3 * twiceArea), z: z / (3 * twiceArea) }
+}
+
 /**
  * Calculate the bounding box of a set of 3D points
  * @param {Array} points Array of 3D points {x, y, z}
@@ -275,6 +318,190 @@ export function pointInPolygon2D(point, polygon) {
   return inside
 }
 
+/**
+ * Check whether two 2D segments cross each other
+ * Segments that only touch (shared endpoints, an endpoint on the other
+ * segment, collinear overlap) do not count as crossing
+ * @param {Object} a First segment start {x, z}
+ * @param {Object} b First segment end {x, z}
+ * @param {Object} c Second segment start {x, z}
+ * @param {Object} d Second segment end {x, z}
+ * @returns {boolean} True if the segments properly intersect
+ */
+export function segmentsCross2D(a, b, c, d) {
+  const EPSILON = 1e-9
+  const side = (p, q, r) => (q.x - p.x) * (r.z - p.z) - (q.z - p.z) * (r.x - p.x)
+  const straddles = (s1, s2) => (s1 > EPSILON && s2 < -EPSILON) || (s1 < -EPSILON && s2 > EPSILON)
+
+  return straddles(side(c, d, a), side(c, d, b)) && straddles(side(a, b, c), side(a, b, d))
+}
+
+/**
+ * Locate a point on a detected plane: project it into plane space and test
+ * it against the plane polygon, within a distance and normal tolerance
+ * @param {Object} point Point in the reference space {x, y, z}
+ * @param {Float32Array|Array<number>} planeMatrix Plane pose matrix (column-major, rigid)
+ * @param {Array} polygon Plane polygon in plane space [{x, z}, ...]
+ * @param {Object} options Tolerances
+ * @param {number} options.maxDistance Max distance from the plane surface in meters
+ * @param {Object} options.normal Surface normal at the point {x, y, z} (optional)
+ * @param {number} options.minNormalDot Min dot product between that normal and the plane normal
+ * @returns {Object|null} { distance, local: {x, y, z} } or null if the point is off the plane
+ */
+export function locatePointOnPlane(point, planeMatrix, polygon, options = {}) {
+  const { maxDistance = 0.05, normal = null, minNormalDot = 0 } = options
+  const m = planeMatrix
+
+  // Plane +Y is its normal - reject surfaces facing another way
+  if (normal) {
+    const dot = normal.x * m[4] + normal.y * m[5] + normal.z * m[6]
+    if (dot < minNormalDot) return null
+  }
+
+  // Rigid pose: plane-space coordinates are offsets projected onto its axes
+  const dx = point.x - m[12]
+  const dy = point.y - m[13]
+  const dz = point.z - m[14]
+  const local = {
+    x: dx * m[0] + dy * m[1] + dz * m[2],
+    y: dx * m[4] + dy * m[5] + dz * m[6],
+    z: dx * m[8] + dy * m[9] + dz * m[10]
+  }
+
+  const distance = Math.abs(local.y)
+  if (distance > maxDistance || !pointInPolygon2D(local, polygon)) return null
+
+  return { distance, local }
+}
+
+/**
+ * Intersect a ray with the infinite plane of a plane pose
+ * @param {Object} origin Ray origin {x, y, z}
+ * @param {Object} direction Normalized ray direction {x, y, z}
+ * @param {Float32Array|Array<number>} planeMatrix Plane pose matrix (column-major, rigid)
+ * @returns {Object|null} { point: {x, y, z}, distance } or null if the ray misses
+ */
+export function intersectRayWithPlane(origin, direction, planeMatrix) {
+  const m = planeMatrix
+  const denominator = direction.x * m[4] + direction.y * m[5] + direction.z * m[6]
+  if (Math.abs(denominator) < 1e-6) return null
+
+  const distance = ((m[12] - origin.x) * m[4] + (m[13] - origin.y) * m[5] + (m[14] - origin.z) * m[6]) / denominator
+  if (distance <= 0) return null
+
+  return {
+    point: {
+      x: origin.x + direction.x * distance,
+      y: origin.y + direction.y * distance,
+      z: origin.z + direction.z * distance
+    },
+    distance
+  }
+}
+
+/**
+ * Triangulate a plane polygon (in the plane's local XZ) by ear clipping
+ * Handles concave outlines, either winding, repeated and collinear points
+ * @param {Array} polygon Polygon vertices [{x, z}, ...]
+ * @returns {Array<number>} Triangle indices into the polygon, wound so normals face +Y
+ */
+export function triangulatePolygon2D(polygon) {
+  if (!polygon || polygon.length < 3) return []
+
+  const EPSILON = 1e-9
+  const cross = (a, b, c) =>
+    (polygon[b].x - polygon[a].x) * (polygon[c].z - polygon[a].z) -
+    (polygon[b].z - polygon[a].z) * (polygon[c].x - polygon[a].x)
+  const samePoint = (a, b) =>
+    Math.abs(polygon[a].x - polygon[b].x) < EPSILON && Math.abs(polygon[a].z - polygon[b].z) < EPSILON
+
+  // Drop repeated points (including a closing point equal to the first)
+  let remaining = []
+  for (let i = 0; i < polygon.length; i++) {
+    if (remaining.length === 0 || !samePoint(remaining[remaining.length - 1], i)) {
+      remaining.push(i)
+    }
+  }
+  while (remaining.length > 1 && samePoint(remaining[0], remaining[remaining.length - 1])) {
+    remaining.pop()
+  }
+  if (remaining.length < 3) return []
+
+  // Clip ears in counter-clockwise (x, z) order
+  let signedArea = 0
+  for (let i = 0; i < remaining.length; i++) {
+    const a = polygon[remaining[i]]
+    const b = polygon[remaining[(i + 1) % remaining.length]]
+    signedArea += a.x * b.z - b.x * a.z
+  }
+  if (Math.abs(signedArea) < EPSILON) return []
+  if (signedArea < 0) remaining.reverse()
+
+  const insideTriangle = (p, a, b, c) =>
+    cross(a, b, p) >= -EPSILON && cross(b, c, p) >= -EPSILON && cross(c, a, p) >= -EPSILON
+
+  const isEar = (i) => {
+    const n = remaining.length
+    const a = remaining[(i + n - 1) % n]
+    const b = remaining[i]
+    const c = remaining[(i + 1) % n]
+    if (cross(a, b, c) <= EPSILON) return false
+
+    for (const p of remaining) {
+      if (p === a || p === b || p === c) continue
+      if (samePoint(p, a) || samePoint(p, b) || samePoint(p, c)) continue
+      if (insideTriangle(p, a, b, c)) return false
+    }
+    return true
+  }
+
+  const indices = []
+  const emit = (a, b, c) => {
+    // CCW in (x, z) faces -Y, so flip to face +Y like the plane normal
+    indices.push(a, c, b)
+  }
+
+  while (remaining.length > 3) {
+    const n = remaining.length
+    let clipped = false
+
+    for (let i = 0; i < n; i++) {
+      if (isEar(i)) {
+        emit(remaining[(i + n - 1) % n], remaining[i], remaining[(i + 1) % n])
+        remaining.splice(i, 1)
+        clipped = true
+        break
+      }
+    }
+
+    // Collinear vertices stay until no ear is left, so they end up as triangle
+    // corners (n - 2 triangles, no T-junctions); then drop one without a sliver
+    if (!clipped) {
+      const i = remaining.findIndex((b, k) =>
+        Math.abs(cross(remaining[(k + n - 1) % n], b, remaining[(k + 1) % n])) <= EPSILON)
+      if (i !== -1) {
+        remaining.splice(i, 1)
+        clipped = true
+      }
+    }
+
+    // Self-intersecting outline - clip a convex corner anyway so we always finish
+    if (!clipped) {
+      const i = remaining.findIndex((b, k) =>
+        cross(remaining[(k + n - 1) % n], b, remaining[(k + 1) % n]) > 0)
+      const k = i === -1 ? 0 : i
+      emit(remaining[(k + n - 1) % n], remaining[k], remaining[(k + 1) % n])
+      remaining.splice(k, 1)
+    }
+  }
+
+  if (Math.abs(cross(remaining[0], remaining[1], remaining[2])) > EPSILON) {
+    emit(remaining[0], remaining[1], remaining[2])
+  }
+
+  return indices
+}
+
 /**
  * Linear interpolation between two values
  * @param {number} a Start value
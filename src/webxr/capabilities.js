@@ -0,0 +1,130 @@
+/**
+ * WebXR Capability Negotiation
+ * Turns the app's required/optional capability sets into requestSession()
+ * options and reports what the session actually granted, so every subsystem
+ * reads one capability object instead of sniffing enabledFeatures itself
+ */
+
+// App-level capability name -> WebXR feature descriptor
+export const CAPABILITY_FEATURES = Object.freeze({
+  planes: 'plane-detection',
+  hitTest: 'hit-test',
+  anchors: 'anchors',
+  depth: 'depth-sensing',
+  mesh: 'mesh-detection',
+  domOverlay: 'dom-overlay',
+  lightEstimation: 'light-estimation'
+})
+
+// Depth preferences used when the app asks for depth without its own
+export const DEFAULT_DEPTH_SENSING = Object.freeze({
+  usagePreference: ['cpu-optimized', 'gpu-optimized'],
+  dataFormatPreference: ['luminance-alpha', 'float32', 'unsigned-short']
+})
+
+/**
+ * @typedef {Object} CapabilityRequest
+ * @property {string[]} [required] Capabilities the session can't start without
+ * @property {string[]} [optional] Capabilities used when granted
+ * @property {string[]} [referenceSpaces] Reference space features to require (default ['local'])
+ * @property {Element} [domOverlayRoot] Root element for dom-overlay
+ * @property {Object} [depthSensing] XRDepthStateInit preferences for depth
+ * @property {string} [mode] Session mode passed to requestSession (default 'immersive-ar')
+ */
+
+/**
+ * @typedef {Object} SessionCapabilities
+ * @property {boolean} planes Plane detection (frame.detectedPlanes)
+ * @property {boolean} hitTest Hit-test sources
+ * @property {boolean} anchors Anchor creation
+ * @property {boolean} depth Depth sensing
+ * @property {boolean} mesh Mesh detection (frame.detectedMeshes)
+ * @property {boolean} domOverlay DOM overlay over the immersive view
+ * @property {boolean} lightEstimation Light probe estimates
+ * @property {Object|null} depthSensing Granted { usage, dataFormat } when depth is on
+ * @property {string[]} enabledFeatures Granted feature descriptors
+ * @property {string[]} missing Requested optional capabilities the session refused
+ * @property {boolean} reported False when the browser hides enabledFeatures and grants were inferred
+ */
+
+/**
+ * Map a capability name to its feature descriptor
+ * Raw descriptors (e.g. 'local-floor') pass through unchanged.
+ * @param {string} name Capability name or feature descriptor
+ * @returns {string}
+ */
+export function toFeatureDescriptor(name) {
+  return CAPABILITY_FEATURES[name] || name
+}
+
+/**
+ * Build requestSession() options from a capability request
+ * @param {CapabilityRequest} request Capability request
+ * @returns {Object} XRSessionInit
+ */
+export function buildSessionInit(request = {}) {
+  const { required = [], optional = [], referenceSpaces = ['local'], domOverlayRoot = null } = request
+
+  if (required.includes('domOverlay') && !domOverlayRoot) {
+    throw new Error('domOverlay is required but no overlay root was given')
+  }
+
+  const requiredFeatures = unique([...referenceSpaces, ...required].map(toFeatureDescriptor))
+  // An overlay can't be requested without a root element
+  const optionalFeatures = unique(optional
+    .filter(name => name !== 'domOverlay' || domOverlayRoot)
+    .map(toFeatureDescriptor))
+    .filter(feature => !requiredFeatures.includes(feature))
+
+  const init = { requiredFeatures, optionalFeatures }
+  const requested = [...requiredFeatures, ...optionalFeatures]
+
+  if (requested.includes(CAPABILITY_FEATURES.depth)) {
+    init.depthSensing = request.depthSensing || DEFAULT_DEPTH_SENSING
+  }
+  if (requested.includes(CAPABILITY_FEATURES.domOverlay)) {
+    init.domOverlay = { root: domOverlayRoot }
+  }
+
+  return init
+}
+
+/**
+ * Report what a session granted
+ * Browsers without enabledFeatures only guarantee the required features, so
+ * optional ones are treated as refused there.
+ * @param {XRSession} session Active session
+ * @param {CapabilityRequest} [request] Request the session was created from
+ * @returns {SessionCapabilities}
+ */
+export function getSessionCapabilities(session, request = {}) {
+  const reported = Array.isArray(session?.enabledFeatures)
+  const enabledFeatures = reported
+    ? [...session.enabledFeatures]
+    : (session ? buildSessionInit(request).requiredFeatures : [])
+
+  const granted = {}
+  for (const [name, feature] of Object.entries(CAPABILITY_FEATURES)) {
+    granted[name] = enabledFeatures.includes(feature)
+  }
+
+  // Granted features are only usable if the browser implements their API
+  granted.hitTest = granted.hitTest && typeof session.requestHitTestSource === 'function'
+  granted.lightEstimation = granted.lightEstimation && typeof session.requestLightProbe === 'function'
+
+  const missing = (request.optional || []).filter(name => name in granted && !granted[name])
+
+  return Object.freeze({
+    ...granted,
+    depthSensing: granted.depth
+      ? Object.freeze({ usage: session.depthUsage || null, dataFormat: session.depthDataFormat || null })
+      : null,
+    enabledFeatures: Object.freeze(enabledFeatures),
+    missing: Object.freeze(missing),
+    reported
+  })
+}
+
+function unique(values) {
+  return Array.from(new Set(values))
+}
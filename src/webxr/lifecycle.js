@@ -0,0 +1,114 @@
+/**
+ * WebXR Session Lifecycle
+ * Follows XRSession visibility so the app can pause input while a system
+ * menu covers the session ('visible-blurred') or the session isn't shown
+ * ('hidden'), and resume when it's back to 'visible'
+ *
+ * Events (listen with addEventListener):
+ * - 'visibilitychange' { state, previousState }
+ * - 'pause' { state } - left 'visible'
+ * - 'resume' { state, pausedFor } - back to 'visible', pausedFor in milliseconds
+ * - 'end' - the session ended
+ */
+
+export const VISIBILITY_STATES = ['visible', 'visible-blurred', 'hidden']
+
+export class SessionLifecycleManager extends EventTarget {
+  /**
+   * @param {XRSession} session Active XR session
+   */
+  constructor(session) {
+    super()
+    console.log('⏯️ [DEBUG] SessionLifecycleManager constructor')
+
+    this.session = session
+    this.state = session.visibilityState || 'visible' // Older runtimes don't report visibility
+    this.pausedAt = this.isPaused() ? performance.now() : null
+    this.isDisposed = false
+
+    this.stats = {
+      pauses: 0,
+      totalPausedMs: 0
+    }
+
+    this.handleVisibilityChange = () => this.setState(this.session.visibilityState || 'visible')
+    this.handleEnd = () => this.emit('end', {})
+
+    this.session.addEventListener('visibilitychange', this.handleVisibilityChange)
+    this.session.addEventListener('end', this.handleEnd)
+
+    console.log(`✅ [DEBUG] SessionLifecycleManager initialized (visibility: ${this.state})`)
+  }
+
+  /**
+   * Whether input and hit-testing should be paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.state !== 'visible'
+  }
+
+  /**
+   * Apply a visibility state and raise the matching events
+   * @param {string} state One of VISIBILITY_STATES
+   */
+  setState(state) {
+    if (this.isDisposed || state === this.state) return
+
+    const previousState = this.state
+    const wasPaused = this.isPaused()
+    this.state = state
+    console.log(`⏯️ [DEBUG] Session visibility: ${previousState} → ${state}`)
+
+    this.emit('visibilitychange', { state, previousState })
+
+    if (!wasPaused && this.isPaused()) {
+      this.pausedAt = performance.now()
+      this.stats.pauses++
+      this.emit('pause', { state })
+    } else if (wasPaused && !this.isPaused()) {
+      const pausedFor = this.pausedAt !== null ? performance.now() - this.pausedAt : 0
+      this.pausedAt = null
+      this.stats.totalPausedMs += pausedFor
+      this.emit('resume', { state, pausedFor })
+    }
+  }
+
+  /**
+   * Dispatch a lifecycle event
+   * @param {string} type Event type
+   * @param {Object} detail Event properties
+   */
+  emit(type, detail) {
+    this.dispatchEvent(Object.assign(new Event(type), detail))
+  }
+
+  /**
+   * Stop following the session
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] SessionLifecycleManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing SessionLifecycleManager...')
+    this.session.removeEventListener('visibilitychange', this.handleVisibilityChange)
+    this.session.removeEventListener('end', this.handleEnd)
+    this.isDisposed = true
+    console.log('✅ [DEBUG] SessionLifecycleManager disposed')
+  }
+
+  /**
+   * Get debug information about the session lifecycle
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      state: this.state,
+      isPaused: this.isPaused(),
+      ...this.stats,
+      isDisposed: this.isDisposed
+    }
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * WebXR Light Estimation
+ * Drives scene lighting from the light-estimation feature: spherical harmonics
+ * ambient light, the primary light's direction/intensity and a reflection
+ * environment map. Falls back to the static rig from WebXRRenderer.setupLighting.
+ */
+import * as THREE from 'three'
+import { getSessionCapabilities } from './capabilities.js'
+
+export class LightEstimation {
+  /**
+   * @param {WebXRRenderer} webxrRenderer Renderer that owns the scene and static lights
+   */
+  constructor(webxrRenderer) {
+    console.log('💡 [DEBUG] LightEstimation constructor')
+
+    this.webxrRenderer = webxrRenderer
+    this.renderer = webxrRenderer.renderer
+    this.scene = webxrRenderer.scene
+    this.session = webxrRenderer.session
+    this.ambientLight = webxrRenderer.ambientLight
+    this.directionalLight = webxrRenderer.directionalLight
+    this.xrLightProbe = null
+    this.onPrimaryLightChanged = null // Called with the new direction toward the primary light
+    this.isEstimating = false         // Estimates are currently driving the lights
+    this.isDisposed = false
+
+    // Light estimation configuration
+    this.UPDATE_INTERVAL_FRAMES = 10   // Estimates change slowly - don't read them every frame
+    this.FALLBACK_FRAMES = 90          // Frames without an estimate before the static rig returns
+    this.DIRECTION_CHANGE_DOT = Math.cos(THREE.MathUtils.degToRad(3)) // Smaller moves don't re-aim shadows
+
+    // Static rig to fall back to
+    this.staticRig = {
+      ambientIntensity: this.ambientLight?.intensity ?? 0.6,
+      ambientColor: this.ambientLight?.color.clone() ?? new THREE.Color(0xffffff),
+      directionalIntensity: this.directionalLight?.intensity ?? 0.8,
+      directionalColor: this.directionalLight?.color.clone() ?? new THREE.Color(0xffffff),
+      direction: this.directionalLight?.position.clone().normalize() ?? new THREE.Vector3(1, 1, 1).normalize()
+    }
+
+    // Ambient spherical harmonics (silent until the first estimate)
+    this.lightProbe = new THREE.LightProbe()
+    this.lightProbe.intensity = 0
+    this.scene.add(this.lightProbe)
+
+    // Reflection cube map - the runtime's texture is bound in place of this target's
+    this.environmentTarget = null
+    this.reflectionPending = false
+    this.handleReflectionChange = () => { this.reflectionPending = true }
+
+    this.frameCounter = 0
+    this.framesWithoutEstimate = 0
+    this.primaryLightDirection = this.staticRig.direction.clone()
+    this.direction = new THREE.Vector3()
+    this.probeQuaternion = new THREE.Quaternion()
+
+    this.stats = {
+      estimatesApplied: 0,
+      reflectionUpdates: 0,
+      fallbacks: 0
+    }
+  }
+
+  /**
+   * Check whether a session granted light estimation
+   * @param {XRSession} session
+   * @returns {boolean}
+   */
+  static isSupported(session) {
+    return getSessionCapabilities(session).lightEstimation
+  }
+
+  /**
+   * Request the XR light probe
+   * @returns {Promise<boolean>} True if estimation can start
+   */
+  async initialize() {
+    try {
+      const reflectionFormat = this.session.preferredReflectionFormat || 'srgba8'
+      this.xrLightProbe = await this.session.requestLightProbe({ reflectionFormat })
+      if (this.isDisposed) return false
+
+      // Reflections need a WebGL binding; lighting works without them
+      if (this.renderer.xr.getBinding?.()) {
+        this.environmentTarget = new THREE.WebGLCubeRenderTarget(16)
+        this.xrLightProbe.addEventListener('reflectionchange', this.handleReflectionChange)
+      }
+
+      console.log(`✅ [DEBUG] Light probe ready (reflections: ${this.environmentTarget ? reflectionFormat : 'off'})`)
+      return true
+    } catch (error) {
+      console.warn('⚠️ [DEBUG] Light probe unavailable, keeping static lighting:', error)
+      this.xrLightProbe = null
+      return false
+    }
+  }
+
+  /**
+   * Apply the latest estimate every few frames
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   */
+  update(frame, refSpace) {
+    if (this.isDisposed || !this.xrLightProbe) return
+
+    if (this.reflectionPending) {
+      this.reflectionPending = false
+      this.updateReflection()
+    }
+
+    this.frameCounter++
+    if (this.frameCounter % this.UPDATE_INTERVAL_FRAMES !== 0) return
+
+    let estimate = null
+    try {
+      estimate = frame.getLightEstimate(this.xrLightProbe)
+    } catch (error) {
+      estimate = null
+    }
+
+    if (!estimate) {
+      this.framesWithoutEstimate += this.UPDATE_INTERVAL_FRAMES
+      if (this.isEstimating && this.framesWithoutEstimate >= this.FALLBACK_FRAMES) {
+        this.restoreStaticRig()
+      }
+      return
+    }
+
+    this.framesWithoutEstimate = 0
+    this.applyEstimate(estimate, frame, refSpace)
+  }
+
+  /**
+   * Drive the probe and key light from an estimate
+   * @param {XRLightEstimate} estimate Current light estimate
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   */
+  applyEstimate(estimate, frame, refSpace) {
+    if (!this.isEstimating) {
+      console.log('💡 [DEBUG] Light estimates available - switching from the static rig')
+      this.isEstimating = true
+    }
+
+    // The probe replaces the flat ambient term
+    this.lightProbe.sh.fromArray(estimate.sphericalHarmonicsCoefficients)
+    this.lightProbe.intensity = 1
+    if (this.ambientLight) this.ambientLight.intensity = 0
+
+    // Intensity may exceed 1 - keep the color normalized and put the rest in intensity
+    const { x: r, y: g, z: b } = estimate.primaryLightIntensity
+    const intensity = Math.max(1, r, g, b)
+    if (this.directionalLight) {
+      this.directionalLight.color.setRGB(r / intensity, g / intensity, b / intensity)
+      this.directionalLight.intensity = intensity
+    }
+
+    // The direction is given in probe space
+    const { x, y, z } = estimate.primaryLightDirection
+    this.direction.set(x, y, z)
+    const probePose = frame.getPose?.(this.xrLightProbe.probeSpace, refSpace)
+    if (probePose) {
+      const { orientation } = probePose.transform
+      this.direction.applyQuaternion(this.probeQuaternion.set(orientation.x, orientation.y, orientation.z, orientation.w))
+    }
+    if (this.direction.lengthSq() > 0) {
+      this.setPrimaryLightDirection(this.direction.normalize())
+    }
+
+    this.stats.estimatesApplied++
+  }
+
+  /**
+   * Point the key light, notifying listeners only for noticeable changes
+   * @param {THREE.Vector3} direction Normalized direction toward the light
+   */
+  setPrimaryLightDirection(direction) {
+    if (this.directionalLight) {
+      // Keep the light's distance - ShadowCatcherManager may have fitted its shadow camera
+      const { position, target } = this.directionalLight
+      const distance = position.distanceTo(target.position) || 1
+      position.copy(target.position).addScaledVector(direction, distance)
+      this.directionalLight.updateMatrixWorld()
+    }
+
+    if (direction.dot(this.primaryLightDirection) < this.DIRECTION_CHANGE_DOT) {
+      this.primaryLightDirection.copy(direction)
+      this.onPrimaryLightChanged?.(this.primaryLightDirection)
+    }
+  }
+
+  /**
+   * Bind the runtime's reflection cube map as the scene environment
+   */
+  updateReflection() {
+    if (!this.environmentTarget) return
+
+    const cubeMap = this.renderer.xr.getBinding()?.getReflectionCubeMap(this.xrLightProbe)
+    if (!cubeMap) return
+
+    const texture = this.environmentTarget.texture
+    this.renderer.properties.get(texture).__webglTexture = cubeMap
+    texture.needsPMREMUpdate = true
+    this.scene.environment = texture
+    this.stats.reflectionUpdates++
+  }
+
+  /**
+   * Go back to the fixed ambient + directional pair
+   */
+  restoreStaticRig() {
+    console.log('💡 [DEBUG] Light estimates lost - restoring static lighting')
+    this.isEstimating = false
+    this.lightProbe.intensity = 0
+    if (this.ambientLight) {
+      this.ambientLight.intensity = this.staticRig.ambientIntensity
+      this.ambientLight.color.copy(this.staticRig.ambientColor)
+    }
+    if (this.directionalLight) {
+      this.directionalLight.intensity = this.staticRig.directionalIntensity
+      this.directionalLight.color.copy(this.staticRig.directionalColor)
+    }
+    this.setPrimaryLightDirection(this.staticRig.direction.clone())
+    if (this.environmentTarget && this.scene.environment === this.environmentTarget.texture) {
+      this.scene.environment = null
+    }
+    this.stats.fallbacks++
+  }
+
+  /**
+   * Release the probe and restore static lighting
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] LightEstimation already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing LightEstimation...')
+    if (this.isEstimating) {
+      this.restoreStaticRig()
+    }
+    this.xrLightProbe?.removeEventListener('reflectionchange', this.handleReflectionChange)
+    this.xrLightProbe = null
+    this.scene.remove(this.lightProbe)
+    this.lightProbe.dispose()
+
+    if (this.environmentTarget) {
+      if (this.scene.environment === this.environmentTarget.texture) {
+        this.scene.environment = null
+      }
+      // The bound cube map belongs to the XR runtime - forget it so disposing
+      // the texture only frees the PMREM copy Three.js made from it
+      this.renderer.properties.remove(this.environmentTarget.texture)
+      this.environmentTarget.texture.dispose()
+      this.environmentTarget = null
+    }
+
+    this.onPrimaryLightChanged = null
+    this.isDisposed = true
+    console.log('✅ [DEBUG] LightEstimation disposed')
+  }
+
+  /**
+   * Get current light estimation statistics
+   * @returns {Object} Statistics object
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isEstimating: this.isEstimating,
+      hasProbe: !!this.xrLightProbe,
+      hasReflections: !!this.environmentTarget,
+      primaryLightIntensity: this.directionalLight?.intensity ?? 0
+    }
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * WebXR Mesh Detection Logic
+ * Tracks scene meshes (frame.detectedMeshes) alongside plane detection so
+ * content can rest on non-planar furniture
+ */
+import { getSessionCapabilities } from './capabilities.js'
+
+export class MeshDetection {
+  constructor() {
+    console.log('🕸️ [DEBUG] MeshDetection constructor')
+    this.detectedMeshes = new Map()
+    this.onMeshDetected = null
+    this.onMeshUpdated = null
+    this.onMeshRemoved = null
+    this.isEnabled = true
+
+    // Debug statistics
+    this.stats = {
+      totalMeshesDetected: 0,
+      trackedMeshes: 0,
+      totalTriangles: 0,
+      lastUpdateTime: 0
+    }
+  }
+
+  /**
+   * Check whether a session granted mesh detection
+   * @param {XRSession} session
+   * @returns {boolean}
+   */
+  static isSupported(session) {
+    return getSessionCapabilities(session).mesh
+  }
+
+  /**
+   * Process detected meshes from XR frame
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   * @returns {Object} { all, new, updated } mesh data
+   */
+  processFrame(frame, refSpace) {
+    const currentMeshes = []
+    const newMeshes = []
+    const updatedMeshes = []
+
+    // Same contract as PlaneDetection: an empty or missing set still removes tracked meshes
+    const frameMeshes = this.isEnabled && frame.detectedMeshes ? frame.detectedMeshes : new Set()
+
+    this.stats.totalMeshesDetected = Math.max(this.stats.totalMeshesDetected, frameMeshes.size)
+    this.stats.lastUpdateTime = performance.now()
+
+    for (const mesh of frameMeshes) {
+      const meshData = this.analyzeMesh(mesh, frame, refSpace)
+      if (!meshData) continue
+
+      currentMeshes.push(meshData)
+
+      if (this.detectedMeshes.has(mesh)) {
+        const existing = this.detectedMeshes.get(mesh)
+        if (this.hasMeshChanged(existing, meshData)) {
+          updatedMeshes.push(meshData)
+          this.onMeshUpdated?.(meshData, existing)
+        }
+      } else {
+        newMeshes.push(meshData)
+        console.log(`🆕 [DEBUG] Mesh detected: ${meshData.semanticLabel}, ${meshData.triangleCount} triangles`)
+        this.onMeshDetected?.(meshData)
+      }
+
+      this.detectedMeshes.set(mesh, meshData)
+    }
+
+    // Check for removed meshes
+    for (const [mesh, meshData] of this.detectedMeshes) {
+      if (!frameMeshes.has(mesh)) {
+        this.detectedMeshes.delete(mesh)
+        console.log(`🗑️ [DEBUG] Mesh removed: ${meshData.semanticLabel}`)
+        this.onMeshRemoved?.(meshData)
+      }
+    }
+
+    this.stats.trackedMeshes = currentMeshes.length
+    this.stats.totalTriangles = currentMeshes.reduce((sum, meshData) => sum + meshData.triangleCount, 0)
+
+    return {
+      all: currentMeshes,
+      new: newMeshes,
+      updated: updatedMeshes
+    }
+  }
+
+  /**
+   * Read the data we need from a single mesh
+   * @param {XRMesh} mesh XR mesh object
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   * @returns {Object|null} Mesh data
+   */
+  analyzeMesh(mesh, frame, refSpace) {
+    try {
+      const meshPose = frame.getPose(mesh.meshSpace, refSpace)
+      if (!meshPose || !mesh.vertices || !mesh.indices) return null
+
+      return {
+        mesh,
+        pose: meshPose,
+        vertices: mesh.vertices,     // Float32Array, xyz triplets in mesh space
+        indices: mesh.indices,       // Uint32Array, triangle list
+        vertexCount: mesh.vertices.length / 3,
+        triangleCount: Math.floor(mesh.indices.length / 3),
+        lastChangedTime: mesh.lastChangedTime,
+        semanticLabel: mesh.semanticLabel || 'unknown'
+      }
+    } catch (error) {
+      console.error('Error analyzing mesh:', error)
+      return null
+    }
+  }
+
+  /**
+   * Check if a mesh has changed since the last frame
+   * @param {Object} oldMesh Previous mesh data
+   * @param {Object} newMesh New mesh data
+   * @returns {boolean} True if geometry or pose changed
+   */
+  hasMeshChanged(oldMesh, newMesh) {
+    const threshold = 0.01 // 1cm threshold
+    const oldPosition = oldMesh.pose.transform.position
+    const newPosition = newMesh.pose.transform.position
+
+    return (
+      newMesh.lastChangedTime !== oldMesh.lastChangedTime ||
+      Math.abs(newPosition.x - oldPosition.x) > threshold ||
+      Math.abs(newPosition.y - oldPosition.y) > threshold ||
+      Math.abs(newPosition.z - oldPosition.z) > threshold
+    )
+  }
+
+  /**
+   * Set up event callbacks
+   * @param {Object} callbacks Event callback functions
+   */
+  setEventCallbacks(callbacks) {
+    this.onMeshDetected = callbacks.onMeshDetected
+    this.onMeshUpdated = callbacks.onMeshUpdated
+    this.onMeshRemoved = callbacks.onMeshRemoved
+  }
+
+  /**
+   * Clear all tracked meshes
+   */
+  clearMeshes() {
+    this.detectedMeshes.clear()
+  }
+
+  /**
+   * Get data for every tracked mesh
+   * @returns {Array<Object>} Mesh data from the last processed frame
+   */
+  getTrackedMeshes() {
+    return Array.from(this.detectedMeshes.values())
+  }
+
+  /**
+   * Get current mesh count
+   * @returns {number} Number of currently tracked meshes
+   */
+  getMeshCount() {
+    return this.detectedMeshes.size
+  }
+
+  /**
+   * Enable or disable mesh detection
+   * @param {boolean} enabled
+   */
+  setMeshDetectionEnabled(enabled) {
+    console.log(`🔧 [DEBUG] Setting mesh detection enabled: ${enabled}`)
+    this.isEnabled = enabled
+  }
+
+  /**
+   * Get current detection statistics
+   * @returns {Object} Statistics object
+   */
+  getStats() {
+    return { ...this.stats }
+  }
+}
@@ -0,0 +1,982 @@
+/**
+ * Mock WebXR Runtime
+ * Scriptable fake navigator.xr / XRSession / XRFrame so the placement flow
+ * can be driven without a headset (desktop browser or Node)
+ */
+import * as THREE from 'three'
+import { pointInPolygon2D } from '../utils/math.js'
+
+const DEFAULT_FEATURES = [
+  'viewer', 'local', 'local-floor', 'bounded-floor', 'unbounded',
+  'plane-detection', 'mesh-detection', 'hit-test', 'anchors'
+]
+
+const DEFAULT_MODES = ['immersive-ar', 'immersive-vr', 'inline']
+
+// Runtime options for other device profiles, e.g. installMockXR({ ...MOCK_PRESETS.vr })
+export const MOCK_PRESETS = Object.freeze({
+  // VR-only headset: no AR mode, no planes, meshes, hit-testing or anchors
+  vr: { modes: ['immersive-vr', 'inline'], features: ['viewer', 'local', 'local-floor', 'bounded-floor'] }
+})
+
+// WebXR Hand Input joint names, in specification order
+export const HAND_JOINTS = [
+  'wrist',
+  'thumb-metacarpal', 'thumb-phalanx-proximal', 'thumb-phalanx-distal', 'thumb-tip',
+  'index-finger-metacarpal', 'index-finger-phalanx-proximal', 'index-finger-phalanx-intermediate',
+  'index-finger-phalanx-distal', 'index-finger-tip',
+  'middle-finger-metacarpal', 'middle-finger-phalanx-proximal', 'middle-finger-phalanx-intermediate',
+  'middle-finger-phalanx-distal', 'middle-finger-tip',
+  'ring-finger-metacarpal', 'ring-finger-phalanx-proximal', 'ring-finger-phalanx-intermediate',
+  'ring-finger-phalanx-distal', 'ring-finger-tip',
+  'pinky-finger-metacarpal', 'pinky-finger-phalanx-proximal', 'pinky-finger-phalanx-intermediate',
+  'pinky-finger-phalanx-distal', 'pinky-finger-tip'
+]
+
+/**
+ * Create a DOMException-like error so callers can branch on error.name
+ * @param {string} name Error name (NotSupportedError, InvalidStateError...)
+ * @param {string} message Error message
+ * @returns {Error}
+ */
+function createXRError(name, message) {
+  const error = new Error(message)
+  error.name = name
+  return error
+}
+
+/**
+ * XRRigidTransform stand-in backed by a THREE.Matrix4
+ */
+export class MockXRRigidTransform {
+  constructor(position = {}, orientation = {}) {
+    const p = new THREE.Vector3(position.x || 0, position.y || 0, position.z || 0)
+    const q = new THREE.Quaternion(
+      orientation.x || 0,
+      orientation.y || 0,
+      orientation.z || 0,
+      orientation.w ?? 1
+    ).normalize()
+
+    this.position = Object.freeze({ x: p.x, y: p.y, z: p.z, w: 1 })
+    this.orientation = Object.freeze({ x: q.x, y: q.y, z: q.z, w: q.w })
+    this.matrix = new Float32Array(new THREE.Matrix4().compose(p, q, new THREE.Vector3(1, 1, 1)).elements)
+  }
+
+  /**
+   * Build a transform from a rigid THREE.Matrix4
+   * @param {THREE.Matrix4} matrix Rigid transform matrix
+   * @returns {MockXRRigidTransform}
+   */
+  static fromMatrix4(matrix) {
+    const position = new THREE.Vector3()
+    const orientation = new THREE.Quaternion()
+    matrix.decompose(position, orientation, new THREE.Vector3())
+    return new MockXRRigidTransform(position, orientation)
+  }
+
+  get inverse() {
+    return MockXRRigidTransform.fromMatrix4(this.toMatrix4().invert())
+  }
+
+  toMatrix4() {
+    return new THREE.Matrix4().fromArray(this.matrix)
+  }
+}
+
+/**
+ * XRSpace / XRReferenceSpace stand-in. Every space stores its pose relative
+ * to the runtime's tracking origin, which doubles as the 'local' space.
+ */
+export class MockXRSpace extends EventTarget {
+  constructor(matrix = new THREE.Matrix4(), parent = null) {
+    super()
+    this.matrix = matrix.clone()
+    this.parent = parent
+  }
+
+  /**
+   * Get this space's transform relative to the tracking origin
+   * @returns {THREE.Matrix4}
+   */
+  getWorldMatrix() {
+    if (!this.parent) return this.matrix.clone()
+    return this.parent.getWorldMatrix().multiply(this.matrix)
+  }
+
+  /**
+   * Set pose relative to the tracking origin
+   * @param {Object} position {x, y, z}
+   * @param {Object} orientation {x, y, z, w}
+   */
+  setPose(position = {}, orientation = {}) {
+    this.matrix.fromArray(new MockXRRigidTransform(position, orientation).matrix)
+    if (this.parent) {
+      this.matrix.premultiply(this.parent.getWorldMatrix().invert())
+    }
+  }
+
+  getOffsetReferenceSpace(originOffset) {
+    return new MockXRSpace(new THREE.Matrix4().fromArray(originOffset.matrix), this)
+  }
+}
+
+export class MockXRPose {
+  constructor(transform, emulatedPosition = false) {
+    this.transform = transform
+    this.emulatedPosition = emulatedPosition
+  }
+}
+
+/**
+ * XRWebGLLayer stand-in; renders straight into the default framebuffer
+ */
+export class MockXRWebGLLayer {
+  constructor(session, gl, layerInit = {}) {
+    this.session = session
+    this.context = gl
+    this.antialias = !!layerInit.antialias
+    this.ignoreDepthValues = false
+    this.fixedFoveation = 0
+    this.framebuffer = null
+    this.framebufferWidth = gl?.drawingBufferWidth || 1
+    this.framebufferHeight = gl?.drawingBufferHeight || 1
+  }
+
+  getViewport() {
+    return { x: 0, y: 0, width: this.framebufferWidth, height: this.framebufferHeight }
+  }
+
+  static getNativeFramebufferScaleFactor() {
+    return 1
+  }
+}
+
+export class MockXRPlane {
+  constructor(runtime, { orientation = 'horizontal', polygon, semanticLabel } = {}) {
+    this.runtime = runtime
+    this.planeSpace = new MockXRSpace()
+    this.orientation = orientation
+    this.polygon = polygon.map(p => Object.freeze({ x: p.x, y: 0, z: p.z, w: 1 }))
+    this.lastChangedTime = runtime.time
+    if (semanticLabel) {
+      this.semanticLabel = semanticLabel
+    }
+  }
+}
+
+export class MockXRMesh {
+  constructor(runtime, { vertices, indices, semanticLabel } = {}) {
+    this.runtime = runtime
+    this.meshSpace = new MockXRSpace()
+    this.vertices = Float32Array.from(vertices)
+    this.indices = Uint32Array.from(indices)
+    this.lastChangedTime = runtime.time
+    if (semanticLabel) {
+      this.semanticLabel = semanticLabel
+    }
+  }
+}
+
+export class MockXRAnchor {
+  constructor(runtime, matrix) {
+    this.runtime = runtime
+    this.anchorSpace = new MockXRSpace(matrix)
+    this.persistentHandle = null
+    this.deleted = false
+  }
+
+  async requestPersistentHandle() {
+    if (this.deleted) {
+      throw createXRError('InvalidStateError', 'Anchor has been deleted')
+    }
+    if (!this.persistentHandle) {
+      this.persistentHandle = `mock-anchor-${++this.runtime.anchorCounter}`
+      this.runtime.persistentAnchors.set(this.persistentHandle, this.anchorSpace.getWorldMatrix())
+    }
+    return this.persistentHandle
+  }
+
+  delete() {
+    this.deleted = true
+    this.runtime.anchors.delete(this)
+  }
+}
+
+export class MockXRHitTestSource {
+  constructor(session, options) {
+    this.session = session
+    this.space = options.space
+    this.entityTypes = options.entityTypes || ['plane']
+    this.cancelled = false
+  }
+
+  cancel() {
+    this.cancelled = true
+  }
+}
+
+export class MockXRHitTestResult {
+  constructor(frame, matrix) {
+    this.frame = frame
+    this.matrix = matrix
+  }
+
+  getPose(baseSpace) {
+    return this.frame.getPoseFromMatrix(this.matrix, baseSpace)
+  }
+
+  async createAnchor() {
+    return this.frame.session.runtime.createAnchor(this.matrix)
+  }
+}
+
+export class MockXRLightProbe extends EventTarget {
+  constructor(session) {
+    super()
+    this.session = session
+    this.probeSpace = new MockXRSpace()
+  }
+}
+
+export class MockXRLightEstimate {
+  constructor({ sphericalHarmonicsCoefficients, primaryLightDirection, primaryLightIntensity }) {
+    this.sphericalHarmonicsCoefficients = sphericalHarmonicsCoefficients
+    this.primaryLightDirection = primaryLightDirection
+    this.primaryLightIntensity = primaryLightIntensity
+  }
+}
+
+export class MockXRInputSource {
+  constructor({ handedness = 'right', hand = false, profiles } = {}) {
+    this.handedness = handedness
+    this.targetRayMode = 'tracked-pointer'
+    this.targetRaySpace = new MockXRSpace()
+    this.gripSpace = hand ? null : new MockXRSpace()
+    this.profiles = profiles || (hand
+      ? ['generic-hand-select', 'generic-hand']
+      : ['oculus-touch-v3', 'oculus-touch-v2', 'generic-trigger-squeeze-thumbstick'])
+    this.hand = hand ? new Map(HAND_JOINTS.map(name => [name, new MockXRSpace()])) : null
+    this.gamepad = hand ? null : {
+      axes: [0, 0, 0, 0],
+      buttons: Array.from({ length: 7 }, () => ({ pressed: false, touched: false, value: 0 }))
+    }
+  }
+}
+
+export class MockXRFrame {
+  constructor(session, time) {
+    this.session = session
+    this.predictedDisplayTime = time
+
+    const runtime = session.runtime
+    if (session.enabledFeatures.includes('plane-detection')) {
+      this.detectedPlanes = new Set(runtime.planes)
+    }
+    if (session.enabledFeatures.includes('mesh-detection')) {
+      this.detectedMeshes = new Set(runtime.meshes)
+    }
+    if (session.enabledFeatures.includes('anchors')) {
+      this.trackedAnchors = new Set(runtime.anchors)
+    }
+  }
+
+  /**
+   * Express a tracking-origin matrix relative to a base space
+   * @param {THREE.Matrix4} matrix Pose relative to the tracking origin
+   * @param {MockXRSpace} baseSpace Space to express the pose in
+   * @returns {MockXRPose|null}
+   */
+  getPoseFromMatrix(matrix, baseSpace) {
+    if (!matrix || !baseSpace) return null
+    const relative = baseSpace.getWorldMatrix().invert().multiply(matrix)
+    return new MockXRPose(MockXRRigidTransform.fromMatrix4(relative))
+  }
+
+  getPose(space, baseSpace) {
+    if (!space || !baseSpace) return null
+    return this.getPoseFromMatrix(space.getWorldMatrix(), baseSpace)
+  }
+
+  getJointPose(jointSpace, baseSpace) {
+    const pose = this.getPose(jointSpace, baseSpace)
+    if (pose) pose.radius = 0.008
+    return pose
+  }
+
+  getViewerPose(baseSpace) {
+    const pose = this.getPose(this.session.runtime.viewerSpace, baseSpace)
+    if (!pose) return null
+
+    pose.views = [{
+      eye: 'none',
+      projectionMatrix: this.session.runtime.projectionMatrix,
+      transform: pose.transform
+    }]
+    return pose
+  }
+
+  getHitTestResults(hitTestSource) {
+    if (hitTestSource.cancelled) {
+      throw createXRError('InvalidStateError', 'Hit-test source has been cancelled')
+    }
+    const ray = this.session.runtime.getRay(hitTestSource.space)
+    return this.session.runtime.castRay(ray, hitTestSource.entityTypes)
+      .map(hit => new MockXRHitTestResult(this, hit.matrix))
+  }
+
+  getLightEstimate(lightProbe) {
+    if (lightProbe.session !== this.session) {
+      throw createXRError('InvalidStateError', 'Light probe belongs to another session')
+    }
+    const estimate = this.session.runtime.lightEstimate
+    return estimate ? new MockXRLightEstimate(estimate) : null
+  }
+
+  async createAnchor(pose, space) {
+    const matrix = space.getWorldMatrix().multiply(new THREE.Matrix4().fromArray(pose.matrix))
+    return this.session.runtime.createAnchor(matrix)
+  }
+}
+
+export class MockXRSession extends EventTarget {
+  constructor(runtime, mode, enabledFeatures) {
+    super()
+    this.runtime = runtime
+    this.mode = mode
+    this.enabledFeatures = Object.freeze([...enabledFeatures])
+    this.environmentBlendMode = mode === 'immersive-ar' ? 'alpha-blend' : 'opaque'
+    this.interactionMode = 'world-space'
+    this.visibilityState = 'visible'
+    this.renderState = { baseLayer: null, depthNear: 0.1, depthFar: 1000, inlineVerticalFieldOfView: null }
+    this.preferredReflectionFormat = 'srgba8'
+    this.inputSources = []
+    this.ended = false
+    this.frameCallbacks = new Map()
+    this.nextCallbackHandle = 1
+  }
+
+  updateRenderState(state = {}) {
+    if (this.ended) throw createXRError('InvalidStateError', 'Session has ended')
+    Object.assign(this.renderState, state)
+  }
+
+  async requestReferenceSpace(type) {
+    if (!this.enabledFeatures.includes(type) && type !== 'viewer') {
+      throw createXRError('NotSupportedError', `Reference space "${type}" not enabled`)
+    }
+    return this.runtime.getReferenceSpace(type)
+  }
+
+  requestAnimationFrame(callback) {
+    const handle = this.nextCallbackHandle++
+    this.frameCallbacks.set(handle, callback)
+    return handle
+  }
+
+  cancelAnimationFrame(handle) {
+    this.frameCallbacks.delete(handle)
+  }
+
+  async requestHitTestSource(options = {}) {
+    if (this.ended) throw createXRError('InvalidStateError', 'Session has ended')
+    if (!this.enabledFeatures.includes('hit-test')) {
+      throw createXRError('NotSupportedError', 'hit-test feature not enabled')
+    }
+    return new MockXRHitTestSource(this, options)
+  }
+
+  async requestLightProbe(options = {}) {
+    if (this.ended) throw createXRError('InvalidStateError', 'Session has ended')
+    if (!this.enabledFeatures.includes('light-estimation')) {
+      throw createXRError('NotSupportedError', 'light-estimation feature not enabled')
+    }
+    return new MockXRLightProbe(this)
+  }
+
+  get persistentAnchors() {
+    return Object.freeze([...this.runtime.persistentAnchors.keys()])
+  }
+
+  async restorePersistentAnchor(handle) {
+    const matrix = this.runtime.persistentAnchors.get(handle)
+    if (!matrix) throw createXRError('InvalidStateError', `Unknown anchor handle ${handle}`)
+    const anchor = this.runtime.createAnchor(matrix)
+    anchor.persistentHandle = handle
+    return anchor
+  }
+
+  async deletePersistentAnchor(handle) {
+    this.runtime.persistentAnchors.delete(handle)
+  }
+
+  async initiateRoomCapture() {
+    return undefined
+  }
+
+  async end() {
+    if (this.ended) return
+    this.ended = true
+    this.frameCallbacks.clear()
+    this.runtime.onSessionEnded(this)
+    this.dispatchEvent(new Event('end'))
+  }
+}
+
+/**
+ * navigator.xr stand-in
+ */
+export class MockXRSystem extends EventTarget {
+  constructor(runtime) {
+    super()
+    this.runtime = runtime
+  }
+
+  async isSessionSupported(mode) {
+    return this.runtime.modes.includes(mode)
+  }
+
+  async requestSession(mode, options = {}) {
+    if (!this.runtime.modes.includes(mode)) {
+      throw createXRError('NotSupportedError', `Session mode "${mode}" not supported`)
+    }
+    if (this.runtime.activeSession && mode !== 'inline') {
+      throw createXRError('InvalidStateError', 'An immersive session is already active')
+    }
+
+    const required = options.requiredFeatures || []
+    const optional = options.optionalFeatures || []
+    const missing = required.filter(feature => !this.runtime.features.includes(feature))
+    if (missing.length > 0) {
+      throw createXRError('NotSupportedError', `Required features not supported: ${missing.join(', ')}`)
+    }
+
+    const enabled = new Set(['viewer', ...required])
+    if (mode !== 'inline') enabled.add('local')
+    optional.filter(feature => this.runtime.features.includes(feature)).forEach(feature => enabled.add(feature))
+
+    const session = new MockXRSession(this.runtime, mode, enabled)
+    if (options.domOverlay && enabled.has('dom-overlay')) {
+      session.domOverlayState = { type: 'screen' }
+    }
+    if (mode !== 'inline') {
+      this.runtime.activeSession = session
+      session.inputSources = [...this.runtime.inputSources]
+    }
+    console.log('🧪 [DEBUG] Mock XR session created:', { mode, enabledFeatures: session.enabledFeatures })
+    return session
+  }
+}
+
+export class MockXRRuntime {
+  constructor(options = {}) {
+    this.features = options.features || DEFAULT_FEATURES
+    this.modes = options.modes || DEFAULT_MODES
+    this.eyeHeight = options.eyeHeight ?? 1.6
+    this.xr = new MockXRSystem(this)
+
+    this.activeSession = null
+    this.time = 0
+    this.planes = new Set()
+    this.meshes = new Set()
+    this.anchors = new Set()
+    this.persistentAnchors = options.persistentAnchors || new Map()
+    this.anchorCounter = 0
+    this.inputSources = []
+    this.lightEstimate = null // Returned by XRFrame.getLightEstimate, see setLightEstimate
+    this.autoTickHandle = null
+
+    this.viewerSpace = new MockXRSpace()
+    this.referenceSpaces = new Map()
+    this.projectionMatrix = new Float32Array(
+      new THREE.PerspectiveCamera(90, 1, 0.1, 1000).projectionMatrix.elements
+    )
+
+    console.log('🧪 [DEBUG] MockXRRuntime created:', { features: this.features, modes: this.modes })
+  }
+
+  /**
+   * Get (or lazily create) a reference space of the given type
+   * @param {string} type Reference space type
+   * @returns {MockXRSpace}
+   */
+  getReferenceSpace(type) {
+    if (type === 'viewer') return this.viewerSpace
+
+    if (!this.referenceSpaces.has(type)) {
+      const matrix = new THREE.Matrix4()
+      if (type !== 'local') {
+        // Floor-based spaces sit directly below the initial head position
+        matrix.makeTranslation(0, -this.eyeHeight, 0)
+      }
+      const space = new MockXRSpace(matrix)
+      if (type === 'bounded-floor') {
+        space.boundsGeometry = [
+          { x: -2, y: 0, z: -2, w: 1 }, { x: 2, y: 0, z: -2, w: 1 },
+          { x: 2, y: 0, z: 2, w: 1 }, { x: -2, y: 0, z: 2, w: 1 }
+        ]
+      }
+      this.referenceSpaces.set(type, space)
+    }
+    return this.referenceSpaces.get(type)
+  }
+
+  /**
+   * Add a detected plane
+   * @param {Object} options Plane options
+   * @param {string} options.orientation 'horizontal' | 'vertical'
+   * @param {Object} options.position Plane origin relative to the tracking origin
+   * @param {Object} options.orientationQuaternion Plane rotation ({x, y, z, w}); Y is the plane normal
+   * @param {Array} options.polygon Local polygon [{x, z}, ...]; defaults to a width × depth rectangle
+   * @param {number} options.width Rectangle width (X) when no polygon is given
+   * @param {number} options.depth Rectangle depth (Z) when no polygon is given
+   * @param {string} options.semanticLabel Optional semantic label
+   * @returns {MockXRPlane}
+   */
+  addPlane(options = {}) {
+    const polygon = options.polygon || createRectanglePolygon(options.width ?? 1, options.depth ?? 1)
+    const plane = new MockXRPlane(this, { ...options, polygon })
+    plane.planeSpace.setPose(options.position, options.orientationQuaternion)
+    this.planes.add(plane)
+    return plane
+  }
+
+  /**
+   * Change an existing plane and bump its lastChangedTime
+   * @param {MockXRPlane} plane Plane to update
+   * @param {Object} changes { position, orientationQuaternion, polygon, semanticLabel }
+   */
+  updatePlane(plane, changes = {}) {
+    if (changes.polygon) {
+      plane.polygon = changes.polygon.map(p => Object.freeze({ x: p.x, y: 0, z: p.z, w: 1 }))
+    }
+    if (changes.position || changes.orientationQuaternion) {
+      plane.planeSpace.setPose(changes.position, changes.orientationQuaternion)
+    }
+    if (changes.semanticLabel) {
+      plane.semanticLabel = changes.semanticLabel
+    }
+    plane.lastChangedTime = this.time
+  }
+
+  removePlane(plane) {
+    this.planes.delete(plane)
+  }
+
+  /**
+   * Add a detected scene mesh
+   * @param {Object} options Mesh options
+   * @param {Object} options.position Mesh origin relative to the tracking origin
+   * @param {Object} options.orientationQuaternion Mesh rotation ({x, y, z, w})
+   * @param {Array<number>} options.vertices Mesh-space xyz triplets; defaults to a width × height × depth box
+   * @param {Array<number>} options.indices Triangle indices
+   * @param {string} options.semanticLabel Optional semantic label
+   * @returns {MockXRMesh}
+   */
+  addMesh(options = {}) {
+    const box = options.vertices ? null : createBoxMesh(options.width ?? 1, options.height ?? 0.4, options.depth ?? 0.8)
+    const mesh = new MockXRMesh(this, {
+      vertices: options.vertices || box.vertices,
+      indices: options.indices || box.indices,
+      semanticLabel: options.semanticLabel
+    })
+    mesh.meshSpace.setPose(options.position, options.orientationQuaternion)
+    this.meshes.add(mesh)
+    return mesh
+  }
+
+  /**
+   * Change an existing mesh and bump its lastChangedTime
+   * @param {MockXRMesh} mesh Mesh to update
+   * @param {Object} changes { position, orientationQuaternion, vertices, indices, semanticLabel }
+   */
+  updateMesh(mesh, changes = {}) {
+    if (changes.vertices) mesh.vertices = Float32Array.from(changes.vertices)
+    if (changes.indices) mesh.indices = Uint32Array.from(changes.indices)
+    if (changes.position || changes.orientationQuaternion) {
+      mesh.meshSpace.setPose(changes.position, changes.orientationQuaternion)
+    }
+    if (changes.semanticLabel) {
+      mesh.semanticLabel = changes.semanticLabel
+    }
+    mesh.lastChangedTime = this.time
+  }
+
+  removeMesh(mesh) {
+    this.meshes.delete(mesh)
+  }
+
+  /**
+   * Populate a small room: floor, coffee table and a wall facing the user
+   * @returns {Object} { floor, table, wall }
+   */
+  createDefaultRoom() {
+    const floor = this.addPlane({
+      orientation: 'horizontal',
+      position: { x: 0, y: -this.eyeHeight, z: 0 },
+      width: 4,
+      depth: 4,
+      semanticLabel: 'floor'
+    })
+    const table = this.addPlane({
+      orientation: 'horizontal',
+      position: { x: 0, y: 0.75 - this.eyeHeight, z: -0.8 },
+      width: 1.2,
+      depth: 0.6,
+      semanticLabel: 'table'
+    })
+    // Rotate +Y (plane normal) onto +Z so the wall faces the user
+    const wallRotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2)
+    const wall = this.addPlane({
+      orientation: 'vertical',
+      position: { x: 0, y: 1.2 - this.eyeHeight, z: -2 },
+      orientationQuaternion: wallRotation,
+      width: 4,
+      depth: 2.4,
+      semanticLabel: 'wall'
+    })
+    return { floor, table, wall }
+  }
+
+  /**
+   * Connect a controller or tracked hand
+   * @param {Object} options { handedness, hand, profiles }
+   * @returns {MockXRInputSource}
+   */
+  addInputSource(options = {}) {
+    const inputSource = new MockXRInputSource(options)
+    this.inputSources.push(inputSource)
+    const offsetX = inputSource.handedness === 'left' ? -0.2 : 0.2
+    this.setInputPose(inputSource, { x: offsetX, y: -0.3, z: -0.2 })
+
+    if (this.activeSession) {
+      this.activeSession.inputSources = [...this.inputSources]
+      this.dispatchSessionEvent('inputsourceschange', { added: [inputSource], removed: [] })
+    }
+    return inputSource
+  }
+
+  removeInputSource(inputSource) {
+    this.inputSources = this.inputSources.filter(source => source !== inputSource)
+    if (this.activeSession) {
+      this.activeSession.inputSources = [...this.inputSources]
+      this.dispatchSessionEvent('inputsourceschange', { added: [], removed: [inputSource] })
+    }
+  }
+
+  setViewerPose(position, orientation) {
+    this.viewerSpace.setPose(position, orientation)
+  }
+
+  /**
+   * Place an input source's target ray (and grip / hand joints) at a pose
+   * @param {MockXRInputSource} inputSource Input source to move
+   * @param {Object} position {x, y, z}
+   * @param {Object} orientation {x, y, z, w}
+   */
+  setInputPose(inputSource, position, orientation) {
+    inputSource.targetRaySpace.setPose(position, orientation)
+    inputSource.gripSpace?.setPose(position, orientation)
+    inputSource.hand?.forEach(jointSpace => jointSpace.setPose(position, orientation))
+  }
+
+  /**
+   * Aim an input source's target ray at a point
+   * @param {MockXRInputSource} inputSource Input source to aim
+   * @param {Object} target Point to aim at {x, y, z}
+   * @param {Object} origin Optional ray origin; defaults to current position
+   */
+  pointInputAt(inputSource, target, origin = null) {
+    const from = origin
+      ? new THREE.Vector3(origin.x, origin.y, origin.z)
+      : new THREE.Vector3().setFromMatrixPosition(inputSource.targetRaySpace.getWorldMatrix())
+    const to = new THREE.Vector3(target.x, target.y, target.z)
+    const orientation = new THREE.Quaternion().setFromRotationMatrix(
+      new THREE.Matrix4().lookAt(from, to, new THREE.Vector3(0, 1, 0))
+    )
+    this.setInputPose(inputSource, from, orientation)
+  }
+
+  /**
+   * Aim an input source at the centre of a plane
+   * @param {MockXRInputSource} inputSource Input source to aim
+   * @param {MockXRPlane} plane Target plane
+   */
+  pointInputAtPlane(inputSource, plane) {
+    const center = new THREE.Vector3().setFromMatrixPosition(plane.planeSpace.getWorldMatrix())
+    this.pointInputAt(inputSource, center)
+  }
+
+  /**
+   * Fire selectstart / select / selectend for an input source
+   * @param {MockXRInputSource} inputSource Input source performing the select
+   */
+  select(inputSource) {
+    if (!this.activeSession) return
+    const frame = new MockXRFrame(this.activeSession, this.time)
+    for (const type of ['selectstart', 'select', 'selectend']) {
+      this.dispatchSessionEvent(type, { frame, inputSource })
+    }
+  }
+
+  /**
+   * Fire squeezestart for an input source (grip held until squeezeEnd)
+   * @param {MockXRInputSource} inputSource Input source starting to squeeze
+   */
+  squeezeStart(inputSource) {
+    if (!this.activeSession) return
+    const frame = new MockXRFrame(this.activeSession, this.time)
+    this.dispatchSessionEvent('squeezestart', { frame, inputSource })
+  }
+
+  /**
+   * Fire squeeze / squeezeend for an input source
+   * @param {MockXRInputSource} inputSource Input source releasing the squeeze
+   */
+  squeezeEnd(inputSource) {
+    if (!this.activeSession) return
+    const frame = new MockXRFrame(this.activeSession, this.time)
+    for (const type of ['squeeze', 'squeezeend']) {
+      this.dispatchSessionEvent(type, { frame, inputSource })
+    }
+  }
+
+  /**
+   * Set a controller's thumbstick deflection (xr-standard axes[2] / axes[3])
+   * @param {MockXRInputSource} inputSource Controller input source
+   * @param {number} x Horizontal deflection -1..1
+   * @param {number} y Vertical deflection -1..1
+   */
+  setThumbstick(inputSource, x, y = 0) {
+    if (!inputSource.gamepad) return
+    inputSource.gamepad.axes[2] = x
+    inputSource.gamepad.axes[3] = y
+  }
+
+  /**
+   * Set the light estimate frames report (sessions need 'light-estimation')
+   * @param {Object|null} estimate { ambient: {x, y, z} RGB, direction: {x, y, z} toward the light,
+   *   intensity: {x, y, z} RGB } or null for no estimate
+   */
+  setLightEstimate(estimate) {
+    if (!estimate) {
+      this.lightEstimate = null
+      return
+    }
+
+    // Ambient color goes in the constant (L00) band; higher bands stay flat
+    const { ambient = { x: 0, y: 0, z: 0 }, direction = { x: 0, y: 1, z: 0 }, intensity = { x: 1, y: 1, z: 1 } } = estimate
+    const sphericalHarmonicsCoefficients = new Float32Array(27)
+    sphericalHarmonicsCoefficients.set([ambient.x, ambient.y, ambient.z])
+    this.lightEstimate = {
+      sphericalHarmonicsCoefficients,
+      primaryLightDirection: Object.freeze({ x: direction.x, y: direction.y, z: direction.z, w: 0 }),
+      primaryLightIntensity: Object.freeze({ x: intensity.x, y: intensity.y, z: intensity.z, w: 1 })
+    }
+  }
+
+  /**
+   * Change visibility state and fire visibilitychange
+   * @param {string} state 'visible' | 'visible-blurred' | 'hidden'
+   */
+  setVisibilityState(state) {
+    if (!this.activeSession || this.activeSession.visibilityState === state) return
+    this.activeSession.visibilityState = state
+    this.dispatchSessionEvent('visibilitychange', {})
+  }
+
+  /**
+   * Fire a reset event on every reference space handed out so far
+   * @param {Object} transform Optional XRRigidTransform-like origin offset
+   */
+  resetReferenceSpaces(transform = null) {
+    for (const space of this.referenceSpaces.values()) {
+      space.dispatchEvent(Object.assign(new Event('reset'), { referenceSpace: space, transform }))
+    }
+  }
+
+  dispatchSessionEvent(type, properties) {
+    const event = Object.assign(new Event(type), { session: this.activeSession }, properties)
+    this.activeSession.dispatchEvent(event)
+  }
+
+  /**
+   * Advance the runtime by one frame and run queued animation callbacks
+   * @param {number} deltaMs Time step in milliseconds
+   * @returns {number} Number of callbacks run
+   */
+  step(deltaMs = 1000 / 72) {
+    const session = this.activeSession
+    if (!session || session.ended) return 0
+
+    this.time += deltaMs
+    const callbacks = [...session.frameCallbacks.values()]
+    session.frameCallbacks.clear()
+
+    const frame = new MockXRFrame(session, this.time)
+    for (const callback of callbacks) {
+      try {
+        callback(this.time, frame)
+      } catch (error) {
+        console.error('❌ [DEBUG] Mock XR frame callback failed:', error)
+      }
+    }
+    return callbacks.length
+  }
+
+  /**
+   * Advance several frames
+   * @param {number} count Number of frames
+   * @param {number} deltaMs Time step in milliseconds
+   */
+  run(count, deltaMs) {
+    for (let i = 0; i < count; i++) {
+      this.step(deltaMs)
+    }
+  }
+
+  /**
+   * Drive frames from the host event loop (browser use)
+   */
+  startAutoTick() {
+    if (this.autoTickHandle) return
+    const schedule = typeof requestAnimationFrame === 'function'
+      ? cb => requestAnimationFrame(cb)
+      : cb => setTimeout(cb, 1000 / 72)
+    const tick = () => {
+      this.step()
+      this.autoTickHandle = schedule(tick)
+    }
+    this.autoTickHandle = schedule(tick)
+  }
+
+  stopAutoTick() {
+    if (!this.autoTickHandle) return
+    if (typeof cancelAnimationFrame === 'function') cancelAnimationFrame(this.autoTickHandle)
+    clearTimeout(this.autoTickHandle)
+    this.autoTickHandle = null
+  }
+
+  async endSession() {
+    await this.activeSession?.end()
+  }
+
+  onSessionEnded(session) {
+    if (this.activeSession === session) {
+      this.activeSession = null
+    }
+    this.anchors.clear()
+  }
+
+  createAnchor(matrix) {
+    const anchor = new MockXRAnchor(this, matrix)
+    this.anchors.add(anchor)
+    return anchor
+  }
+
+  /**
+   * Get a space's forward (-Z) ray relative to the tracking origin
+   * @param {MockXRSpace} space Ray space
+   * @returns {THREE.Ray}
+   */
+  getRay(space) {
+    const matrix = space.getWorldMatrix()
+    const origin = new THREE.Vector3().setFromMatrixPosition(matrix)
+    const direction = new THREE.Vector3(0, 0, -1).transformDirection(matrix)
+    return new THREE.Ray(origin, direction)
+  }
+
+  /**
+   * Intersect a ray with every detected plane polygon, nearest first
+   * @param {THREE.Ray} ray Ray relative to the tracking origin
+   * @param {Array<string>} entityTypes Hit-test entity types
+   * @returns {Array<{distance: number, matrix: THREE.Matrix4, plane: MockXRPlane}>}
+   */
+  castRay(ray, entityTypes = ['plane']) {
+    if (!entityTypes.includes('plane')) return []
+
+    const hits = []
+    for (const plane of this.planes) {
+      const planeMatrix = plane.planeSpace.getWorldMatrix()
+      const localRay = ray.clone().applyMatrix4(planeMatrix.clone().invert())
+      if (Math.abs(localRay.direction.y) < 1e-6) continue
+
+      const distance = -localRay.origin.y / localRay.direction.y
+      if (distance <= 0) continue
+
+      const localPoint = localRay.at(distance, new THREE.Vector3())
+      if (!pointInPolygon2D(localPoint, plane.polygon)) continue
+
+      const matrix = planeMatrix.clone().multiply(
+        new THREE.Matrix4().makeTranslation(localPoint.x, 0, localPoint.z)
+      )
+      hits.push({ distance, matrix, plane })
+    }
+    return hits.sort((a, b) => a.distance - b.distance)
+  }
+}
+
+/**
+ * Build a box-shaped scene mesh resting on the mesh origin
+ * @param {number} width Extent along local X
+ * @param {number} height Extent along local Y
+ * @param {number} depth Extent along local Z
+ * @returns {{vertices: Array<number>, indices: Array<number>}}
+ */
+export function createBoxMesh(width, height, depth) {
+  const box = new THREE.BoxGeometry(width, height, depth)
+  const geometry = box.toNonIndexed()
+  box.dispose()
+  // Rest the box on its base so the mesh origin sits on the floor
+  geometry.translate(0, height / 2, 0)
+  const vertices = Array.from(geometry.attributes.position.array)
+  const indices = Array.from({ length: vertices.length / 3 }, (_, i) => i)
+  geometry.dispose()
+  return { vertices, indices }
+}
+
+/**
+ * Build a rectangular plane polygon centred on the plane origin
+ * @param {number} width Extent along local X
+ * @param {number} depth Extent along local Z
+ * @returns {Array<{x: number, z: number}>}
+ */
+export function createRectanglePolygon(width, depth) {
+  const hw = width / 2
+  const hd = depth / 2
+  return [
+    { x: -hw, z: -hd },
+    { x: hw, z: -hd },
+    { x: hw, z: hd },
+    { x: -hw, z: hd }
+  ]
+}
+
+/**
+ * Install the mock runtime as navigator.xr (plus the XR globals the app and
+ * Three.js construct directly)
+ * @param {Object} options MockXRRuntime options
+ * @returns {MockXRRuntime}
+ */
+export function installMockXR(options = {}) {
+  const runtime = new MockXRRuntime(options)
+
+  if (typeof globalThis.navigator === 'undefined') {
+    globalThis.navigator = { userAgent: 'MockXR' }
+  }
+  Object.defineProperty(globalThis.navigator, 'xr', {
+    value: runtime.xr,
+    configurable: true,
+    writable: true
+  })
+
+  if (typeof globalThis.XRWebGLLayer === 'undefined' || options.replaceGlobals) {
+    globalThis.XRWebGLLayer = MockXRWebGLLayer
+  }
+  if (typeof globalThis.XRRigidTransform === 'undefined' || options.replaceGlobals) {
+    globalThis.XRRigidTransform = MockXRRigidTransform
+  }
+
+  console.log('🧪 [DEBUG] Mock WebXR runtime installed on navigator.xr')
+  return runtime
+}
@@ -0,0 +1,461 @@
+/**
+ * WebXR Occlusion
+ * Hides virtual content behind the real world: per-pixel with the depth-sensing
+ * feature when the session grants it, otherwise with invisible occluder meshes
+ * built from detected planes
+ */
+import * as THREE from 'three'
+import { getSessionCapabilities } from './capabilities.js'
+
+export const OCCLUSION_MODES = ['auto', 'depth', 'planes', 'off']
+
+export class OcclusionManager {
+  /**
+   * @param {WebXRRenderer} webxrRenderer Renderer that owns the scene and XR session
+   */
+  constructor(webxrRenderer) {
+    console.log('🫥 [DEBUG] OcclusionManager constructor')
+
+    this.webxrRenderer = webxrRenderer
+    this.renderer = webxrRenderer.renderer
+    this.scene = webxrRenderer.scene
+    this.session = webxrRenderer.session
+    this.mode = 'auto'          // Requested mode, one of OCCLUSION_MODES
+    this.activeMode = 'off'     // Mode actually applied this frame: 'depth' | 'planes' | 'off'
+    this.isDisposed = false
+
+    // Occlusion configuration
+    this.DEPTH_TOLERANCE = 0.03 // meters - content this close to a real surface stays visible
+
+    // Depth sensing (granted usage/format are fixed for the session)
+    const { depthSensing } = webxrRenderer.capabilities || getSessionCapabilities(this.session)
+    this.depthSupported = !!depthSensing
+    this.depthUsage = depthSensing?.usage || null
+    this.depthDataFormat = depthSensing?.dataFormat || null
+    this.depthAvailable = false  // Depth data arrived for the last frame
+    this.depthViews = []         // Per-view { texture, uvTransform, rawScale, near, far, imageIndex, ... }
+    this.textureArray = false    // GPU depth comes as one texture array for both eyes
+    this.shaderKey = ''
+
+    // Shared by every patched material; set per eye in onBeforeRender
+    this.uniforms = {
+      uOcclusionEnabled: { value: false },
+      uOcclusionDepth: { value: null },
+      uOcclusionUvTransform: { value: new THREE.Matrix4() },
+      uOcclusionViewport: { value: new THREE.Vector4(0, 0, 1, 1) },
+      uOcclusionRawScale: { value: 0 },
+      uOcclusionNearFar: { value: new THREE.Vector2(0, 0) },
+      uOcclusionImageIndex: { value: 0 },
+      uOcclusionTolerance: { value: this.DEPTH_TOLERANCE }
+    }
+    this.patchedMaterials = new Set()
+    this.updateShaderKey()
+
+    // Plane occluders write depth only; added before any other content so they draw first
+    // (the renderer doesn't sort objects, so scene order is draw order)
+    this.planeOccluders = new Map() // XRPlane -> { mesh, lastChangedTime }
+    this.occluderMaterial = new THREE.MeshBasicMaterial({
+      colorWrite: false,
+      side: THREE.DoubleSide,
+      // Push occluders back slightly so cursors and highlights on the surface still show
+      polygonOffset: true,
+      polygonOffsetFactor: 1,
+      polygonOffsetUnits: 1
+    })
+    this.occluderGroup = new THREE.Group()
+    this.occluderGroup.name = 'PlaneOccludersGroup'
+    this.occluderGroup.visible = false
+    this.scene.add(this.occluderGroup)
+
+    console.log(`✅ [DEBUG] OcclusionManager initialized (depth sensing: ${this.depthSupported ? `${this.depthUsage}, ${this.depthDataFormat}` : 'not granted'})`)
+  }
+
+  /**
+   * Choose the occlusion mode
+   * 'auto' uses depth when available and falls back to plane occluders
+   * @param {string} mode One of OCCLUSION_MODES
+   */
+  setMode(mode) {
+    if (!OCCLUSION_MODES.includes(mode)) {
+      console.warn(`⚠️ [DEBUG] Unknown occlusion mode "${mode}"`)
+      return
+    }
+    if (mode === 'depth' && !this.depthSupported) {
+      console.warn('⚠️ [DEBUG] Depth occlusion requested but depth-sensing was not granted')
+    }
+    console.log(`🫥 [DEBUG] Occlusion mode: ${mode}`)
+    this.mode = mode
+  }
+
+  /**
+   * Fetch this frame's depth and pick the active mode (call once per frame before rendering)
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   */
+  update(frame, refSpace) {
+    if (this.isDisposed) return
+
+    const wantsDepth = this.mode === 'auto' || this.mode === 'depth'
+    this.depthAvailable = wantsDepth && this.depthSupported && this.updateDepth(frame, refSpace)
+
+    if (this.depthAvailable) {
+      this.activeMode = 'depth'
+    } else if (this.mode === 'auto' || this.mode === 'planes') {
+      this.activeMode = 'planes'
+    } else {
+      this.activeMode = 'off'
+    }
+
+    this.uniforms.uOcclusionEnabled.value = this.activeMode === 'depth'
+    this.occluderGroup.visible = this.activeMode === 'planes'
+  }
+
+  /**
+   * Read depth information for every view
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   * @returns {boolean} True if every view has depth data
+   */
+  updateDepth(frame, refSpace) {
+    const pose = frame.getViewerPose(refSpace)
+    if (!pose) return false
+
+    try {
+      for (let i = 0; i < pose.views.length; i++) {
+        const info = this.depthUsage === 'gpu-optimized'
+          ? this.renderer.xr.getBinding()?.getDepthInformation(pose.views[i])
+          : frame.getDepthInformation(pose.views[i])
+        if (!info) return false
+
+        const view = this.depthViews[i] || (this.depthViews[i] = { texture: null, uvTransform: new THREE.Matrix4() })
+        if (this.depthUsage === 'gpu-optimized') {
+          this.updateGpuDepthView(view, info)
+        } else {
+          this.updateCpuDepthView(view, info)
+        }
+        view.uvTransform.fromArray(info.normDepthBufferFromNormView.matrix)
+        view.imageIndex = info.imageIndex ?? i
+        view.near = info.depthNear ?? 0
+        view.far = info.depthFar ?? 0
+      }
+      this.depthViews.length = pose.views.length
+      return true
+    } catch (error) {
+      // Depth isn't ready for some frames (e.g. right after the session starts)
+      return false
+    }
+  }
+
+  /**
+   * Upload CPU depth data into a per-view data texture
+   * @param {Object} view Per-view depth state
+   * @param {XRCPUDepthInformation} info Depth information for the view
+   */
+  updateCpuDepthView(view, info) {
+    const float = this.depthDataFormat === 'float32'
+    const { width, height } = info
+
+    if (!view.texture || view.texture.image.width !== width || view.texture.image.height !== height) {
+      view.texture?.dispose()
+      // 16-bit depth is uploaded as two bytes per texel and reassembled in the shader
+      view.texture = float
+        ? new THREE.DataTexture(new Float32Array(width * height), width, height, THREE.RedFormat, THREE.FloatType)
+        : new THREE.DataTexture(new Uint8Array(width * height * 2), width, height, THREE.LuminanceAlphaFormat, THREE.UnsignedByteType)
+      view.texture.name = 'OcclusionDepth'
+    }
+
+    view.texture.image.data.set(float ? new Float32Array(info.data) : new Uint8Array(info.data))
+    view.texture.needsUpdate = true
+    view.rawScale = info.rawValueToMeters
+  }
+
+  /**
+   * Wrap the runtime's depth texture so Three.js binds it without uploading
+   * @param {Object} view Per-view depth state
+   * @param {XRWebGLDepthInformation} info Depth information for the view
+   */
+  updateGpuDepthView(view, info) {
+    const textureArray = info.textureType === 'texture-array'
+    if (textureArray !== this.textureArray) {
+      this.textureArray = textureArray
+      this.updateShaderKey()
+    }
+
+    if (!view.texture || !!view.texture.isDataArrayTexture !== textureArray) {
+      view.texture = textureArray ? new THREE.DataArrayTexture() : new THREE.Texture()
+      view.texture.name = 'OcclusionDepth'
+    }
+
+    // A texture with version 0 is never uploaded - Three.js binds __webglTexture as is
+    const textureProperties = this.renderer.properties.get(view.texture)
+    textureProperties.__webglTexture = info.texture
+    textureProperties.__webglInit = true
+
+    // Normalized 16-bit samples come back in [0, 1]
+    view.rawScale = this.depthDataFormat === 'unsigned-short' ? info.rawValueToMeters * 65535 : info.rawValueToMeters
+  }
+
+  /**
+   * Make an object's materials discard fragments behind real-world depth
+   * Patches the materials in place, so call it on per-instance materials.
+   * @param {THREE.Object3D} object Object to occlude
+   */
+  applyTo(object) {
+    if (this.isDisposed || !object) return
+
+    object.traverse((child) => {
+      if (!child.isMesh || !child.material) return
+
+      const materials = Array.isArray(child.material) ? child.material : [child.material]
+      materials.forEach(material => this.patchMaterial(material))
+      child.onBeforeRender = (renderer, scene, camera) => this.setViewUniforms(camera)
+    })
+  }
+
+  /**
+   * Inject the depth test into a material's shaders
+   * @param {THREE.Material} material Material to patch
+   */
+  patchMaterial(material) {
+    if (this.patchedMaterials.has(material)) return
+
+    material.defines = { ...material.defines, ...this.getShaderDefines() }
+    material.customProgramCacheKey = () => `occlusion:${this.shaderKey}`
+    material.onBeforeCompile = (shader) => {
+      // Custom shaders without the built-in chunks are left alone
+      if (!shader.vertexShader.includes('#include <project_vertex>') ||
+          !shader.fragmentShader.includes('#include <clipping_planes_fragment>')) return
+
+      Object.assign(shader.uniforms, this.uniforms)
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nvarying float vOcclusionViewDepth;')
+        .replace('#include <project_vertex>', '#include <project_vertex>\nvOcclusionViewDepth = -mvPosition.z;')
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>\n${OCCLUSION_FRAGMENT_PARS}`)
+        .replace('#include <clipping_planes_fragment>', `#include <clipping_planes_fragment>\n${OCCLUSION_FRAGMENT}`)
+    }
+
+    material.addEventListener('dispose', () => this.patchedMaterials.delete(material))
+    this.patchedMaterials.add(material)
+    material.needsUpdate = true
+  }
+
+  /**
+   * Point the shared uniforms at the depth data of the eye being drawn
+   * @param {THREE.Camera} camera Per-eye camera passed to onBeforeRender
+   */
+  setViewUniforms(camera) {
+    if (!this.uniforms.uOcclusionEnabled.value) return
+
+    const cameras = this.renderer.xr.getCamera().cameras
+    const view = this.depthViews[Math.max(cameras.indexOf(camera), 0)]
+    if (!view) return
+
+    this.uniforms.uOcclusionDepth.value = view.texture
+    this.uniforms.uOcclusionUvTransform.value.copy(view.uvTransform)
+    this.uniforms.uOcclusionRawScale.value = view.rawScale
+    this.uniforms.uOcclusionNearFar.value.set(view.near, view.far)
+    this.uniforms.uOcclusionImageIndex.value = view.imageIndex
+    if (camera.viewport) {
+      this.uniforms.uOcclusionViewport.value.copy(camera.viewport)
+    }
+  }
+
+  /**
+   * Shader defines for the granted depth format
+   * @returns {Object} Material defines
+   */
+  getShaderDefines() {
+    const defines = {}
+    if (this.depthUsage === 'gpu-optimized') defines.OCCLUSION_DEPTH_GPU = ''
+    if (this.textureArray) defines.OCCLUSION_DEPTH_ARRAY = ''
+    if (this.depthDataFormat !== 'float32' && this.depthUsage !== 'gpu-optimized') defines.OCCLUSION_DEPTH_PACKED = ''
+    return defines
+  }
+
+  /**
+   * Recompile patched materials when the depth texture layout changes
+   */
+  updateShaderKey() {
+    this.shaderKey = Object.keys(this.getShaderDefines()).join(',')
+
+    for (const material of this.patchedMaterials) {
+      for (const name of Object.keys(material.defines)) {
+        if (name.startsWith('OCCLUSION_')) delete material.defines[name]
+      }
+      Object.assign(material.defines, this.getShaderDefines())
+      material.needsUpdate = true
+    }
+  }
+
+  /**
+   * Add an occluder for a newly detected plane (PlaneDetection onPlaneDetected)
+   * @param {Object} planeData Analyzed plane data
+   */
+  addPlane(planeData) {
+    if (this.isDisposed || this.planeOccluders.has(planeData.plane)) return
+
+    const mesh = this.webxrRenderer.createPlaneMesh(planeData.polygon)
+    if (!mesh) return
+
+    mesh.material = this.occluderMaterial
+    mesh.name = `PlaneOccluder_${planeData.semanticLabel}`
+    mesh.matrixAutoUpdate = false
+    this.setPose(mesh, planeData.pose)
+    this.occluderGroup.add(mesh)
+
+    this.planeOccluders.set(planeData.plane, { mesh, lastChangedTime: planeData.lastChangedTime })
+  }
+
+  /**
+   * Sync an occluder after its plane changed (PlaneDetection onPlaneUpdated)
+   * @param {Object} planeData Analyzed plane data
+   */
+  updatePlane(planeData) {
+    if (this.isDisposed) return
+
+    const record = this.planeOccluders.get(planeData.plane)
+    if (!record) {
+      this.addPlane(planeData)
+      return
+    }
+
+    if (record.lastChangedTime !== planeData.lastChangedTime) {
+      const rebuilt = this.webxrRenderer.createPlaneMesh(planeData.polygon)
+      if (rebuilt) {
+        record.mesh.geometry.dispose()
+        record.mesh.geometry = rebuilt.geometry
+      }
+      record.lastChangedTime = planeData.lastChangedTime
+    }
+
+    this.setPose(record.mesh, planeData.pose)
+  }
+
+  /**
+   * Remove a plane's occluder (PlaneDetection onPlaneRemoved)
+   * @param {XRPlane} plane Detected plane
+   */
+  removePlane(plane) {
+    const record = this.planeOccluders.get(plane)
+    if (!record) return
+
+    this.occluderGroup.remove(record.mesh)
+    record.mesh.geometry.dispose()
+    this.planeOccluders.delete(plane)
+  }
+
+  /**
+   * Place an occluder at its plane pose
+   * @param {THREE.Mesh} mesh Occluder mesh
+   * @param {XRPose} pose Plane pose in the reference space
+   */
+  setPose(mesh, pose) {
+    mesh.matrix.fromArray(pose.transform.matrix)
+    mesh.updateMatrixWorld(true)
+  }
+
+  /**
+   * Dispose of occluders and depth textures
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] OcclusionManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing OcclusionManager...')
+    for (const plane of Array.from(this.planeOccluders.keys())) {
+      this.removePlane(plane)
+    }
+    this.scene?.remove(this.occluderGroup)
+    this.occluderMaterial.dispose()
+
+    // GPU depth textures belong to the XR runtime - only release our CPU uploads
+    if (this.depthUsage !== 'gpu-optimized') {
+      this.depthViews.forEach(view => view.texture?.dispose())
+    }
+    this.depthViews = []
+    this.uniforms.uOcclusionEnabled.value = false
+    this.uniforms.uOcclusionDepth.value = null
+    this.patchedMaterials.clear()
+    this.isDisposed = true
+    console.log('✅ [DEBUG] OcclusionManager disposed')
+  }
+
+  /**
+   * Get debug information about occlusion
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      isDisposed: this.isDisposed,
+      mode: this.mode,
+      activeMode: this.activeMode,
+      depthSupported: this.depthSupported,
+      depthUsage: this.depthUsage,
+      depthDataFormat: this.depthDataFormat,
+      depthAvailable: this.depthAvailable,
+      textureArray: this.textureArray,
+      planeOccluders: this.planeOccluders.size,
+      patchedMaterials: this.patchedMaterials.size
+    }
+  }
+}
+
+// Real-world depth lookup, in meters from the view plane (0 = no data)
+const OCCLUSION_FRAGMENT_PARS = /* glsl */`
+varying float vOcclusionViewDepth;
+uniform bool uOcclusionEnabled;
+#ifdef OCCLUSION_DEPTH_ARRAY
+  uniform highp sampler2DArray uOcclusionDepth;
+#else
+  uniform highp sampler2D uOcclusionDepth;
+#endif
+uniform mat4 uOcclusionUvTransform;
+uniform vec4 uOcclusionViewport;
+uniform float uOcclusionRawScale;
+uniform vec2 uOcclusionNearFar;
+uniform int uOcclusionImageIndex;
+uniform float uOcclusionTolerance;
+
+float getOcclusionDepth() {
+  // Normalized view coordinates start at the top-left corner
+  vec2 viewUv = (gl_FragCoord.xy - uOcclusionViewport.xy) / uOcclusionViewport.zw;
+  vec2 depthUv = (uOcclusionUvTransform * vec4(viewUv.x, 1.0 - viewUv.y, 0.0, 1.0)).xy;
+  #ifdef OCCLUSION_DEPTH_GPU
+    // Runtime textures are rendered bottom-up like the framebuffer
+    depthUv.y = 1.0 - depthUv.y;
+  #endif
+
+  #ifdef OCCLUSION_DEPTH_ARRAY
+    vec4 texel = texture(uOcclusionDepth, vec3(depthUv, float(uOcclusionImageIndex)));
+  #else
+    vec4 texel = texture2D(uOcclusionDepth, depthUv);
+  #endif
+
+  #ifdef OCCLUSION_DEPTH_PACKED
+    float raw = dot(texel.ra, vec2(255.0, 65280.0));
+  #else
+    float raw = texel.r;
+  #endif
+
+  // Runtimes that report near/far return projected depth; convert it back to meters
+  if (uOcclusionNearFar.y > uOcclusionNearFar.x) {
+    if (raw >= 1.0) return 0.0;
+    float near = uOcclusionNearFar.x;
+    float far = uOcclusionNearFar.y;
+    return near * far / (far - raw * (far - near));
+  }
+  return raw * uOcclusionRawScale;
+}
+`
+
+const OCCLUSION_FRAGMENT = /* glsl */`
+if (uOcclusionEnabled) {
+  float realDepth = getOcclusionDepth();
+  if (realDepth > 0.0 && vOcclusionViewDepth > realDepth + uOcclusionTolerance) discard;
+}
+`
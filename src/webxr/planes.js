@@ -2,6 +2,37 @@
  * WebXR Plane Detection Logic
  * Handles real-time plane detection and processing for Meta Quest 3
  */
+import { getSessionCapabilities } from './capabilities.js'
+
+// Side length of the synthetic floor (meters) - covers a room-scale play area
+export const SYNTHETIC_FLOOR_SIZE = 8
+
+/**
+ * ✅ NEW: Create an XRPlane stand-in for the floor
+ * For sessions without plane detection (e.g. immersive-vr on VR-only
+ * headsets) so placement still has a surface to target.
+ * @param {XRReferenceSpace} referenceSpace Reference space the app reads poses in
+ * @param {number} floorHeight Floor y in that space
+ * @param {number} size Side length in meters
+ * @returns {Object} Plane with planeSpace, polygon, orientation, semanticLabel and lastChangedTime
+ */
+export function createSyntheticFloorPlane(referenceSpace, floorHeight = 0, size = SYNTHETIC_FLOOR_SIZE) {
+  const half = size / 2
+  return {
+    planeSpace: referenceSpace.getOffsetReferenceSpace(new XRRigidTransform({ x: 0, y: floorHeight, z: 0 })),
+    polygon: [
+      { x: -half, y: 0, z: -half, w: 1 },
+      { x: half, y: 0, z: -half, w: 1 },
+      { x: half, y: 0, z: half, w: 1 },
+      { x: -half, y: 0, z: half, w: 1 }
+    ],
+    orientation: 'horizontal',
+    semanticLabel: 'floor',
+    lastChangedTime: performance.now(),
+    isSynthetic: true
+  }
+}
+
 export class PlaneDetection {
   constructor() {
     console.log('🎯 [DEBUG] PlaneDetection constructor')
@@ -9,6 +40,9 @@ export class PlaneDetection {
     this.onPlaneDetected = null
     this.onPlaneUpdated = null
     this.onPlaneRemoved = null
+    this.isEnabled = true
+    this.syntheticPlanes = new Set() // App-made planes tracked alongside the runtime's (see createSyntheticFloorPlane)
+    this.isDisposed = false
     
     // Debug statistics
     this.stats = {
@@ -38,16 +72,18 @@ export class PlaneDetection {
   checkGeometryFeatureSupport(session) {
     console.log('🔍 [DEBUG] Checking for advanced WebXR geometry features...')
     
+    const capabilities = getSessionCapabilities(session)
+    
     // Check for mesh detection (newer Quest 3 feature)
-    const hasMeshDetection = session.enabledFeatures?.includes('mesh-detection')
+    const hasMeshDetection = capabilities.mesh
     console.log(`🕸️ [DEBUG] Mesh detection available: ${hasMeshDetection}`)
     
     // Check for hit-test feature
-    const hasHitTest = session.enabledFeatures?.includes('hit-test')
+    const hasHitTest = capabilities.hitTest
     console.log(`🎯 [DEBUG] Hit-test available: ${hasHitTest}`)
     
     // Check for anchors support
-    const hasAnchors = session.enabledFeatures?.includes('anchors')
+    const hasAnchors = capabilities.anchors
     console.log(`⚓ [DEBUG] Anchors available: ${hasAnchors}`)
     
     // Log available features for debugging
@@ -68,31 +104,25 @@ export class PlaneDetection {
    * @param {XRReferenceSpace} refSpace Reference space
    */
   processFrame(frame, refSpace) {
-    console.log('🔍 [DEBUG] PlaneDetection.processFrame() called')
-    
-    if (!frame.detectedPlanes) {
-      console.log('⚠️ [DEBUG] No detectedPlanes property in frame')
-      return []
-    }
+    if (this.isDisposed) return { all: [], new: [], updated: [], horizontal: [], vertical: [] }
 
-    const currentTime = performance.now()
     const currentPlanes = []
     const newPlanes = []
     const updatedPlanes = []
-    
-    console.log(`📊 [DEBUG] Processing ${frame.detectedPlanes.length} detected planes`)
-    
-    // Update statistics
-    this.stats.totalPlanesDetected = Math.max(this.stats.totalPlanesDetected, frame.detectedPlanes.length)
-    this.stats.lastUpdateTime = currentTime
-    
-    if (frame.detectedPlanes.length === 0) {
-      console.log('ℹ️ [DEBUG] No planes detected in this frame')
-      return []
+
+    // ✅ FIXED: Called every frame - no per-call logging, and an empty or
+    // missing plane set still removes previously tracked planes
+    let framePlanes = this.isEnabled && frame.detectedPlanes ? frame.detectedPlanes : new Set()
+    if (this.isEnabled && this.syntheticPlanes.size > 0) {
+      framePlanes = new Set([...framePlanes, ...this.syntheticPlanes])
     }
 
+    // ✅ FIXED: XRPlaneSet is a Set - use size, not length
+    this.stats.totalPlanesDetected = Math.max(this.stats.totalPlanesDetected, framePlanes.size)
+    this.stats.lastUpdateTime = performance.now()
+
     // Process each detected plane
-    for (const plane of frame.detectedPlanes) {
+    for (const plane of framePlanes) {
       const planeData = this.analyzePlane(plane, frame, refSpace)
       if (!planeData) continue
 
@@ -107,6 +137,7 @@ export class PlaneDetection {
         }
       } else {
         newPlanes.push(planeData)
+        console.log(`🆕 [DEBUG] Plane detected: ${planeData.orientation}, ${planeData.area.toFixed(2)} m²`)
         this.onPlaneDetected?.(planeData)
       }
 
@@ -116,17 +147,17 @@ export class PlaneDetection {
 
     // Check for removed planes
     for (const [plane, planeData] of this.detectedPlanes) {
-      if (!frame.detectedPlanes.has(plane)) {
+      if (!framePlanes.has(plane)) {
         this.detectedPlanes.delete(plane)
+        console.log(`🗑️ [DEBUG] Plane removed: ${planeData.orientation}`)
         this.onPlaneRemoved?.(planeData)
       }
     }
 
     // Update statistics
     this.stats.filteredCount = currentPlanes.length
-    
-    console.log('📊 [DEBUG] Current plane statistics:', this.stats)
-    console.log(`✅ [DEBUG] Returning ${currentPlanes.length} filtered planes`)
+    this.stats.horizontalPlanes = currentPlanes.filter(p => p.orientation === 'horizontal').length
+    this.stats.verticalPlanes = currentPlanes.filter(p => p.orientation === 'vertical').length
     
     return {
       all: currentPlanes,
@@ -145,7 +176,6 @@ export class PlaneDetection {
    * @returns {Object|null} Analyzed plane data
    */
   analyzePlane(plane, frame, refSpace) {
-    console.log('🧱 [DEBUG] Analyzing plane...')
     try {
       // Get the pose of the plane in our reference space
       const planePose = frame.getPose(plane.planeSpace, refSpace)
@@ -261,13 +291,13 @@ export class PlaneDetection {
     const localVec = new Float32Array([localPoint.x, localPoint.y, localPoint.z, 1.0])
     const worldVec = new Float32Array(4)
 
-    // Matrix multiplication
+    // ✅ FIXED: WebXR matrices are column-major (translation in elements 12-14)
     for (let i = 0; i < 4; i++) {
       worldVec[i] = 
-        transformMatrix[i * 4 + 0] * localVec[0] +
-        transformMatrix[i * 4 + 1] * localVec[1] +
-        transformMatrix[i * 4 + 2] * localVec[2] +
-        transformMatrix[i * 4 + 3] * localVec[3]
+        transformMatrix[i] * localVec[0] +
+        transformMatrix[4 + i] * localVec[1] +
+        transformMatrix[8 + i] * localVec[2] +
+        transformMatrix[12 + i] * localVec[3]
     }
 
     // Convert from homogeneous coordinates
@@ -362,14 +392,27 @@ export class PlaneDetection {
    * @returns {Object|null} Best plane for placement
    */
   findBestPlacementPlane(planes, preferences = {}) {
-    if (!planes || planes.length === 0) return null
+    return this.rankPlacementPlanes(planes, preferences)[0] || null
+  }
+
+  /**
+   * Rank planes for object placement, best first
+   * @param {Array} planes Available planes
+   * @param {Object} preferences Placement preferences
+   * @returns {Array} Suitable planes with a score, sorted by score
+   */
+  rankPlacementPlanes(planes, preferences = {}) {
+    if (!planes || planes.length === 0) return []
 
     // Default preferences for Meta Quest 3
     const defaultPrefs = {
       orientation: 'horizontal',
       minArea: 0.1, // 10cm x 10cm minimum
-      preferredHeight: 0.7, // Table height ~70cm
-      heightTolerance: 0.3 // ±30cm
+      preferredHeight: 0.7, // Table height ~70cm above the floor
+      heightTolerance: 0.3, // ±30cm
+      floorHeight: 0, // Floor y in the reference space (0 for floor-based spaces)
+      areaWeight: 10, // Area score points per m²
+      maxAreaScore: 30 // Area score cap
     }
 
     const prefs = { ...defaultPrefs, ...preferences }
@@ -380,18 +423,19 @@ export class PlaneDetection {
       minArea: prefs.minArea
     })
 
-    if (candidates.length === 0) return null
+    if (candidates.length === 0) return []
 
     // Score planes based on preferences
     candidates = candidates.map(plane => ({
       ...plane,
+      heightAboveFloor: plane.worldCenter.y - prefs.floorHeight,
       score: this.scorePlane(plane, prefs)
     }))
 
     // Sort by score (higher is better)
     candidates.sort((a, b) => b.score - a.score)
 
-    return candidates[0]
+    return candidates
   }
 
   /**
@@ -404,11 +448,14 @@ export class PlaneDetection {
     let score = 0
 
     // Area score (larger is better, up to a point)
-    const areaScore = Math.min(plane.area * 10, 30) // Max 30 points for area
+    // ✅ CHANGED: Weight can be tuned per caller (auto-placement saturates sooner)
+    const areaScore = Math.min(plane.area * (preferences.areaWeight ?? 10), preferences.maxAreaScore ?? 30) // Capped at preferences.maxAreaScore
     score += areaScore
 
     // Height score (closer to preferred height is better)
-    const heightDiff = Math.abs(plane.worldCenter.y - preferences.preferredHeight)
+    // ✅ CHANGED: Measured from the floor, not the reference space origin
+    const heightAboveFloor = plane.worldCenter.y - (preferences.floorHeight ?? 0)
+    const heightDiff = Math.abs(heightAboveFloor - preferences.preferredHeight)
     const heightScore = Math.max(0, 30 - (heightDiff / preferences.heightTolerance) * 30)
     score += heightScore
 
@@ -417,9 +464,11 @@ export class PlaneDetection {
     score += stabilityScore
 
     // Accessibility score (closer to user is often better)
+    // ✅ CHANGED: Measured from the viewer when known, else the reference space origin
+    const viewer = preferences.viewerPosition || { x: 0, z: 0 }
     const distance = Math.sqrt(
-      plane.worldCenter.x ** 2 + 
-      plane.worldCenter.z ** 2
+      (plane.worldCenter.x - viewer.x) ** 2 + 
+      (plane.worldCenter.z - viewer.z) ** 2
     )
     const accessibilityScore = Math.max(0, 20 - distance * 5) // Closer is better
     score += accessibilityScore
@@ -437,11 +486,62 @@ export class PlaneDetection {
     this.onPlaneRemoved = callbacks.onPlaneRemoved
   }
 
+  /**
+   * ✅ NEW: Track an app-made plane from the next frame on
+   * @param {Object} plane XRPlane stand-in, e.g. from createSyntheticFloorPlane
+   */
+  addSyntheticPlane(plane) {
+    console.log(`🧱 [DEBUG] Synthetic ${plane.semanticLabel || plane.orientation} plane added`)
+    this.syntheticPlanes.add(plane)
+  }
+
+  /**
+   * Get the app-made planes
+   * @returns {Array<Object>}
+   */
+  getSyntheticPlanes() {
+    return Array.from(this.syntheticPlanes)
+  }
+
   /**
    * Clear all tracked planes
    */
   clearPlanes() {
     this.detectedPlanes.clear()
+    this.syntheticPlanes.clear()
+  }
+
+  /**
+   * ✅ NEW: Forget every plane and drop the event callbacks (session ended)
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] PlaneDetection already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing PlaneDetection...')
+    this.clearPlanes()
+    this.setEventCallbacks({})
+    this.isDisposed = true
+    console.log('✅ [DEBUG] PlaneDetection disposed')
+  }
+
+  /**
+   * Get analyzed data for every tracked plane
+   * @returns {Array<Object>} Plane data from the last processed frame
+   */
+  getTrackedPlanes() {
+    return Array.from(this.detectedPlanes.values())
+  }
+
+  /**
+   * Get analyzed data for one tracked plane
+   * @param {XRPlane} plane XR plane object
+   * @returns {Object|null} Plane data, or null if the plane isn't tracked
+   */
+  getPlaneData(plane) {
+    return this.detectedPlanes.get(plane) || null
   }
 
   /**
@@ -3,6 +3,11 @@
  * Handles Three.js integration and WebGL setup for AR visualization
  */
 import * as THREE from 'three'
+import { getPlaneColor } from '../utils/helpers.js'
+import { triangulatePolygon2D } from '../utils/math.js'
+import { OcclusionManager } from './occlusion.js'
+import { getSessionCapabilities } from './capabilities.js'
+import { SYNTHETIC_FLOOR_SIZE } from './planes.js'
 
 export class WebXRRenderer {
   constructor() {
@@ -13,8 +18,12 @@ export class WebXRRenderer {
     this.canvas = null
     this.gl = null
     this.session = null
-    this.controller1 = null
-    this.controller2 = null
+    this.capabilities = null // SessionCapabilities, set with the session
+    this.referenceSpaces = null // ReferenceSpaceManager shared with the app
+    this.occlusion = null // OcclusionManager, created with the scene
+    this.ambientLight = null
+    this.directionalLight = null
+    this.virtualFloor = null // Floor grid drawn in opaque (VR) sessions
     this.initialized = false
     
     console.log('✅ [DEBUG] WebXRRenderer constructor complete')
@@ -23,35 +32,63 @@ export class WebXRRenderer {
   /**
    * Initialize WebXR Renderer with Three.js and WebGL setup
    * @param {XRSession} session The WebXR session
+   * @param {Object} capabilities SessionCapabilities granted to the session
+   * @param {ReferenceSpaceManager} referenceSpaces Reference space the app reads poses in
    * @returns {Promise<void>}
    */
-  async initialize(session) {
+  async initialize(session, capabilities = getSessionCapabilities(session), referenceSpaces = null) {
     console.log('🔧 [DEBUG] WebXRRenderer.initialize() starting...')
     
     try {
+      // ✅ CHANGED: Canvas, context and WebGLRenderer outlive sessions - only the scene is rebuilt
+      if (this.renderer && !this.gl?.isContextLost()) {
+        console.log('♻️ [DEBUG] Reusing WebGL renderer from the previous session')
+      } else {
+        if (this.renderer) {
+          console.warn('⚠️ [DEBUG] WebGL context was lost - rebuilding the renderer')
+          this.dispose()
+        }
+        
+        // Create canvas and WebGL context
+        await this.setupCanvas()
+        console.log('✅ [DEBUG] Canvas and WebGL context created')
+        
+        // Initialize Three.js components
+        this.setupThreeJS()
+        console.log('✅ [DEBUG] Three.js components initialized')
+      }
+      
       this.session = session
+      this.capabilities = capabilities
+      this.referenceSpaces = referenceSpaces
       console.log('📊 [DEBUG] Session provided to renderer:', !!session)
       
-      // Create canvas and WebGL context
-      await this.setupCanvas()
-      console.log('✅ [DEBUG] Canvas and WebGL context created')
-      
-      // Initialize Three.js components
-      this.setupThreeJS()
-      console.log('✅ [DEBUG] Three.js components initialized')
+      // Fresh scene and camera for this session
+      this.setupScene()
       
       // Configure WebXR rendering
-      this.setupWebXRRendering()
+      await this.setupWebXRRendering()
       console.log('✅ [DEBUG] WebXR rendering configured')
       
+      // ✅ NEW: Occlusion goes first so plane occluders are drawn before other content
+      this.occlusion = new OcclusionManager(this)
+      console.log('✅ [DEBUG] Occlusion configured')
+      
       // Setup lighting for AR
       this.setupLighting()
       console.log('✅ [DEBUG] Lighting setup complete')
       
+      // ✅ NEW: Opaque (VR) sessions show no real world - draw a backdrop and floor instead
+      if (session.environmentBlendMode === 'opaque') {
+        this.setupVirtualEnvironment()
+      }
+      
       // Add renderer to DOM
-      console.log('🌐 [DEBUG] Adding renderer to DOM...')
-      document.body.appendChild(this.renderer.domElement)
-      console.log('✅ [DEBUG] Renderer canvas added to DOM')
+      if (!this.renderer.domElement.parentNode) {
+        console.log('🌐 [DEBUG] Adding renderer to DOM...')
+        document.body.appendChild(this.renderer.domElement)
+        console.log('✅ [DEBUG] Renderer canvas added to DOM')
+      }
 
       this.initialized = true
       console.log('✅ [DEBUG] WebXRRenderer initialization complete')
@@ -132,25 +169,37 @@ export class WebXRRenderer {
     this.renderer.autoClearDepth = false
     this.renderer.autoClearStencil = false
 
+    console.log('✅ Three.js renderer created with Quest 3 optimizations')
+  }
+
+  /**
+   * Create the per-session scene and camera
+   */
+  setupScene() {
     this.scene = new THREE.Scene()
 
     this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.01, 1000)
 
-    console.log('✅ Three.js scene, renderer, and camera created with Quest 3 optimizations')
+    console.log('✅ Three.js scene and camera created')
   }
 
   /**
    * Configure WebXR rendering pipeline
+   * @returns {Promise<void>}
    */
-  setupWebXRRendering() {
+  async setupWebXRRendering() {
     // Set up base layer for rendering
     this.session.updateRenderState({
       baseLayer: new XRWebGLLayer(this.session, this.gl)
     })
 
     // Configure Three.js for XR
-    this.renderer.xr.setReferenceSpaceType('local')
-    this.renderer.xr.setSession(this.session)
+    // ✅ CHANGED: Render from the app's negotiated reference space instead of a fixed 'local'
+    this.renderer.xr.setReferenceSpaceType(this.referenceSpaces?.type || 'local')
+    await this.renderer.xr.setSession(this.session)
+    if (this.referenceSpaces?.space) {
+      this.renderer.xr.setReferenceSpace(this.referenceSpaces.space)
+    }
 
     console.log('✅ WebXR rendering pipeline configured')
   }
@@ -164,15 +213,17 @@ export class WebXRRenderer {
     try {
       // Ambient light for general illumination
       console.log('🌕 [DEBUG] Adding ambient light...')
-      const ambientLight = new THREE.AmbientLight(0xffffff, 0.6)
-      this.scene.add(ambientLight)
+      this.ambientLight = new THREE.AmbientLight(0xffffff, 0.6)
+      this.scene.add(this.ambientLight)
       console.log('✅ [DEBUG] Ambient light added')
 
       // Directional light for shadows and depth
       console.log('☀️ [DEBUG] Adding directional light...')
-      const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8)
-      directionalLight.position.set(1, 1, 1).normalize()
-      this.scene.add(directionalLight)
+      this.directionalLight = new THREE.DirectionalLight(0xffffff, 0.8)
+      this.directionalLight.position.set(1, 1, 1).normalize()
+      this.scene.add(this.directionalLight)
+      // Shadow catchers aim the light at placed content, so its target must be in the scene
+      this.scene.add(this.directionalLight.target)
       console.log('✅ [DEBUG] Directional light added')
 
       console.log('✅ [DEBUG] Lighting setup complete')
@@ -181,6 +232,23 @@ export class WebXRRenderer {
     }
   }
 
+  /**
+   * Setup a backdrop and floor grid for sessions without passthrough
+   */
+  setupVirtualEnvironment() {
+    console.log('🌌 [DEBUG] Setting up virtual environment...')
+    
+    this.scene.background = new THREE.Color(0x1a1a2e)
+    
+    // Same size and height as the synthetic floor plane the app places content on
+    this.virtualFloor = new THREE.GridHelper(SYNTHETIC_FLOOR_SIZE, SYNTHETIC_FLOOR_SIZE * 2, 0x00ff88, 0x335577)
+    this.virtualFloor.name = 'VirtualFloorGrid'
+    this.virtualFloor.position.y = this.referenceSpaces?.getFloorHeight() ?? 0
+    this.scene.add(this.virtualFloor)
+    
+    console.log(`✅ [DEBUG] Virtual environment ready (floor at y=${this.virtualFloor.position.y.toFixed(2)})`)
+  }
+
   /**
    * Create a visual representation of a detected plane
    * @param {Object} planeData Analyzed plane data
@@ -194,7 +262,7 @@ export class WebXRRenderer {
     if (planeMesh) {
       // Semi-transparent material to show the detected surface
       const material = new THREE.MeshLambertMaterial({
-        color: planeData.orientation === 'horizontal' ? 0x00ff00 : 0x0000ff,
+        color: getPlaneColor(planeData.orientation, planeData.semanticLabel),
         transparent: true,
         opacity: 0.3,
         side: THREE.DoubleSide
@@ -237,23 +305,20 @@ export class WebXRRenderer {
     if (!polygon || polygon.length < 3) return null
 
     try {
-      // Convert polygon to Three.js geometry
-      const shape = new THREE.Shape()
-      
-      // Move to first point
-      shape.moveTo(polygon[0].x, polygon[0].z)
-      
-      // Draw lines to other points
-      for (let i = 1; i < polygon.length; i++) {
-        shape.lineTo(polygon[i].x, polygon[i].z)
+      // ✅ CHANGED: Shared ear-clipping triangulation, built directly in the plane's XZ
+      const indices = triangulatePolygon2D(polygon)
+      if (indices.length === 0) return null
+
+      const vertices = []
+      for (const point of polygon) {
+        vertices.push(point.x, 0, point.z)
       }
 
-      // Create geometry from shape
-      const geometry = new THREE.ShapeGeometry(shape)
-      
-      // Rotate to lie flat (XZ plane)
-      geometry.rotateX(-Math.PI / 2)
-      
+      const geometry = new THREE.BufferGeometry()
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3))
+      geometry.setIndex(indices)
+      geometry.computeVertexNormals()
+
       return new THREE.Mesh(geometry)
     } catch (error) {
       console.warn('Could not create plane mesh:', error)
@@ -312,6 +377,31 @@ export class WebXRRenderer {
     return cube
   }
 
+  /**
+   * ✅ NEW: Refresh depth data and the active occlusion mode (call every frame before rendering)
+   * @param {XRFrame} frame Current XR frame
+   * @param {XRReferenceSpace} refSpace Reference space
+   */
+  updateOcclusion(frame, refSpace) {
+    this.occlusion?.update(frame, refSpace)
+  }
+
+  /**
+   * ✅ NEW: Let real-world surfaces hide an object
+   * @param {THREE.Object3D} object Object with its own (per-instance) materials
+   */
+  applyOcclusion(object) {
+    this.occlusion?.applyTo(object)
+  }
+
+  /**
+   * ✅ NEW: Choose how virtual content is occluded
+   * @param {string} mode 'auto' | 'depth' | 'planes' | 'off'
+   */
+  setOcclusionMode(mode) {
+    this.occlusion?.setMode(mode)
+  }
+
   /**
    * Update renderer size for responsive design
    * @param {number} width Canvas width
@@ -381,12 +471,56 @@ export class WebXRRenderer {
   }
 
   /**
-   * Dispose of renderer resources
+   * Release the session's scene and drop its references
+   * The canvas, WebGL context and renderer are kept for the next session.
+   */
+  endSession() {
+    console.log('🧹 [DEBUG] WebXRRenderer.endSession() called')
+    
+    try {
+      if (this.occlusion) {
+        this.occlusion.dispose()
+        this.occlusion = null
+      }
+
+      if (this.scene) {
+        console.log('🧹 [DEBUG] Releasing scene resources...')
+        // Anything the app didn't dispose itself would otherwise stay on the reused GPU context
+        this.scene.traverse((child) => {
+          child.geometry?.dispose()
+          const materials = Array.isArray(child.material) ? child.material : [child.material]
+          materials.forEach(material => material?.dispose())
+        })
+        this.scene.clear()
+        this.scene = null
+        console.log('✅ [DEBUG] Scene cleared')
+      }
+
+      this.camera = null
+      this.ambientLight = null
+      this.directionalLight = null
+      this.virtualFloor = null
+      this.session = null
+      this.capabilities = null
+      this.referenceSpaces = null
+      this.initialized = false
+      
+      console.log('✅ [DEBUG] WebXRRenderer ready for another session')
+      
+    } catch (error) {
+      console.error('❌ [DEBUG] Error ending renderer session:', error)
+    }
+  }
+
+  /**
+   * Cleanup resources, including the canvas and WebGL context
    */
   dispose() {
     console.log('🧹 [DEBUG] WebXRRenderer.dispose() called')
     
     try {
+      this.endSession()
+
       if (this.renderer) {
         console.log('🧹 [DEBUG] Disposing WebGL renderer...')
         this.renderer.dispose()
@@ -401,17 +535,8 @@ export class WebXRRenderer {
         console.log('✅ [DEBUG] Renderer disposed')
       }
 
-      if (this.scene) {
-        console.log('🧹 [DEBUG] Clearing scene...')
-        this.scene.clear()
-        this.scene = null
-        console.log('✅ [DEBUG] Scene cleared')
-      }
-
-      this.camera = null
-      this.controller1 = null
-      this.controller2 = null
-      this.initialized = false
+      this.canvas = null
+      this.gl = null
       
       console.log('✅ [DEBUG] WebXRRenderer cleanup complete')
       
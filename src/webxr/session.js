@@ -2,10 +2,14 @@
  * WebXR Session Management
  * Handles WebXR session lifecycle for Meta Quest 3 plane detection
  */
+import { buildSessionInit, getSessionCapabilities } from './capabilities.js'
+
 export class WebXRSession {
   constructor() {
     console.log('🔧 [DEBUG] WebXRSession constructor')
     this.session = null
+    this.capabilities = null // SessionCapabilities granted to the current session
+    this.mode = null // Mode of the current session ('immersive-ar' | 'immersive-vr')
     this.isSupported = false
   }
 
@@ -39,6 +43,28 @@ export class WebXRSession {
     }
   }
 
+  /**
+   * ✅ NEW: Find the first immersive mode the device supports
+   * @param {string[]} modes Session modes in order of preference
+   * @returns {Promise<string|null>} Supported mode, or null if none (or no WebXR)
+   */
+  async getSupportedMode(modes = ['immersive-ar', 'immersive-vr']) {
+    if (!navigator.xr) return null
+
+    for (const mode of modes) {
+      try {
+        if (await navigator.xr.isSessionSupported(mode)) {
+          console.log(`✅ [DEBUG] Session mode supported: ${mode}`)
+          return mode
+        }
+      } catch (error) {
+        console.warn(`⚠️ [DEBUG] Could not check support for ${mode}:`, error)
+      }
+      console.log(`ℹ️ [DEBUG] Session mode not supported: ${mode}`)
+    }
+    return null
+  }
+
   /**
    * Check if device requires room setup (Meta Quest 3 specific)
    * @returns {boolean}
@@ -76,9 +102,19 @@ export class WebXRSession {
     }
   }
 
+  /**
+   * Negotiate a session: request the app's capability sets and report what was granted
+   * @param {import('./capabilities.js').CapabilityRequest} request Required/optional capabilities
+   * @returns {Promise<import('./capabilities.js').SessionCapabilities>} Granted capabilities
+   */
+  async negotiate(request = {}) {
+    await this.createSession(request)
+    return this.capabilities
+  }
+
   /**
    * Create WebXR session with plane detection
-   * @param {Object} options Session options
+   * @param {import('./capabilities.js').CapabilityRequest} options Required/optional capabilities
    * @returns {Promise<XRSession>} WebXR session
    */
   async createSession(options = {}) {
@@ -90,17 +126,33 @@ export class WebXRSession {
       const isQuest3 = this.detectsQuest3Device()
       console.log(`🥽 [DEBUG] Quest 3 detected: ${isQuest3}`)
       
-      // Request session with plane detection
-      console.log('🔧 [DEBUG] Requesting WebXR session...')
-      this.session = await navigator.xr.requestSession('immersive-ar', {
-        requiredFeatures: ['local'],
-        optionalFeatures: ['plane-detection', 'hit-test', 'anchors']
+      // ✅ CHANGED: Request exactly what the caller asked for
+      const sessionInit = buildSessionInit(options)
+      console.log('🔧 [DEBUG] Requesting WebXR session...', sessionInit)
+      const mode = options.mode || 'immersive-ar'
+      this.session = await navigator.xr.requestSession(mode, sessionInit)
+      this.capabilities = getSessionCapabilities(this.session, options)
+      this.mode = mode
+      console.log(`✅ [DEBUG] WebXR ${mode} session created successfully`)
+      
+      // ✅ NEW: Forget the session once it ends so the next one starts clean
+      const session = this.session
+      session.addEventListener('end', () => {
+        if (this.session === session) {
+          this.session = null
+          this.capabilities = null
+          this.mode = null
+        }
       })
-      console.log('✅ [DEBUG] WebXR session created successfully')
+      
       console.log('📊 [DEBUG] Session features:', this.session.enabledFeatures)
       
+      if (this.capabilities.missing.length > 0) {
+        console.warn(`⚠️ [DEBUG] Optional capabilities not granted: ${this.capabilities.missing.join(', ')}`)
+      }
+      
       // Check if plane detection is actually enabled
-      const hasPlaneDetection = this.session.enabledFeatures?.includes('plane-detection')
+      const hasPlaneDetection = this.capabilities.planes
       console.log(`🎯 [DEBUG] Plane detection enabled: ${hasPlaneDetection}`)
       
       if (hasPlaneDetection && isQuest3) {
@@ -151,7 +203,7 @@ export class WebXRSession {
     }
     
     // Check if session supports plane detection
-    const hasPlaneDetection = session.enabledFeatures?.includes('plane-detection')
+    const hasPlaneDetection = this.getCapabilities(session).planes
     if (!hasPlaneDetection) {
       console.warn('⚠️ [DEBUG] Session does not have plane detection enabled')
       return false
@@ -208,7 +260,7 @@ export class WebXRSession {
     // Note: This is a heuristic since there's no direct API to check room capture status
     console.log('🔍 [DEBUG] Checking room capture status...')
     
-    const hasPlaneDetection = session.enabledFeatures?.includes('plane-detection')
+    const hasPlaneDetection = this.getCapabilities(session).planes
     if (!hasPlaneDetection) {
       return 'plane-detection-disabled'
     }
@@ -244,6 +296,16 @@ export class WebXRSession {
     return this.session
   }
 
+  /**
+   * Get the capabilities granted to a session
+   * @param {XRSession} session Session to inspect (defaults to the current one)
+   * @returns {import('./capabilities.js').SessionCapabilities}
+   */
+  getCapabilities(session = this.session) {
+    if (session === this.session && this.capabilities) return this.capabilities
+    return getSessionCapabilities(session)
+  }
+
   /**
    * Check if session is active
    * @returns {boolean}
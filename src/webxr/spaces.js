@@ -0,0 +1,155 @@
+/**
+ * WebXR Reference Spaces
+ * Picks the app's reference space along a fallback chain, reports where the
+ * floor is in it and forwards reset events
+ */
+
+// Preferred type -> types to try, best first ('local' is always granted)
+export const REFERENCE_SPACE_FALLBACKS = Object.freeze({
+  unbounded: ['unbounded', 'local-floor', 'local'],
+  'bounded-floor': ['bounded-floor', 'local-floor', 'local'],
+  'local-floor': ['local-floor', 'local'],
+  local: ['local']
+})
+
+// Types whose origin is on the floor (y = 0 is floor level)
+const FLOOR_RELATIVE_TYPES = ['local-floor', 'bounded-floor']
+
+export class ReferenceSpaceManager {
+  /**
+   * @param {XRSession} session Active XR session
+   * @param {Object} capabilities SessionCapabilities granted to the session
+   */
+  constructor(session, capabilities = null) {
+    console.log('🌐 [DEBUG] ReferenceSpaceManager constructor')
+
+    this.session = session
+    this.capabilities = capabilities
+    this.type = null
+    this.space = null
+    this.onReset = null // Called with the XRRigidTransform of the new origin (or null) after a reset
+    this.resetCount = 0
+    this.isDisposed = false
+
+    // Reference space configuration
+    this.DEFAULT_EYE_HEIGHT = 1.6 // meters - 'local' starts at the head, assumed until a floor plane is seen
+
+    this.handleReset = (event) => {
+      this.resetCount++
+      console.log(`🔄 [DEBUG] Reference space reset (${this.type}, ${event.transform ? 'with' : 'without'} transform)`)
+      this.onReset?.(event.transform || null)
+    }
+  }
+
+  /**
+   * Get the fallback chain for a preferred type
+   * @param {string} preference Preferred reference space type
+   * @returns {string[]} Types to try, best first
+   */
+  static getFallbackChain(preference) {
+    return REFERENCE_SPACE_FALLBACKS[preference] || REFERENCE_SPACE_FALLBACKS.local
+  }
+
+  /**
+   * Request the best available reference space
+   * @param {string} preference Preferred type, see REFERENCE_SPACE_FALLBACKS
+   * @returns {Promise<XRReferenceSpace>}
+   */
+  async initialize(preference = 'local-floor') {
+    const granted = this.capabilities?.reported ? this.capabilities.enabledFeatures : null
+
+    for (const type of ReferenceSpaceManager.getFallbackChain(preference)) {
+      // Ungranted types would only reject - skip them when the session says so
+      if (granted && !granted.includes(type)) {
+        console.log(`ℹ️ [DEBUG] Reference space "${type}" not granted, falling back`)
+        continue
+      }
+
+      try {
+        const space = await this.session.requestReferenceSpace(type)
+        if (this.isDisposed) return null
+
+        this.type = type
+        this.space = space
+        this.space.addEventListener?.('reset', this.handleReset)
+        console.log(`✅ [DEBUG] Using "${type}" reference space (preferred "${preference}")`)
+        return space
+      } catch (error) {
+        console.warn(`⚠️ [DEBUG] Reference space "${type}" unavailable, falling back:`, error)
+      }
+    }
+
+    throw new Error(`No reference space available for preference "${preference}"`)
+  }
+
+  /**
+   * Whether y = 0 is the floor in the chosen space
+   * @returns {boolean}
+   */
+  isFloorRelative() {
+    return FLOOR_RELATIVE_TYPES.includes(this.type)
+  }
+
+  /**
+   * Find the floor among tracked planes
+   * @param {Array<Object>} planes Analyzed plane data
+   * @returns {Object|null} The 'floor' plane, else the lowest horizontal plane
+   */
+  findFloorPlane(planes = []) {
+    const horizontal = planes.filter(planeData => planeData.orientation === 'horizontal')
+    return horizontal.find(planeData => planeData.semanticLabel === 'floor') ||
+      horizontal.reduce((lowest, planeData) => (!lowest || planeData.worldCenter.y < lowest.worldCenter.y ? planeData : lowest), null)
+  }
+
+  /**
+   * Height of the floor in reference space coordinates
+   * Floor-based spaces know it exactly; other spaces estimate it from planes.
+   * @param {Array<Object>} planes Analyzed plane data
+   * @returns {number} Floor y in the reference space
+   */
+  getFloorHeight(planes = []) {
+    if (this.isFloorRelative()) return 0
+
+    const floor = this.findFloorPlane(planes)
+    return floor ? floor.worldCenter.y : -this.DEFAULT_EYE_HEIGHT
+  }
+
+  /**
+   * Get bounds of a bounded-floor space
+   * @returns {Array<DOMPointReadOnly>|null} Floor polygon, or null for unbounded types
+   */
+  getBounds() {
+    return this.space?.boundsGeometry?.length ? Array.from(this.space.boundsGeometry) : null
+  }
+
+  /**
+   * Stop listening to the reference space
+   */
+  dispose() {
+    if (this.isDisposed) {
+      console.log('ℹ️ [DEBUG] ReferenceSpaceManager already disposed')
+      return
+    }
+
+    console.log('🧹 [DEBUG] Disposing ReferenceSpaceManager...')
+    this.space?.removeEventListener?.('reset', this.handleReset)
+    this.space = null
+    this.onReset = null
+    this.isDisposed = true
+    console.log('✅ [DEBUG] ReferenceSpaceManager disposed')
+  }
+
+  /**
+   * Get debug information about the reference space
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      type: this.type,
+      isFloorRelative: this.isFloorRelative(),
+      hasBounds: !!this.getBounds(),
+      resetCount: this.resetCount,
+      isDisposed: this.isDisposed
+    }
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Plane outlines shaped like runtime plane.polygon output: float32 coordinates,
+ * millimetre noise, near-collinear runs along straight edges and either winding.
+ * Device dumps (JSON.stringify(plane.polygon) on a headset) can be added alongside.
+ */
+
+// Room floor, clockwise in (x, z), with a notch where a counter stands
+export const FLOOR_WITH_NOTCH = [
+  { x: -2.102113962173462, y: 0, z: -1.8041898012161255 }, { x: -2.0965795516967773, y: 0, z: -1.3364158868789673 },
+  { x: -2.0989255905151367, y: 0, z: -0.8967705965042114 }, { x: -2.1000595092773438, y: 0, z: -0.48978009819984436 },
+  { x: -2.0994691848754883, y: 0, z: -0.04162539169192314 }, { x: -2.0967257022857666, y: 0, z: 0.41128697991371155 },
+  { x: -2.1026148796081543, y: 0, z: 0.8932067155838013 }, { x: -2.0977859497070312, y: 0, z: 1.316142201423645 },
+  { x: -2.098470687866211, y: 0, z: 1.8053724765777588 }, { x: -1.5753660202026367, y: 0, z: 1.7991734743118286 },
+  { x: -1.017453670501709, y: 0, z: 1.796372652053833 }, { x: -0.512958288192749, y: 0, z: 1.7983168363571167 },
+  { x: -0.07009363919496536, y: 0, z: 1.7969423532485962 }, { x: 0.4635431170463562, y: 0, z: 1.802528977394104 },
+  { x: 0.9961687326431274, y: 0, z: 1.8009792566299438 }, { x: 0.9989791512489319, y: 0, z: 1.3374978303909302 },
+  { x: 1.000572919845581, y: 0, z: 0.8947534561157227 }, { x: 1.501556158065796, y: 0, z: 0.8976476788520813 },
+  { x: 2.1021647453308105, y: 0, z: 0.8991311192512512 }, { x: 2.100684404373169, y: 0, z: 0.46672675013542175 },
+  { x: 2.098398208618164, y: 0, z: 0.00421340623870492 }, { x: 2.1015920639038086, y: 0, z: -0.476494163274765 },
+  { x: 2.100595474243164, y: 0, z: -0.8769686818122864 }, { x: 2.103001117706299, y: 0, z: -1.3522677421569824 },
+  { x: 2.1027534008026123, y: 0, z: -1.8025447130203247 }, { x: 1.5885170698165894, y: 0, z: -1.796944499015808 },
+  { x: 1.1743085384368896, y: 0, z: -1.802057147026062 }, { x: 0.7324814200401306, y: 0, z: -1.7999117374420166 },
+  { x: 0.27634066343307495, y: 0, z: -1.801345705986023 }, { x: -0.2580265998840332, y: 0, z: -1.8005841970443726 },
+  { x: -0.7350445985794067, y: 0, z: -1.798509955406189 }, { x: -1.1848942041397095, y: 0, z: -1.8007549047470093 },
+  { x: -1.6407902240753174, y: 0, z: -1.7996495962142944 }
+]
+
+// Table top, counter-clockwise, with one chamfered corner
+export const TABLE_WITH_CHAMFER = [
+  { x: -0.6986401081085205, y: 0, z: -0.39822128415107727 }, { x: -0.4678754210472107, y: 0, z: -0.3995075523853302 },
+  { x: -0.25383543968200684, y: 0, z: -0.39939552545547485 }, { x: 0.006866013165563345, y: 0, z: -0.39852070808410645 },
+  { x: 0.24835649132728577, y: 0, z: -0.4006462097167969 }, { x: 0.4613369405269623, y: 0, z: -0.3994940519332886 },
+  { x: 0.6980902552604675, y: 0, z: -0.4001532196998596 }, { x: 0.7011486887931824, y: 0, z: -0.18838180601596832 },
+  { x: 0.6991953253746033, y: 0, z: 0.03333926573395729 }, { x: 0.698517382144928, y: 0, z: 0.2789904475212097 },
+  { x: 0.5795637965202332, y: 0, z: 0.4014856815338135 }, { x: 0.3845618665218353, y: 0, z: 0.40015244483947754 },
+  { x: 0.15122389793395996, y: 0, z: 0.39884984493255615 }, { x: -0.07362260669469833, y: 0, z: 0.3989080488681793 },
+  { x: -0.26387929916381836, y: 0, z: 0.40025410056114197 }, { x: -0.48064088821411133, y: 0, z: 0.39884743094444275 },
+  { x: -0.6981690526008606, y: 0, z: 0.3986036777496338 }, { x: -0.7008041143417358, y: 0, z: 0.21295128762722015 },
+  { x: -0.700045108795166, y: 0, z: 0.010666556656360626 }, { x: -0.7007117867469788, y: 0, z: -0.20356494188308716 }
+]
+
+// Couch seat sampled every 10cm - long runs within 0.2mm of a straight line
+export const COUCH_SEAT_DENSE = [
+  { x: -1.0000475645065308, y: 0, z: -0.29994022846221924 }, { x: -0.9999862313270569, y: 0, z: -0.1698189526796341 },
+  { x: -1.0000349283218384, y: 0, z: -0.05981180816888809 }, { x: -1.000004768371582, y: 0, z: 0.052431847900152206 },
+  { x: -1.0001171827316284, y: 0, z: 0.18311718106269836 }, { x: -1.0004059076309204, y: 0, z: 0.29980340600013733 },
+  { x: -0.9081866145133972, y: 0, z: 0.3001238703727722 }, { x: -0.7961312532424927, y: 0, z: 0.299816757440567 },
+  { x: -0.6903561353683472, y: 0, z: 0.300185889005661 }, { x: -0.5969215631484985, y: 0, z: 0.30004623532295227 },
+  { x: -0.5068501234054565, y: 0, z: 0.29980599880218506 }, { x: -0.39943236112594604, y: 0, z: 0.2998238205909729 },
+  { x: -0.30619582533836365, y: 0, z: 0.299896776676178 }, { x: -0.20939834415912628, y: 0, z: 0.2999855875968933 },
+  { x: -0.10118937492370605, y: 0, z: 0.3001369833946228 }, { x: 0.0003824823070317507, y: 0, z: 0.300056129693985 },
+  { x: 0.09999546408653259, y: 0, z: 0.30006498098373413 }, { x: 0.1991465985774994, y: 0, z: 0.2999112606048584 },
+  { x: 0.30995312333106995, y: 0, z: 0.3001982867717743 }, { x: 0.40680432319641113, y: 0, z: 0.30008313059806824 },
+  { x: 0.49630555510520935, y: 0, z: 0.299891859292984 }, { x: 0.5957807898521423, y: 0, z: 0.29982808232307434 },
+  { x: 0.7053257822990417, y: 0, z: 0.2999601662158966 }, { x: 0.8069316744804382, y: 0, z: 0.2999545931816101 },
+  { x: 0.909160852432251, y: 0, z: 0.300138920545578 }, { x: 0.999500572681427, y: 0, z: 0.2997097074985504 },
+  { x: 0.9999880194664001, y: 0, z: 0.17015346884727478 }, { x: 0.9999589920043945, y: 0, z: 0.04847138375043869 },
+  { x: 1.000051736831665, y: 0, z: -0.04975292086601257 }, { x: 0.999907910823822, y: 0, z: -0.1866842657327652 },
+  { x: 0.9995871186256409, y: 0, z: -0.30016741156578064 }, { x: 0.8907184600830078, y: 0, z: -0.30010321736335754 },
+  { x: 0.8076401948928833, y: 0, z: -0.29989856481552124 }, { x: 0.7079790830612183, y: 0, z: -0.29982396960258484 },
+  { x: 0.5940595865249634, y: 0, z: -0.2998710572719574 }, { x: 0.49881410598754883, y: 0, z: -0.29997897148132324 },
+  { x: 0.4061863124370575, y: 0, z: -0.30009275674819946 }, { x: 0.30738064646720886, y: 0, z: -0.3000575006008148 },
+  { x: 0.20766983926296234, y: 0, z: -0.29996830224990845 }, { x: 0.1057426854968071, y: 0, z: -0.299907922744751 },
+  { x: -0.009418580681085587, y: 0, z: -0.30012136697769165 }, { x: -0.096082903444767, y: 0, z: -0.3001539409160614 },
+  { x: -0.19421420991420746, y: 0, z: -0.2999577224254608 }, { x: -0.3070875406265259, y: 0, z: -0.30005672574043274 },
+  { x: -0.39200666546821594, y: 0, z: -0.30019572377204895 }, { x: -0.4942648708820343, y: 0, z: -0.2999033033847809 },
+  { x: -0.6054537892341614, y: 0, z: -0.2999315857887268 }, { x: -0.6959264874458313, y: 0, z: -0.299829363822937 },
+  { x: -0.7918023467063904, y: 0, z: -0.3000330924987793 }, { x: -0.8948602676391602, y: 0, z: -0.30004051327705383 }
+]
@@ -0,0 +1,45 @@
+/**
+ * Boot the app against the mock XR runtime
+ */
+import { vi } from 'vitest'
+import { installMockXR } from '../../src/webxr/mock.js'
+import { WebXRPlaneDetectionApp } from '../../src/main.js'
+import INDEX_HTML from '../../index.html?raw'
+
+/**
+ * Load index.html's body, install a mock runtime and create the app
+ * @param {Object} options MockXRRuntime options
+ * @returns {Promise<{app: WebXRPlaneDetectionApp, runtime: MockXRRuntime}>} Once Start is enabled
+ */
+export async function createTestApp(options = {}) {
+  document.body.innerHTML = new DOMParser().parseFromString(INDEX_HTML, 'text/html').body.innerHTML
+
+  const runtime = installMockXR({ ...options, replaceGlobals: true })
+  const app = new WebXRPlaneDetectionApp()
+  await vi.waitFor(() => {
+    if (document.getElementById('start-ar').disabled) throw new Error('Start button not enabled yet')
+  })
+  return { app, runtime }
+}
+
+/**
+ * Let pending promise callbacks (hit-test source setup, anchor creation) run
+ */
+export async function flush() {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve()
+  }
+  await new Promise(resolve => setTimeout(resolve, 0))
+}
+
+/**
+ * Run frames through the app, flushing async work between them
+ * @param {MockXRRuntime} runtime Mock runtime
+ * @param {number} count Number of frames
+ */
+export async function runFrames(runtime, count = 1) {
+  for (let i = 0; i < count; i++) {
+    runtime.step()
+    await flush()
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * WebGL stand-ins for jsdom
+ * jsdom has no WebGL, so canvases hand out a fake context and Three.js'
+ * WebGLRenderer is replaced by a recorder exposing the API the app uses.
+ */
+
+const contexts = new WeakMap() // canvas -> fake context (one per canvas, like a browser)
+
+/**
+ * Create a WebGL context stand-in
+ * @param {HTMLCanvasElement} canvas Owning canvas
+ * @returns {Object} Fake context
+ */
+export function createFakeContext(canvas) {
+  return {
+    canvas,
+    lost: false,
+    xrCompatible: false,
+    async makeXRCompatible() {
+      this.xrCompatible = true
+    },
+    isContextLost() {
+      return this.lost
+    }
+  }
+}
+
+/**
+ * Make canvas.getContext return the canvas' fake context for WebGL types
+ */
+export function installFakeContexts() {
+  HTMLCanvasElement.prototype.getContext = function (type) {
+    if (type !== 'webgl2' && type !== 'webgl') return null
+    if (!contexts.has(this)) {
+      contexts.set(this, createFakeContext(this))
+    }
+    return contexts.get(this)
+  }
+}
+
+/**
+ * WebGLRenderer stand-in - records what the app asks of it
+ */
+export class FakeWebGLRenderer {
+  static instances = []
+
+  constructor({ canvas, context } = {}) {
+    this.domElement = canvas || document.createElement('canvas')
+    this.context = context || this.domElement.getContext('webgl2')
+    this.isDisposed = false
+    this.renderCount = 0
+    this.animationLoop = null
+
+    this.autoClear = true
+    this.autoClearColor = true
+    this.autoClearDepth = true
+    this.autoClearStencil = true
+    this.sortObjects = true
+    this.outputColorSpace = null
+
+    this.shadowMap = { enabled: false, type: null, autoUpdate: true, needsUpdate: false }
+    this.info = {
+      render: { calls: 0, triangles: 0, frame: 0 },
+      memory: { geometries: 0, textures: 0 }
+    }
+
+    const properties = new WeakMap()
+    this.properties = {
+      get(object) {
+        if (!properties.has(object)) properties.set(object, {})
+        return properties.get(object)
+      },
+      remove(object) {
+        properties.delete(object)
+      }
+    }
+
+    this.xr = {
+      enabled: false,
+      session: null,
+      referenceSpaceType: null,
+      referenceSpace: null,
+      setReferenceSpaceType(type) {
+        this.referenceSpaceType = type
+      },
+      async setSession(session) {
+        this.session = session
+      },
+      setReferenceSpace(space) {
+        this.referenceSpace = space
+      },
+      getBinding() {
+        return null
+      },
+      getCamera() {
+        return { cameras: [] }
+      }
+    }
+
+    FakeWebGLRenderer.instances.push(this)
+  }
+
+  setPixelRatio(ratio) {
+    this.pixelRatio = ratio
+  }
+
+  setSize(width, height) {
+    this.width = width
+    this.height = height
+  }
+
+  setAnimationLoop(callback) {
+    this.animationLoop = callback
+  }
+
+  clearDepth() {}
+
+  render(scene, camera) {
+    // Like WebGLRenderer, bring world matrices up to date before drawing
+    if (scene?.matrixWorldAutoUpdate) scene.updateMatrixWorld()
+    if (camera && camera.parent === null && camera.matrixWorldAutoUpdate) camera.updateMatrixWorld()
+    this.renderCount++
+    this.info.render.frame++
+  }
+
+  forceContextLoss() {
+    this.context.lost = true
+  }
+
+  dispose() {
+    this.isDisposed = true
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * InputModelManager against the input profiles shipped in assets/input-profiles
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { existsSync, readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import * as THREE from 'three'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { MockXRFrame, MockXRRuntime } from '../src/webxr/mock.js'
+import { InputModelManager, INPUT_PROFILES_PATH, HAND_PROFILE_PATH } from '../src/interaction/InputModelManager.js'
+
+/**
+ * Serve files under assets/ from disk
+ */
+async function serveAssets(input) {
+  const path = resolve(decodeURIComponent(new URL(input, window.location.href).pathname.slice(1)))
+  if (!existsSync(path)) {
+    return new Response(null, { status: 404 })
+  }
+  return new Response(readFileSync(path))
+}
+
+describe('InputModelManager', () => {
+  let runtime
+  let session
+  let refSpace
+  let inputModels
+
+  beforeEach(async () => {
+    runtime = new MockXRRuntime()
+    session = await runtime.xr.requestSession('immersive-ar')
+    refSpace = await session.requestReferenceSpace('local')
+    inputModels = new InputModelManager(new THREE.Scene())
+  })
+
+  afterEach(async () => {
+    inputModels.dispose()
+    await session.end()
+  })
+
+  function update() {
+    inputModels.update(new MockXRFrame(session, runtime.time), refSpace)
+  }
+
+  /**
+   * Wait for the controller factory to resolve the input source's profile
+   */
+  async function waitForProfile(inputSource) {
+    const { model } = inputModels.models.get(inputSource)
+    await vi.waitFor(() => {
+      if (!model.motionController) throw new Error('Profile not resolved yet')
+    })
+    return model.motionController
+  }
+
+  it('ships the profile list, controller profiles and hand meshes', () => {
+    const profilesList = JSON.parse(readFileSync(resolve(`${INPUT_PROFILES_PATH}/profilesList.json`), 'utf8'))
+    expect(Object.keys(profilesList).sort()).toEqual(['generic-trigger', 'oculus-touch-v3'])
+
+    // Every profile listed has its profile.json and each layout's model
+    for (const { path } of Object.values(profilesList)) {
+      const profile = JSON.parse(readFileSync(resolve(`${INPUT_PROFILES_PATH}/${path}`), 'utf8'))
+      for (const layout of Object.values(profile.layouts)) {
+        expect(existsSync(resolve(`${INPUT_PROFILES_PATH}/${profile.profileId}/${layout.assetPath}`))).toBe(true)
+      }
+    }
+    expect(existsSync(resolve(`${HAND_PROFILE_PATH}left.glb`))).toBe(true)
+    expect(existsSync(resolve(`${HAND_PROFILE_PATH}right.glb`))).toBe(true)
+  })
+
+  it('resolves controllers to the shipped profile models', async () => {
+    vi.stubGlobal('fetch', vi.fn(serveAssets))
+    vi.spyOn(GLTFLoader.prototype, 'load').mockImplementation(() => {}) // GLB loading isn't under test
+    const touch = runtime.addInputSource({ handedness: 'right' })
+    const unknown = runtime.addInputSource({ handedness: 'left', profiles: ['vendor-controller-x'] })
+
+    // Nothing is drawn until the asset check says which models can be used
+    update()
+    expect(inputModels.models.size).toBe(0)
+
+    expect(await inputModels.initialize()).toEqual({ controllers: true, hands: true })
+    update()
+    expect(inputModels.models.get(touch).model.name).not.toBe('PrimitiveController')
+
+    expect((await waitForProfile(touch)).assetUrl).toBe(`${INPUT_PROFILES_PATH}/oculus-touch-v3/right.glb`)
+    expect((await waitForProfile(unknown)).assetUrl).toBe(`${INPUT_PROFILES_PATH}/generic-trigger/left.glb`)
+  })
+
+  it('falls back to primitives only when the assets are not served', async () => {
+    const controller = runtime.addInputSource({ handedness: 'right' })
+
+    expect(await inputModels.initialize()).toEqual({ controllers: false, hands: false })
+    update()
+    expect(inputModels.models.get(controller).model.name).toBe('PrimitiveController')
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * Content materials and scene lights under light estimation (mock runtime)
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import * as THREE from 'three'
+import { createTestApp, runFrames } from './helpers/app.js'
+
+const AR_FEATURES = ['viewer', 'local', 'local-floor', 'plane-detection', 'hit-test', 'anchors']
+
+// Real tree catalog entry minus its PNG textures - jsdom never loads images
+const CATALOG = JSON.parse(readFileSync(resolve('assets/catalog.json'), 'utf8'))
+CATALOG.entries.forEach(entry => entry.meshes?.forEach(spec => delete spec.texture))
+
+/**
+ * Serve the catalog and GLB models from disk
+ */
+async function serveAssets(input) {
+  const { pathname } = new URL(typeof input === 'string' ? input : input.url, window.location.href)
+  if (pathname === '/assets/catalog.json') {
+    return new Response(JSON.stringify(CATALOG))
+  }
+  if (pathname.endsWith('.glb')) {
+    return new Response(readFileSync(resolve(pathname.slice(1))))
+  }
+  return new Response(null, { status: 404 })
+}
+
+/**
+ * Find a named mesh in the tree template
+ */
+function getTemplateMesh(app, name) {
+  return app.getActiveTemplate().getObjectByName(name)
+}
+
+describe('content lighting', () => {
+  let app
+  let runtime
+
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn(serveAssets))
+  })
+
+  afterEach(async () => {
+    await runtime.endSession()
+  })
+
+  it('keeps unlit materials when light estimation is not granted', async () => {
+    ({ app, runtime } = await createTestApp({ features: AR_FEATURES }))
+    await app.startAR()
+
+    expect(app.lightEstimation).toBeNull()
+    expect(app.getActiveTemplate().name).toBe('tree-scene')
+    expect(getTemplateMesh(app, 'tree_low').material).toBeInstanceOf(THREE.MeshBasicMaterial)
+    expect(getTemplateMesh(app, 'ground_high').material).toBeInstanceOf(THREE.MeshBasicMaterial)
+  })
+
+  it('shades the tree with lit materials driven by the estimated light', async () => {
+    ({ app, runtime } = await createTestApp({ features: [...AR_FEATURES, 'light-estimation'] }))
+    const room = runtime.createDefaultRoom()
+    const controller = runtime.addInputSource({ handedness: 'right' })
+    await app.startAR()
+
+    expect(app.lightEstimation).toBeTruthy()
+    const tree = getTemplateMesh(app, 'tree_low')
+    expect(tree.material).toBeInstanceOf(THREE.MeshStandardMaterial)
+    expect(tree.material.color.getHexString()).toBe('228b22')
+    expect(getTemplateMesh(app, 'ground_high').material).toBeInstanceOf(THREE.MeshStandardMaterial)
+
+    // Placed instances keep the lit materials
+    await runFrames(runtime, 1)
+    runtime.pointInputAtPlane(controller, room.table)
+    runtime.select(controller)
+    const [placed] = app.placedObjects.getAll()
+    expect(placed.object.getObjectByName('tree_low').material).toBeInstanceOf(THREE.MeshStandardMaterial)
+
+    // Static rig until the first estimate
+    const { ambientLight, directionalLight } = app.webxrRenderer
+    const { lightProbe } = app.lightEstimation
+    expect(lightProbe.intensity).toBe(0)
+    expect(ambientLight.intensity).toBeCloseTo(0.6)
+    expect(directionalLight.intensity).toBeCloseTo(0.8)
+
+    // Warm light from straight above, brighter than the static key light
+    runtime.setLightEstimate({
+      ambient: { x: 0.3, y: 0.25, z: 0.2 },
+      direction: { x: 0, y: 1, z: 0 },
+      intensity: { x: 2, y: 1.6, z: 1.2 }
+    })
+    await runFrames(runtime, app.lightEstimation.UPDATE_INTERVAL_FRAMES)
+
+    expect(app.lightEstimation.isEstimating).toBe(true)
+    expect(lightProbe.intensity).toBe(1)
+    expect(lightProbe.sh.coefficients[0].toArray()).toEqual([0.3, 0.25, 0.2].map(Math.fround))
+    expect(ambientLight.intensity).toBe(0)
+    expect(directionalLight.intensity).toBeCloseTo(2)
+    expect(directionalLight.color.r).toBeCloseTo(1)
+    expect(directionalLight.color.g).toBeCloseTo(0.8)
+    expect(directionalLight.color.b).toBeCloseTo(0.6)
+    const direction = directionalLight.position.clone().sub(directionalLight.target.position).normalize()
+    expect(direction.y).toBeCloseTo(1)
+
+    // Losing the estimate brings the static rig back
+    runtime.setLightEstimate(null)
+    await runFrames(runtime, app.lightEstimation.FALLBACK_FRAMES)
+    expect(lightProbe.intensity).toBe(0)
+    expect(directionalLight.intensity).toBeCloseTo(0.8)
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Polygon helpers in utils/math.js
+ */
+import { describe, it, expect } from 'vitest'
+import { triangulatePolygon2D, calculatePolygonArea } from '../src/utils/math.js'
+import { FLOOR_WITH_NOTCH, TABLE_WITH_CHAMFER, COUCH_SEAT_DENSE } from './fixtures/planeOutlines.js'
+
+// Both start at a corner that can't see the whole outline, so a triangle fan folds over itself
+const L_SHAPE = [
+  { x: 3, z: 1 }, { x: 1, z: 1 }, { x: 1, z: 2 },
+  { x: 0, z: 2 }, { x: 0, z: 0 }, { x: 3, z: 0 }
+]
+const U_SHAPE = [
+  { x: 2, z: 2 }, { x: 2, z: 1 }, { x: 1, z: 1 }, { x: 1, z: 2 },
+  { x: 0, z: 2 }, { x: 0, z: 0 }, { x: 3, z: 0 }, { x: 3, z: 2 }
+]
+
+/**
+ * Signed (x, z) area of a triangle - negative when it faces +Y
+ */
+function signedTriangleArea(a, b, c) {
+  return ((b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x)) / 2
+}
+
+/**
+ * Check a triangulation covers the polygon exactly once
+ * @param {Array} polygon Polygon vertices
+ * @param {number} corners Distinct vertices (repeated points add no triangles)
+ */
+function expectExactCover(polygon, corners) {
+  const indices = triangulatePolygon2D(polygon)
+  expect(indices.length / 3).toBe(corners - 2)
+
+  let area = 0
+  for (let i = 0; i < indices.length; i += 3) {
+    const signedArea = signedTriangleArea(polygon[indices[i]], polygon[indices[i + 1]], polygon[indices[i + 2]])
+    expect(signedArea).toBeLessThan(0) // Wound to face +Y like the plane normal
+    area += Math.abs(signedArea)
+  }
+  // Overlapping or outside triangles (e.g. a fan on a concave outline) add up to more than the polygon
+  expect(area).toBeCloseTo(calculatePolygonArea(polygon), 9)
+  return indices
+}
+
+describe('triangulatePolygon2D', () => {
+  it('covers an L-shaped outline', () => {
+    expectExactCover(L_SHAPE, 6)
+  })
+
+  it('covers an outline whose reflex corner lies on a diagonal', () => {
+    // (1, 1) is on the line from (0, 2) to (2, 0)
+    expectExactCover([
+      { x: 2, z: 1 }, { x: 1, z: 1 }, { x: 1, z: 2 },
+      { x: 0, z: 2 }, { x: 0, z: 0 }, { x: 2, z: 0 }
+    ], 6)
+  })
+
+  it('covers a U-shaped outline', () => {
+    expectExactCover(U_SHAPE, 8)
+  })
+
+  it('covers both windings with triangles facing +Y', () => {
+    expectExactCover([...L_SHAPE].reverse(), 6)
+    expectExactCover([...U_SHAPE].reverse(), 8)
+  })
+
+  it('keeps collinear points as triangle corners without slivers', () => {
+    const rectangle = [
+      { x: 0, z: 0 }, { x: 1, z: 0 }, { x: 2, z: 0 },
+      { x: 2, z: 1 }, { x: 1, z: 1 }, { x: 0, z: 1 }
+    ]
+    expectExactCover(rectangle, 6)
+
+    // L-shape with a midpoint on every edge
+    const subdivided = L_SHAPE.flatMap((point, i) => {
+      const next = L_SHAPE[(i + 1) % L_SHAPE.length]
+      return [point, { x: (point.x + next.x) / 2, z: (point.z + next.z) / 2 }]
+    })
+    expectExactCover(subdivided, 12)
+  })
+
+  it('ignores repeated vertices and a closing point', () => {
+    const polygon = [
+      { x: 0, z: 0 }, { x: 0, z: 0 }, { x: 2, z: 0 }, { x: 2, z: 1 },
+      { x: 2, z: 1 }, { x: 0, z: 1 }, { x: 0, z: 0 }
+    ]
+    expectExactCover(polygon, 4)
+    expectExactCover([...L_SHAPE, L_SHAPE[0]], 6)
+  })
+
+  it('returns no triangles for degenerate outlines', () => {
+    expect(triangulatePolygon2D(null)).toEqual([])
+    expect(triangulatePolygon2D([])).toEqual([])
+    expect(triangulatePolygon2D([{ x: 0, z: 0 }])).toEqual([])
+    expect(triangulatePolygon2D([{ x: 0, z: 0 }, { x: 1, z: 0 }])).toEqual([])
+    expect(triangulatePolygon2D([{ x: 0, z: 0 }, { x: 1, z: 0 }, { x: 2, z: 0 }])).toEqual([])
+    expect(triangulatePolygon2D([{ x: 0, z: 0 }, { x: 1, z: 1 }, { x: 0, z: 0 }])).toEqual([])
+  })
+})
+
+describe('triangulatePolygon2D on plane outlines', () => {
+  const outlines = {
+    'a floor with an L-shaped notch': FLOOR_WITH_NOTCH,
+    'a table with a chamfered corner': TABLE_WITH_CHAMFER,
+    'a densely sampled couch seat': COUCH_SEAT_DENSE
+  }
+
+  for (const [name, outline] of Object.entries(outlines)) {
+    it(`covers ${name} in both windings`, () => {
+      // Noisy runs along an edge are kept as corners, so every point adds a triangle
+      expectExactCover(outline, outline.length)
+      expectExactCover([...outline].reverse(), outline.length)
+    })
+  }
+})
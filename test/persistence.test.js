@@ -0,0 +1,213 @@
+/**
+ * PersistenceManager floor selection and saved floor poses against mock plane poses
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import * as THREE from 'three'
+import { MockXRFrame, MockXRRuntime } from '../src/webxr/mock.js'
+import { PersistenceManager } from '../src/interaction/PersistenceManager.js'
+
+const EYE_HEIGHT = 1.6
+
+describe('PersistenceManager', () => {
+  let runtime
+  let session
+  let persistence
+
+  beforeEach(async () => {
+    runtime = new MockXRRuntime({ eyeHeight: EYE_HEIGHT })
+    session = await runtime.xr.requestSession('immersive-ar', { optionalFeatures: ['local-floor', 'plane-detection'] })
+    const refSpace = await session.requestReferenceSpace('local-floor')
+    persistence = new PersistenceManager(session, refSpace, window.localStorage, { anchors: false })
+  })
+
+  afterEach(async () => {
+    await session.end()
+  })
+
+  /**
+   * Add a horizontal plane at a height above the floor
+   */
+  function addSurface(height, width, depth, semanticLabel) {
+    return runtime.addPlane({ position: { x: 0, y: height - EYE_HEIGHT, z: -1 }, width, depth, semanticLabel })
+  }
+
+  function frame() {
+    return new MockXRFrame(session, runtime.time)
+  }
+
+  /**
+   * Minimal placed object record resting on a surface
+   */
+  function createRecord(x, height, z) {
+    const object = new THREE.Object3D()
+    object.position.set(x, height, z)
+    return { contentId: 'cube', state: 'placed', object, surfaceQuaternion: new THREE.Quaternion(), yaw: 0, scale: 1, floorPose: null }
+  }
+
+  describe('findFloorPlane', () => {
+    it('picks the lowest horizontal plane over a larger raised one', () => {
+      const floor = addSurface(0, 2, 2)
+      addSurface(0.75, 4, 4) // e.g. a large stage or bed
+
+      expect(persistence.findFloorPlane([...runtime.planes], frame())).toBe(floor)
+    })
+
+    it('breaks ties between level planes by area', () => {
+      addSurface(0, 1, 1)
+      const larger = addSurface(0.02, 3, 3)
+
+      expect(persistence.findFloorPlane([...runtime.planes], frame())).toBe(larger)
+    })
+
+    it('prefers planes labelled floor', () => {
+      addSurface(-0.1, 1, 1)
+      const labelled = addSurface(0, 2, 2, 'floor')
+
+      expect(persistence.findFloorPlane([...runtime.planes], frame())).toBe(labelled)
+    })
+
+    it('ignores vertical planes', () => {
+      runtime.addPlane({ orientation: 'vertical', position: { x: 0, y: -EYE_HEIGHT - 1, z: -2 }, width: 4, depth: 2 })
+
+      expect(persistence.findFloorPlane([...runtime.planes], frame())).toBeNull()
+    })
+  })
+
+  describe('floor poses', () => {
+    it('save the floor plane\'s label, height and area with each pose', () => {
+      addSurface(0, 4, 4, 'floor')
+      addSurface(0.75, 1.2, 0.6, 'table')
+      persistence.markDirty()
+      persistence.update(frame(), [createRecord(0.5, 0.05, -1)], [...runtime.planes])
+
+      const [saved] = persistence.load()
+      expect(saved.floorPose.plane.label).toBe('floor')
+      expect(saved.floorPose.plane.height).toBeCloseTo(0, 5)
+      expect(saved.floorPose.plane.area).toBeCloseTo(16, 5)
+      expect(saved.floorPose.position[1]).toBeCloseTo(0.05, 5)
+    })
+
+    it('wait for a plane matching the saved one before restoring', () => {
+      const reference = { label: 'floor', height: 0, area: 16 }
+      addSurface(0.75, 1.2, 0.6, 'table')
+      expect(persistence.findReferencePlane(reference, [...runtime.planes], frame())).toBeNull()
+
+      // Right height, but only a small patch of the floor has been scanned
+      const patch = addSurface(0, 1, 1)
+      expect(persistence.findReferencePlane(reference, [...runtime.planes], frame())).toBeNull()
+
+      runtime.updatePlane(patch, { polygon: [{ x: -2, z: -1.8 }, { x: 2, z: -1.8 }, { x: 2, z: 1.8 }, { x: -2, z: 1.8 }] })
+      expect(persistence.findReferencePlane(reference, [...runtime.planes], frame())).toBe(patch)
+    })
+
+    it('restore against any floor-labelled plane when the saved one was labelled', () => {
+      const floor = addSurface(0.02, 1, 1, 'floor')
+
+      expect(persistence.findReferencePlane({ label: 'floor', height: 0, area: 16 }, [...runtime.planes], frame())).toBe(floor)
+      expect(persistence.findReferencePlane({ label: null, height: 0, area: 16 }, [...runtime.planes], frame())).toBeNull()
+    })
+
+    it('fall back to the floor plane for saves without a plane description', () => {
+      const floor = addSurface(0, 4, 4)
+      addSurface(0.75, 1.2, 0.6, 'table')
+
+      expect(persistence.findReferencePlane(undefined, [...runtime.planes], frame())).toBe(floor)
+    })
+  })
+
+  describe('saving', () => {
+    let now
+    let setItem
+
+    beforeEach(() => {
+      now = 0
+      vi.spyOn(performance, 'now').mockImplementation(() => now)
+      setItem = vi.spyOn(Storage.prototype, 'setItem')
+    })
+
+    /**
+     * Run update once per frame for a number of seconds at 72 fps
+     */
+    function runFor(seconds, records) {
+      for (let i = 0; i < seconds * 72; i++) {
+        now += 1000 / 72
+        persistence.update(frame(), records, [...runtime.planes])
+      }
+    }
+
+    it('do not write every frame while an object has no floor pose', () => {
+      const record = createRecord(0.5, 0.05, -1)
+      persistence.markDirty()
+      runFor(5, [record])
+      expect(setItem).toHaveBeenCalledTimes(1)
+      expect(persistence.missingFloorPoses).toBe(true)
+
+      // One more write once the floor shows up and the pose can be computed
+      addSurface(0, 4, 4, 'floor')
+      runFor(5, [record])
+      expect(setItem).toHaveBeenCalledTimes(2)
+      expect(persistence.load()[0].floorPose).toBeTruthy()
+      expect(persistence.missingFloorPoses).toBe(false)
+    })
+
+    it('skip writes for objects that are still being moved', () => {
+      addSurface(0, 4, 4, 'floor')
+      const record = { ...createRecord(0.5, 0.05, -1), state: 'repositioning' }
+      persistence.markDirty()
+      runFor(5, [record])
+
+      expect(setItem).toHaveBeenCalledTimes(1)
+    })
+
+    it('throttle changes to one write per interval', () => {
+      addSurface(0, 4, 4, 'floor')
+      const record = createRecord(0.5, 0.05, -1)
+      for (let i = 0; i < 36; i++) {
+        persistence.markDirty()
+        runFor(1 / 72, [record])
+      }
+      expect(setItem).toHaveBeenCalledTimes(1)
+
+      runFor(1, [record])
+      expect(setItem).toHaveBeenCalledTimes(2)
+      expect(persistence.isDirty).toBe(false)
+    })
+  })
+  describe('clearing', () => {
+    /**
+     * Save a placement backed by a persistent anchor in the runtime
+     */
+    function saveAnchoredPlacement(handle) {
+      runtime.persistentAnchors.set(handle, new THREE.Matrix4().toArray())
+      const record = { ...createRecord(0.5, 0.05, -1), persistentHandle: handle }
+      persistence.save([record])
+    }
+
+    it('delete saved placements and their anchors before resolving', async () => {
+      saveAnchoredPlacement('anchor-a')
+      runtime.persistentAnchors.set('anchor-b', new THREE.Matrix4().toArray()) // From an older session
+
+      await persistence.clear()
+
+      expect(persistence.load()).toEqual([])
+      expect(runtime.persistentAnchors.size).toBe(0)
+      expect(window.localStorage.length).toBe(0)
+    })
+
+    it('leave anchors cleared without a session for the next session to delete', async () => {
+      saveAnchoredPlacement('anchor-a')
+      await session.end()
+
+      PersistenceManager.clearStorage(window.localStorage)
+      expect(persistence.load()).toEqual([])
+      expect(runtime.persistentAnchors.has('anchor-a')).toBe(true)
+
+      session = await runtime.xr.requestSession('immersive-ar', { optionalFeatures: ['local-floor', 'anchors'] })
+      const nextSession = new PersistenceManager(session, await session.requestReferenceSpace('local-floor'))
+      await nextSession.deleteOrphanedHandles()
+
+      expect(runtime.persistentAnchors.size).toBe(0)
+      expect(window.localStorage.length).toBe(0)
+    })
+  })
+})
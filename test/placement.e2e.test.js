@@ -0,0 +1,108 @@
+/**
+ * End-to-end placement: mock runtime -> startAR -> planes -> place -> move -> manipulate
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { createTestApp, runFrames } from './helpers/app.js'
+
+// Default mock room, relative to the viewer's 'local' origin (eyes 1.6m above the floor)
+const EYE_HEIGHT = 1.6
+const TABLE_CENTER = { x: 0, y: 0.75 - EYE_HEIGHT, z: -0.8 }
+const FLOOR_SPOT = { x: 1.2, y: -EYE_HEIGHT, z: 0.3 } // Clear of the table from the right controller
+
+/**
+ * Convert a 'local-floor' position (what placed objects use) to the runtime's 'local' frame
+ */
+function toRuntimeSpace(position) {
+  return { x: position.x, y: position.y - EYE_HEIGHT, z: position.z }
+}
+
+describe('placement flow against the mock XR runtime', () => {
+  let app
+  let runtime
+  let room
+  let controller
+
+  beforeEach(async () => {
+    ({ app, runtime } = await createTestApp())
+    room = runtime.createDefaultRoom()
+    controller = runtime.addInputSource({ handedness: 'right' })
+  })
+
+  afterEach(async () => {
+    await runtime.endSession()
+  })
+
+  it('places content on a detected plane, then moves and manipulates it', async () => {
+    await app.startAR()
+    expect(app.session).toBe(runtime.activeSession)
+    expect(app.referenceSpaces.type).toBe('local-floor')
+    expect(app.placementState).toBe('scanning')
+
+    // detectedPlanes reach onXRFrame -> scanForPlanes -> PlaneDetection
+    await runFrames(runtime, 3)
+    expect(app.availablePlanes).toHaveLength(3)
+    expect(app.planeDetection.getTrackedPlanes().map(planeData => planeData.semanticLabel).sort())
+      .toEqual(['floor', 'table', 'wall'])
+
+    // Aim at the table; frames set up the controller's hit-test source and fill in its result
+    runtime.pointInputAt(controller, TABLE_CENTER)
+    await runFrames(runtime, 3)
+    expect(app.hitTestManager.getHitTestResult(controller)).toBeTruthy()
+
+    runtime.select(controller)
+    expect(app.placementState).toBe('placed')
+    expect(app.placedObjects.count).toBe(1)
+
+    const [placed] = app.placedObjects.getAll()
+    expect(app.placedObjects.getSelected()).toBe(placed)
+    expect(placed.object.visible).toBe(true)
+    // Table top (0.75m) plus the height offset along the surface normal
+    expect(placed.object.position.x).toBeCloseTo(0, 3)
+    expect(placed.object.position.y).toBeCloseTo(0.75 + app.OBJECT_HEIGHT_OFFSET, 3)
+    expect(placed.object.position.z).toBeCloseTo(-0.8, 3)
+
+    // Selecting the placed object picks it up for repositioning
+    await runFrames(runtime, 1)
+    runtime.pointInputAt(controller, toRuntimeSpace(placed.object.position))
+    await runFrames(runtime, 1)
+    runtime.select(controller)
+    expect(app.placementState).toBe('repositioning')
+    expect(app.repositioningObject).toBe(placed)
+
+    // ...and selecting the floor puts it down there
+    runtime.pointInputAt(controller, FLOOR_SPOT)
+    await runFrames(runtime, 2)
+    runtime.select(controller)
+    expect(app.placementState).toBe('placed')
+    expect(app.repositioningObject).toBeNull()
+    expect(app.placedObjects.count).toBe(1)
+    expect(placed.object.position.x).toBeCloseTo(FLOOR_SPOT.x, 3)
+    expect(placed.object.position.y).toBeCloseTo(app.OBJECT_HEIGHT_OFFSET, 3)
+    expect(placed.object.position.z).toBeCloseTo(FLOOR_SPOT.z, 3)
+    expect(app.ui.statusDiv.textContent).toMatch(new RegExp(`^✅ ${app.getContentName(placed)} repositioned`))
+
+    // Squeezing with both controllers starts a two-handed rotate/scale
+    const leftController = runtime.addInputSource({ handedness: 'left' })
+    await runFrames(runtime, 1)
+    runtime.squeezeStart(controller)
+    runtime.squeezeStart(leftController)
+    expect(app.placementState).toBe('manipulating')
+
+    runtime.squeezeEnd(leftController)
+    expect(app.placementState).toBe('placed')
+    expect(placed.object.position.y).toBeCloseTo(app.OBJECT_HEIGHT_OFFSET, 3)
+  })
+
+  it('falls back to the nearest plane when the hit-test has no result yet', async () => {
+    await app.startAR()
+    await runFrames(runtime, 1)
+
+    // Selecting in the same frame the controller is aimed - no hit-test result exists yet
+    runtime.pointInputAtPlane(controller, room.table)
+    runtime.select(controller)
+
+    expect(app.placementState).toBe('placed')
+    const [placed] = app.placedObjects.getAll()
+    expect(placed.object.position.y).toBeCloseTo(0.75 + app.OBJECT_HEIGHT_OFFSET, 3)
+  })
+})
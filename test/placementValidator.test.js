@@ -0,0 +1,110 @@
+/**
+ * PlacementValidator footprint checks against mock plane poses
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import * as THREE from 'three'
+import { MockXRFrame, MockXRRuntime } from '../src/webxr/mock.js'
+import { PlacementValidator } from '../src/interaction/PlacementValidator.js'
+
+// Planes are turned and moved away from the origin so plane-space conversions are exercised
+const PLANE_POSITION = { x: 1, y: -0.85, z: -1.2 }
+const PLANE_ROTATION = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(30))
+
+const TABLE = [{ x: -0.6, z: -0.3 }, { x: 0.6, z: -0.3 }, { x: 0.6, z: 0.3 }, { x: -0.6, z: 0.3 }]
+// Two 1m arms joined by a 1m base, with a 1m gap between the arms
+const U_SHAPE = [
+  { x: 0, z: 0 }, { x: 3, z: 0 }, { x: 3, z: 2 }, { x: 2, z: 2 },
+  { x: 2, z: 1 }, { x: 1, z: 1 }, { x: 1, z: 2 }, { x: 0, z: 2 }
+]
+// Narrow arms - both the vertex average and the area centroid lie in the notch
+const THIN_L_SHAPE = [
+  { x: 0, z: 0 }, { x: 3, z: 0 }, { x: 3, z: 0.5 },
+  { x: 0.5, z: 0.5 }, { x: 0.5, z: 3 }, { x: 0, z: 3 }
+]
+
+describe('PlacementValidator', () => {
+  let runtime
+  let session
+  let validator
+
+  beforeEach(async () => {
+    runtime = new MockXRRuntime()
+    session = await runtime.xr.requestSession('immersive-ar', { optionalFeatures: ['plane-detection'] })
+    validator = new PlacementValidator(await session.requestReferenceSpace('local'))
+  })
+
+  afterEach(async () => {
+    validator.dispose()
+    await session.end()
+  })
+
+  /**
+   * Add a turned horizontal plane with the given outline and get its support data
+   */
+  function addSupport(polygon) {
+    const plane = runtime.addPlane({ position: PLANE_POSITION, orientationQuaternion: PLANE_ROTATION, polygon })
+    return validator.createSupport(plane, new MockXRFrame(session, runtime.time))
+  }
+
+  /**
+   * Check a footprint centered on a plane-space point, aligned with the plane
+   * @returns {Object} checkFootprint result, with the position converted back to plane space
+   */
+  function check(support, x, z, width, depth) {
+    const position = new THREE.Vector3(x, 0, z).applyMatrix4(support.matrix)
+    const result = validator.checkFootprint(position, PLANE_ROTATION.clone(), { width, depth }, support)
+    return { ...result, local: result.position.clone().applyMatrix4(support.inverse) }
+  }
+
+  it('accepts a footprint inside the plane without moving it', () => {
+    const result = check(addSupport(TABLE), 0.2, 0.1, 0.3, 0.3)
+
+    expect(result).toMatchObject({ fits: true, nudged: false })
+    expect(result.local.x).toBeCloseTo(0.2, 5)
+    expect(result.local.z).toBeCloseTo(0.1, 5)
+  })
+
+  it('accepts a footprint just inside the plane edge', () => {
+    expect(check(addSupport(TABLE), 0.449, 0, 0.3, 0.3)).toMatchObject({ fits: true, nudged: false })
+  })
+
+  it('refuses a footprint bridging the gap of a U-shaped plane', () => {
+    // Corners rest on both arms; only the gap's edges cross the footprint
+    const result = check(addSupport(U_SHAPE), 1.5, 1.6, 1.6, 0.4)
+
+    expect(result).toMatchObject({ fits: false, nudged: false })
+    expect(result.local.x).toBeCloseTo(1.5, 5)
+  })
+
+  it('refuses a footprint larger than the plane', () => {
+    expect(check(addSupport(TABLE), 0, 0, 1.4, 0.4).fits).toBe(false)
+  })
+
+  it('refuses a footprint too far off the edge to nudge', () => {
+    expect(check(addSupport(TABLE), 0.8, 0, 0.3, 0.3).fits).toBe(false)
+  })
+
+  it('nudges a footprint hanging off an edge back onto the plane', () => {
+    const result = check(addSupport(TABLE), 0.55, 0, 0.3, 0.3)
+
+    expect(result).toMatchObject({ fits: true, nudged: true })
+    expect(result.local.x).toBeLessThanOrEqual(0.45 + 1e-6)
+    expect(result.local.x).toBeGreaterThan(0.55 - validator.MAX_NUDGE_DISTANCE)
+    expect(result.local.z).toBeCloseTo(0, 5)
+  })
+
+  it('nudges along an arm when the centroid lies outside the plane', () => {
+    // Hangs 10cm off the long arm's inner edge; heading for the centroid never fits
+    const result = check(addSupport(THIN_L_SHAPE), 2, 0.45, 0.3, 0.3)
+
+    expect(result).toMatchObject({ fits: true, nudged: true })
+    expect(result.local.x).toBeCloseTo(2, 5)
+    expect(result.local.z).toBeLessThanOrEqual(0.35 + 1e-6)
+    expect(result.local.z).toBeGreaterThanOrEqual(0.45 - 0.12 - 1e-6)
+  })
+
+  it('does not nudge when auto-nudge is off', () => {
+    validator.AUTO_NUDGE = false
+    expect(check(addSupport(TABLE), 0.55, 0, 0.3, 0.3)).toMatchObject({ fits: false, nudged: false })
+  })
+})
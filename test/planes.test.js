@@ -0,0 +1,41 @@
+/**
+ * PlaneDetection placement scoring
+ */
+import { describe, it, expect } from 'vitest'
+import { PlaneDetection } from '../src/webxr/planes.js'
+
+// Plane data as PlaneDetection analyzes it, for the default mock room in 'local-floor'
+const FLOOR = { orientation: 'horizontal', area: 16, worldCenter: { x: 0, y: 0, z: 0 } }
+const TABLE = { orientation: 'horizontal', area: 0.72, worldCenter: { x: 0, y: 0.75, z: -0.8 } }
+
+const PREFERENCES = { preferredHeight: 0.7, heightTolerance: 0.3 }
+
+describe('PlaneDetection.scorePlane', () => {
+  const planeDetection = new PlaneDetection()
+
+  it('scores 10 points per m² of area, capped at 30', () => {
+    const small = { ...TABLE, area: 0.5 }
+    const large = { ...TABLE, area: 2 }
+    const huge = { ...TABLE, area: 5 }
+
+    expect(planeDetection.scorePlane(large, PREFERENCES) - planeDetection.scorePlane(small, PREFERENCES)).toBeCloseTo(15, 5)
+    expect(planeDetection.scorePlane(huge, PREFERENCES) - planeDetection.scorePlane(large, PREFERENCES)).toBeCloseTo(10, 5)
+  })
+
+  it('takes the area weight and cap from the preferences', () => {
+    const small = { ...TABLE, area: 0.2 }
+    const large = { ...TABLE, area: 2 }
+    const preferences = { ...PREFERENCES, areaWeight: 30, maxAreaScore: 30 }
+
+    // 6 points against 30 (capped)
+    expect(planeDetection.scorePlane(large, preferences) - planeDetection.scorePlane(small, preferences)).toBeCloseTo(24, 5)
+  })
+
+  it('ranks a large floor first by default, and the table with an auto-place area weight', () => {
+    const defaultRanking = planeDetection.rankPlacementPlanes([FLOOR, TABLE])
+    expect(defaultRanking.map(plane => plane.area)).toEqual([FLOOR.area, TABLE.area])
+
+    const autoPlaceRanking = planeDetection.rankPlacementPlanes([FLOOR, TABLE], { areaWeight: 30 })
+    expect(autoPlaceRanking.map(plane => plane.area)).toEqual([TABLE.area, FLOOR.area])
+  })
+})
@@ -0,0 +1,96 @@
+/**
+ * Repeated startAR / session end against the mock runtime - nothing from an
+ * ended session may survive except the canvas, WebGL context and renderer
+ */
+import { describe, it, expect, beforeEach } from 'vitest'
+import { FakeWebGLRenderer } from './helpers/webgl.js'
+import { createTestApp, runFrames } from './helpers/app.js'
+
+const SESSION_COUNT = 3
+
+describe('session lifecycle', () => {
+  let app
+  let runtime
+  let room
+  let controller
+
+  beforeEach(async () => {
+    ({ app, runtime } = await createTestApp())
+    room = runtime.createDefaultRoom()
+    controller = runtime.addInputSource({ handedness: 'right' })
+  })
+
+  it(`reuses the renderer and rebuilds everything else over ${SESSION_COUNT} sessions`, async () => {
+    const renderersBefore = FakeWebGLRenderer.instances.length
+    const sessions = []
+
+    for (let i = 0; i < SESSION_COUNT; i++) {
+      await app.startAR()
+      expect(app.session).toBe(runtime.activeSession)
+
+      // Planes are tracked and content can be placed in every session
+      await runFrames(runtime, 2)
+      expect(app.planeDetection.getPlaneCount()).toBe(3)
+      runtime.pointInputAtPlane(controller, room.table)
+      runtime.select(controller)
+      expect(app.placementState).toBe('placed')
+
+      sessions.push({
+        renderer: app.webxrRenderer.renderer,
+        gl: app.webxrRenderer.gl,
+        template: app.getActiveTemplate(),
+        planeDetection: app.planeDetection,
+        occlusion: app.webxrRenderer.occlusion,
+        inputModels: app.inputModels
+      })
+
+      await runtime.endSession()
+      expect(app.session).toBeNull()
+      expect(app.ui.startButton.disabled).toBe(false)
+    }
+
+    // One canvas, one context and one renderer for every session
+    expect(document.querySelectorAll('canvas')).toHaveLength(1)
+    expect(FakeWebGLRenderer.instances.length - renderersBefore).toBe(1)
+    const [first] = sessions
+    for (const session of sessions) {
+      expect(session.renderer).toBe(first.renderer)
+      expect(session.gl).toBe(first.gl)
+    }
+    expect(first.renderer.isDisposed).toBe(false)
+    expect(first.renderer.domElement.isConnected).toBe(true)
+
+    // Per-session managers were disposed, and content was reloaded each time
+    for (const session of sessions) {
+      expect(session.planeDetection.isDisposed).toBe(true)
+      expect(session.planeDetection.getPlaneCount()).toBe(0)
+      expect(session.occlusion.isDisposed).toBe(true)
+      expect(session.inputModels.isDisposed).toBe(true)
+    }
+    expect(new Set(sessions.map(session => session.planeDetection)).size).toBe(SESSION_COUNT)
+    expect(new Set(sessions.map(session => session.template)).size).toBe(SESSION_COUNT)
+    expect(app.contentTemplates.size).toBe(0)
+  })
+  it('deletes anchors of placements cleared between sessions on the next start', async () => {
+    await app.startAR()
+    await runFrames(runtime, 2)
+    runtime.pointInputAtPlane(controller, room.table)
+    runtime.select(controller)
+    await runFrames(runtime, 2)
+    expect(runtime.persistentAnchors.size).toBe(1)
+    await runtime.endSession()
+
+    // Outside a session only storage can be cleared
+    app.ui.clearSavedButton.click()
+    await runFrames(runtime, 1)
+    expect(app.ui.statusDiv.textContent).toContain('Saved placements cleared')
+    expect(window.localStorage.getItem('webxr-placed-objects')).toBeNull()
+    expect(runtime.persistentAnchors.size).toBe(1)
+
+    await app.startAR()
+    await runFrames(runtime, 1)
+    expect(runtime.persistentAnchors.size).toBe(0)
+    expect(app.getPlacedObjects()).toHaveLength(0)
+    await runtime.endSession()
+  })
+})
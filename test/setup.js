@@ -0,0 +1,39 @@
+/**
+ * Shared test environment: fake WebGL, no network, quiet debug logging
+ */
+import { vi, beforeEach, afterEach } from 'vitest'
+import { installFakeContexts } from './helpers/webgl.js'
+
+// jsdom has no WebGL - every WebGLRenderer the app creates is a fake
+vi.mock('three', async (importOriginal) => {
+  const THREE = await importOriginal()
+  const { FakeWebGLRenderer } = await import('./helpers/webgl.js')
+  return { ...THREE, WebGLRenderer: FakeWebGLRenderer }
+})
+
+installFakeContexts()
+
+class PageRequest extends Request {
+  constructor(input, init) {
+    super(typeof input === 'string' ? new URL(input, window.location.href).href : input, init)
+  }
+}
+
+beforeEach(() => {
+  // Nothing is served in tests, so every asset load takes the app's fallback path
+  vi.stubGlobal('fetch', vi.fn(async () => {
+    throw new TypeError('fetch is disabled in tests')
+  }))
+  // Browsers resolve relative Request URLs (Three.js loaders) against the page; Node's Request doesn't
+  vi.stubGlobal('Request', PageRequest)
+  window.localStorage.clear()
+
+  // The app logs every step with [DEBUG] - keep errors only
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
@@ -30,5 +30,12 @@ export default defineConfig({
   // Ensure proper MIME types for WebXR
   define: {
     __DEV__: JSON.stringify(process.env.NODE_ENV === 'development')
+  },
+
+  // Tests drive the app against the mock XR runtime (src/webxr/mock.js) in jsdom
+  test: {
+    environment: 'jsdom',
+    include: ['test/**/*.test.js'],
+    setupFiles: ['test/setup.js']
   }
 }) 
\ No newline at end of file